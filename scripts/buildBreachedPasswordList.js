@@ -0,0 +1,72 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Build a local breached password list
+ * Reads a password list (one password per line) and writes k-anonymity range
+ * files: <first 5 SHA-1 hex chars>.txt holding "<remaining 35 chars>:<count>" lines,
+ * the same layout the Have I Been Pwned range API and downloader use.
+ * Lines that already are "<40 hex chars>:<count>" hashes are taken as they are.
+ *
+ * Usage: npm run passwords:breached -- <password-list.txt> [output dir]
+ * The output dir defaults to PASSWORD_BREACHED_LIST_DIR.
+ */
+const [inputFile, outputDir = process.env.PASSWORD_BREACHED_LIST_DIR] = process.argv.slice(2);
+
+if (!inputFile || !outputDir) {
+  console.error('Usage: npm run passwords:breached -- <password-list.txt> [output dir]');
+  process.exit(1);
+}
+
+const HASH_LINE = /^([0-9A-Fa-f]{40}):(\d+)$/;
+
+const build = async () => {
+  // prefix -> Map(suffix -> count)
+  const ranges = new Map();
+  const lines = readline.createInterface({ input: fs.createReadStream(inputFile), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    const match = HASH_LINE.exec(line);
+    const hash = match ? match[1].toUpperCase() : crypto.createHash('sha1').update(line).digest('hex').toUpperCase();
+    const count = match ? parseInt(match[2], 10) : 1;
+
+    const prefix = hash.slice(0, 5);
+    if (!ranges.has(prefix)) {
+      ranges.set(prefix, new Map());
+    }
+    const range = ranges.get(prefix);
+    range.set(hash.slice(5), (range.get(hash.slice(5)) || 0) + count);
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Merge with range files written earlier, so several lists can be combined
+  for (const [prefix, range] of ranges) {
+    const file = path.join(outputDir, `${prefix}.txt`);
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+        const [suffix, count] = line.split(':');
+        if (suffix) {
+          range.set(suffix, (range.get(suffix) || 0) + parseInt(count, 10));
+        }
+      }
+    }
+
+    const contents = [...range].sort(([a], [b]) => a.localeCompare(b)).map(([suffix, count]) => `${suffix}:${count}`);
+    fs.writeFileSync(file, `${contents.join('\n')}\n`);
+  }
+
+  console.log(`Wrote ${ranges.size} range files to ${outputDir}`);
+};
+
+build().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
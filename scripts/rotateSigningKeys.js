@@ -0,0 +1,21 @@
+require('dotenv').config();
+const { rotateKeys } = require('../src/utils/keyStore');
+
+/**
+ * Rotate the access token signing keys
+ * Creates a new active key, retires the current one and removes retired keys
+ * whose tokens have all expired. Run it on a schedule, e.g. weekly.
+ *
+ * Usage: npm run keys:rotate [-- RS256|ES256]
+ */
+const alg = process.argv[2];
+
+const { activeKid, retiredKid, removedKids } = rotateKeys(alg);
+
+console.log(`Active signing key: ${activeKid}`);
+if (retiredKid) {
+  console.log(`Retired signing key: ${retiredKid} (still accepted until its tokens expire)`);
+}
+if (removedKids.length > 0) {
+  console.log(`Removed expired keys: ${removedKids.join(', ')}`);
+}
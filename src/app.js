@@ -1,81 +1,46 @@
-require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const mongoSanitize = require('express-mongo-sanitize');
-const rateLimit = require('express-rate-limit');
 
-// Import routes
-const authRoutes = require('./routes/authRoutes');
-const userRoutes = require('./routes/userRoutes');
-
-// Import error middleware
-const { errorHandler, notFound } = require('./middlewares/errorMiddleware');
-
-// Initialize Express app
-const app = express();
-
-// Security middleware
-app.use(helmet()); // Set various HTTP headers for security
-
-// CORS configuration
-app.use(
-  cors({
-    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    credentials: true,
-  })
-);
-
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Data sanitization against NoSQL injection
-app.use(mongoSanitize());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply rate limiting to all routes
-app.use('/api/', limiter);
-
-// Stricter rate limiting for auth routes
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 requests per windowMs
-  message: 'Too many authentication attempts, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use('/api/auth/login', authLimiter);
-app.use('/api/auth/register', authLimiter);
-app.use('/api/auth/forgot-password', authLimiter);
-
-// Health check route
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
+/**
+ * Build the standalone Express app around an auth kit
+ * @param {Object} authKit - Kit returned by createAuthKit()
+ * @returns {Object} - Express app
+ */
+const createApp = (authKit) => {
+  // Initialize Express app
+  const app = express();
+
+  // Security middleware
+  app.use(helmet()); // Set various HTTP headers for security
+
+  // CORS configuration
+  app.use(
+    cors({
+      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+      credentials: true,
+    })
+  );
+
+  // Health check route
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Server is running',
+      timestamp: new Date().toISOString(),
+    });
   });
-});
 
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
+  // API routes (body parsing, sanitization and rate limits included)
+  app.use(authKit.router);
 
-// 404 handler
-app.use(notFound);
+  // 404 handler
+  app.use(authKit.notFound);
 
-// Error handler (must be last)
-app.use(errorHandler);
+  // Error handler (must be last)
+  app.use(authKit.errorHandler);
 
-module.exports = app;
+  return app;
+};
 
+module.exports = createApp;
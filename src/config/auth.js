@@ -0,0 +1,72 @@
+/**
+ * Authentication Configuration
+ * Contains account security settings
+ */
+module.exports = {
+  // What unverified users may do:
+  //   'allow'      - full access (verification is informational only)
+  //   'restricted' - may log in, but routes guarded by requireVerifiedEmail are blocked
+  //   'block'      - may not log in until the email address is verified
+  unverifiedUserPolicy: process.env.UNVERIFIED_USER_POLICY || 'allow',
+
+  // Failed logins (password or second factor) before an account is locked
+  maxLoginAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+
+  // How long an account stays locked, in minutes
+  lockoutDurationMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+
+  // Failed logins are answered after a delay that doubles with every attempt, capped at the max
+  loginDelayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 250,
+  loginDelayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 5000,
+
+  // Scopes that can be granted to API keys. Routes opt in with requireScope();
+  // routes guarded by denyApiKey (password, 2FA, sessions, key management) never accept keys.
+  apiKeyScopes: ['profile:read', 'profile:write', 'users:read', 'users:write'],
+
+  // Prefix of generated API keys, makes leaked keys easy to spot in code and logs
+  apiKeyPrefix: process.env.API_KEY_PREFIX || 'nak',
+
+  // Issuer name shown next to the account in authenticator apps
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Node Auth Kit',
+
+  // Number of one-time recovery codes generated when 2FA is enabled
+  twoFactorRecoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10,
+
+  // Passwordless sign-in by emailed link (off unless enabled for the deployment)
+  magicLinkEnabled: process.env.MAGIC_LINK_ENABLED === 'true',
+
+  // Only accept a magic link in the browser that requested it (via an HttpOnly cookie)
+  magicLinkBindBrowser: process.env.MAGIC_LINK_BIND_BROWSER !== 'false',
+
+  // How long an admin-issued invitation can be accepted
+  invitationExpiry: process.env.INVITATION_EXPIRY || '7d',
+
+  // Path the API routes are mounted under (set with createAuthKit({ routePrefix }))
+  routePrefix: '/api',
+
+  // Browser clients may ask (X-Auth-Mode: cookie) for the refresh token in an HttpOnly cookie
+  // instead of the response body. Off unless enabled; the body mode always stays available.
+  cookieSessionsEnabled: process.env.COOKIE_SESSIONS_ENABLED === 'true',
+
+  // Refresh token cookie: only ever sent to the refresh endpoint (the path follows routePrefix)
+  refreshCookie: {
+    name: process.env.REFRESH_COOKIE_NAME || 'refresh_token',
+    path: '/api/auth/refresh',
+    domain: process.env.REFRESH_COOKIE_DOMAIN || undefined,
+    sameSite: process.env.REFRESH_COOKIE_SAME_SITE || 'strict', // 'none' when the SPA runs on another site
+    secure: process.env.REFRESH_COOKIE_SECURE !== 'false', // Browsers accept Secure cookies on http://localhost
+  },
+
+  // Double-submit CSRF token: readable cookie that must be echoed in the X-CSRF-Token header
+  csrfCookieName: process.env.CSRF_COOKIE_NAME || 'csrf_token',
+
+  // How often each instance reloads the access token denylist, in seconds. Revocations made on
+  // an instance apply there at once; other instances enforce them within this interval.
+  revocationCacheSeconds: parseInt(process.env.TOKEN_REVOCATION_CACHE_SECONDS ?? '10', 10),
+
+  // Days a soft-deleted user can be restored before the purge job erases it
+  deletedUserRetentionDays: parseInt(process.env.DELETED_USER_RETENTION_DAYS, 10) || 30,
+
+  // How often the purge job runs, in minutes (0 disables it)
+  deletedUserPurgeIntervalMinutes: parseInt(process.env.DELETED_USER_PURGE_INTERVAL_MINUTES ?? '60', 10),
+};
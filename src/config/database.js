@@ -2,20 +2,15 @@ const mongoose = require('mongoose');
 
 /**
  * Connect to MongoDB database
- * @returns {Promise<void>}
+ * @param {string} uri - Connection string (defaults to MONGODB_URI)
+ * @returns {Promise<void>} - Rejects when the connection fails
  */
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      // Mongoose 6+ no longer needs these options, but keeping for compatibility
-    });
+const connectDB = async (uri = process.env.MONGODB_URI) => {
+  const conn = await mongoose.connect(uri, {
+    // Mongoose 6+ no longer needs these options, but keeping for compatibility
+  });
 
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
-  }
+  console.log(`MongoDB Connected: ${conn.connection.host}`);
 };
 
 module.exports = connectDB;
-
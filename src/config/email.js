@@ -0,0 +1,33 @@
+/**
+ * Email Configuration
+ * Selects the transport used to deliver mail and the defaults for every message
+ */
+module.exports = {
+  // Transport: 'smtp' delivers mail, 'file' writes each message to outboxDir,
+  // 'memory' keeps messages in the process (tests). Defaults to smtp when SMTP_HOST is set.
+  transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file'),
+
+  // Sender address
+  from: process.env.EMAIL_FROM || 'Node Auth Kit <no-reply@localhost>',
+
+  // Product name used in subjects and bodies
+  appName: process.env.EMAIL_APP_NAME || 'Node Auth Kit',
+
+  // Base URL of the frontend pages that emailed links point to
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465 (implicit TLS)
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+
+  // Directory of the file transport
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || 'outbox',
+
+  // Locales with templates in src/templates/email; the first is used when nothing matches
+  locales: ['en', 'es'],
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en',
+};
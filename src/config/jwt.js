@@ -6,19 +6,54 @@ module.exports = {
   // Access token expires in 15 minutes
   accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
   
+  // Impersonation access tokens (issued to admins acting as a user) expire in 10 minutes
+  impersonationTokenExpiry: process.env.JWT_IMPERSONATION_EXPIRY || '10m',
+
   // Refresh token expires in 7 days
   refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
   
-  // Access token secret
-  accessTokenSecret: process.env.JWT_ACCESS_SECRET || 'your-access-token-secret-change-in-production',
+  // Access tokens are signed with an asymmetric key (RS256 or ES256) so other
+  // services can verify them from the JWKS endpoint without a shared secret
+  accessTokenAlgorithm: process.env.JWT_ACCESS_ALGORITHM || 'RS256',
+
+  // Directory holding the access token signing keys (see utils/keyStore.js)
+  signingKeysDir: process.env.JWT_SIGNING_KEYS_DIR || 'keys',
+
+  // Issuer (iss) and audience (aud) claims of access tokens
+  issuer: process.env.JWT_ISSUER || 'node-auth-kit',
+  audience: process.env.JWT_AUDIENCE || 'node-auth-kit',
   
   // Refresh token secret
   refreshTokenSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-token-secret-change-in-production',
   
-  // Password reset token expires in 1 hour
+  // Password reset token lifetime (also stated in the reset email)
   passwordResetExpiry: process.env.JWT_PASSWORD_RESET_EXPIRY || '1h',
   
   // Password reset secret
   passwordResetSecret: process.env.JWT_PASSWORD_RESET_SECRET || 'your-password-reset-secret-change-in-production',
+
+  // Email verification token expires in 24 hours
+  emailVerificationExpiry: process.env.JWT_EMAIL_VERIFICATION_EXPIRY || '24h',
+
+  // Email verification secret
+  emailVerificationSecret: process.env.JWT_EMAIL_VERIFICATION_SECRET || 'your-email-verification-secret-change-in-production',
+
+  // Account unlock token expires in 24 hours
+  accountUnlockExpiry: process.env.JWT_ACCOUNT_UNLOCK_EXPIRY || '24h',
+
+  // Account unlock secret
+  accountUnlockSecret: process.env.JWT_ACCOUNT_UNLOCK_SECRET || 'your-account-unlock-secret-change-in-production',
+
+  // MFA pending token (issued between password and second factor) expires in 5 minutes
+  mfaTokenExpiry: process.env.JWT_MFA_EXPIRY || '5m',
+
+  // MFA pending token secret
+  mfaTokenSecret: process.env.JWT_MFA_SECRET || 'your-mfa-token-secret-change-in-production',
+
+  // Magic sign-in link expires in 15 minutes
+  magicLinkExpiry: process.env.JWT_MAGIC_LINK_EXPIRY || '15m',
+
+  // Magic sign-in link secret
+  magicLinkSecret: process.env.JWT_MAGIC_LINK_SECRET || 'your-magic-link-secret-change-in-production',
 };
 
@@ -0,0 +1,45 @@
+/**
+ * OAuth / OpenID Connect Configuration
+ * Providers are listed in OAUTH_PROVIDERS and configured per provider, e.g. for "google":
+ *   OAUTH_GOOGLE_ISSUER, OAUTH_GOOGLE_CLIENT_ID, OAUTH_GOOGLE_CLIENT_SECRET, OAUTH_GOOGLE_SCOPES
+ */
+
+/**
+ * Read provider settings from the environment
+ * @returns {Object} - Providers keyed by name
+ */
+const loadProviders = () => {
+  const names = (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.reduce((providers, name) => {
+    const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+    providers[name] = {
+      name,
+      issuer: process.env[`${prefix}_ISSUER`],
+      clientId: process.env[`${prefix}_CLIENT_ID`],
+      clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+      scopes: process.env[`${prefix}_SCOPES`] || 'openid email profile',
+    };
+
+    return providers;
+  }, {});
+};
+
+module.exports = {
+  // Configured OpenID Connect providers
+  providers: loadProviders(),
+
+  // Public base URL of this API, used to build callback URLs
+  // (callback: <callbackBaseUrl><routePrefix>/auth/oauth/<provider>/callback, routePrefix defaults to /api)
+  callbackBaseUrl: process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+  // How long a started sign-in may take before its state expires, in minutes
+  stateExpiryMinutes: parseInt(process.env.OAUTH_STATE_EXPIRY_MINUTES, 10) || 10,
+
+  // How long provider discovery documents and keys are cached, in minutes
+  metadataCacheMinutes: parseInt(process.env.OAUTH_METADATA_CACHE_MINUTES, 10) || 60,
+};
@@ -0,0 +1,26 @@
+/**
+ * Organization Configuration
+ * Roles a user can hold inside an organization and the permissions they grant there.
+ * These are separate from the global roles in permissions.js.
+ */
+module.exports = {
+  // Grants every organization permission
+  wildcard: '*',
+
+  // Known organization permissions, as "<resource>:<action>"
+  permissions: ['organization:read', 'organization:write', 'members:read', 'members:write'],
+
+  // Organization roles, strongest first
+  roles: {
+    owner: ['*'],
+    admin: ['organization:read', 'members:read', 'members:write'],
+    member: ['organization:read', 'members:read'],
+  },
+
+  // Role given to the user who creates an organization. Only owners can grant or remove it,
+  // and every organization keeps at least one.
+  ownerRole: 'owner',
+
+  // Role given to members added without one
+  defaultMemberRole: 'member',
+};
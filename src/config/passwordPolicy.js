@@ -0,0 +1,34 @@
+/**
+ * Password Policy Configuration
+ * Applied to every new password: registration, password reset and password change
+ */
+
+const CHARACTER_CLASSES = ['lowercase', 'uppercase', 'digit', 'symbol'];
+
+module.exports = {
+  // Length limits. bcrypt ignores everything after 72 bytes, so longer passwords are refused.
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  maxBytes: 72,
+
+  // Character classes every password must contain (comma-separated: lowercase,uppercase,digit,symbol)
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => CHARACTER_CLASSES.includes(name)),
+
+  // Minimum strength score from 0 (trivial) to 4 (strong)
+  minStrengthScore: parseInt(process.env.PASSWORD_MIN_STRENGTH ?? '2', 10),
+
+  // Refuse passwords containing the user's name or email address
+  rejectPersonalInfo: process.env.PASSWORD_REJECT_PERSONAL_INFO !== 'false',
+
+  // Directory of breached password hashes in k-anonymity range files: <first 5 SHA-1 hex chars>.txt
+  // holding "<remaining 35 hex chars>:<count>" lines. Unset disables the check.
+  breachedListDir: process.env.PASSWORD_BREACHED_LIST_DIR || null,
+
+  // Number of most recent passwords (the current one included) that cannot be reused (0 disables)
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10),
+
+  // Days after which a password must be changed at the next sign-in (0 disables)
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS ?? '0', 10),
+};
@@ -0,0 +1,41 @@
+/**
+ * Permission Configuration
+ * Permissions that roles can grant. Routes check them with requirePermission().
+ */
+module.exports = {
+  // Grants every permission
+  wildcard: '*',
+
+  // Known permissions, as "<resource>:<action>"
+  permissions: [
+    'users:read',
+    'users:write',
+    'users:delete',
+    'users:impersonate',
+    'roles:read',
+    'roles:write',
+    'api-keys:read',
+    'api-keys:write',
+    'audit:read',
+  ],
+
+  // Roles created on startup if missing. System roles cannot be deleted.
+  defaultRoles: [
+    {
+      name: 'user',
+      description: 'Default role for registered users',
+      permissions: [],
+    },
+    {
+      name: 'admin',
+      description: 'Full administrative access',
+      permissions: ['*'],
+    },
+  ],
+
+  // Role given to new users
+  defaultUserRole: 'user',
+
+  // Role that must always be held by at least one active user
+  adminRole: 'admin',
+};
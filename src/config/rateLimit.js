@@ -0,0 +1,60 @@
+/**
+ * Rate Limit Configuration
+ * Where hit counters are kept and the limits applied to each route.
+ */
+
+const windowMs = (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+module.exports = {
+  // Counter store: 'memory' (per process) or 'mongo' (shared by every instance).
+  // createAuthKit({ rateLimit: { store } }) also accepts a function (ruleName) -> store,
+  // for any express-rate-limit store such as rate-limit-redis.
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  // Rule name -> { keyBy, paths, windowMs, max, message }
+  //   keyBy: 'ip', 'account' (the email in the request body) or 'apiKey' (the presented API key);
+  //          requests without an account or API key are not counted by those rules
+  //   paths: mounted under the route prefix ('' for every route)
+  // Set a rule to false to turn it off.
+  rules: {
+    general: {
+      keyBy: 'ip',
+      paths: [''],
+      windowMs,
+      max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
+      message: 'Too many requests from this IP, please try again later.',
+    },
+    auth: {
+      keyBy: 'ip',
+      paths: [
+        '/auth/login',
+        '/auth/2fa/verify',
+        '/auth/register',
+        '/auth/forgot-password',
+        '/auth/resend-verification',
+        '/auth/magic-link',
+        '/auth/webauthn/login/verify',
+        '/auth/webauthn/register/options',
+        '/auth/invitations/accept',
+      ],
+      windowMs,
+      max: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 5,
+      message: 'Too many authentication attempts, please try again later.',
+    },
+    // Caps attempts against one account however many IPs they come from
+    account: {
+      keyBy: 'account',
+      paths: ['/auth/login', '/auth/forgot-password', '/auth/resend-verification', '/auth/magic-link'],
+      windowMs,
+      max: parseInt(process.env.RATE_LIMIT_ACCOUNT_MAX, 10) || 10,
+      message: 'Too many attempts for this account, please try again later.',
+    },
+    apiKey: {
+      keyBy: 'apiKey',
+      paths: [''],
+      windowMs,
+      max: parseInt(process.env.RATE_LIMIT_API_KEY_MAX, 10) || 1000,
+      message: 'Too many requests with this API key, please try again later.',
+    },
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Storage Configuration
+ * Selects where users, sessions, roles, API keys, the audit log, organizations, ... are stored.
+ * MongoDB is only needed by the 'mongo' adapter (and the 'mongo' rate limit store).
+ */
+module.exports = {
+  // Adapter: 'mongo' (default), 'memory' (tests and local work, nothing persists)
+  // or 'sql' (SQLite or PostgreSQL through Knex, tables created by the kit's migrations)
+  adapter: process.env.STORAGE_ADAPTER || 'mongo',
+
+  sql: {
+    // Knex client: 'better-sqlite3', 'sqlite3' or 'pg' (install the driver alongside the kit)
+    client: process.env.SQL_CLIENT || 'better-sqlite3',
+
+    // Connection string (pg) or database file path (SQLite)
+    connection: process.env.SQL_CONNECTION || 'auth-kit.sqlite',
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * WebAuthn (passkey) Configuration
+ */
+module.exports = {
+  // Relying party ID: the domain passkeys are bound to (the frontend's host or a parent domain of it)
+  rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+
+  // Name shown by the authenticator when a passkey is created
+  rpName: process.env.WEBAUTHN_RP_NAME || process.env.EMAIL_APP_NAME || 'Node Auth Kit',
+
+  // Origins allowed to run ceremonies (comma-separated, e.g. https://app.example.com)
+  origins: (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean),
+
+  // 'required': the authenticator must verify the user (PIN, biometrics), so a passkey
+  // sign-in counts as both factors. 'preferred': unverified sign-ins still ask for the 2FA code.
+  userVerification: process.env.WEBAUTHN_USER_VERIFICATION === 'preferred' ? 'preferred' : 'required',
+
+  // How long a ceremony may take before its challenge expires, in minutes
+  challengeExpiryMinutes: parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRY_MINUTES, 10) || 5,
+
+  // Accounts with no password, 2FA or passkey confirm a new passkey by having signed in
+  // within this many minutes (the others re-enter one of those)
+  recentSignInMinutes: parseInt(process.env.WEBAUTHN_RECENT_SIGN_IN_MINUTES, 10) || 5,
+};
@@ -0,0 +1,116 @@
+const {
+  createApiKey,
+  listApiKeys,
+  listAllApiKeys,
+  revokeApiKey,
+} = require('../services/apiKeyService');
+const { validate, createApiKeySchema, listApiKeysSchema } = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+
+/**
+ * @route   POST /api/users/api-keys
+ * @desc    Create an API key (the key is only returned in this response)
+ * @access  Private
+ */
+const createKey = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(createApiKeySchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { apiKey, key } = await createApiKey(req.user._id, value);
+
+    return successResponse(
+      res,
+      201,
+      'API key created. Copy it now; it will not be shown again.',
+      { apiKey, key }
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to create API key');
+  }
+};
+
+/**
+ * @route   GET /api/users/api-keys
+ * @desc    List API keys of the current user
+ * @access  Private
+ */
+const getKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user._id);
+
+    return successResponse(res, 200, 'API keys retrieved successfully', { apiKeys, count: apiKeys.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve API keys');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/api-keys/:id
+ * @desc    Revoke an API key of the current user
+ * @access  Private
+ */
+const deleteKey = async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.user._id);
+
+    if (!revoked) {
+      return errorResponse(res, 404, 'API key not found');
+    }
+
+    return successResponse(res, 200, 'API key revoked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to revoke API key');
+  }
+};
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List API keys of all users (Admin only)
+ * @access  Private/Admin
+ */
+const getAllKeys = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(listApiKeysSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const apiKeys = await listAllApiKeys(value);
+
+    return successResponse(res, 200, 'API keys retrieved successfully', { apiKeys, count: apiKeys.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve API keys');
+  }
+};
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke any API key (Admin only)
+ * @access  Private/Admin
+ */
+const adminDeleteKey = async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return errorResponse(res, 404, 'API key not found');
+    }
+
+    return successResponse(res, 200, 'API key revoked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to revoke API key');
+  }
+};
+
+module.exports = {
+  createKey,
+  getKeys,
+  deleteKey,
+  getAllKeys,
+  adminDeleteKey,
+};
@@ -1,14 +1,37 @@
 const {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   refreshAccessToken,
   logoutUser,
+  logoutAllSessions,
+  verifyEmail,
+  resendEmailVerification,
   generatePasswordReset,
   resetPassword,
 } = require('../services/authService');
-const { sendPasswordResetEmail, sendWelcomeEmail } = require('../services/emailService');
-const { validate, registerSchema, loginSchema, passwordResetRequestSchema, passwordResetSchema } = require('../utils/validators');
+const { unlockAccountWithToken } = require('../services/lockoutService');
+const { describePasswordPolicy } = require('../services/passwordPolicyService');
+const {
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+  sendVerificationEmail,
+} = require('../services/emailService');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  passwordResetRequestSchema,
+  passwordResetSchema,
+  emailVerificationSchema,
+  accountUnlockSchema,
+  twoFactorVerifySchema,
+} = require('../utils/validators');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestContext, getRequestLocale } = require('../utils/requestContext');
+const { getCookie } = require('../utils/cookies');
+const { isCookieMode, clearSessionCookies, sessionTokens } = require('../utils/sessionCookies');
+const authConfig = require('../config/auth');
 
 /**
  * @route   POST /api/auth/register
@@ -24,14 +47,26 @@ const register = async (req, res) => {
     }
 
     // Register user
-    const result = await registerUser(value);
+    const result = await registerUser(value, getRequestContext(req));
 
-    // Send welcome email (optional, can be done asynchronously)
+    // Send welcome and verification emails (optional, can be done asynchronously)
     try {
-      await sendWelcomeEmail(result.user.email, result.user.name);
+      const locale = getRequestLocale(req);
+      await sendWelcomeEmail(result.user.email, result.user.name, locale);
+      await sendVerificationEmail(result.user.email, result.user.name, result.verificationToken, locale);
     } catch (emailError) {
       // Don't fail registration if email fails
-      console.error('Welcome email failed:', emailError);
+      console.error('Registration email failed:', emailError);
+    }
+
+    // No session is started while unverified users are blocked from logging in
+    if (!result.accessToken) {
+      return successResponse(
+        res,
+        201,
+        'User registered successfully. Please verify your email address before logging in.',
+        { user: result.user }
+      );
     }
 
     return successResponse(
@@ -40,8 +75,7 @@ const register = async (req, res) => {
       'User registered successfully',
       {
         user: result.user,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken,
+        ...sessionTokens(req, res, result),
       }
     );
   } catch (error) {
@@ -63,7 +97,23 @@ const login = async (req, res) => {
     }
 
     // Login user
-    const result = await loginUser(value.email, value.password);
+    const result = await loginUser(value.email, value.password, getRequestContext(req));
+
+    // Password was correct but a second factor is still needed
+    if (result.mfaRequired) {
+      return successResponse(res, 200, 'Two-factor authentication required', {
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+      });
+    }
+
+    // A new password is required (set by an administrator, or the old one expired)
+    if (result.passwordResetRequired) {
+      return successResponse(res, 200, 'Password reset required', {
+        passwordResetRequired: true,
+        resetToken: result.resetToken,
+      });
+    }
 
     return successResponse(
       res,
@@ -71,8 +121,44 @@ const login = async (req, res) => {
       'Login successful',
       {
         user: result.user,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken,
+        ...sessionTokens(req, res, result),
+      }
+    );
+  } catch (error) {
+    return errorResponse(res, 401, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires MFA pending token)
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(twoFactorVerifySchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await verifyTwoFactorLogin(value.mfaToken, value.code, getRequestContext(req));
+
+    // A new password is required (set by an administrator, or the old one expired)
+    if (result.passwordResetRequired) {
+      return successResponse(res, 200, 'Password reset required', {
+        passwordResetRequired: true,
+        resetToken: result.resetToken,
+      });
+    }
+
+    return successResponse(
+      res,
+      200,
+      'Login successful',
+      {
+        user: result.user,
+        ...sessionTokens(req, res, result),
       }
     );
   } catch (error) {
@@ -82,39 +168,53 @@ const login = async (req, res) => {
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ *          (cookie mode: the token is read from the refresh cookie, CSRF header required)
  * @access  Public
  */
 const refresh = async (req, res) => {
+  const cookieMode = isCookieMode(req);
+
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = cookieMode ? getCookie(req, authConfig.refreshCookie.name) : req.body.refreshToken;
 
     if (!refreshToken) {
       return errorResponse(res, 400, 'Refresh token is required');
     }
 
-    // Refresh access token
-    const result = await refreshAccessToken(refreshToken);
+    // Rotate tokens (the presented refresh token is retired)
+    const result = await refreshAccessToken(refreshToken, getRequestContext(req));
 
     return successResponse(
       res,
       200,
       'Token refreshed successfully',
-      result
+      sessionTokens(req, res, result)
     );
   } catch (error) {
+    // A rejected cookie is useless, so stop the browser from sending it again
+    if (cookieMode) {
+      clearSessionCookies(res);
+    }
     return errorResponse(res, 401, error.message);
   }
 };
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (clear refresh token)
+ * @desc    Logout user (revoke the current session)
  * @access  Private
  */
 const logout = async (req, res) => {
   try {
-    await logoutUser(req.user._id);
+    await logoutUser(req.user._id, req.sessionId, getRequestContext(req), {
+      id: req.tokenId,
+      expiresAt: req.tokenExpiresAt,
+    });
+
+    if (isCookieMode(req)) {
+      clearSessionCookies(res);
+    }
 
     return successResponse(res, 200, 'Logout successful');
   } catch (error) {
@@ -122,6 +222,102 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from every device (revoke all sessions and access tokens)
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const count = await logoutAllSessions(req.user._id, getRequestContext(req));
+
+    if (isCookieMode(req)) {
+      clearSessionCookies(res);
+    }
+
+    return successResponse(res, 200, 'Logged out from all devices', { count });
+  } catch (error) {
+    return errorResponse(res, 500, 'Logout failed. Please try again.');
+  }
+};
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address using token
+ * @access  Public
+ */
+const verifyEmailHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(emailVerificationSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    await verifyEmail(value.token, getRequestContext(req));
+
+    return successResponse(res, 200, 'Email verified successfully');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Public
+ */
+const resendVerification = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(passwordResetRequestSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await resendEmailVerification(value.email);
+
+    // Always return success message (don't reveal if email exists)
+    if (result) {
+      try {
+        await sendVerificationEmail(result.user.email, result.user.name, result.verificationToken, getRequestLocale(req));
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError);
+        // Still return success to user
+      }
+    }
+
+    return successResponse(
+      res,
+      200,
+      'If an unverified account with that email exists, a verification link has been sent.'
+    );
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to process verification request.');
+  }
+};
+
+/**
+ * @route   GET /api/auth/unlock-account
+ * @desc    Unlock an account using the link from the account locked email
+ * @access  Public
+ */
+const unlockAccountHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(accountUnlockSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    await unlockAccountWithToken(value.token, getRequestContext(req));
+
+    return successResponse(res, 200, 'Account unlocked. You can now log in.');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
@@ -136,13 +332,13 @@ const forgotPassword = async (req, res) => {
     }
 
     // Generate password reset token
-    const resetToken = await generatePasswordReset(value.email);
+    const resetToken = await generatePasswordReset(value.email, getRequestContext(req));
 
     // Always return success message (don't reveal if email exists)
     if (resetToken) {
       // Send password reset email
       try {
-        await sendPasswordResetEmail(value.email, resetToken);
+        await sendPasswordResetEmail(value.email, resetToken, getRequestLocale(req));
       } catch (emailError) {
         console.error('Password reset email failed:', emailError);
         // Still return success to user
@@ -173,7 +369,7 @@ const resetPasswordHandler = async (req, res) => {
     }
 
     // Reset password
-    await resetPassword(value.token, value.password);
+    await resetPassword(value.token, value.password, getRequestContext(req));
 
     return successResponse(res, 200, 'Password reset successful. Please login with your new password.');
   } catch (error) {
@@ -181,12 +377,27 @@ const resetPasswordHandler = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the requirements new passwords must meet
+ * @access  Public
+ */
+const getPasswordPolicy = (req, res) => {
+  return successResponse(res, 200, 'Password policy retrieved successfully', { policy: describePasswordPolicy() });
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
   refresh,
   logout,
+  logoutAll,
+  verifyEmailHandler,
+  resendVerification,
+  unlockAccountHandler,
   forgotPassword,
   resetPasswordHandler,
+  getPasswordPolicy,
 };
 
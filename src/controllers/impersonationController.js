@@ -0,0 +1,73 @@
+const { startImpersonation, endImpersonation } = require('../services/impersonationService');
+const { recordRequestEvent } = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Get a short-lived access token acting as a user
+ * @access  Private (users:impersonate)
+ */
+const startImpersonationHandler = async (req, res) => {
+  try {
+    const result = await startImpersonation(req.user, req.params.id);
+
+    if (!result) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'admin.impersonation_started',
+      target: result.user._id,
+      metadata: { tokenId: result.tokenId, expiresAt: result.expiresAt },
+    });
+
+    return successResponse(res, 200, 'Impersonation started', {
+      user: {
+        id: result.user._id,
+        name: result.user.name,
+        email: result.user.email,
+        roles: result.user.roles,
+      },
+      accessToken: result.accessToken,
+      expiresAt: result.expiresAt,
+    });
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.impersonation_started',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/auth/impersonation/end
+ * @desc    End the impersonation the request is made with (revokes its token)
+ * @access  Private (impersonation token)
+ */
+const endImpersonationHandler = async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return errorResponse(res, 400, 'This request is not made with an impersonation token');
+    }
+
+    await endImpersonation(req.tokenId, req.tokenExpiresAt);
+
+    await recordRequestEvent(req, {
+      action: 'admin.impersonation_ended',
+      target: req.user._id,
+      metadata: { tokenId: req.tokenId },
+    });
+
+    return successResponse(res, 200, 'Impersonation ended');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to end impersonation');
+  }
+};
+
+module.exports = {
+  startImpersonationHandler,
+  endImpersonationHandler,
+};
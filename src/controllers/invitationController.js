@@ -0,0 +1,178 @@
+const {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+} = require('../services/invitationService');
+const { registerWithInvitation } = require('../services/authService');
+const { sendInvitationEmail } = require('../services/emailService');
+const { recordRequestEvent } = require('../services/auditService');
+const {
+  validate,
+  createInvitationSchema,
+  listInvitationsSchema,
+  acceptInvitationSchema,
+} = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestContext, getRequestLocale } = require('../utils/requestContext');
+const { sessionTokens } = require('../utils/sessionCookies');
+
+/**
+ * Email an invitation token
+ * @param {Object} req - Request of the inviting admin
+ * @param {Object} invitation - Invitation document
+ * @param {string} token - Invitation token
+ * @returns {Promise<boolean>} - True if the email was handed to the transport
+ */
+const emailInvitation = async (req, invitation, token) => {
+  try {
+    await sendInvitationEmail(invitation.email, req.user.name, token, invitation.expiresAt, getRequestLocale(req));
+    return true;
+  } catch (emailError) {
+    // The invitation stays pending and can be resent
+    console.error('Invitation email failed:', emailError);
+    return false;
+  }
+};
+
+/**
+ * @route   POST /api/admin/invitations
+ * @desc    Invite someone to create an account with preassigned roles
+ * @access  Private (users:write)
+ */
+const createInvitationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(createInvitationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { invitation, token } = await createInvitation(req.user, value);
+    const emailSent = await emailInvitation(req, invitation, token);
+
+    await recordRequestEvent(req, {
+      action: 'admin.user_invited',
+      metadata: { invitationId: invitation._id, email: invitation.email, roles: invitation.roles },
+    });
+
+    return successResponse(res, 201, 'Invitation sent successfully', { invitation, emailSent });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   GET /api/admin/invitations
+ * @desc    List invitations (pending by default)
+ * @access  Private (users:read)
+ */
+const getInvitations = async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = validate(listInvitationsSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const invitations = await listInvitations(value.status);
+
+    return successResponse(res, 200, 'Invitations retrieved successfully', {
+      invitations,
+      count: invitations.length,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve invitations');
+  }
+};
+
+/**
+ * @route   POST /api/admin/invitations/:id/resend
+ * @desc    Resend a pending invitation with a new link and expiry
+ * @access  Private (users:write)
+ */
+const resendInvitationHandler = async (req, res) => {
+  try {
+    const result = await resendInvitation(req.params.id);
+
+    if (!result) {
+      return errorResponse(res, 404, 'Pending invitation not found');
+    }
+
+    const emailSent = await emailInvitation(req, result.invitation, result.token);
+
+    await recordRequestEvent(req, {
+      action: 'admin.invitation_resent',
+      metadata: { invitationId: result.invitation._id, email: result.invitation.email },
+    });
+
+    return successResponse(res, 200, 'Invitation resent successfully', { invitation: result.invitation, emailSent });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to resend invitation');
+  }
+};
+
+/**
+ * @route   DELETE /api/admin/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (users:write)
+ */
+const revokeInvitationHandler = async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(req.params.id);
+
+    if (!invitation) {
+      return errorResponse(res, 404, 'Pending invitation not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'admin.invitation_revoked',
+      metadata: { invitationId: invitation._id, email: invitation.email },
+    });
+
+    return successResponse(res, 200, 'Invitation revoked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to revoke invitation');
+  }
+};
+
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Accept an invitation: set name and password and sign in
+ * @access  Public
+ */
+const acceptInvitationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(acceptInvitationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await registerWithInvitation(
+      value.token,
+      { name: value.name, password: value.password },
+      getRequestContext(req)
+    );
+
+    return successResponse(
+      res,
+      201,
+      'Invitation accepted successfully',
+      {
+        user: result.user,
+        ...sessionTokens(req, res, result),
+      }
+    );
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+module.exports = {
+  createInvitationHandler,
+  getInvitations,
+  resendInvitationHandler,
+  revokeInvitationHandler,
+  acceptInvitationHandler,
+};
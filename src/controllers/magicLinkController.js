@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+const { requestMagicLink, loginWithMagicLink } = require('../services/authService');
+const { sendMagicLinkEmail } = require('../services/emailService');
+const { validate, magicLinkRequestSchema, magicLinkVerifySchema } = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestContext, getRequestLocale } = require('../utils/requestContext');
+const { sessionTokens } = require('../utils/sessionCookies');
+const { getCookie } = require('../utils/cookies');
+
+// Cookie tying a link to the browser that requested it
+const BINDING_COOKIE = 'magic_link_binding';
+
+/**
+ * Options of the binding cookie (scoped to the magic link routes)
+ * @returns {Object} - Cookie options
+ */
+const bindingCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: `${authConfig.routePrefix}/auth/magic-link`,
+});
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign-in link
+ * @access  Public (when MAGIC_LINK_ENABLED)
+ */
+const requestMagicLinkHandler = async (req, res) => {
+  try {
+    if (!authConfig.magicLinkEnabled) {
+      return errorResponse(res, 404, 'Magic link sign-in is not enabled');
+    }
+
+    // Validate request data
+    const { error, value } = validate(magicLinkRequestSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    // The cookie is set whether or not the account exists, so the response reveals nothing
+    let browserNonce = null;
+    if (authConfig.magicLinkBindBrowser) {
+      browserNonce = crypto.randomBytes(32).toString('base64url');
+      res.cookie(BINDING_COOKIE, browserNonce, {
+        ...bindingCookieOptions(),
+        maxAge: ms(jwtConfig.magicLinkExpiry),
+      });
+    }
+
+    const result = await requestMagicLink(value.email, browserNonce, getRequestContext(req));
+
+    if (result) {
+      try {
+        await sendMagicLinkEmail(result.user.email, result.user.name, result.token, getRequestLocale(req));
+      } catch (emailError) {
+        console.error('Magic link email failed:', emailError);
+      }
+    }
+
+    return successResponse(res, 200, 'If an account with that email exists, a sign-in link has been sent.');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to process sign-in link request.');
+  }
+};
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Sign in with the token from a magic link
+ * @access  Public (when MAGIC_LINK_ENABLED)
+ */
+const verifyMagicLinkHandler = async (req, res) => {
+  try {
+    if (!authConfig.magicLinkEnabled) {
+      return errorResponse(res, 404, 'Magic link sign-in is not enabled');
+    }
+
+    // Validate request data
+    const { error, value } = validate(magicLinkVerifySchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await loginWithMagicLink(value.token, getCookie(req, BINDING_COOKIE), getRequestContext(req));
+
+    res.clearCookie(BINDING_COOKIE, bindingCookieOptions());
+
+    // The link counts as the first factor only
+    if (result.mfaRequired) {
+      return successResponse(res, 200, 'Two-factor authentication required', {
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+      });
+    }
+
+    // A new password is required (set by an administrator, or the old one expired)
+    if (result.passwordResetRequired) {
+      return successResponse(res, 200, 'Password reset required', {
+        passwordResetRequired: true,
+        resetToken: result.resetToken,
+      });
+    }
+
+    return successResponse(
+      res,
+      200,
+      'Login successful',
+      {
+        user: result.user,
+        ...sessionTokens(req, res, result),
+      }
+    );
+  } catch (error) {
+    return errorResponse(res, 401, error.message);
+  }
+};
+
+module.exports = {
+  requestMagicLinkHandler,
+  verifyMagicLinkHandler,
+};
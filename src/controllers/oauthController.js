@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const oauthConfig = require('../config/oauth');
+const { createAuthorizationUrl, handleCallback } = require('../services/oidcService');
+const { loginWithOAuth } = require('../services/authService');
+const { listIdentities, linkIdentity, unlinkIdentity } = require('../services/identityService');
+const { validate, oauthCallbackSchema } = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestContext } = require('../utils/requestContext');
+const { getCookie } = require('../utils/cookies');
+const { sessionTokens } = require('../utils/sessionCookies');
+
+// Cookie tying an authorization flow to the browser that started it
+const BINDING_COOKIE = 'oauth_binding';
+
+/**
+ * Options of the binding cookie (scoped to the provider callbacks; Lax so it
+ * comes back with the top-level redirect from the provider)
+ * @returns {Object} - Cookie options
+ */
+const bindingCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: `${authConfig.routePrefix}/auth/oauth`,
+});
+
+/**
+ * Set a fresh binding cookie for a flow being started
+ * @param {Object} res - Express response object
+ * @returns {string} - Cookie value
+ */
+const setBindingCookie = (res) => {
+  const browserNonce = crypto.randomBytes(32).toString('base64url');
+  res.cookie(BINDING_COOKIE, browserNonce, {
+    ...bindingCookieOptions(),
+    maxAge: oauthConfig.stateExpiryMinutes * 60 * 1000,
+  });
+  return browserNonce;
+};
+
+/**
+ * @route   GET /api/auth/oauth/:provider
+ * @desc    Start login with an OpenID Connect provider (redirects to the provider)
+ * @access  Public
+ */
+const startOAuthLogin = async (req, res) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(req.params.provider, {
+      mode: 'login',
+      browserNonce: setBindingCookie(res),
+    });
+
+    return res.redirect(authorizationUrl);
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    Finish login or account linking with an OpenID Connect provider
+ * @access  Public
+ */
+const oauthCallback = async (req, res) => {
+  try {
+    if (req.query.error) {
+      return errorResponse(res, 400, req.query.error_description || 'Authorization was denied by the provider');
+    }
+
+    // Validate request data
+    const { error, value } = validate(oauthCallbackSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { provider } = req.params;
+    const browserNonce = getCookie(req, BINDING_COOKIE);
+    res.clearCookie(BINDING_COOKIE, bindingCookieOptions());
+
+    const { claims, mode, userId } = await handleCallback(provider, value, browserNonce);
+
+    if (mode === 'link') {
+      const identity = await linkIdentity(userId, provider, claims);
+
+      return successResponse(res, 200, 'Identity linked successfully', { identity });
+    }
+
+    const result = await loginWithOAuth(provider, claims, getRequestContext(req));
+
+    // Provider sign-in counts as the first factor only
+    if (result.mfaRequired) {
+      return successResponse(res, 200, 'Two-factor authentication required', {
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+      });
+    }
+
+    // A new password is required (set by an administrator, or the old one expired)
+    if (result.passwordResetRequired) {
+      return successResponse(res, 200, 'Password reset required', {
+        passwordResetRequired: true,
+        resetToken: result.resetToken,
+      });
+    }
+
+    return successResponse(
+      res,
+      200,
+      'Login successful',
+      {
+        user: result.user,
+        ...sessionTokens(req, res, result),
+      }
+    );
+  } catch (error) {
+    return errorResponse(res, 401, error.message);
+  }
+};
+
+/**
+ * @route   GET /api/users/identities
+ * @desc    List provider accounts linked to the current user
+ * @access  Private
+ */
+const getIdentities = async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user._id);
+
+    return successResponse(res, 200, 'Identities retrieved successfully', { identities, count: identities.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve identities');
+  }
+};
+
+/**
+ * @route   POST /api/users/identities/:provider
+ * @desc    Start linking a provider account (returns the URL to open in the browser)
+ * @access  Private
+ */
+const startIdentityLink = async (req, res) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(req.params.provider, {
+      mode: 'link',
+      userId: req.user._id,
+      browserNonce: setBindingCookie(res),
+    });
+
+    return successResponse(res, 200, 'Open the authorization URL to link your account', { authorizationUrl });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   DELETE /api/users/identities/:id
+ * @desc    Unlink a provider account from the current user
+ * @access  Private
+ */
+const deleteIdentity = async (req, res) => {
+  try {
+    const unlinked = await unlinkIdentity(req.user._id, req.params.id);
+
+    if (!unlinked) {
+      return errorResponse(res, 404, 'Identity not found');
+    }
+
+    return successResponse(res, 200, 'Identity unlinked successfully');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+module.exports = {
+  startOAuthLogin,
+  oauthCallback,
+  getIdentities,
+  startIdentityLink,
+  deleteIdentity,
+};
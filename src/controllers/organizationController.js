@@ -0,0 +1,378 @@
+const {
+  createOrganization,
+  listUserOrganizations,
+  updateOrganization,
+  listMembers,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  findMembership,
+} = require('../services/organizationService');
+const { switchOrganization } = require('../services/sessionService');
+const { sendOrganizationInvitationEmail } = require('../services/emailService');
+const { recordRequestEvent } = require('../services/auditService');
+const {
+  validate,
+  organizationSchema,
+  addMemberSchema,
+  acceptOrganizationInvitationSchema,
+  updateMemberSchema,
+  switchOrganizationSchema,
+} = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestLocale } = require('../utils/requestContext');
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization (the creator becomes its owner)
+ * @access  Private
+ */
+const createOrganizationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(organizationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { organization, membership } = await createOrganization(req.user._id, value);
+
+    await recordRequestEvent(req, {
+      action: 'org.created',
+      metadata: { organizationId: organization._id, name: organization.name },
+    });
+
+    return successResponse(res, 201, 'Organization created successfully', { organization, role: membership.role });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to create organization');
+  }
+};
+
+/**
+ * @route   GET /api/organizations
+ * @desc    List the organizations of the current user with their role in each
+ * @access  Private
+ */
+const getOrganizations = async (req, res) => {
+  try {
+    const memberships = await listUserOrganizations(req.user._id);
+
+    const organizations = memberships
+      .filter((membership) => membership.organization)
+      .map((membership) => ({
+        ...membership.organization,
+        role: membership.role,
+        active: membership.organization._id.toString() === req.organizationId,
+      }));
+
+    return successResponse(res, 200, 'Organizations retrieved successfully', {
+      organizations,
+      count: organizations.length,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve organizations');
+  }
+};
+
+/**
+ * @route   GET /api/organizations/:orgId
+ * @desc    Get an organization of the current user
+ * @access  Private (organization:read)
+ */
+const getOrganization = async (req, res) => {
+  return successResponse(res, 200, 'Organization retrieved successfully', {
+    organization: req.membership.organization,
+    role: req.membership.role,
+  });
+};
+
+/**
+ * @route   PATCH /api/organizations/:orgId
+ * @desc    Rename an organization
+ * @access  Private (organization:write)
+ */
+const updateOrganizationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(organizationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const organization = await updateOrganization(req.membership.organization._id, value);
+
+    await recordRequestEvent(req, {
+      action: 'org.updated',
+      metadata: { organizationId: organization._id, name: organization.name },
+    });
+
+    return successResponse(res, 200, 'Organization updated successfully', { organization });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update organization');
+  }
+};
+
+/**
+ * @route   GET /api/organizations/:orgId/members
+ * @desc    List the members of an organization
+ * @access  Private (members:read)
+ */
+const getMembers = async (req, res) => {
+  try {
+    const members = await listMembers(req.membership.organization._id);
+
+    return successResponse(res, 200, 'Members retrieved successfully', { members, count: members.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve members');
+  }
+};
+
+/**
+ * @route   POST /api/organizations/:orgId/members
+ * @desc    Invite someone to the organization by email; they join by accepting
+ * @access  Private (members:write)
+ */
+const inviteMemberHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(addMemberSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { invitation, token } = await inviteMember(req.membership, value);
+
+    let emailSent = true;
+    try {
+      await sendOrganizationInvitationEmail(
+        invitation.email,
+        req.user.name,
+        req.membership.organization.name,
+        token,
+        invitation.expiresAt,
+        getRequestLocale(req)
+      );
+    } catch (emailError) {
+      // The invitation stays pending and can be sent again
+      console.error('Organization invitation email failed:', emailError);
+      emailSent = false;
+    }
+
+    await recordRequestEvent(req, {
+      action: 'org.member_invited',
+      metadata: {
+        organizationId: req.membership.organization._id,
+        invitationId: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+      },
+    });
+
+    return successResponse(res, 201, 'Invitation sent successfully', { invitation, emailSent });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   GET /api/organizations/:orgId/invitations
+ * @desc    List the pending invitations of an organization
+ * @access  Private (members:read)
+ */
+const getMemberInvitations = async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.membership.organization._id);
+
+    return successResponse(res, 200, 'Invitations retrieved successfully', {
+      invitations,
+      count: invitations.length,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve invitations');
+  }
+};
+
+/**
+ * @route   DELETE /api/organizations/:orgId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (members:write)
+ */
+const revokeMemberInvitationHandler = async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(req.membership, req.params.invitationId);
+
+    if (!invitation) {
+      return errorResponse(res, 404, 'Invitation not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'org.invitation_revoked',
+      metadata: { organizationId: req.membership.organization._id, invitationId: invitation._id, email: invitation.email },
+    });
+
+    return successResponse(res, 200, 'Invitation revoked successfully', { invitation });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/organizations/invitations/accept
+ * @desc    Accept an organization invitation sent to the current user's email address
+ * @access  Private
+ */
+const acceptMemberInvitationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(acceptOrganizationInvitationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const { membership, invitation } = await acceptInvitation(req.user, value.token);
+
+    await recordRequestEvent(req, {
+      action: 'org.member_joined',
+      target: req.user._id,
+      metadata: { organizationId: membership.organization._id, invitationId: invitation._id, role: membership.role },
+    });
+
+    return successResponse(res, 200, 'Invitation accepted successfully', {
+      organization: membership.organization,
+      role: membership.role,
+    });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   PATCH /api/organizations/:orgId/members/:userId
+ * @desc    Change the role of a member
+ * @access  Private (members:write)
+ */
+const updateMemberHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(updateMemberSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const member = await updateMemberRole(req.membership, req.params.userId, value.role);
+
+    if (!member) {
+      return errorResponse(res, 404, 'Member not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'org.member_role_changed',
+      target: member.user._id,
+      metadata: { organizationId: req.membership.organization._id, role: member.role },
+    });
+
+    return successResponse(res, 200, 'Member role updated successfully', { member });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   DELETE /api/organizations/:orgId/members/:userId
+ * @desc    Remove a member from an organization
+ * @access  Private (members:write)
+ */
+const removeMemberHandler = async (req, res) => {
+  try {
+    const removed = await removeMember(req.membership, req.params.userId);
+
+    if (!removed) {
+      return errorResponse(res, 404, 'Member not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'org.member_removed',
+      target: req.params.userId,
+      metadata: { organizationId: req.membership.organization._id },
+    });
+
+    return successResponse(res, 200, 'Member removed successfully');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/organizations/:orgId/leave
+ * @desc    Leave an organization
+ * @access  Private (member)
+ */
+const leaveOrganizationHandler = async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.orgId, req.user._id);
+
+    if (!membership) {
+      return errorResponse(res, 404, 'Organization not found');
+    }
+
+    await leaveOrganization(membership);
+
+    await recordRequestEvent(req, {
+      action: 'org.member_left',
+      target: req.user._id,
+      metadata: { organizationId: membership.organization._id },
+    });
+
+    return successResponse(res, 200, 'You left the organization');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/auth/switch-organization
+ * @desc    Switch the active organization of the current session and get a new access token
+ * @access  Private
+ */
+const switchOrganizationHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(switchOrganizationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await switchOrganization(req.user, req.sessionId, value.organizationId);
+
+    if (!result) {
+      return errorResponse(res, 401, 'Session has been revoked. Please login again.');
+    }
+
+    return successResponse(res, 200, 'Organization switched successfully', {
+      organization: result.organization,
+      accessToken: result.accessToken,
+    });
+  } catch (error) {
+    return errorResponse(res, 403, error.message);
+  }
+};
+
+module.exports = {
+  createOrganizationHandler,
+  getOrganizations,
+  getOrganization,
+  updateOrganizationHandler,
+  getMembers,
+  inviteMemberHandler,
+  getMemberInvitations,
+  revokeMemberInvitationHandler,
+  acceptMemberInvitationHandler,
+  updateMemberHandler,
+  removeMemberHandler,
+  leaveOrganizationHandler,
+  switchOrganizationHandler,
+};
@@ -0,0 +1,164 @@
+const {
+  listRoles,
+  findRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  setUserRoles,
+} = require('../services/roleService');
+const { validate, createRoleSchema, updateRoleSchema, setUserRolesSchema } = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { recordRequestEvent } = require('../services/auditService');
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles and their permissions
+ * @access  Private (roles:read)
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await listRoles();
+
+    return successResponse(res, 200, 'Roles retrieved successfully', { roles, count: roles.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve roles');
+  }
+};
+
+/**
+ * @route   GET /api/admin/roles/:id
+ * @desc    Get a role by ID
+ * @access  Private (roles:read)
+ */
+const getRoleById = async (req, res) => {
+  try {
+    const role = await findRole(req.params.id);
+
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    return successResponse(res, 200, 'Role retrieved successfully', { role });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve role');
+  }
+};
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles:write)
+ */
+const createRoleHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(createRoleSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const role = await createRole(req.user, value);
+
+    await recordRequestEvent(req, {
+      action: 'admin.role_created',
+      metadata: { role: role.name, permissions: role.permissions },
+    });
+
+    return successResponse(res, 201, 'Role created successfully', { role });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   PUT /api/admin/roles/:id
+ * @desc    Update the description or permissions of a role
+ * @access  Private (roles:write)
+ */
+const updateRoleHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(updateRoleSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const role = await updateRole(req.user, req.params.id, value);
+
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'admin.role_updated',
+      metadata: { role: role.name, permissions: role.permissions },
+    });
+
+    return successResponse(res, 200, 'Role updated successfully', { role });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   DELETE /api/admin/roles/:id
+ * @desc    Delete a role that is not built in and not assigned
+ * @access  Private (roles:write)
+ */
+const deleteRoleHandler = async (req, res) => {
+  try {
+    const deleted = await deleteRole(req.params.id);
+
+    if (!deleted) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.role_deleted', metadata: { roleId: req.params.id } });
+
+    return successResponse(res, 200, 'Role deleted successfully');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   PUT /api/users/:id/roles
+ * @desc    Replace the roles of a user
+ * @access  Private (users:write, roles:write)
+ */
+const setUserRolesHandler = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(setUserRolesSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const user = await setUserRoles(req.user, req.params.id, value.roles);
+
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.user_roles_changed', target: user._id, metadata: { roles: user.roles } });
+
+    return successResponse(res, 200, 'User roles updated successfully', { user });
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.user_roles_changed',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { roles: req.body.roles, reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+module.exports = {
+  getRoles,
+  getRoleById,
+  createRoleHandler,
+  updateRoleHandler,
+  deleteRoleHandler,
+  setUserRolesHandler,
+};
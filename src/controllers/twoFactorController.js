@@ -0,0 +1,76 @@
+const { enrollTwoFactor, confirmTwoFactor, disableTwoFactor } = require('../services/twoFactorService');
+const { validate, twoFactorCodeSchema, twoFactorDisableSchema } = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+
+/**
+ * @route   POST /api/users/2fa/enroll
+ * @desc    Start 2FA enrollment (returns secret and otpauth URL)
+ * @access  Private
+ */
+const enroll = async (req, res) => {
+  try {
+    const result = await enrollTwoFactor(req.user._id);
+
+    return successResponse(
+      res,
+      200,
+      'Scan the QR code with your authenticator app, then confirm with a code',
+      result
+    );
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/2fa/confirm
+ * @desc    Confirm 2FA enrollment and receive recovery codes
+ * @access  Private
+ */
+const confirm = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(twoFactorCodeSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const recoveryCodes = await confirmTwoFactor(req.user._id, value.code);
+
+    return successResponse(
+      res,
+      200,
+      'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      { recoveryCodes }
+    );
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/2fa/disable
+ * @desc    Disable 2FA (requires the password, if the account has one, and a TOTP or recovery code)
+ * @access  Private
+ */
+const disable = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(twoFactorDisableSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    await disableTwoFactor(req.user._id, value.password, value.code);
+
+    return successResponse(res, 200, 'Two-factor authentication disabled');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+module.exports = {
+  enroll,
+  confirm,
+  disable,
+};
@@ -1,7 +1,35 @@
-const User = require('../models/User');
-const { validate, updateProfileSchema, changePasswordSchema } = require('../utils/validators');
+const repositories = require('../repositories');
+const {
+  validate,
+  updateProfileSchema,
+  changePasswordSchema,
+  listUsersSchema,
+  adminUpdateUserSchema,
+} = require('../utils/validators');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
-const { generateAccessToken, generateRefreshToken } = require('../utils/tokenGenerator');
+const { getRequestContext, getRequestLocale } = require('../utils/requestContext');
+const { sessionTokens } = require('../utils/sessionCookies');
+const { generateEmailVerification } = require('../services/authService');
+const { sendVerificationEmail } = require('../services/emailService');
+const { unlockAccount } = require('../services/lockoutService');
+const { recordRequestEvent } = require('../services/auditService');
+const { checkPassword, setPassword } = require('../services/passwordPolicyService');
+const { verifyReauthentication } = require('../services/webauthnService');
+const {
+  listUsers,
+  updateUser,
+  setUserActive,
+  requirePasswordReset,
+  softDeleteUser,
+  restoreUser,
+} = require('../services/userService');
+const {
+  createSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+} = require('../services/sessionService');
 
 /**
  * @route   GET /api/users/profile
@@ -10,7 +38,7 @@ const { generateAccessToken, generateRefreshToken } = require('../utils/tokenGen
  */
 const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const user = await repositories.users.findById(req.user._id);
 
     if (!user) {
       return errorResponse(res, 404, 'User not found');
@@ -30,28 +58,62 @@ const getProfile = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     // Validate request data
-    const { error, value } = validate(updateProfileSchema, req.body);
+    const { error, value: validated } = validate(updateProfileSchema, req.body);
     if (error) {
       return errorResponse(res, 400, 'Validation failed', error);
     }
+    const { password, code, credential, ...value } = validated;
 
     // Check if email is being updated and if it's already taken
-    if (value.email && value.email !== req.user.email) {
-      const existingUser = await User.findOne({ email: value.email });
+    const emailChanged = Boolean(value.email) && value.email !== req.user.email;
+
+    // The email address controls password resets, so an impersonator or an API key must not move it
+    if (emailChanged && req.impersonator) {
+      return errorResponse(res, 403, 'Access denied. The email address cannot be changed while impersonating a user.');
+    }
+    if (emailChanged && req.apiKey) {
+      return errorResponse(res, 403, 'Access denied. The email address cannot be changed with an API key.');
+    }
+
+    if (emailChanged) {
+      // A stolen access token alone must not be enough to take over the account
+      try {
+        await verifyReauthentication(req.user._id, req.sessionId, { password, code, credential }, getRequestContext(req));
+      } catch (reauthError) {
+        await recordRequestEvent(req, {
+          action: 'user.profile_updated',
+          result: 'failure',
+          target: req.user._id,
+          metadata: { fields: ['email'], reason: reauthError.message },
+        });
+        return errorResponse(res, 401, reauthError.message);
+      }
+
+      const existingUser = await repositories.users.findByEmail(value.email, { withDeleted: true });
       if (existingUser) {
         return errorResponse(res, 400, 'Email already in use');
       }
+
+      // A new address has to be verified again
+      value.isEmailVerified = false;
     }
 
     // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { $set: value },
-      {
-        new: true,
-        runValidators: true,
+    const user = await repositories.users.update(req.user._id, { set: value });
+
+    await recordRequestEvent(req, {
+      action: 'user.profile_updated',
+      target: user._id,
+      metadata: { fields: Object.keys(value) },
+    });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user.email, user.name, generateEmailVerification(user), getRequestLocale(req));
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError);
       }
-    );
+    }
 
     return successResponse(res, 200, 'Profile updated successfully', { user });
   } catch (error) {
@@ -72,8 +134,8 @@ const changePassword = async (req, res) => {
       return errorResponse(res, 400, 'Validation failed', error);
     }
 
-    // Get user with password field
-    const user = await User.findById(req.user._id).select('+password');
+    // Get user with password and history fields
+    const user = await repositories.users.findById(req.user._id, { select: ['password', 'passwordHistory'] });
 
     if (!user) {
       return errorResponse(res, 404, 'User not found');
@@ -82,51 +144,147 @@ const changePassword = async (req, res) => {
     // Verify current password
     const isPasswordValid = await user.comparePassword(value.currentPassword);
     if (!isPasswordValid) {
+      await recordRequestEvent(req, {
+        action: 'user.password_changed',
+        result: 'failure',
+        target: user._id,
+        metadata: { reason: 'invalid_current_password' },
+      });
       return errorResponse(res, 400, 'Current password is incorrect');
     }
 
+    const problems = await checkPassword(value.newPassword, user);
+    if (problems.length > 0) {
+      return errorResponse(res, 400, problems.join('. '));
+    }
+
     // Update password
-    user.password = value.newPassword;
+    setPassword(user, value.newPassword);
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Generate new tokens (optional: force re-login by clearing refresh token)
-    const tokenPayload = {
-      userId: user._id.toString(),
-      email: user.email,
-      role: user.role,
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    // Sign out every device, then start a fresh session for this one
+    await revokeAllSessions(user._id);
+    const tokens = await createSession(user, getRequestContext(req));
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    await recordRequestEvent(req, { action: 'user.password_changed', target: user._id });
 
     return successResponse(
       res,
       200,
       'Password changed successfully',
-      {
-        accessToken,
-        refreshToken,
-      }
+      sessionTokens(req, res, tokens)
     );
   } catch (error) {
     return errorResponse(res, 500, 'Failed to change password');
   }
 };
 
+/**
+ * @route   GET /api/users/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    const data = sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.sessionId,
+    }));
+
+    return successResponse(res, 200, 'Sessions retrieved successfully', { sessions: data, count: data.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve sessions');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/sessions/others
+ * @desc    Log out everywhere else (revoke all sessions except the current one)
+ * @access  Private
+ */
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeOtherSessions(req.user._id, req.sessionId);
+
+    await recordRequestEvent(req, { action: 'user.sessions_revoked', target: req.user._id, metadata: { count } });
+
+    return successResponse(res, 200, 'Other sessions revoked successfully', { count });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to revoke sessions');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/sessions/:id
+ * @desc    Revoke one session of the current user
+ * @access  Private
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return errorResponse(res, 404, 'Session not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'user.session_revoked',
+      target: req.user._id,
+      metadata: { sessionId: req.params.id },
+    });
+
+    return successResponse(res, 200, 'Session revoked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to revoke session');
+  }
+};
+
 /**
  * @route   GET /api/users
- * @desc    Get all users (Admin only)
+ * @desc    List users with filters, search, sorting and pagination (Admin only)
  * @access  Private/Admin
  */
 const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-refreshToken');
+    // Validate request data
+    const { error, value } = validate(listUsersSchema, req.query);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await listUsers(value);
+
+    // Next page link keeps the caller's filters and replaces the page position
+    let next = null;
+    if (result.hasMore) {
+      const params = new URLSearchParams(req.query);
+      if (result.page) {
+        params.set('page', result.page + 1);
+      } else {
+        params.set('cursor', result.nextCursor);
+      }
+      next = `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+    }
 
-    return successResponse(res, 200, 'Users retrieved successfully', { users, count: users.length });
+    return successResponse(res, 200, 'Users retrieved successfully', {
+      users: result.users,
+      count: result.users.length,
+      total: result.total,
+      pagination: {
+        limit: value.limit,
+        page: result.page,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore,
+      },
+      links: { next },
+    });
   } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return errorResponse(res, 400, error.message);
+    }
     return errorResponse(res, 500, 'Failed to retrieve users');
   }
 };
@@ -138,7 +296,7 @@ const getAllUsers = async (req, res) => {
  */
 const getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await repositories.users.findById(req.params.id);
 
     if (!user) {
       return errorResponse(res, 404, 'User not found');
@@ -152,27 +310,188 @@ const getUserById = async (req, res) => {
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete user (Admin only)
+ * @desc    Soft delete user, restorable until purged (Admin only)
  * @access  Private/Admin
  */
 const deleteUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await softDeleteUser(req.user._id, req.params.id);
 
     if (!user) {
       return errorResponse(res, 404, 'User not found');
     }
 
-    // Prevent self-deletion
-    if (user._id.toString() === req.user._id.toString()) {
-      return errorResponse(res, 400, 'You cannot delete your own account');
+    await recordRequestEvent(req, { action: 'admin.user_deleted', target: user._id });
+
+    return successResponse(res, 200, 'User deleted successfully');
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.user_deleted',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Restore a soft-deleted user (Admin only)
+ * @access  Private/Admin
+ */
+const restoreDeletedUser = async (req, res) => {
+  try {
+    const user = await restoreUser(req.params.id);
+
+    if (!user) {
+      return errorResponse(res, 404, 'Deleted user not found');
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    await recordRequestEvent(req, { action: 'admin.user_restored', target: user._id });
 
-    return successResponse(res, 200, 'User deleted successfully');
+    return successResponse(res, 200, 'User restored successfully', { user });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to restore user');
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear a login lockout (Admin only)
+ * @access  Private/Admin
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const unlocked = await unlockAccount(req.params.id);
+
+    if (!unlocked) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.user_unlocked', target: req.params.id });
+
+    return successResponse(res, 200, 'User unlocked successfully');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to unlock user');
+  }
+};
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Edit a user's profile fields (Admin only)
+ * @access  Private/Admin
+ */
+const adminUpdateUser = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(adminUpdateUserSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const user = await updateUser(req.user._id, req.params.id, value);
+
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'admin.user_updated',
+      target: user._id,
+      metadata: { fields: Object.keys(value) },
+    });
+
+    return successResponse(res, 200, 'User updated successfully', { user });
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.user_updated',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/deactivate
+ * @desc    Deactivate a user and revoke their sessions (Admin only)
+ * @access  Private/Admin
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    const user = await setUserActive(req.user._id, req.params.id, false);
+
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.user_deactivated', target: user._id });
+
+    return successResponse(res, 200, 'User deactivated successfully', { user });
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.user_deactivated',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/reactivate
+ * @desc    Reactivate a deactivated user (Admin only)
+ * @access  Private/Admin
+ */
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await setUserActive(req.user._id, req.params.id, true);
+
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.user_reactivated', target: user._id });
+
+    return successResponse(res, 200, 'User reactivated successfully', { user });
+  } catch (error) {
+    await recordRequestEvent(req, {
+      action: 'admin.user_reactivated',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/require-password-reset
+ * @desc    Require a new password on the user's next sign-in (Admin only)
+ * @access  Private/Admin
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await requirePasswordReset(req.user._id, req.params.id);
+
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    await recordRequestEvent(req, { action: 'admin.password_reset_required', target: user._id });
+
+    return successResponse(res, 200, 'User must reset their password on next sign-in', { user });
   } catch (error) {
-    return errorResponse(res, 500, 'Failed to delete user');
+    await recordRequestEvent(req, {
+      action: 'admin.password_reset_required',
+      result: 'failure',
+      target: req.params.id,
+      metadata: { reason: error.message },
+    });
+    return errorResponse(res, 400, error.message);
   }
 };
 
@@ -180,8 +499,17 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  getSessions,
+  deleteOtherSessions,
+  deleteSession,
   getAllUsers,
   getUserById,
   deleteUser,
+  restoreDeletedUser,
+  unlockUser,
+  adminUpdateUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
 };
 
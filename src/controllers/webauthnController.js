@@ -0,0 +1,224 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistration,
+  verifyReauthentication,
+  generateAuthenticationOptions,
+  listPasskeys,
+  renamePasskey,
+  removePasskey,
+} = require('../services/webauthnService');
+const { loginWithPasskey } = require('../services/authService');
+const { recordRequestEvent } = require('../services/auditService');
+const { sendPasskeyAddedEmail } = require('../services/emailService');
+const {
+  validate,
+  webauthnRegistrationSchema,
+  webauthnAuthenticationSchema,
+  webauthnReauthenticationSchema,
+  renamePasskeySchema,
+} = require('../utils/validators');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { getRequestContext, getRequestLocale } = require('../utils/requestContext');
+const { sessionTokens } = require('../utils/sessionCookies');
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Confirm the user again, then start registering a passkey (options for navigator.credentials.create())
+ * @access  Private
+ */
+const registrationOptions = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(webauthnReauthenticationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    // The access token alone is not enough to add a sign-in method
+    try {
+      await verifyReauthentication(req.user._id, req.sessionId, value, getRequestContext(req));
+    } catch (reauthError) {
+      await recordRequestEvent(req, {
+        action: 'user.passkey_added',
+        result: 'failure',
+        target: req.user._id,
+        metadata: { reason: reauthError.message },
+      });
+      return errorResponse(res, 401, reauthError.message);
+    }
+
+    const options = await generateRegistrationOptions(req.user);
+
+    return successResponse(res, 200, 'Passkey registration started', { options });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to start passkey registration');
+  }
+};
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Finish registering a passkey
+ * @access  Private
+ */
+const registrationVerify = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(webauthnRegistrationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const passkey = await verifyRegistration(req.user._id, value.credential, value.name);
+
+    await recordRequestEvent(req, {
+      action: 'user.passkey_added',
+      target: req.user._id,
+      metadata: { passkeyId: passkey._id, name: passkey.name },
+    });
+
+    try {
+      await sendPasskeyAddedEmail(req.user.email, req.user.name, passkey.name, getRequestLocale(req));
+    } catch (emailError) {
+      console.error('Passkey notification email failed:', emailError);
+    }
+
+    return successResponse(res, 201, 'Passkey registered successfully', { passkey });
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+/**
+ * @route   POST /api/auth/webauthn/login/options
+ * @desc    Start signing in with a passkey (options for navigator.credentials.get())
+ * @access  Public
+ */
+const authenticationOptions = async (req, res) => {
+  try {
+    const options = await generateAuthenticationOptions();
+
+    return successResponse(res, 200, 'Passkey sign-in started', { options });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to start passkey sign-in');
+  }
+};
+
+/**
+ * @route   POST /api/auth/webauthn/login/verify
+ * @desc    Sign in with a passkey
+ * @access  Public
+ */
+const authenticationVerify = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(webauthnAuthenticationSchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const result = await loginWithPasskey(value.credential, getRequestContext(req));
+
+    // Passkeys without user verification count as the first factor only
+    if (result.mfaRequired) {
+      return successResponse(res, 200, 'Two-factor authentication required', {
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+      });
+    }
+
+    // A new password is required (set by an administrator, or the old one expired)
+    if (result.passwordResetRequired) {
+      return successResponse(res, 200, 'Password reset required', {
+        passwordResetRequired: true,
+        resetToken: result.resetToken,
+      });
+    }
+
+    return successResponse(
+      res,
+      200,
+      'Login successful',
+      {
+        user: result.user,
+        ...sessionTokens(req, res, result),
+      }
+    );
+  } catch (error) {
+    return errorResponse(res, 401, error.message);
+  }
+};
+
+/**
+ * @route   GET /api/users/passkeys
+ * @desc    List passkeys of the current user
+ * @access  Private
+ */
+const getPasskeys = async (req, res) => {
+  try {
+    const passkeys = await listPasskeys(req.user._id);
+
+    return successResponse(res, 200, 'Passkeys retrieved successfully', { passkeys, count: passkeys.length });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve passkeys');
+  }
+};
+
+/**
+ * @route   PATCH /api/users/passkeys/:id
+ * @desc    Rename a passkey of the current user
+ * @access  Private
+ */
+const updatePasskey = async (req, res) => {
+  try {
+    // Validate request data
+    const { error, value } = validate(renamePasskeySchema, req.body);
+    if (error) {
+      return errorResponse(res, 400, 'Validation failed', error);
+    }
+
+    const passkey = await renamePasskey(req.user._id, req.params.id, value.name);
+
+    if (!passkey) {
+      return errorResponse(res, 404, 'Passkey not found');
+    }
+
+    return successResponse(res, 200, 'Passkey renamed successfully', { passkey });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to rename passkey');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/passkeys/:id
+ * @desc    Remove a passkey from the current user
+ * @access  Private
+ */
+const deletePasskey = async (req, res) => {
+  try {
+    const removed = await removePasskey(req.user._id, req.params.id);
+
+    if (!removed) {
+      return errorResponse(res, 404, 'Passkey not found');
+    }
+
+    await recordRequestEvent(req, {
+      action: 'user.passkey_removed',
+      target: req.user._id,
+      metadata: { passkeyId: req.params.id },
+    });
+
+    return successResponse(res, 200, 'Passkey removed successfully');
+  } catch (error) {
+    return errorResponse(res, 400, error.message);
+  }
+};
+
+module.exports = {
+  registrationOptions,
+  registrationVerify,
+  authenticationOptions,
+  authenticationVerify,
+  getPasskeys,
+  updatePasskey,
+  deletePasskey,
+};
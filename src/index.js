@@ -0,0 +1,301 @@
+const Joi = require('joi');
+const ms = require('ms');
+const mongoose = require('mongoose');
+const authConfig = require('./config/auth');
+const jwtConfig = require('./config/jwt');
+const emailConfig = require('./config/email');
+const rateLimitConfig = require('./config/rateLimit');
+const connectDB = require('./config/database');
+const { createRouter } = require('./routes');
+const { authenticate, requireVerifiedEmail } = require('./middlewares/authMiddleware');
+const { authorizeRoles, requirePermission } = require('./middlewares/roleMiddleware');
+const { requireOrgPermission } = require('./middlewares/organizationMiddleware');
+const { requireScope, denyApiKey, denyImpersonation } = require('./middlewares/scopeMiddleware');
+const { errorHandler, notFound } = require('./middlewares/errorMiddleware');
+const { setTransport } = require('./services/emailService');
+const { setEventHooks } = require('./services/auditService');
+const { ensureDefaultRoles } = require('./services/roleService');
+const { startPurgeJob } = require('./jobs/purgeDeletedUsers');
+const { getSigningKey } = require('./utils/keyStore');
+const repositories = require('./repositories');
+
+/**
+ * Auth kit library entry point
+ * createAuthKit() configures the kit and returns its router, middlewares and services
+ * for mounting inside an existing Express app.
+ *
+ * The kit is configured through module-level settings, so a process runs one kit.
+ * Options left out keep their environment variable or built-in defaults (see src/config).
+ */
+
+// Option name -> jwtConfig key
+const SECRET_KEYS = {
+  refreshToken: 'refreshTokenSecret',
+  passwordReset: 'passwordResetSecret',
+  emailVerification: 'emailVerificationSecret',
+  accountUnlock: 'accountUnlockSecret',
+  mfa: 'mfaTokenSecret',
+  magicLink: 'magicLinkSecret',
+};
+
+// Option name -> jwtConfig key (invitation lives in authConfig)
+const EXPIRY_KEYS = {
+  accessToken: 'accessTokenExpiry',
+  refreshToken: 'refreshTokenExpiry',
+  passwordReset: 'passwordResetExpiry',
+  emailVerification: 'emailVerificationExpiry',
+  accountUnlock: 'accountUnlockExpiry',
+  mfa: 'mfaTokenExpiry',
+  magicLink: 'magicLinkExpiry',
+  impersonation: 'impersonationTokenExpiry',
+};
+
+// Expiries use the ms format ('15m', '7d') or a number of milliseconds
+const expiry = Joi.alternatives().try(Joi.string().pattern(/^\d+(\.\d+)?\s*[a-z]*$/i), Joi.number().integer().positive());
+
+/**
+ * Turn an expiry option into the ms format used throughout the config
+ * (jsonwebtoken reads a bare number as seconds, so milliseconds become e.g. '900000ms')
+ * @param {string|number} value - Expiry option
+ * @returns {string} - Expiry in the ms format
+ */
+const toExpiry = (value) => (typeof value === 'number' ? `${value}ms` : value);
+
+const rateLimitRule = Joi.alternatives().try(
+  Joi.boolean().valid(false),
+  Joi.object({
+    keyBy: Joi.string().valid('ip', 'account', 'apiKey'),
+    paths: Joi.array().items(Joi.string().pattern(/^(\/[A-Za-z0-9._~:-]+)*$/)).min(1),
+    windowMs: expiry,
+    max: Joi.number().integer().positive(),
+    message: Joi.string(),
+  })
+);
+
+const optionsSchema = Joi.object({
+  mongoUri: Joi.string().optional(),
+  // Adapter name, or an adapter object (see src/repositories)
+  storage: Joi.alternatives().try(
+    Joi.string().valid('mongo', 'memory', 'sql'),
+    Joi.object({
+      ...Object.fromEntries(repositories.REPOSITORY_NAMES.map((name) => [name, Joi.object().required()])),
+      migrate: Joi.function().required(),
+    }).unknown(true)
+  ),
+  knex: Joi.function(),
+  routePrefix: Joi.string()
+    .pattern(/^(\/[A-Za-z0-9._~-]+)*$/)
+    .default('/api')
+    .messages({ 'string.pattern.base': 'routePrefix must look like "/api" or "/auth/v1" (or be empty)' }),
+  secrets: Joi.object(Object.fromEntries(Object.keys(SECRET_KEYS).map((name) => [name, Joi.string().min(32)]))).default({}),
+  expiries: Joi.object({
+    ...Object.fromEntries(Object.keys(EXPIRY_KEYS).map((name) => [name, expiry])),
+    invitation: expiry,
+  }).default({}),
+  jwt: Joi.object({
+    issuer: Joi.string(),
+    audience: Joi.string(),
+    algorithm: Joi.string().valid('RS256', 'ES256'),
+    signingKeysDir: Joi.string(),
+  }).default({}),
+  email: Joi.object({
+    transport: Joi.object({ send: Joi.function().required() }).unknown(true),
+    from: Joi.string(),
+    appName: Joi.string(),
+    frontendUrl: Joi.string().uri(),
+  }).default({}),
+  hooks: Joi.object().pattern(Joi.string(), Joi.function()).default({}),
+  rateLimit: Joi.alternatives()
+    .try(
+      Joi.boolean(),
+      Joi.object({
+        store: Joi.alternatives().try(Joi.string().valid('memory', 'mongo'), Joi.function()),
+        rules: Joi.object().pattern(Joi.string(), rateLimitRule).default({}),
+      })
+    )
+    .default(true),
+  purgeJob: Joi.boolean().default(true),
+});
+
+/**
+ * Copy the values that are set onto a configuration object
+ * @param {Object} config - Configuration object
+ * @param {Object} values - Config key -> value (undefined values are skipped)
+ */
+const assignDefined = (config, values) => {
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  }
+};
+
+/**
+ * Apply rate limit options: the store, and rules merged into the built-in ones
+ * @param {Object} options - { store, rules }
+ */
+const applyRateLimitOptions = ({ store, rules }) => {
+  assignDefined(rateLimitConfig, { store });
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (rule === false) {
+      rateLimitConfig.rules[name] = false;
+      continue;
+    }
+
+    const merged = { ...rateLimitConfig.rules[name] };
+    assignDefined(merged, { ...rule, windowMs: typeof rule.windowMs === 'string' ? ms(rule.windowMs) : rule.windowMs });
+    if (!merged.keyBy || !merged.paths) {
+      throw new Error(`Invalid auth kit options: rate limit rule "${name}" needs keyBy and paths`);
+    }
+
+    rateLimitConfig.rules[name] = {
+      windowMs: 15 * 60 * 1000,
+      max: 100,
+      message: 'Too many requests, please try again later.',
+      ...merged,
+    };
+  }
+};
+
+/**
+ * Apply options to the shared configuration
+ * @param {Object} options - Validated options
+ */
+const applyOptions = (options) => {
+  for (const [name, value] of Object.entries(options.secrets)) {
+    jwtConfig[SECRET_KEYS[name]] = value;
+  }
+
+  for (const [name, value] of Object.entries(options.expiries)) {
+    if (name === 'invitation') {
+      authConfig.invitationExpiry = toExpiry(value);
+    } else {
+      jwtConfig[EXPIRY_KEYS[name]] = toExpiry(value);
+    }
+  }
+
+  const { issuer, audience, algorithm, signingKeysDir } = options.jwt;
+  assignDefined(jwtConfig, { issuer, audience, accessTokenAlgorithm: algorithm, signingKeysDir });
+
+  const { transport, from, appName, frontendUrl } = options.email;
+  assignDefined(emailConfig, { from, appName, frontendUrl });
+  if (transport) {
+    setTransport(transport);
+  }
+
+  // Cookies are scoped to the routes that read them
+  authConfig.routePrefix = options.routePrefix;
+  authConfig.refreshCookie.path = `${options.routePrefix}/auth/refresh`;
+
+  setEventHooks(options.hooks);
+
+  if (typeof options.rateLimit === 'object') {
+    applyRateLimitOptions(options.rateLimit);
+  }
+
+  if (typeof options.storage === 'object') {
+    repositories.setRepositories(options.storage);
+  } else if (options.storage || options.knex) {
+    repositories.setRepositories(repositories.createRepositories(options.storage || 'sql', { knex: options.knex }));
+  }
+};
+
+/**
+ * Create the auth kit
+ * @param {Object} options - Kit options
+ * @param {string} options.mongoUri - MongoDB URI that start() connects to
+ *   (leave out when the host app connects mongoose itself)
+ * @param {string|Object} options.storage - Where everything the kit stores is kept:
+ *   'mongo' (default), 'memory', 'sql' or an adapter object
+ * @param {Function} options.knex - Knex instance for the sql adapter (default: built from SQL_CLIENT and SQL_CONNECTION)
+ * @param {string} options.routePrefix - Path the API routes are mounted under (default '/api')
+ * @param {Object} options.secrets - { refreshToken, passwordReset, emailVerification, accountUnlock, mfa, magicLink }
+ * @param {Object} options.expiries - { accessToken, refreshToken, passwordReset, emailVerification,
+ *   accountUnlock, mfa, magicLink, impersonation, invitation } ('15m', '7d', ...)
+ * @param {Object} options.jwt - { issuer, audience, algorithm, signingKeysDir } of access tokens
+ * @param {Object} options.email - { transport, from, appName, frontendUrl }; transport is any object with send(message)
+ * @param {Object} options.hooks - Audit action (or '*') -> function(event), called after each recorded event
+ * @param {boolean|Object} options.rateLimit - false to leave rate limiting to the host app, or
+ *   { store, rules }: store is 'memory', 'mongo' or a function (ruleName) -> express-rate-limit store;
+ *   rules maps a rule name to { keyBy, paths, windowMs, max, message } (merged into config/rateLimit.js) or false
+ * @param {boolean} options.purgeJob - Run the deleted user purge job after start() (default true)
+ * @returns {Object} - { router, start, middlewares, services, repositories, errorHandler, notFound, ...middlewares }
+ */
+const createAuthKit = (options = {}) => {
+  const { error, value } = optionsSchema.validate(options, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid auth kit options: ${error.details.map((detail) => detail.message).join('; ')}`);
+  }
+
+  applyOptions(value);
+
+  /**
+   * Load the signing keys, connect to MongoDB (when mongoUri is set), run the startup migrations and start background jobs.
+   * MongoDB is only needed by the 'mongo' storage adapter and the 'mongo' rate limit store.
+   * @returns {Promise<void>}
+   */
+  const start = async () => {
+    // Fail here rather than on the first sign-in when production has no signing keys
+    getSigningKey();
+
+    if (value.mongoUri) {
+      await connectDB(value.mongoUri);
+    }
+
+    const needsMongo =
+      repositories.getRepositories().name === 'mongo' || (value.rateLimit !== false && rateLimitConfig.store === 'mongo');
+    if (needsMongo && mongoose.connection.readyState === mongoose.ConnectionStates.disconnected) {
+      throw new Error(
+        'MongoDB is not connected. Pass mongoUri or connect mongoose before start(), ' +
+          "or use the 'memory' or 'sql' storage adapter and rate limit store."
+      );
+    }
+    await repositories.migrate();
+    await ensureDefaultRoles();
+    if (value.purgeJob) {
+      startPurgeJob();
+    }
+  };
+
+  const middlewares = {
+    authenticate,
+    authorizeRoles,
+    requirePermission,
+    requireVerifiedEmail,
+    requireOrgPermission,
+    requireScope,
+    denyApiKey,
+    denyImpersonation,
+  };
+
+  return {
+    router: createRouter({ routePrefix: value.routePrefix, rateLimit: value.rateLimit !== false }),
+    start,
+    ...middlewares,
+    middlewares,
+    services: {
+      auth: require('./services/authService'),
+      sessions: require('./services/sessionService'),
+      tokens: require('./services/tokenRevocationService'),
+      users: require('./services/userService'),
+      roles: require('./services/roleService'),
+      organizations: require('./services/organizationService'),
+      invitations: require('./services/invitationService'),
+      impersonation: require('./services/impersonationService'),
+      apiKeys: require('./services/apiKeyService'),
+      twoFactor: require('./services/twoFactorService'),
+      passkeys: require('./services/webauthnService'),
+      passwordPolicy: require('./services/passwordPolicyService'),
+      audit: require('./services/auditService'),
+      email: require('./services/emailService'),
+    },
+    repositories: repositories.getRepositories(),
+    errorHandler,
+    notFound,
+  };
+};
+
+module.exports = {
+  createAuthKit,
+};
@@ -0,0 +1,49 @@
+const authConfig = require('../config/auth');
+const { purgeDeletedUsers } = require('../services/userService');
+
+/**
+ * Deleted user purge job
+ * Permanently erases users whose soft delete is older than the retention period.
+ */
+
+/**
+ * Run one purge
+ * @returns {Promise<number>} - Number of users erased
+ */
+const runPurge = async () => {
+  const deletedBefore = new Date(Date.now() - authConfig.deletedUserRetentionDays * 24 * 60 * 60 * 1000);
+  const purged = await purgeDeletedUsers(deletedBefore);
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} deleted user(s) older than ${authConfig.deletedUserRetentionDays} days`);
+  }
+
+  return purged;
+};
+
+/**
+ * Run the purge now and then on the configured interval
+ * @returns {Object|null} - Interval handle, or null when the job is disabled
+ */
+const startPurgeJob = () => {
+  const intervalMinutes = authConfig.deletedUserPurgeIntervalMinutes;
+
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    return null;
+  }
+
+  const run = () => runPurge().catch((error) => console.error(`Deleted user purge failed: ${error.message}`));
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for the purge
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  runPurge,
+  startPurgeJob,
+};
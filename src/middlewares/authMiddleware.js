@@ -1,16 +1,61 @@
 const { verifyAccessToken } = require('../utils/tokenGenerator');
 const { errorResponse } = require('../utils/responseFormatter');
-const User = require('../models/User');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const { verifyApiKey } = require('../services/apiKeyService');
+const { isAccessTokenRevoked } = require('../services/tokenRevocationService');
+const { canImpersonate } = require('../services/impersonationService');
+const { recordAuditEvent } = require('../services/auditService');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * Authenticate a request made with an API key
+ * Attaches the key owner to req.user and the key to req.apiKey
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await verifyApiKey(key, getRequestContext(req));
+
+  if (!apiKey) {
+    await recordAuditEvent({
+      action: 'auth.api_key_rejected',
+      result: 'failure',
+      context: getRequestContext(req),
+      metadata: { prefix: key.split('_').slice(0, 2).join('_'), path: req.originalUrl },
+    });
+    return errorResponse(res, 401, 'Invalid, revoked or expired API key.');
+  }
+
+  const user = await repositories.users.findById(apiKey.user);
+
+  if (!user) {
+    return errorResponse(res, 401, 'User not found. Invalid API key.');
+  }
+
+  if (!user.isActive) {
+    return errorResponse(res, 401, 'Account is deactivated. Please contact support.');
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 /**
  * Authentication middleware
- * Verifies JWT access token and attaches user to request object
+ * Verifies JWT access token (Authorization: Bearer ...) or API key
+ * (Authorization: ApiKey ...) and attaches user to request object.
+ * With an impersonation token, req.user is the impersonated user and
+ * req.impersonator the admin acting as them.
  */
 const authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
 
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return await authenticateApiKey(req, res, next, authHeader.substring(7).trim());
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return errorResponse(res, 401, 'Authentication required. Please provide a valid token.');
     }
@@ -26,8 +71,8 @@ const authenticate = async (req, res, next) => {
       // Verify token
       const decoded = verifyAccessToken(token);
 
-      // Get user from database (exclude password and refreshToken)
-      const user = await User.findById(decoded.userId).select('-password -refreshToken');
+      // Get user from storage (password is not selected)
+      const user = await repositories.users.findById(decoded.userId);
 
       if (!user) {
         return errorResponse(res, 401, 'User not found. Invalid token.');
@@ -37,14 +82,43 @@ const authenticate = async (req, res, next) => {
         return errorResponse(res, 401, 'Account is deactivated. Please contact support.');
       }
 
-      // Attach user to request object
+      if (await isAccessTokenRevoked(decoded, user)) {
+        return errorResponse(res, 401, 'Token has been revoked. Please login again.');
+      }
+
+      // Impersonation tokens also name the admin acting as the user (act claim)
+      if (decoded.act) {
+        const impersonator = await repositories.users.findById(decoded.act.sub);
+
+        if (!impersonator || !impersonator.isActive || !(await canImpersonate(impersonator))) {
+          return errorResponse(res, 401, 'Impersonation is no longer allowed. Please login again.');
+        }
+
+        req.impersonator = impersonator;
+      }
+
+      // The token keeps its orgId until it expires: drop it as soon as the membership is gone
+      const isMember = Boolean(decoded.orgId) && Boolean(await repositories.memberships.find(decoded.orgId, user._id));
+
+      // Attach user, current session, active organization and token to request object
       req.user = user;
+      req.sessionId = decoded.sessionId;
+      req.organizationId = isMember ? decoded.orgId : null;
+      req.tokenId = decoded.jti;
+      req.tokenExpiresAt = new Date(decoded.exp * 1000);
       next();
     } catch (tokenError) {
       if (tokenError.name === 'TokenExpiredError') {
         return errorResponse(res, 401, 'Token expired. Please login again.');
       }
       if (tokenError.name === 'JsonWebTokenError') {
+        // Expired tokens are routine; forged or malformed ones are worth a record
+        await recordAuditEvent({
+          action: 'auth.token_rejected',
+          result: 'failure',
+          context: getRequestContext(req),
+          metadata: { reason: tokenError.message, path: req.originalUrl },
+        });
         return errorResponse(res, 401, 'Invalid token. Please login again.');
       }
       throw tokenError;
@@ -54,7 +128,29 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Email verification middleware
+ * Blocks unverified users unless the deployment allows them full access.
+ * Must be used after authenticate.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (authConfig.unverifiedUserPolicy === 'allow') {
+    return next();
+  }
+
+  if (!req.user) {
+    return errorResponse(res, 401, 'Authentication required.');
+  }
+
+  if (!req.user.isEmailVerified) {
+    return errorResponse(res, 403, 'Please verify your email address to access this resource.');
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
+  requireVerifiedEmail,
 };
 
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { errorResponse } = require('../utils/responseFormatter');
+const { getCookie } = require('../utils/cookies');
+const { CSRF_HEADER, isCookieMode } = require('../utils/sessionCookies');
+
+/**
+ * Require the double-submit CSRF token on cookie-authenticated requests
+ * The X-CSRF-Token header must match the CSRF cookie. A cross-site page can make
+ * the browser send the cookie, but cannot read it to set the header.
+ * Requests in body-token mode carry no ambient credentials and pass through.
+ */
+const requireCsrfToken = (req, res, next) => {
+  if (!isCookieMode(req)) {
+    return next();
+  }
+
+  const cookieToken = Buffer.from(getCookie(req, authConfig.csrfCookieName) || '');
+  const headerToken = Buffer.from(req.get(CSRF_HEADER) || '');
+
+  const valid =
+    cookieToken.length > 0 && cookieToken.length === headerToken.length && crypto.timingSafeEqual(cookieToken, headerToken);
+
+  if (!valid) {
+    return errorResponse(res, 403, 'Invalid or missing CSRF token');
+  }
+
+  next();
+};
+
+module.exports = {
+  requireCsrfToken,
+};
@@ -0,0 +1,59 @@
+const { errorResponse } = require('../utils/responseFormatter');
+const { findMembership, roleHasPermission } = require('../services/organizationService');
+const { recordRequestEvent } = require('../services/auditService');
+
+/**
+ * Organization authorization middleware
+ * Loads the user's membership of the organization in req.params.orgId and checks
+ * that their role there grants every required permission. Global roles play no part.
+ * Must be used after authenticate.
+ * @param {...string} permissions - Organization permissions required to access the route
+ * @returns {Function} - Express middleware function
+ */
+const requireOrgPermission = (...permissions) => {
+  return async (req, res, next) => {
+    // Check if user is authenticated (should be set by authMiddleware)
+    if (!req.user) {
+      return errorResponse(res, 401, 'Authentication required.');
+    }
+
+    try {
+      const membership = await findMembership(req.params.orgId, req.user._id);
+
+      // Organizations the user does not belong to are not revealed
+      if (!membership || !membership.organization) {
+        return errorResponse(res, 404, 'Organization not found');
+      }
+
+      const missing = permissions.filter((permission) => !roleHasPermission(membership.role, permission));
+
+      if (missing.length > 0) {
+        await recordRequestEvent(req, {
+          action: 'authz.denied',
+          result: 'failure',
+          metadata: {
+            organizationId: membership.organization._id,
+            missingPermissions: missing,
+            method: req.method,
+            path: req.originalUrl,
+          },
+        });
+        return errorResponse(
+          res,
+          403,
+          `Access denied. This route requires the following organization permissions: ${missing.join(', ')}.`
+        );
+      }
+
+      // Expose the membership (with its organization) to later handlers
+      req.membership = membership;
+      next();
+    } catch (error) {
+      return errorResponse(res, 500, 'Authorization failed. Please try again.');
+    }
+  };
+};
+
+module.exports = {
+  requireOrgPermission,
+};
@@ -0,0 +1,77 @@
+const rateLimit = require('express-rate-limit');
+const rateLimitConfig = require('../config/rateLimit');
+const { createStore } = require('../utils/rateLimitStores');
+const { hashToken } = require('../utils/tokenGenerator');
+const { errorResponse } = require('../utils/responseFormatter');
+
+/**
+ * Rate limit middleware
+ * One limiter per rule in config/rateLimit.js, counting hits per IP, account or API key
+ * in the configured store. Limited requests get 429 with a Retry-After header.
+ */
+
+// keyBy -> function(req) returning the client key, or null when the request has none
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+
+  // Accounts and API keys are hashed so the store never holds emails or keys
+  account: (req) => {
+    const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return email ? `account:${hashToken(email)}` : null;
+  },
+
+  apiKey: (req) => {
+    const authHeader = req.headers.authorization;
+    return authHeader && authHeader.startsWith('ApiKey ') ? `apiKey:${hashToken(authHeader.substring(7).trim())}` : null;
+  },
+};
+
+/**
+ * Build the limiter of a rule
+ * @param {string} name - Rule name
+ * @param {Object} rule - { keyBy, windowMs, max, message }
+ * @returns {Function} - Express middleware function
+ */
+const createLimiter = (name, rule) => {
+  const generateKey = KEY_GENERATORS[rule.keyBy];
+  if (!generateKey) {
+    throw new Error(`Rate limit rule "${name}" has an unknown keyBy "${rule.keyBy}". Use ip, account or apiKey.`);
+  }
+
+  return rateLimit({
+    windowMs: rule.windowMs,
+    limit: rule.max,
+    store: createStore(rateLimitConfig.store, name),
+    keyGenerator: generateKey,
+    skip: (req) => generateKey(req) === null,
+    standardHeaders: true, // RateLimit-* headers, and Retry-After once the limit is hit
+    legacyHeaders: false,
+    handler: (req, res) => errorResponse(res, 429, rule.message),
+  });
+};
+
+/**
+ * Build the limiters of every enabled rule
+ * @param {string} routePrefix - Path the API routes are mounted under
+ * @returns {Array<Object>} - [{ path, limiter }], in rule order
+ */
+const createRateLimiters = (routePrefix) => {
+  const limiters = [];
+
+  for (const [name, rule] of Object.entries(rateLimitConfig.rules)) {
+    if (!rule) {
+      continue;
+    }
+
+    const limiter = createLimiter(name, rule);
+    for (const path of rule.paths) {
+      limiters.push({ path: `${routePrefix}${path}` || '/', limiter });
+    }
+  }
+
+  return limiters;
+};
+
+module.exports = {
+  createRateLimiters,
+};
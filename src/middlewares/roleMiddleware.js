@@ -1,4 +1,6 @@
 const { errorResponse } = require('../utils/responseFormatter');
+const { getPermissionsForRoles, hasPermission } = require('../services/roleService');
+const { recordRequestEvent } = require('../services/auditService');
 
 /**
  * Role-based authorization middleware
@@ -7,14 +9,19 @@ const { errorResponse } = require('../utils/responseFormatter');
  * @returns {Function} - Express middleware function
  */
 const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Check if user is authenticated (should be set by authMiddleware)
     if (!req.user) {
       return errorResponse(res, 401, 'Authentication required.');
     }
 
-    // Check if user's role is in the allowed roles
-    if (!roles.includes(req.user.role)) {
+    // Check if any of the user's roles is in the allowed roles
+    if (!req.user.roles.some((role) => roles.includes(role))) {
+      await recordRequestEvent(req, {
+        action: 'authz.denied',
+        result: 'failure',
+        metadata: { requiredRoles: roles, method: req.method, path: req.originalUrl },
+      });
       return errorResponse(
         res,
         403,
@@ -26,7 +33,47 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ * Checks if the user's roles grant every required permission
+ * @param {...string} permissions - Permissions required to access the route
+ * @returns {Function} - Express middleware function
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    // Check if user is authenticated (should be set by authMiddleware)
+    if (!req.user) {
+      return errorResponse(res, 401, 'Authentication required.');
+    }
+
+    try {
+      const granted = await getPermissionsForRoles(req.user.roles);
+      const missing = permissions.filter((permission) => !hasPermission(granted, permission));
+
+      if (missing.length > 0) {
+        await recordRequestEvent(req, {
+          action: 'authz.denied',
+          result: 'failure',
+          metadata: { missingPermissions: missing, method: req.method, path: req.originalUrl },
+        });
+        return errorResponse(
+          res,
+          403,
+          `Access denied. This route requires the following permissions: ${missing.join(', ')}.`
+        );
+      }
+
+      // Expose the resolved permissions to later handlers
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      return errorResponse(res, 500, 'Authorization failed. Please try again.');
+    }
+  };
+};
+
 module.exports = {
   authorizeRoles,
+  requirePermission,
 };
 
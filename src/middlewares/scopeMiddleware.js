@@ -0,0 +1,60 @@
+const { errorResponse } = require('../utils/responseFormatter');
+
+/**
+ * API key scope middleware
+ * Requests authenticated with an access token pass through unchanged;
+ * requests authenticated with an API key must hold every listed scope.
+ * Must be used after authenticate.
+ * @param {...string} scopes - Scopes required for API key access
+ * @returns {Function} - Express middleware function
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missing = scopes.filter((scope) => !req.apiKey.scopes.includes(scope));
+    if (missing.length > 0) {
+      return errorResponse(
+        res,
+        403,
+        `Access denied. This API key is missing the following scopes: ${missing.join(', ')}.`
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Reject API keys on routes that need an interactive login
+ * (password, 2FA, sessions and API key management)
+ * Must be used after authenticate.
+ */
+const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return errorResponse(res, 403, 'Access denied. This route cannot be used with an API key.');
+  }
+
+  next();
+};
+
+/**
+ * Reject impersonation tokens on routes an admin acting as a user must not use
+ * (password, 2FA, credentials, sessions and user administration)
+ * Must be used after authenticate.
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return errorResponse(res, 403, 'Access denied. This route cannot be used while impersonating a user.');
+  }
+
+  next();
+};
+
+module.exports = {
+  requireScope,
+  denyApiKey,
+  denyImpersonation,
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Key Schema
+ * Long-lived, scoped credentials for scripts and integrations, stored hashed
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String, // First characters of the key, shown so users can tell keys apart
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date, // Optional: keys without expiry stay valid until revoked
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Remove sensitive fields from JSON output
+ */
+apiKeySchema.methods.toJSON = function () {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  return apiKeyObject;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
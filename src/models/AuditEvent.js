@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Event Schema
+ * Append-only record of authentication and admin events
+ */
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String, // "<area>.<event>", e.g. auth.login, admin.user_deleted
+      required: true,
+      index: true,
+    },
+    result: {
+      type: String,
+      enum: ['success', 'failure'],
+      default: 'success',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId, // User who acted (null for anonymous requests)
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId, // User the action was about
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId, // Admin acting through an impersonation token (null otherwise)
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed, // Event details, e.g. { email, reason }
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+/**
+ * Refuse every change to recorded events
+ */
+const rejectChange = function () {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+auditEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  rejectChange
+);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed Login Schema
+ * Consecutive failed sign-ins per email address, kept whether or not the address
+ * has an account, so the delay before answering grows the same way for both
+ */
+const failedLoginSchema = new mongoose.Schema({
+  emailHash: {
+    type: String, // SHA-256 of the normalized email address
+    required: true,
+    unique: true,
+  },
+  attempts: {
+    type: Number,
+    required: true,
+  },
+  expiresAt: {
+    type: Date, // The count starts over once no attempt was made for a lockout period
+    required: true,
+  },
+});
+
+// Let MongoDB remove counters of addresses left alone
+failedLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FailedLogin = mongoose.model('FailedLogin', failedLoginSchema);
+
+module.exports = FailedLogin;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Schema
+ * Account invitation sent by an administrator (only the token hash is stored)
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    roles: {
+      type: [String], // Names of Role documents given to the account on acceptance
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the emailed token; replaced when the invitation is resent
+      required: true,
+      unique: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentAt: {
+      type: Date, // Last time the invitation email was sent
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId, // Account created on acceptance
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending invitation per email address
+invitationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Remove sensitive fields from JSON output
+ */
+invitationSchema.methods.toJSON = function () {
+  const invitationObject = this.toObject();
+  delete invitationObject.tokenHash;
+  return invitationObject;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
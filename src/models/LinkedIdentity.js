@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Linked Identity Schema
+ * Connects a user to an account at an external OpenID Connect provider
+ */
+const linkedIdentitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String, // The provider's stable user ID ("sub" claim)
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true, // createdAt is the time the identity was linked
+  }
+);
+
+// One provider account can only be linked to one user
+linkedIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+const LinkedIdentity = mongoose.model('LinkedIdentity', linkedIdentitySchema);
+
+module.exports = LinkedIdentity;
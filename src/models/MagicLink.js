@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Magic Link Schema
+ * Outstanding passwordless sign-in link (only hashes are stored)
+ */
+const magicLinkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the emailed token
+      required: true,
+      unique: true,
+    },
+    browserHash: {
+      type: String, // SHA-256 of the binding cookie set on the requesting browser (null when unbound)
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove unused links
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MagicLink = mongoose.model('MagicLink', magicLinkSchema);
+
+module.exports = MagicLink;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const organizationConfig = require('../config/organizations');
+
+/**
+ * Membership Schema
+ * A user's membership of an organization and their role inside it
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(organizationConfig.roles),
+      default: organizationConfig.defaultMemberRole,
+    },
+    lastActiveAt: {
+      type: Date, // Last time the user switched to this organization; the most recent one is active on sign-in
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth State Schema
+ * Server-side record of a started authorization-code flow (state, PKCE verifier and nonce)
+ */
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ['login', 'link'],
+      default: 'login',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId, // Set when linking to a signed-in user
+      ref: 'User',
+    },
+    browserHash: {
+      type: String, // SHA-256 of the binding cookie set on the browser that started the flow
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove abandoned sign-ins
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
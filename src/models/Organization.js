@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Schema
+ * Customer workspace (tenant) that users join through memberships
+ */
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const organizationConfig = require('../config/organizations');
+
+/**
+ * Organization Invitation Schema
+ * Invitation to join an organization, accepted by the invitee (only the token hash is stored)
+ */
+const organizationInvitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(organizationConfig.roles),
+      default: organizationConfig.defaultMemberRole,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the emailed token; replaced when the invitation is sent again
+      required: true,
+      unique: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentAt: {
+      type: Date, // Last time the invitation email was sent
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId, // User who accepted
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending invitation per email address and organization
+organizationInvitationSchema.index(
+  { organization: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+/**
+ * Remove sensitive fields from JSON output
+ */
+organizationInvitationSchema.methods.toJSON = function () {
+  const invitationObject = this.toObject();
+  delete invitationObject.tokenHash;
+  return invitationObject;
+};
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+module.exports = OrganizationInvitation;
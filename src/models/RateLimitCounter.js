@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Counter Schema
+ * Hits of one rate limit key in the current window, shared by every instance
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String, // "<rule>:<ip|account|apiKey>:<value>"
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    required: true,
+  },
+  resetAt: {
+    type: Date, // End of the window; the counter starts over after it
+    required: true,
+  },
+});
+
+// Let MongoDB remove counters of finished windows
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Schema
+ * Denylist of access tokens that must stop working before they expire,
+ * either one token (by jti) or every token of a session (by session ID)
+ */
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['jti', 'session'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date, // No token it covers can outlive this
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revokedTokenSchema.index({ kind: 1, value: 1 }, { unique: true });
+
+// Let MongoDB drop entries once the tokens they cover have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Role Schema
+ * Maps a role name to the permissions it grants
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Role name may only contain letters, digits, "-" and "_"'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    isSystem: {
+      type: Boolean, // Built-in roles (see config/permissions.js) cannot be deleted
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
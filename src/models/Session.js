@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One document per signed-in device, holding the hash of its current refresh token
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      select: false, // Never return the token hash by default
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId, // Active organization, carried in the access tokens of this session
+      ref: 'Organization',
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // createdAt doubles as the sign-in time
+  }
+);
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Remove sensitive fields from JSON output
+ */
+sessionSchema.methods.toJSON = function () {
+  const sessionObject = this.toObject();
+  delete sessionObject.refreshTokenHash;
+  return sessionObject;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const permissionConfig = require('../config/permissions');
+const passwordPolicy = require('../config/passwordPolicy');
 
 /**
  * User Schema
@@ -26,19 +28,20 @@ const userSchema = new mongoose.Schema(
       ],
     },
     password: {
-      type: String,
-      required: [true, 'Please provide a password'],
-      minlength: [6, 'Password must be at least 6 characters'],
+      type: String, // Optional: accounts created through an OAuth provider start without one
+      minlength: [passwordPolicy.minLength, `Password must be at least ${passwordPolicy.minLength} characters`],
       select: false, // Don't return password by default in queries
     },
-    role: {
-      type: String,
-      enum: ['user', 'admin'],
-      default: 'user',
+    passwordHistory: {
+      type: [String], // bcrypt hashes of previous passwords, newest first
+      select: false,
     },
-    refreshToken: {
-      type: String,
-      select: false, // Don't return refreshToken by default
+    passwordChangedAt: {
+      type: Date, // Start of the password's age (see PASSWORD_MAX_AGE_DAYS)
+    },
+    roles: {
+      type: [String], // Names of Role documents
+      default: () => [permissionConfig.defaultUserRole],
     },
     passwordResetToken: {
       type: String,
@@ -52,12 +55,65 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    passwordResetRequired: {
+      type: Boolean, // Set by an administrator; the next sign-in must reset the password
+      default: false,
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number, // Last accepted TOTP time step, prevents code replay
+      select: false,
+    },
+    tokenVersion: {
+      type: Number, // Access tokens carrying another version are refused
+      default: 0,
+    },
+    deletedAt: {
+      type: Date, // Set when an admin deletes the account; purged after the retention period
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt fields
   }
 );
 
+/**
+ * End outstanding access tokens when the password or roles change,
+ * so tokens carrying old credentials or privileges stop working at once
+ */
+userSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('roles'))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
 /**
  * Hash password before saving to database
  */
@@ -70,15 +126,30 @@ userSchema.pre('save', async function (next) {
   // Hash password with cost of 12
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
   next();
 });
 
+/**
+ * Hide soft-deleted users from finds and counts
+ * Queries that filter on deletedAt themselves, or set the withDeleted option, see every user.
+ */
+userSchema.pre(/^(find|countDocuments)/, function () {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
 /**
  * Compare provided password with hashed password
  * @param {string} candidatePassword - Password to compare
  * @returns {Promise<boolean>}
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -88,12 +159,22 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
-  delete userObject.refreshToken;
+  delete userObject.passwordHistory;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockUntil;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.tokenVersion;
   return userObject;
 };
 
+// Support the sorted admin listing
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ roles: 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn Challenge Schema
+ * Server-side record of a started registration or authentication ceremony
+ */
+const webAuthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: {
+      type: String, // base64url, as echoed back in the client data
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ['registration', 'authentication'],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId, // Set for registration (the signed-in user)
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove abandoned ceremonies
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+module.exports = WebAuthnChallenge;
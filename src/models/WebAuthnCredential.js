@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn Credential Schema
+ * A passkey registered by a user
+ */
+const webAuthnCredentialSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    credentialId: {
+      type: String, // base64url
+      required: true,
+      unique: true,
+    },
+    publicKey: {
+      type: Buffer, // COSE_Key as returned by the authenticator
+      required: true,
+    },
+    signCount: {
+      type: Number,
+      default: 0,
+    },
+    transports: {
+      type: [String], // Hints for the browser: usb, nfc, ble, internal, hybrid
+      default: [],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: 'Passkey',
+    },
+    aaguid: {
+      type: String, // Authenticator model, all zeros when not disclosed
+    },
+    backedUp: {
+      type: Boolean, // Synced passkey (e.g. iCloud Keychain, Google Password Manager)
+      default: false,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true, // createdAt is the time the passkey was registered
+  }
+);
+
+/**
+ * Remove key material from JSON output
+ */
+webAuthnCredentialSchema.methods.toJSON = function () {
+  const credentialObject = this.toObject();
+  delete credentialObject.publicKey;
+  return credentialObject;
+};
+
+const WebAuthnCredential = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
+
+module.exports = WebAuthnCredential;
@@ -0,0 +1,245 @@
+const storageConfig = require('../config/storage');
+const { createMongoRepositories } = require('./mongoRepository');
+const { createMemoryRepositories } = require('./memoryRepository');
+
+/**
+ * Repositories
+ * Everything the kit stores, behind one interface, so it can be kept in MongoDB,
+ * in memory or in a SQL database. Services use `repositories.users`, `repositories.sessions`, ...
+ *
+ * An adapter is an object { name, migrate(), ...one repository per name below } where:
+ *
+ * users (users are returned as records with the fields of the User model, save(),
+ * comparePassword() and toJSON(); hidden fields such as password are only present
+ * when listed in `select`, soft-deleted users only with `withDeleted`):
+ *   findById(id, { select, withDeleted })         -> user or null
+ *   findByEmail(email, { select, withDeleted })   -> user or null
+ *   findByIds(ids)                                -> users that exist and are not deleted, in any order
+ *   create(data)                                  -> user (password hashed, defaults applied)
+ *   update(id, { set, unset, inc }, { select })   -> updated user or null (atomic, skips save() hooks)
+ *   claimTwoFactorStep(id, step)                  -> true if step is later than the last used TOTP step and now recorded (atomic)
+ *   consumeRecoveryCode(id, hash)                 -> true if the recovery code hash was present and is now removed (atomic)
+ *   list({ filters, sort, after, skip, limit, fields }) -> { users, total }
+ *     filters: { role, isActive, createdFrom, createdTo, deleted, search }
+ *     sort: { field, direction (1 or -1) }, after: { value, id } (keyset cursor)
+ *   countWithRole(role, { excludeId, activeOnly }) -> number
+ *   restore(id)                                   -> restored user, or null if not deleted
+ *   findDeletedBefore(date)                       -> IDs of users soft-deleted at or before the date
+ *   delete(id)                                    -> erases the user
+ *
+ * sessions (plain session objects; refreshTokenHash only with `withTokenHash`):
+ *   newId()                                       -> ID for a session about to be created
+ *   create(data)                                  -> session
+ *   findForUser(id, userId, { withTokenHash })    -> live session or null
+ *   rotate(id, presentedHash, changes)            -> true if the stored hash matched and was replaced
+ *   update(id, userId, changes)                   -> updated session or null
+ *   listActive(userId)                            -> live sessions, most recently used first
+ *   delete(id, userId)                            -> true if a session was deleted
+ *   deleteForUser(userId, { exceptId })           -> IDs of the deleted sessions
+ *   clearOrganization(userId, organizationId)     -> drops the organization from the user's sessions
+ *
+ * revokedTokens:
+ *   add(kind, values, expiresAt)                  -> upserts entries, keeping the later expiry
+ *   listActive()                                  -> [{ kind, value }] of unexpired entries
+ *
+ * The other repositories return plain objects with an `_id` and the fields of their Mongoose model
+ * (createdAt and updatedAt included). References to users, organizations, ... are IDs.
+ *
+ * roles:
+ *   list()                                        -> every role, by name
+ *   findById(id)                                  -> role or null
+ *   findByNames(names)                            -> roles with these names
+ *   create(data)                                  -> role
+ *   update(id, changes)                           -> updated role or null
+ *   delete(id)                                    -> true if a role was deleted
+ *   ensure({ name, description, permissions })    -> creates the role unless the name exists, and marks it built in
+ *
+ * apiKeys (keyHash is never returned):
+ *   create(data)                                  -> API key
+ *   findActiveByHash(hash)                        -> unrevoked key or null (expiry is left to the caller)
+ *   recordUse(id, ip)                             -> sets lastUsedAt and lastUsedIp
+ *   list({ userId, includeRevoked })              -> keys, newest first
+ *   revoke(id, { userId })                        -> true if an unrevoked key (of that user, when given) was revoked
+ *   deleteForUser(userId)                         -> erases the user's keys
+ *
+ * auditEvents (append-only):
+ *   create(data)                                  -> event
+ *   list(filters, { before, limit })              -> events newest first, with IDs lower than `before` when given
+ *   stream(filters)                               -> async iterable of events, oldest first
+ *     filters: { action, actor, target, impersonator, result, from, to }
+ *
+ * identities (provider accounts linked to users):
+ *   create(data)                                  -> identity
+ *   findBySubject(provider, subject)              -> identity or null
+ *   findForUser(id, userId)                       -> identity or null
+ *   listForUser(userId)                           -> identities, oldest first
+ *   countForUser(userId)                          -> number
+ *   update(id, changes)                           -> updated identity or null
+ *   delete(id)                                    -> erases the identity
+ *   deleteForUser(userId)                         -> erases the user's identities
+ *
+ * magicLinks:
+ *   create(data)                                  -> link
+ *   findByTokenHash(hash)                         -> link or null (expiry is left to the caller)
+ *   consume(id)                                   -> true if this call deleted the link (atomic)
+ *   deleteForUser(userId)                         -> erases the user's links
+ *
+ * oauthStates:
+ *   create(data)                                  -> state
+ *   consume(state, provider)                      -> the state deleted by this call, or null (atomic)
+ *
+ * passkeys (WebAuthn credentials; publicKey is only returned by findByCredentialId):
+ *   create(data)                                  -> passkey
+ *   findByCredentialId(credentialId)              -> passkey or null
+ *   findForUser(id, userId)                       -> passkey or null
+ *   listForUser(userId)                           -> passkeys, oldest first
+ *   countForUser(userId)                          -> number
+ *   update(id, userId, changes)                   -> updated passkey or null
+ *   delete(id)                                    -> erases the passkey
+ *   deleteForUser(userId)                         -> erases the user's passkeys
+ *
+ * webauthnChallenges:
+ *   create(data)                                  -> challenge
+ *   consume(challenge, type, userId)              -> true if this call deleted a matching live challenge (atomic;
+ *                                                    userId null matches challenges of any user)
+ *
+ * failedLogins (counters per email hash):
+ *   increment(emailHash, expiresAt)               -> attempts counted, this one included (atomic; an expired counter starts over)
+ *   delete(emailHash)                             -> drops the counter
+ *
+ * organizations:
+ *   create(data)                                  -> organization
+ *   findById(id)                                  -> organization or null
+ *   findByIds(ids)                                -> organizations that exist, in any order
+ *   update(id, changes)                           -> updated organization or null
+ *
+ * memberships:
+ *   create(data)                                  -> membership, or null if the user already is a member
+ *   find(organizationId, userId)                  -> membership or null
+ *   findLastActive(userId)                        -> the membership switched to last, else the oldest, or null
+ *   listForUser(userId)                           -> memberships, oldest first
+ *   listForOrganization(organizationId)           -> memberships, oldest first
+ *   countWithRole(organizationId, role, { excludeId }) -> number
+ *   update(id, changes)                           -> updated membership or null
+ *   delete(id)                                    -> erases the membership
+ *   deleteForUser(userId)                         -> erases the user's memberships
+ *
+ * invitations and organizationInvitations (tokenHash is never returned):
+ *   create(data)                                  -> invitation (one pending invitation per email [and organization])
+ *   findById(id)                                  -> invitation or null
+ *   findPendingByTokenHash(hash)                  -> pending, unexpired invitation or null
+ *   update(id, changes, { status })               -> updated invitation, or null unless it still has `status` (atomic)
+ *   deleteForUser(userId, email)                  -> erases invitations sent to the email, sent by or accepted by the user
+ * invitations only:
+ *   findPendingByEmail(email)                     -> pending invitation or null
+ *   list(status)                                  -> invitations with the status, newest first
+ * organizationInvitations only:
+ *   findPendingByEmail(organizationId, email)     -> pending invitation or null
+ *   listPending(organizationId)                   -> pending invitations, newest first
+ */
+
+// Repositories every adapter provides, besides migrate()
+const REPOSITORY_NAMES = [
+  'users',
+  'sessions',
+  'revokedTokens',
+  'roles',
+  'apiKeys',
+  'auditEvents',
+  'identities',
+  'magicLinks',
+  'oauthStates',
+  'passkeys',
+  'webauthnChallenges',
+  'failedLogins',
+  'organizations',
+  'memberships',
+  'invitations',
+  'organizationInvitations',
+];
+
+let repositories = null;
+
+/**
+ * Create the repositories of an adapter
+ * @param {string} adapter - 'mongo', 'memory' or 'sql'
+ * @param {Object} options - Adapter options ({ knex } for sql; defaults from config/storage.js)
+ * @returns {Object} - Repositories
+ */
+const createRepositories = (adapter = storageConfig.adapter, options = {}) => {
+  switch (adapter) {
+    case 'mongo':
+      return createMongoRepositories();
+    case 'memory':
+      return createMemoryRepositories();
+    case 'sql': {
+      // Loaded on demand: only SQL deployments install a database driver
+      const { createSqlRepositories } = require('./sqlRepository');
+      const knex =
+        options.knex ||
+        require('knex')({
+          client: storageConfig.sql.client,
+          connection: storageConfig.sql.client === 'pg' ? storageConfig.sql.connection : { filename: storageConfig.sql.connection },
+          useNullAsDefault: true,
+        });
+      return createSqlRepositories({ knex });
+    }
+    default:
+      throw new Error(`Unknown storage adapter "${adapter}". Use mongo, memory or sql.`);
+  }
+};
+
+/**
+ * Get the active repositories, creating the configured ones on first use
+ * @returns {Object} - Repositories
+ */
+const getRepositories = () => {
+  if (!repositories) {
+    repositories = createRepositories();
+  }
+  return repositories;
+};
+
+/**
+ * Replace the repositories (e.g. with in-memory ones in tests, or a custom adapter)
+ * @param {Object} customRepositories - Adapter object (see above)
+ */
+const setRepositories = (customRepositories) => {
+  repositories = customRepositories;
+};
+
+/**
+ * Fill in the users referenced by stored objects, from the active adapter
+ * @param {Array<Object>} documents - Plain objects (or documents)
+ * @param {string} path - Field holding the user ID
+ * @returns {Promise<Array<Object>>} - Plain objects with the field set to { _id, name, email }, or null if the user is gone
+ */
+const populateUsers = async (documents, path) => {
+  const objects = documents.map((document) => (typeof document.toJSON === 'function' ? document.toJSON() : document));
+  const ids = [...new Set(objects.filter((object) => object[path]).map((object) => object[path].toString()))];
+  const users = await getRepositories().users.findByIds(ids);
+  const usersById = new Map(users.map((user) => [user._id.toString(), { _id: user._id, name: user.name, email: user.email }]));
+
+  return objects.map((object) => ({
+    ...object,
+    [path]: object[path] ? usersById.get(object[path].toString()) || null : null,
+  }));
+};
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  setRepositories,
+  populateUsers,
+  REPOSITORY_NAMES,
+  /**
+   * Run the adapter's startup migrations (schema for SQL, data fixes for MongoDB)
+   * @returns {Promise<void>}
+   */
+  migrate: () => getRepositories().migrate(),
+};
+
+// repositories.users, repositories.sessions, ... always read the active adapter
+for (const name of REPOSITORY_NAMES) {
+  Object.defineProperty(module.exports, name, { enumerable: true, get: () => getRepositories()[name] });
+}
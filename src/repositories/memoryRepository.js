@@ -0,0 +1,867 @@
+const { UserRecord, newId, buildNewUser, copyValue, selectUserFields } = require('./userRecord');
+
+/**
+ * In-memory storage adapter
+ * Every collection in Maps, for tests and local work.
+ * Nothing survives a restart and nothing is shared between processes.
+ */
+
+// Fields holding the ID of another stored object, kept as strings
+const REFERENCE_FIELDS = ['user', 'organization', 'invitedBy', 'createdBy', 'actor', 'target', 'impersonator'];
+
+/**
+ * Copy a stored object
+ * @param {Object} data - Stored data
+ * @returns {Object} - Copy
+ */
+const copyObject = (data) => Object.fromEntries(Object.entries(data).map(([name, value]) => [name, copyValue(value)]));
+
+/**
+ * Compare two values for sorting (dates, numbers and strings; missing values first)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() - new Date(b).getTime();
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Check whether a stored user matches listing filters
+ * @param {Object} user - Stored user
+ * @param {Object} filters - { role, isActive, createdFrom, createdTo, deleted, search }
+ * @returns {boolean} - True if listed
+ */
+const matchesFilters = (user, filters) => {
+  if (Boolean(filters.deleted) !== Boolean(user.deletedAt)) return false;
+  if (filters.role && !user.roles.includes(filters.role)) return false;
+  if (filters.isActive !== undefined && user.isActive !== filters.isActive) return false;
+  if (filters.createdFrom && user.createdAt < filters.createdFrom) return false;
+  if (filters.createdTo && user.createdAt > filters.createdTo) return false;
+
+  if (filters.search) {
+    const search = filters.search.toLowerCase();
+    return user.name.toLowerCase().includes(search) || user.email.includes(search);
+  }
+
+  return true;
+};
+
+/**
+ * Check whether two IDs are the same (ObjectIds, strings or null)
+ * @param {*} a - First ID
+ * @param {*} b - Second ID
+ * @returns {boolean} - True if both are set and equal
+ */
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Create a collection of plain objects keyed by ID
+ * Stored objects are copies; references to other objects are stored as strings.
+ * @param {Object} options - { hidden (fields left out of returned objects), timestamps (false for append-only events) }
+ * @returns {Object} - Collection helpers
+ */
+const createCollection = ({ hidden = [], timestamps = true } = {}) => {
+  const store = new Map(); // id -> stored object
+
+  /**
+   * Copy fields for storing
+   * @param {Object} data - Fields
+   * @returns {Object} - Stored fields
+   */
+  const toStored = (data) => {
+    const stored = copyObject(data);
+    for (const field of REFERENCE_FIELDS) {
+      if (stored[field]) {
+        stored[field] = stored[field].toString();
+      }
+    }
+    return stored;
+  };
+
+  return {
+    /**
+     * Copy a stored object for callers
+     * @param {Object} stored - Stored object
+     * @param {Array<string>} include - Hidden fields to keep
+     * @returns {Object|null} - Object, or null when nothing is stored
+     */
+    toObject: (stored, include = []) => {
+      if (!stored) {
+        return null;
+      }
+      const object = copyObject(stored);
+      for (const field of hidden.filter((name) => !include.includes(name))) {
+        delete object[field];
+      }
+      return object;
+    },
+
+    insert: (data) => {
+      const now = new Date();
+      const stored = { ...toStored(data), _id: newId(), createdAt: now };
+      if (timestamps) {
+        stored.updatedAt = now;
+      }
+      store.set(stored._id, stored);
+      return stored;
+    },
+
+    get: (id) => (id ? store.get(id.toString()) || null : null),
+
+    find: (predicate) => [...store.values()].find(predicate) || null,
+
+    filter: (predicate) => [...store.values()].filter(predicate),
+
+    set: (stored, changes) => {
+      Object.assign(stored, toStored(changes), { updatedAt: new Date() });
+      return stored;
+    },
+
+    remove: (id) => store.delete(id.toString()),
+
+    removeWhere: (predicate) => {
+      for (const stored of [...store.values()].filter(predicate)) {
+        store.delete(stored._id);
+      }
+    },
+
+    clear: () => store.clear(),
+  };
+};
+
+/**
+ * Sort stored objects by a field, then by ID
+ * @param {Array<Object>} objects - Stored objects
+ * @param {string} field - Field to sort by
+ * @param {number} direction - 1 (ascending) or -1 (descending)
+ * @returns {Array<Object>} - Sorted objects
+ */
+const sortBy = (objects, field, direction = 1) =>
+  objects.sort((a, b) => direction * (compareValues(a[field], b[field]) || compareValues(a._id, b._id)));
+
+/**
+ * Check whether a stored audit event matches query filters
+ * @param {Object} event - Stored event
+ * @param {Object} filters - { action, actor, target, impersonator, result, from, to }
+ * @returns {boolean} - True if matched
+ */
+const matchesAuditFilters = (event, filters) => {
+  for (const field of ['action', 'actor', 'target', 'impersonator', 'result']) {
+    if (filters[field] && event[field] !== filters[field].toString()) return false;
+  }
+  if (filters.from && event.createdAt < filters.from) return false;
+  if (filters.to && event.createdAt > filters.to) return false;
+  return true;
+};
+
+/**
+ * Create in-memory repositories
+ * @returns {Object} - { name, users, sessions, ..., migrate, clear }
+ */
+const createMemoryRepositories = () => {
+  const userStore = new Map(); // id -> user data
+  const sessionStore = new Map(); // id -> session data
+  const revokedStore = new Map(); // "<kind>:<value>" -> { kind, value, expiresAt }
+
+  /**
+   * Find a stored user by email, deleted or not
+   * @param {string} email - Email address
+   * @returns {Object|undefined} - Stored user
+   */
+  const findStoredByEmail = (email) => {
+    const normalized = email.trim().toLowerCase();
+    return [...userStore.values()].find((user) => user.email === normalized);
+  };
+
+  /**
+   * Apply changes from UserRecord.save() to the store
+   * @param {string} id - User ID
+   * @param {Object} changes - Field -> value (undefined removes the field)
+   * @returns {Promise<void>}
+   */
+  const persistUser = async (id, changes) => {
+    const stored = userStore.get(id.toString());
+    if (!stored) {
+      return;
+    }
+
+    if (changes.email && changes.email !== stored.email && findStoredByEmail(changes.email)) {
+      throw new Error('Email already in use');
+    }
+
+    for (const [name, value] of Object.entries(changes)) {
+      if (value === undefined) {
+        delete stored[name];
+      } else {
+        stored[name] = copyValue(value);
+      }
+    }
+  };
+
+  /**
+   * Find a stored user by ID
+   * @param {string} id - User ID
+   * @param {boolean} withDeleted - Include soft-deleted users
+   * @returns {Object|null} - Stored user
+   */
+  const findStored = (id, withDeleted = false) => {
+    const stored = id ? userStore.get(id.toString()) : null;
+    return stored && (withDeleted || !stored.deletedAt) ? stored : null;
+  };
+
+  /**
+   * Turn stored data into a record
+   * @param {Object} stored - Stored user
+   * @param {Object} options - { select, fields }
+   * @returns {Object} - User record
+   */
+  const toRecord = (stored, options) => new UserRecord(selectUserFields(stored, options), persistUser);
+
+  const users = {
+    findById: async (id, { select, withDeleted = false } = {}) => {
+      const stored = findStored(id, withDeleted);
+      return stored ? toRecord(stored, { select }) : null;
+    },
+
+    findByEmail: async (email, { select, withDeleted = false } = {}) => {
+      const stored = findStoredByEmail(email);
+      return stored && (withDeleted || !stored.deletedAt) ? toRecord(stored, { select }) : null;
+    },
+
+    findByIds: async (ids) => {
+      return ids.map((id) => findStored(id)).filter(Boolean).map((stored) => toRecord(stored));
+    },
+
+    create: async (data) => {
+      if (findStoredByEmail(data.email)) {
+        throw new Error('Email already in use');
+      }
+
+      const stored = await buildNewUser(data);
+      userStore.set(stored._id, stored);
+      return toRecord(stored);
+    },
+
+    update: async (id, { set = {}, unset = [], inc = {} }, { select } = {}) => {
+      const stored = findStored(id);
+      if (!stored) {
+        return null;
+      }
+
+      await persistUser(stored._id, {
+        ...set,
+        ...Object.fromEntries(unset.map((field) => [field, undefined])),
+        ...Object.fromEntries(Object.entries(inc).map(([field, by]) => [field, (stored[field] || 0) + by])),
+        updatedAt: new Date(),
+      });
+
+      return toRecord(stored, { select });
+    },
+
+    list: async ({ filters = {}, sort, after = null, skip = 0, limit, fields = null }) => {
+      const matching = [...userStore.values()].filter((user) => matchesFilters(user, filters));
+
+      const ordered = matching.sort(
+        (a, b) => sort.direction * (compareValues(a[sort.field], b[sort.field]) || compareValues(a._id, b._id))
+      );
+
+      const page = after
+        ? ordered.filter((user) => {
+            const order = compareValues(user[sort.field], after.value) || compareValues(user._id, after.id);
+            return sort.direction * order > 0;
+          })
+        : ordered;
+
+      return {
+        users: page.slice(skip, skip + limit).map((user) => toRecord(user, { fields })),
+        total: matching.length,
+      };
+    },
+
+    claimTwoFactorStep: async (id, step) => {
+      const stored = findStored(id);
+      if (!stored || (stored.twoFactorLastUsedStep !== undefined && stored.twoFactorLastUsedStep >= step)) {
+        return false;
+      }
+
+      stored.twoFactorLastUsedStep = step;
+      return true;
+    },
+
+    consumeRecoveryCode: async (id, hash) => {
+      const stored = findStored(id);
+      if (!stored || !(stored.twoFactorRecoveryCodes || []).includes(hash)) {
+        return false;
+      }
+
+      stored.twoFactorRecoveryCodes = stored.twoFactorRecoveryCodes.filter((code) => code !== hash);
+      return true;
+    },
+
+    countWithRole: async (role, { excludeId = null, activeOnly = false } = {}) => {
+      return [...userStore.values()].filter(
+        (user) =>
+          !user.deletedAt &&
+          user.roles.includes(role) &&
+          (!excludeId || user._id !== excludeId.toString()) &&
+          (!activeOnly || user.isActive)
+      ).length;
+    },
+
+    restore: async (id) => {
+      const stored = findStored(id, true);
+      if (!stored || !stored.deletedAt) {
+        return null;
+      }
+
+      stored.deletedAt = null;
+      stored.updatedAt = new Date();
+      return toRecord(stored);
+    },
+
+    findDeletedBefore: async (date) => {
+      return [...userStore.values()].filter((user) => user.deletedAt && user.deletedAt <= date).map((user) => user._id);
+    },
+
+    delete: async (id) => {
+      userStore.delete(id.toString());
+    },
+  };
+
+  /**
+   * Copy a stored session for callers
+   * @param {Object} stored - Stored session
+   * @param {boolean} withTokenHash - Include the refresh token hash
+   * @returns {Object} - Session data
+   */
+  const toSession = (stored, withTokenHash = false) => {
+    const session = copyObject(stored);
+    if (!withTokenHash) {
+      delete session.refreshTokenHash;
+    }
+    return session;
+  };
+
+  /**
+   * Find a live session of a user
+   * @param {string} id - Session ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} - Stored session
+   */
+  const findStoredSession = (id, userId) => {
+    const stored = id ? sessionStore.get(id.toString()) : null;
+    if (!stored || stored.user !== userId.toString() || stored.expiresAt <= new Date()) {
+      return null;
+    }
+    return stored;
+  };
+
+  const sessions = {
+    newId,
+
+    create: async (data) => {
+      const now = new Date();
+      const stored = {
+        userAgent: '',
+        ip: '',
+        lastUsedAt: now,
+        ...copyObject(data),
+        _id: data._id.toString(),
+        user: data.user.toString(),
+        organization: data.organization ? data.organization.toString() : null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      sessionStore.set(stored._id, stored);
+      return toSession(stored);
+    },
+
+    findForUser: async (id, userId, { withTokenHash = false } = {}) => {
+      const stored = findStoredSession(id, userId);
+      return stored ? toSession(stored, withTokenHash) : null;
+    },
+
+    rotate: async (id, presentedHash, changes) => {
+      const stored = sessionStore.get(id.toString());
+      if (!stored || stored.refreshTokenHash !== presentedHash) {
+        return false;
+      }
+      Object.assign(stored, copyObject(changes), { updatedAt: new Date() });
+      return true;
+    },
+
+    update: async (id, userId, changes) => {
+      const stored = findStoredSession(id, userId);
+      if (!stored) {
+        return null;
+      }
+      Object.assign(stored, copyObject(changes), { updatedAt: new Date() });
+      if (stored.organization) {
+        stored.organization = stored.organization.toString();
+      }
+      return toSession(stored);
+    },
+
+    listActive: async (userId) => {
+      const now = new Date();
+      return [...sessionStore.values()]
+        .filter((session) => session.user === userId.toString() && session.expiresAt > now)
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((session) => toSession(session));
+    },
+
+    delete: async (id, userId) => {
+      const stored = id ? sessionStore.get(id.toString()) : null;
+      if (!stored || stored.user !== userId.toString()) {
+        return false;
+      }
+      return sessionStore.delete(stored._id);
+    },
+
+    deleteForUser: async (userId, { exceptId = null } = {}) => {
+      const sessionIds = [...sessionStore.values()]
+        .filter((session) => session.user === userId.toString() && (!exceptId || session._id !== exceptId.toString()))
+        .map((session) => session._id);
+
+      for (const id of sessionIds) {
+        sessionStore.delete(id);
+      }
+      return sessionIds;
+    },
+
+    clearOrganization: async (userId, organizationId) => {
+      for (const session of sessionStore.values()) {
+        if (session.user === userId.toString() && session.organization === organizationId.toString()) {
+          session.organization = null;
+        }
+      }
+    },
+  };
+
+  const revokedTokens = {
+    add: async (kind, values, expiresAt) => {
+      for (const value of values) {
+        const key = `${kind}:${value}`;
+        const existing = revokedStore.get(key);
+        if (!existing || existing.expiresAt < expiresAt) {
+          revokedStore.set(key, { kind, value, expiresAt: new Date(expiresAt) });
+        }
+      }
+    },
+
+    listActive: async () => {
+      const now = new Date();
+      for (const [key, entry] of revokedStore) {
+        if (entry.expiresAt <= now) {
+          revokedStore.delete(key);
+        }
+      }
+      return [...revokedStore.values()].map(({ kind, value }) => ({ kind, value }));
+    },
+  };
+
+  const roleStore = createCollection();
+
+  const roles = {
+    list: async () => sortBy(roleStore.filter(() => true), 'name').map((role) => roleStore.toObject(role)),
+
+    findById: async (id) => roleStore.toObject(roleStore.get(id)),
+
+    findByNames: async (names) => roleStore.filter((role) => names.includes(role.name)).map((role) => roleStore.toObject(role)),
+
+    create: async (data) => {
+      if (roleStore.find((role) => role.name === data.name)) {
+        throw new Error('A role with this name already exists');
+      }
+      return roleStore.toObject(roleStore.insert({ description: '', permissions: [], isSystem: false, ...data }));
+    },
+
+    update: async (id, changes) => {
+      const stored = roleStore.get(id);
+      return stored ? roleStore.toObject(roleStore.set(stored, changes)) : null;
+    },
+
+    delete: async (id) => Boolean(roleStore.get(id)) && roleStore.remove(id),
+
+    ensure: async ({ name, description, permissions }) => {
+      const stored = roleStore.find((role) => role.name === name);
+      if (stored) {
+        roleStore.set(stored, { isSystem: true });
+      } else {
+        roleStore.insert({ name, description, permissions, isSystem: true });
+      }
+    },
+  };
+
+  const apiKeyStore = createCollection({ hidden: ['keyHash'] });
+
+  const apiKeys = {
+    create: async (data) => apiKeyStore.toObject(apiKeyStore.insert({ scopes: [], revokedAt: null, ...data })),
+
+    findActiveByHash: async (hash) => apiKeyStore.toObject(apiKeyStore.find((key) => key.keyHash === hash && !key.revokedAt)),
+
+    recordUse: async (id, ip) => {
+      const stored = apiKeyStore.get(id);
+      if (stored) {
+        apiKeyStore.set(stored, { lastUsedAt: new Date(), lastUsedIp: ip });
+      }
+    },
+
+    list: async ({ userId = null, includeRevoked = false } = {}) => {
+      const matching = apiKeyStore.filter((key) => (!userId || sameId(key.user, userId)) && (includeRevoked || !key.revokedAt));
+      return sortBy(matching, 'createdAt', -1).map((key) => apiKeyStore.toObject(key));
+    },
+
+    revoke: async (id, { userId = null } = {}) => {
+      const stored = apiKeyStore.get(id);
+      if (!stored || stored.revokedAt || (userId && !sameId(stored.user, userId))) {
+        return false;
+      }
+      apiKeyStore.set(stored, { revokedAt: new Date() });
+      return true;
+    },
+
+    deleteForUser: async (userId) => apiKeyStore.removeWhere((key) => sameId(key.user, userId)),
+  };
+
+  const auditStore = createCollection({ timestamps: false });
+
+  const auditEvents = {
+    create: async (data) => auditStore.toObject(auditStore.insert(data)),
+
+    list: async (filters, { before = null, limit }) => {
+      const matching = auditStore.filter((event) => matchesAuditFilters(event, filters) && (!before || event._id < before.toString()));
+      return sortBy(matching, '_id', -1)
+        .slice(0, limit)
+        .map((event) => auditStore.toObject(event));
+    },
+
+    stream: async function* (filters) {
+      for (const event of sortBy(auditStore.filter((stored) => matchesAuditFilters(stored, filters)), '_id')) {
+        yield auditStore.toObject(event);
+      }
+    },
+  };
+
+  const identityStore = createCollection();
+
+  const identities = {
+    create: async (data) => {
+      if (identityStore.find((identity) => identity.provider === data.provider && identity.subject === data.subject)) {
+        throw new Error('This provider account is already linked');
+      }
+      return identityStore.toObject(identityStore.insert(data));
+    },
+
+    findBySubject: async (provider, subject) =>
+      identityStore.toObject(identityStore.find((identity) => identity.provider === provider && identity.subject === subject)),
+
+    findForUser: async (id, userId) => {
+      const stored = identityStore.get(id);
+      return stored && sameId(stored.user, userId) ? identityStore.toObject(stored) : null;
+    },
+
+    listForUser: async (userId) =>
+      sortBy(identityStore.filter((identity) => sameId(identity.user, userId)), 'createdAt').map((identity) => identityStore.toObject(identity)),
+
+    countForUser: async (userId) => identityStore.filter((identity) => sameId(identity.user, userId)).length,
+
+    update: async (id, changes) => {
+      const stored = identityStore.get(id);
+      return stored ? identityStore.toObject(identityStore.set(stored, changes)) : null;
+    },
+
+    delete: async (id) => {
+      identityStore.remove(id);
+    },
+
+    deleteForUser: async (userId) => identityStore.removeWhere((identity) => sameId(identity.user, userId)),
+  };
+
+  const magicLinkStore = createCollection();
+
+  const magicLinks = {
+    create: async (data) => magicLinkStore.toObject(magicLinkStore.insert({ browserHash: null, ...data })),
+
+    findByTokenHash: async (hash) => magicLinkStore.toObject(magicLinkStore.find((link) => link.tokenHash === hash)),
+
+    consume: async (id) => Boolean(magicLinkStore.get(id)) && magicLinkStore.remove(id),
+
+    deleteForUser: async (userId) => magicLinkStore.removeWhere((link) => sameId(link.user, userId)),
+  };
+
+  const oauthStateStore = createCollection();
+
+  const oauthStates = {
+    create: async (data) => oauthStateStore.toObject(oauthStateStore.insert({ mode: 'login', ...data })),
+
+    consume: async (state, provider) => {
+      const stored = oauthStateStore.find((entry) => entry.state === state && entry.provider === provider);
+      if (!stored) {
+        return null;
+      }
+      oauthStateStore.remove(stored._id);
+      return oauthStateStore.toObject(stored);
+    },
+  };
+
+  const passkeyStore = createCollection({ hidden: ['publicKey'] });
+
+  const passkeys = {
+    create: async (data) => {
+      if (passkeyStore.find((passkey) => passkey.credentialId === data.credentialId)) {
+        throw new Error('This passkey is already registered');
+      }
+      const stored = passkeyStore.insert({ signCount: 0, transports: [], name: 'Passkey', backedUp: false, ...data });
+      return passkeyStore.toObject(stored);
+    },
+
+    findByCredentialId: async (credentialId) =>
+      passkeyStore.toObject(passkeyStore.find((passkey) => passkey.credentialId === credentialId), ['publicKey']),
+
+    findForUser: async (id, userId) => {
+      const stored = passkeyStore.get(id);
+      return stored && sameId(stored.user, userId) ? passkeyStore.toObject(stored) : null;
+    },
+
+    listForUser: async (userId) =>
+      sortBy(passkeyStore.filter((passkey) => sameId(passkey.user, userId)), 'createdAt').map((passkey) => passkeyStore.toObject(passkey)),
+
+    countForUser: async (userId) => passkeyStore.filter((passkey) => sameId(passkey.user, userId)).length,
+
+    update: async (id, userId, changes) => {
+      const stored = passkeyStore.get(id);
+      return stored && sameId(stored.user, userId) ? passkeyStore.toObject(passkeyStore.set(stored, changes)) : null;
+    },
+
+    delete: async (id) => {
+      passkeyStore.remove(id);
+    },
+
+    deleteForUser: async (userId) => passkeyStore.removeWhere((passkey) => sameId(passkey.user, userId)),
+  };
+
+  const challengeStore = createCollection();
+
+  const webauthnChallenges = {
+    create: async (data) => challengeStore.toObject(challengeStore.insert({ user: null, ...data })),
+
+    consume: async (challenge, type, userId = null) => {
+      const now = new Date();
+      const stored = challengeStore.find(
+        (entry) => entry.challenge === challenge && entry.type === type && entry.expiresAt > now && (!userId || sameId(entry.user, userId))
+      );
+      return Boolean(stored) && challengeStore.remove(stored._id);
+    },
+  };
+
+  const failedLoginStore = new Map(); // emailHash -> { attempts, expiresAt }
+
+  const failedLogins = {
+    increment: async (emailHash, expiresAt) => {
+      const existing = failedLoginStore.get(emailHash);
+      const attempts = existing && existing.expiresAt > new Date() ? existing.attempts + 1 : 1;
+      failedLoginStore.set(emailHash, { attempts, expiresAt: new Date(expiresAt) });
+      return attempts;
+    },
+
+    delete: async (emailHash) => {
+      failedLoginStore.delete(emailHash);
+    },
+  };
+
+  const organizationStore = createCollection();
+
+  const organizations = {
+    create: async (data) => organizationStore.toObject(organizationStore.insert(data)),
+
+    findById: async (id) => organizationStore.toObject(organizationStore.get(id)),
+
+    findByIds: async (ids) => ids.map((id) => organizationStore.get(id)).filter(Boolean).map((stored) => organizationStore.toObject(stored)),
+
+    update: async (id, changes) => {
+      const stored = organizationStore.get(id);
+      return stored ? organizationStore.toObject(organizationStore.set(stored, changes)) : null;
+    },
+  };
+
+  const membershipStore = createCollection();
+
+  /**
+   * Find the stored membership of a user in an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} - Stored membership
+   */
+  const findStoredMembership = (organizationId, userId) =>
+    membershipStore.find((membership) => sameId(membership.organization, organizationId) && sameId(membership.user, userId));
+
+  const memberships = {
+    create: async (data) => {
+      if (findStoredMembership(data.organization, data.user)) {
+        return null;
+      }
+      return membershipStore.toObject(membershipStore.insert({ lastActiveAt: null, ...data }));
+    },
+
+    find: async (organizationId, userId) => membershipStore.toObject(findStoredMembership(organizationId, userId)),
+
+    findLastActive: async (userId) => {
+      const [last] = membershipStore
+        .filter((membership) => sameId(membership.user, userId))
+        .sort((a, b) => -compareValues(a.lastActiveAt, b.lastActiveAt) || compareValues(a.createdAt, b.createdAt));
+      return membershipStore.toObject(last);
+    },
+
+    listForUser: async (userId) =>
+      sortBy(membershipStore.filter((membership) => sameId(membership.user, userId)), 'createdAt').map((membership) =>
+        membershipStore.toObject(membership)
+      ),
+
+    listForOrganization: async (organizationId) =>
+      sortBy(membershipStore.filter((membership) => sameId(membership.organization, organizationId)), 'createdAt').map(
+        (membership) => membershipStore.toObject(membership)
+      ),
+
+    countWithRole: async (organizationId, role, { excludeId = null } = {}) =>
+      membershipStore.filter(
+        (membership) =>
+          sameId(membership.organization, organizationId) && membership.role === role && !sameId(membership._id, excludeId)
+      ).length,
+
+    update: async (id, changes) => {
+      const stored = membershipStore.get(id);
+      return stored ? membershipStore.toObject(membershipStore.set(stored, changes)) : null;
+    },
+
+    delete: async (id) => {
+      membershipStore.remove(id);
+    },
+
+    deleteForUser: async (userId) => membershipStore.removeWhere((membership) => sameId(membership.user, userId)),
+  };
+
+  /**
+   * Create the repository of one kind of invitation
+   * @param {Function} samePending - (stored, data) -> true if both are pending invitations for the same address
+   * @returns {Object} - { store, repository }
+   */
+  const createInvitationRepository = (samePending) => {
+    const store = createCollection({ hidden: ['tokenHash'] });
+
+    const repository = {
+      create: async (data) => {
+        if (store.find((stored) => stored.status === 'pending' && samePending(stored, data))) {
+          throw new Error('An invitation is already pending for this email');
+        }
+        return store.toObject(store.insert({ status: 'pending', ...data }));
+      },
+
+      findById: async (id) => store.toObject(store.get(id)),
+
+      findPendingByTokenHash: async (hash) => {
+        const now = new Date();
+        return store.toObject(store.find((stored) => stored.tokenHash === hash && stored.status === 'pending' && stored.expiresAt > now));
+      },
+
+      update: async (id, changes, { status }) => {
+        const stored = store.get(id);
+        return stored && stored.status === status ? store.toObject(store.set(stored, changes)) : null;
+      },
+
+      deleteForUser: async (userId, email) =>
+        store.removeWhere((stored) => stored.email === email || sameId(stored.user, userId) || sameId(stored.invitedBy, userId)),
+    };
+
+    return { store, repository };
+  };
+
+  const accountInvitations = createInvitationRepository((stored, data) => stored.email === data.email);
+
+  const invitations = {
+    ...accountInvitations.repository,
+
+    findPendingByEmail: async (email) =>
+      accountInvitations.store.toObject(accountInvitations.store.find((stored) => stored.email === email && stored.status === 'pending')),
+
+    list: async (status) =>
+      sortBy(accountInvitations.store.filter((stored) => stored.status === status), 'createdAt', -1).map((stored) =>
+        accountInvitations.store.toObject(stored)
+      ),
+  };
+
+  const memberInvitations = createInvitationRepository(
+    (stored, data) => stored.email === data.email && sameId(stored.organization, data.organization)
+  );
+
+  const organizationInvitations = {
+    ...memberInvitations.repository,
+
+    findPendingByEmail: async (organizationId, email) =>
+      memberInvitations.store.toObject(
+        memberInvitations.store.find(
+          (stored) => sameId(stored.organization, organizationId) && stored.email === email && stored.status === 'pending'
+        )
+      ),
+
+    listPending: async (organizationId) =>
+      sortBy(
+        memberInvitations.store.filter((stored) => sameId(stored.organization, organizationId) && stored.status === 'pending'),
+        'createdAt',
+        -1
+      ).map((stored) => memberInvitations.store.toObject(stored)),
+  };
+
+  return {
+    name: 'memory',
+    users,
+    sessions,
+    revokedTokens,
+    roles,
+    apiKeys,
+    auditEvents,
+    identities,
+    magicLinks,
+    oauthStates,
+    passkeys,
+    webauthnChallenges,
+    failedLogins,
+    organizations,
+    memberships,
+    invitations,
+    organizationInvitations,
+    migrate: async () => {},
+    // Drop everything (between tests)
+    clear: () => {
+      userStore.clear();
+      sessionStore.clear();
+      revokedStore.clear();
+      failedLoginStore.clear();
+      for (const store of [
+        roleStore,
+        apiKeyStore,
+        auditStore,
+        identityStore,
+        magicLinkStore,
+        oauthStateStore,
+        passkeyStore,
+        challengeStore,
+        organizationStore,
+        membershipStore,
+        accountInvitations.store,
+        memberInvitations.store,
+      ]) {
+        store.clear();
+      }
+    },
+  };
+};
+
+module.exports = {
+  createMemoryRepositories,
+};
@@ -0,0 +1,72 @@
+/**
+ * Users, their roles, sessions and revoked access tokens
+ * IDs are 24 hex characters (ObjectId format), as in MongoDB.
+ */
+
+/**
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('auth_users', (table) => {
+    table.string('id', 24).primary();
+    table.string('name', 50).notNullable();
+    table.string('email', 254).notNullable().unique();
+    table.string('password');
+    table.text('password_history'); // JSON array of bcrypt hashes, newest first
+    table.timestamp('password_changed_at', { useTz: true });
+    table.string('password_reset_token', 1024);
+    table.timestamp('password_reset_expires', { useTz: true });
+    table.boolean('is_active').notNullable().defaultTo(true);
+    table.boolean('password_reset_required').notNullable().defaultTo(false);
+    table.boolean('is_email_verified').notNullable().defaultTo(false);
+    table.integer('failed_login_attempts').notNullable().defaultTo(0);
+    table.timestamp('lock_until', { useTz: true });
+    table.boolean('two_factor_enabled').notNullable().defaultTo(false);
+    table.string('two_factor_secret');
+    table.text('two_factor_recovery_codes'); // JSON array of SHA-256 hashes
+    table.bigInteger('two_factor_last_used_step');
+    table.integer('token_version').notNullable().defaultTo(0);
+    table.timestamp('deleted_at', { useTz: true }).index();
+    table.timestamp('created_at', { useTz: true }).notNullable();
+    table.timestamp('updated_at', { useTz: true }).notNullable();
+    table.index(['created_at', 'id']);
+  });
+
+  await knex.schema.createTable('auth_user_roles', (table) => {
+    table.string('user_id', 24).notNullable().references('id').inTable('auth_users').onDelete('CASCADE');
+    table.string('role', 50).notNullable().index();
+    table.primary(['user_id', 'role']);
+  });
+
+  await knex.schema.createTable('auth_sessions', (table) => {
+    table.string('id', 24).primary();
+    table.string('user_id', 24).notNullable().index();
+    table.string('refresh_token_hash', 64);
+    table.string('user_agent', 1024).notNullable().defaultTo('');
+    table.string('ip', 64).notNullable().defaultTo('');
+    table.string('organization_id', 24);
+    table.timestamp('last_used_at', { useTz: true }).notNullable();
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+    table.timestamp('created_at', { useTz: true }).notNullable();
+    table.timestamp('updated_at', { useTz: true }).notNullable();
+  });
+
+  await knex.schema.createTable('auth_revoked_tokens', (table) => {
+    table.string('kind', 16).notNullable();
+    table.string('value', 64).notNullable();
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+    table.primary(['kind', 'value']);
+  });
+};
+
+/**
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+exports.down = async (knex) => {
+  await knex.schema.dropTable('auth_revoked_tokens');
+  await knex.schema.dropTable('auth_sessions');
+  await knex.schema.dropTable('auth_user_roles');
+  await knex.schema.dropTable('auth_users');
+};
@@ -0,0 +1,196 @@
+/**
+ * Roles, API keys, audit log, sign-in methods and their short-lived state,
+ * organizations and invitations (everything not in the first migration)
+ * References to users, organizations, ... hold their 24 hex character IDs.
+ */
+
+/**
+ * Add the created_at and updated_at columns
+ * @param {Object} table - Knex table builder
+ */
+const timestamps = (table) => {
+  table.timestamp('created_at', { useTz: true }).notNullable();
+  table.timestamp('updated_at', { useTz: true }).notNullable();
+};
+
+/**
+ * Add the columns both kinds of invitation share
+ * @param {Object} table - Knex table builder
+ */
+const invitationColumns = (table) => {
+  table.string('email', 254).notNullable();
+  table.string('invited_by_id', 24).notNullable();
+  table.string('token_hash', 64).notNullable().unique();
+  table.string('status', 16).notNullable().defaultTo('pending');
+  table.timestamp('expires_at', { useTz: true }).notNullable();
+  table.timestamp('sent_at', { useTz: true });
+  table.timestamp('accepted_at', { useTz: true });
+  table.string('user_id', 24);
+  table.timestamp('revoked_at', { useTz: true });
+  timestamps(table);
+};
+
+/**
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('auth_roles', (table) => {
+    table.string('id', 24).primary();
+    table.string('name', 50).notNullable().unique();
+    table.string('description', 200).notNullable().defaultTo('');
+    table.text('permissions').notNullable(); // JSON array
+    table.boolean('is_system').notNullable().defaultTo(false);
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_api_keys', (table) => {
+    table.string('id', 24).primary();
+    table.string('user_id', 24).notNullable().index();
+    table.string('name', 100).notNullable();
+    table.string('prefix', 64).notNullable();
+    table.string('key_hash', 64).notNullable().unique();
+    table.text('scopes').notNullable(); // JSON array
+    table.timestamp('expires_at', { useTz: true });
+    table.timestamp('last_used_at', { useTz: true });
+    table.string('last_used_ip', 64);
+    table.timestamp('revoked_at', { useTz: true });
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_audit_events', (table) => {
+    table.string('id', 24).primary();
+    table.string('action', 100).notNullable().index();
+    table.string('result', 16).notNullable().defaultTo('success');
+    table.string('actor_id', 24).index();
+    table.string('target_id', 24).index();
+    table.string('impersonator_id', 24).index();
+    table.string('ip', 64);
+    table.string('user_agent', 1024);
+    table.text('metadata'); // JSON
+    table.timestamp('created_at', { useTz: true }).notNullable().index();
+  });
+
+  await knex.schema.createTable('auth_linked_identities', (table) => {
+    table.string('id', 24).primary();
+    table.string('user_id', 24).notNullable().index();
+    table.string('provider', 50).notNullable();
+    table.string('subject', 255).notNullable();
+    table.string('email', 254);
+    table.timestamp('last_used_at', { useTz: true });
+    timestamps(table);
+    table.unique(['provider', 'subject']);
+  });
+
+  await knex.schema.createTable('auth_magic_links', (table) => {
+    table.string('id', 24).primary();
+    table.string('user_id', 24).notNullable().index();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('browser_hash', 64);
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_oauth_states', (table) => {
+    table.string('id', 24).primary();
+    table.string('state', 128).notNullable().unique();
+    table.string('provider', 50).notNullable();
+    table.string('code_verifier', 128).notNullable();
+    table.string('nonce', 128).notNullable();
+    table.string('mode', 16).notNullable().defaultTo('login');
+    table.string('user_id', 24);
+    table.string('browser_hash', 64).notNullable();
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_passkeys', (table) => {
+    table.string('id', 24).primary();
+    table.string('user_id', 24).notNullable().index();
+    table.string('credential_id', 1024).notNullable().unique();
+    table.binary('public_key').notNullable(); // COSE_Key as returned by the authenticator
+    table.bigInteger('sign_count').notNullable().defaultTo(0);
+    table.text('transports').notNullable(); // JSON array
+    table.string('name', 50).notNullable().defaultTo('Passkey');
+    table.string('aaguid', 36);
+    table.boolean('backed_up').notNullable().defaultTo(false);
+    table.timestamp('last_used_at', { useTz: true });
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_webauthn_challenges', (table) => {
+    table.string('id', 24).primary();
+    table.string('challenge', 128).notNullable().unique();
+    table.string('type', 16).notNullable();
+    table.string('user_id', 24);
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_failed_logins', (table) => {
+    table.string('email_hash', 64).primary();
+    table.integer('attempts').notNullable();
+    table.timestamp('expires_at', { useTz: true }).notNullable().index();
+  });
+
+  await knex.schema.createTable('auth_organizations', (table) => {
+    table.string('id', 24).primary();
+    table.string('name', 100).notNullable();
+    table.string('created_by_id', 24).notNullable();
+    timestamps(table);
+  });
+
+  await knex.schema.createTable('auth_memberships', (table) => {
+    table.string('id', 24).primary();
+    table.string('organization_id', 24).notNullable();
+    table.string('user_id', 24).notNullable().index();
+    table.string('role', 50).notNullable();
+    table.timestamp('last_active_at', { useTz: true });
+    timestamps(table);
+    table.unique(['organization_id', 'user_id']);
+  });
+
+  await knex.schema.createTable('auth_invitations', (table) => {
+    table.string('id', 24).primary();
+    table.text('roles').notNullable(); // JSON array of role names
+    invitationColumns(table);
+    table.index(['status', 'created_at']);
+  });
+
+  await knex.schema.createTable('auth_organization_invitations', (table) => {
+    table.string('id', 24).primary();
+    table.string('organization_id', 24).notNullable();
+    table.string('role', 50).notNullable();
+    invitationColumns(table);
+  });
+
+  // One pending invitation per email address (and organization); SQLite and PostgreSQL both support partial indexes
+  await knex.raw("CREATE UNIQUE INDEX auth_invitations_pending_email ON auth_invitations (email) WHERE status = 'pending'");
+  await knex.raw(
+    "CREATE UNIQUE INDEX auth_organization_invitations_pending_email ON auth_organization_invitations (organization_id, email) WHERE status = 'pending'"
+  );
+};
+
+/**
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+exports.down = async (knex) => {
+  for (const table of [
+    'auth_organization_invitations',
+    'auth_invitations',
+    'auth_memberships',
+    'auth_organizations',
+    'auth_failed_logins',
+    'auth_webauthn_challenges',
+    'auth_passkeys',
+    'auth_oauth_states',
+    'auth_magic_links',
+    'auth_linked_identities',
+    'auth_audit_events',
+    'auth_api_keys',
+    'auth_roles',
+  ]) {
+    await knex.schema.dropTable(table);
+  }
+};
@@ -0,0 +1,642 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const LinkedIdentity = require('../models/LinkedIdentity');
+const MagicLink = require('../models/MagicLink');
+const OAuthState = require('../models/OAuthState');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const FailedLogin = require('../models/FailedLogin');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+
+/**
+ * MongoDB storage adapter
+ * Users and sessions as Mongoose documents, every other collection as plain objects
+ * read with lean() (the default adapter)
+ */
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn a list of hidden fields into a Mongoose selection
+ * @param {Array<string>} select - Hidden fields to include
+ * @returns {string} - Selection (e.g. '+password +lockUntil')
+ */
+const toSelection = (select = []) => select.map((field) => `+${field}`).join(' ');
+
+/**
+ * Create a document and return it as a plain object
+ * @param {Object} Model - Mongoose model
+ * @param {Object} data - Fields
+ * @param {Array<string>} hidden - Fields left out of the result
+ * @returns {Promise<Object>} - Created object
+ */
+const createObject = async (Model, data, hidden = []) => {
+  const object = (await Model.create(data)).toObject();
+  for (const field of hidden) {
+    delete object[field];
+  }
+  return object;
+};
+
+/**
+ * Update a document by ID and return the result as a plain object
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter (must include _id)
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} - Updated object, or null if nothing matched
+ */
+const updateObject = async (Model, filter, changes) => {
+  if (!mongoose.isValidObjectId(filter._id)) {
+    return null;
+  }
+  return Model.findOneAndUpdate(filter, { $set: changes }, { new: true, runValidators: true }).lean();
+};
+
+/**
+ * Build the MongoDB filter for audit queries
+ * @param {Object} filters - { action, actor, target, impersonator, result, from, to }
+ * @returns {Object} - Query filter
+ */
+const buildAuditFilter = (filters) => {
+  const query = {};
+
+  for (const field of ['action', 'actor', 'target', 'impersonator', 'result']) {
+    if (filters[field]) {
+      query[field] = filters[field];
+    }
+  }
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) {
+      query.createdAt.$gte = filters.from;
+    }
+    if (filters.to) {
+      query.createdAt.$lte = filters.to;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Build the MongoDB filter for a user listing
+ * @param {Object} filters - { role, isActive, createdFrom, createdTo, deleted, search }
+ * @returns {Object} - Query filter
+ */
+const buildUserFilter = (filters) => {
+  const filter = {};
+
+  if (filters.role) {
+    filter.roles = filters.role;
+  }
+  if (filters.isActive !== undefined) {
+    filter.isActive = filters.isActive;
+  }
+  if (filters.createdFrom || filters.createdTo) {
+    filter.createdAt = {};
+    if (filters.createdFrom) {
+      filter.createdAt.$gte = filters.createdFrom;
+    }
+    if (filters.createdTo) {
+      filter.createdAt.$lte = filters.createdTo;
+    }
+  }
+  if (filters.deleted) {
+    // Filtering on deletedAt lifts the model's soft-delete exclusion
+    filter.deletedAt = { $ne: null };
+  }
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  return filter;
+};
+
+const users = {
+  findById: async (id, { select, withDeleted = false } = {}) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return User.findById(id).select(toSelection(select)).setOptions({ withDeleted });
+  },
+
+  findByEmail: async (email, { select, withDeleted = false } = {}) => {
+    return User.findOne({ email }).select(toSelection(select)).setOptions({ withDeleted });
+  },
+
+  findByIds: async (ids) => {
+    return User.find({ _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) } });
+  },
+
+  create: async (data) => User.create(data),
+
+  update: async (id, { set = {}, unset = [], inc = {} }, { select } = {}) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (unset.length > 0) update.$unset = Object.fromEntries(unset.map((field) => [field, 1]));
+    if (Object.keys(inc).length > 0) update.$inc = inc;
+
+    return User.findByIdAndUpdate(id, update, { new: true, runValidators: true }).select(toSelection(select));
+  },
+
+  list: async ({ filters = {}, sort, after = null, skip = 0, limit, fields = null }) => {
+    const filter = buildUserFilter(filters);
+    const pageFilter = { ...filter };
+
+    if (after) {
+      const operator = sort.direction === -1 ? '$lt' : '$gt';
+      const conditions = [
+        { [sort.field]: { [operator]: after.value } },
+        { [sort.field]: after.value, _id: { [operator]: after.id } },
+      ];
+
+      // Keep the search $or intact by combining both conditions
+      pageFilter.$and = [{ $or: conditions }];
+    }
+
+    let query = User.find(pageFilter)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .skip(skip)
+      .limit(limit);
+
+    if (fields) {
+      query = query.select(fields.join(' '));
+    }
+
+    const [results, total] = await Promise.all([query, User.countDocuments(filter)]);
+    return { users: results, total };
+  },
+
+  claimTwoFactorStep: async (id, step) => {
+    const result = await User.updateOne(
+      { _id: id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }] },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount === 1;
+  },
+
+  consumeRecoveryCode: async (id, hash) => {
+    const result = await User.updateOne({ _id: id, twoFactorRecoveryCodes: hash }, { $pull: { twoFactorRecoveryCodes: hash } });
+    return result.modifiedCount === 1;
+  },
+
+  countWithRole: async (role, { excludeId = null, activeOnly = false } = {}) => {
+    const filter = { roles: role };
+    if (excludeId) filter._id = { $ne: excludeId };
+    if (activeOnly) filter.isActive = true;
+
+    return User.countDocuments(filter);
+  },
+
+  restore: async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return User.findOneAndUpdate({ _id: id, deletedAt: { $ne: null } }, { $set: { deletedAt: null } }, { new: true });
+  },
+
+  findDeletedBefore: async (date) => {
+    const results = await User.find({ deletedAt: { $ne: null, $lte: date } }).select('_id');
+    return results.map((user) => user._id);
+  },
+
+  delete: async (id) => {
+    await User.deleteOne({ _id: id });
+  },
+};
+
+const sessions = {
+  newId: () => new mongoose.Types.ObjectId(),
+
+  create: async (data) => Session.create(data),
+
+  findForUser: async (id, userId, { withTokenHash = false } = {}) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Session.findOne({ _id: id, user: userId }).select(withTokenHash ? '+refreshTokenHash' : '');
+  },
+
+  rotate: async (id, presentedHash, changes) => {
+    const rotated = await Session.findOneAndUpdate({ _id: id, refreshTokenHash: presentedHash }, { $set: changes });
+    return Boolean(rotated);
+  },
+
+  update: async (id, userId, changes) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Session.findOneAndUpdate({ _id: id, user: userId }, { $set: changes }, { new: true });
+  },
+
+  listActive: async (userId) => {
+    return Session.find({ user: userId, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 }).lean();
+  },
+
+  delete: async (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+    const result = await Session.deleteOne({ _id: id, user: userId });
+    return result.deletedCount > 0;
+  },
+
+  deleteForUser: async (userId, { exceptId = null } = {}) => {
+    const filter = { user: userId };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    const sessionIds = await Session.find(filter).distinct('_id');
+    if (sessionIds.length > 0) {
+      await Session.deleteMany({ _id: { $in: sessionIds } });
+    }
+    return sessionIds;
+  },
+
+  clearOrganization: async (userId, organizationId) => {
+    await Session.updateMany({ user: userId, organization: organizationId }, { $set: { organization: null } });
+  },
+};
+
+const revokedTokens = {
+  add: async (kind, values, expiresAt) => {
+    await RevokedToken.bulkWrite(
+      values.map((value) => ({
+        updateOne: {
+          filter: { kind, value },
+          update: { $max: { expiresAt } },
+          upsert: true,
+        },
+      }))
+    );
+  },
+
+  // Expired entries are removed by the TTL index
+  listActive: async () => {
+    return RevokedToken.find({ expiresAt: { $gt: new Date() } }).select('kind value').lean();
+  },
+};
+
+const roles = {
+  list: async () => Role.find().sort({ name: 1 }).lean(),
+
+  findById: async (id) => (mongoose.isValidObjectId(id) ? Role.findById(id).lean() : null),
+
+  findByNames: async (names) => Role.find({ name: { $in: names } }).lean(),
+
+  create: async (data) => {
+    try {
+      return await createObject(Role, data);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        throw new Error('A role with this name already exists');
+      }
+      throw error;
+    }
+  },
+
+  update: async (id, changes) => updateObject(Role, { _id: id }, changes),
+
+  delete: async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+    const result = await Role.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  },
+
+  ensure: async ({ name, description, permissions }) => {
+    await Role.updateOne({ name }, { $setOnInsert: { description, permissions }, $set: { isSystem: true } }, { upsert: true });
+  },
+};
+
+const apiKeys = {
+  create: async (data) => createObject(ApiKey, data, ['keyHash']),
+
+  findActiveByHash: async (hash) => ApiKey.findOne({ keyHash: hash, revokedAt: null }).lean(),
+
+  recordUse: async (id, ip) => {
+    await ApiKey.updateOne({ _id: id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  },
+
+  list: async ({ userId = null, includeRevoked = false } = {}) => {
+    const query = {};
+    if (userId) query.user = userId;
+    if (!includeRevoked) query.revokedAt = null;
+
+    return ApiKey.find(query).sort({ createdAt: -1 }).lean();
+  },
+
+  revoke: async (id, { userId = null } = {}) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+
+    const query = { _id: id, revokedAt: null };
+    if (userId) query.user = userId;
+
+    const result = await ApiKey.updateOne(query, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount > 0;
+  },
+
+  deleteForUser: async (userId) => {
+    await ApiKey.deleteMany({ user: userId });
+  },
+};
+
+const auditEvents = {
+  create: async (data) => createObject(AuditEvent, data),
+
+  list: async (filters, { before = null, limit }) => {
+    const query = buildAuditFilter(filters);
+    if (before) query._id = { $lt: before };
+
+    return AuditEvent.find(query).sort({ _id: -1 }).limit(limit).lean();
+  },
+
+  stream: (filters) => AuditEvent.find(buildAuditFilter(filters)).sort({ _id: 1 }).lean().cursor(),
+};
+
+const identities = {
+  create: async (data) => createObject(LinkedIdentity, data),
+
+  findBySubject: async (provider, subject) => LinkedIdentity.findOne({ provider, subject }).lean(),
+
+  findForUser: async (id, userId) => (mongoose.isValidObjectId(id) ? LinkedIdentity.findOne({ _id: id, user: userId }).lean() : null),
+
+  listForUser: async (userId) => LinkedIdentity.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+
+  countForUser: async (userId) => LinkedIdentity.countDocuments({ user: userId }),
+
+  update: async (id, changes) => updateObject(LinkedIdentity, { _id: id }, changes),
+
+  delete: async (id) => {
+    await LinkedIdentity.deleteOne({ _id: id });
+  },
+
+  deleteForUser: async (userId) => {
+    await LinkedIdentity.deleteMany({ user: userId });
+  },
+};
+
+// Expired magic links, OAuth states and challenges are removed by their TTL indexes
+// (within a minute); reads check expiresAt themselves.
+const magicLinks = {
+  create: async (data) => createObject(MagicLink, data),
+
+  findByTokenHash: async (hash) => MagicLink.findOne({ tokenHash: hash }).lean(),
+
+  consume: async (id) => Boolean(await MagicLink.findOneAndDelete({ _id: id })),
+
+  deleteForUser: async (userId) => {
+    await MagicLink.deleteMany({ user: userId });
+  },
+};
+
+const oauthStates = {
+  create: async (data) => createObject(OAuthState, data),
+
+  consume: async (state, provider) => OAuthState.findOneAndDelete({ state, provider }).lean(),
+};
+
+const passkeys = {
+  create: async (data) => createObject(WebAuthnCredential, data, ['publicKey']),
+
+  findByCredentialId: async (credentialId) => {
+    // Not lean(): that would return the public key as a BSON Binary instead of a Buffer
+    const passkey = await WebAuthnCredential.findOne({ credentialId });
+    return passkey ? passkey.toObject() : null;
+  },
+
+  findForUser: async (id, userId) =>
+    mongoose.isValidObjectId(id) ? WebAuthnCredential.findOne({ _id: id, user: userId }).select('-publicKey').lean() : null,
+
+  listForUser: async (userId) => WebAuthnCredential.find({ user: userId }).select('-publicKey').sort({ createdAt: 1 }).lean(),
+
+  countForUser: async (userId) => WebAuthnCredential.countDocuments({ user: userId }),
+
+  update: async (id, userId, changes) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return WebAuthnCredential.findOneAndUpdate({ _id: id, user: userId }, { $set: changes }, { new: true, runValidators: true })
+      .select('-publicKey')
+      .lean();
+  },
+
+  delete: async (id) => {
+    await WebAuthnCredential.deleteOne({ _id: id });
+  },
+
+  deleteForUser: async (userId) => {
+    await WebAuthnCredential.deleteMany({ user: userId });
+  },
+};
+
+const webauthnChallenges = {
+  create: async (data) => createObject(WebAuthnChallenge, data),
+
+  consume: async (challenge, type, userId = null) => {
+    const query = { challenge, type, expiresAt: { $gt: new Date() } };
+    if (userId) query.user = userId;
+
+    return Boolean(await WebAuthnChallenge.findOneAndDelete(query));
+  },
+};
+
+const failedLogins = {
+  increment: async (emailHash, expiresAt) => {
+    // Counters the TTL index has not removed yet start over as well
+    const update = [
+      {
+        $set: {
+          attempts: { $cond: [{ $gt: ['$expiresAt', '$$NOW'] }, { $add: ['$attempts', 1] }, 1] },
+          expiresAt,
+        },
+      },
+    ];
+
+    let counter;
+    try {
+      counter = await FailedLogin.findOneAndUpdate({ emailHash }, update, { new: true, upsert: true }).lean();
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      // A parallel attempt created the counter first: count this one on it
+      counter = await FailedLogin.findOneAndUpdate({ emailHash }, update, { new: true }).lean();
+    }
+
+    return counter.attempts;
+  },
+
+  delete: async (emailHash) => {
+    await FailedLogin.deleteOne({ emailHash });
+  },
+};
+
+const organizations = {
+  create: async (data) => createObject(Organization, data),
+
+  findById: async (id) => (mongoose.isValidObjectId(id) ? Organization.findById(id).lean() : null),
+
+  findByIds: async (ids) => Organization.find({ _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) } }).lean(),
+
+  update: async (id, changes) => updateObject(Organization, { _id: id }, changes),
+};
+
+const memberships = {
+  create: async (data) => {
+    try {
+      return await createObject(Membership, data);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  find: async (organizationId, userId) => Membership.findOne({ organization: organizationId, user: userId }).lean(),
+
+  findLastActive: async (userId) => Membership.findOne({ user: userId }).sort({ lastActiveAt: -1, createdAt: 1 }).lean(),
+
+  listForUser: async (userId) => Membership.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+
+  listForOrganization: async (organizationId) => Membership.find({ organization: organizationId }).sort({ createdAt: 1 }).lean(),
+
+  countWithRole: async (organizationId, role, { excludeId = null } = {}) => {
+    const filter = { organization: organizationId, role };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return Membership.countDocuments(filter);
+  },
+
+  update: async (id, changes) => updateObject(Membership, { _id: id }, changes),
+
+  delete: async (id) => {
+    await Membership.deleteOne({ _id: id });
+  },
+
+  deleteForUser: async (userId) => {
+    await Membership.deleteMany({ user: userId });
+  },
+};
+
+/**
+ * Build the repository methods both kinds of invitation share
+ * @param {Object} Model - Invitation or OrganizationInvitation
+ * @returns {Object} - { create, findById, findPendingByTokenHash, update, deleteForUser }
+ */
+const invitationMethods = (Model) => ({
+  create: async (data) => {
+    try {
+      return await createObject(Model, data, ['tokenHash']);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        throw new Error('An invitation is already pending for this email');
+      }
+      throw error;
+    }
+  },
+
+  findById: async (id) => (mongoose.isValidObjectId(id) ? Model.findById(id).lean() : null),
+
+  findPendingByTokenHash: async (hash) => Model.findOne({ tokenHash: hash, status: 'pending', expiresAt: { $gt: new Date() } }).lean(),
+
+  update: async (id, changes, { status }) => updateObject(Model, { _id: id, status }, changes),
+
+  deleteForUser: async (userId, email) => {
+    await Model.deleteMany({ $or: [{ email }, { user: userId }, { invitedBy: userId }] });
+  },
+});
+
+const invitations = {
+  ...invitationMethods(Invitation),
+
+  findPendingByEmail: async (email) => Invitation.findOne({ email, status: 'pending' }).lean(),
+
+  list: async (status) => Invitation.find({ status }).sort({ createdAt: -1 }).lean(),
+};
+
+const organizationInvitations = {
+  ...invitationMethods(OrganizationInvitation),
+
+  findPendingByEmail: async (organizationId, email) =>
+    OrganizationInvitation.findOne({ organization: organizationId, email, status: 'pending' }).lean(),
+
+  listPending: async (organizationId) =>
+    OrganizationInvitation.find({ organization: organizationId, status: 'pending' }).sort({ createdAt: -1 }).lean(),
+};
+
+/**
+ * Startup migrations of data written by earlier versions. Safe to run on every startup.
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  // Bypass the schema: `role` is no longer part of it
+  await User.collection.updateMany(
+    { role: { $exists: true }, roles: { $exists: false } },
+    [{ $set: { roles: ['$role'] } }, { $unset: 'role' }]
+  );
+
+  // Start the password age of users created before passwordChangedAt existed at their creation date
+  // (bypassing the schema: deleted users and the pipeline update are both intended)
+  await User.collection.updateMany(
+    { password: { $exists: true }, passwordChangedAt: { $exists: false } },
+    [{ $set: { passwordChangedAt: '$createdAt' } }]
+  );
+
+  // Treat users created before email verification existed as verified, so a restricted
+  // or blocking UNVERIFIED_USER_POLICY does not lock them out (newer users always have the field)
+  await User.collection.updateMany({ isEmailVerified: { $exists: false } }, { $set: { isEmailVerified: true } });
+};
+
+/**
+ * Create the MongoDB repositories (uses the default mongoose connection)
+ * @returns {Object} - { name, users, sessions, ..., migrate }
+ */
+const createMongoRepositories = () => ({
+  name: 'mongo',
+  users,
+  sessions,
+  revokedTokens,
+  roles,
+  apiKeys,
+  auditEvents,
+  identities,
+  magicLinks,
+  oauthStates,
+  passkeys,
+  webauthnChallenges,
+  failedLogins,
+  organizations,
+  memberships,
+  invitations,
+  organizationInvitations,
+  migrate,
+});
+
+module.exports = {
+  createMongoRepositories,
+};
@@ -0,0 +1,1126 @@
+const path = require('path');
+const { UserRecord, USER_FIELDS, newId, buildNewUser, selectUserFields } = require('./userRecord');
+
+/**
+ * SQL storage adapter
+ * Every collection in SQL tables through a Knex instance
+ * (SQLite or PostgreSQL; see migrations/ for the schema).
+ * Expired sessions, denylist entries, links, challenges and counters are pruned by the adapter,
+ * as SQL has no TTL indexes.
+ */
+
+const MIGRATIONS = {
+  directory: path.join(__dirname, 'migrations'),
+  tableName: 'auth_kit_migrations',
+  loadExtensions: ['.js'],
+};
+
+const JSON_USER_FIELDS = ['passwordHistory', 'twoFactorRecoveryCodes'];
+const DATE_USER_FIELDS = ['passwordChangedAt', 'passwordResetExpires', 'lockUntil', 'deletedAt', 'createdAt', 'updatedAt'];
+const BOOLEAN_USER_FIELDS = ['isActive', 'passwordResetRequired', 'isEmailVerified', 'twoFactorEnabled'];
+const NUMBER_USER_FIELDS = ['failedLoginAttempts', 'twoFactorLastUsedStep', 'tokenVersion'];
+
+// Session field -> column
+const SESSION_COLUMNS = {
+  _id: 'id',
+  user: 'user_id',
+  refreshTokenHash: 'refresh_token_hash',
+  userAgent: 'user_agent',
+  ip: 'ip',
+  organization: 'organization_id',
+  lastUsedAt: 'last_used_at',
+  expiresAt: 'expires_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+// Fields holding the ID of another stored object; their columns end in _id
+const REFERENCE_FIELDS = ['user', 'organization', 'invitedBy', 'createdBy', 'actor', 'target', 'impersonator'];
+
+const INVITATION_FIELDS = ['email', 'invitedBy', 'tokenHash', 'status', 'expiresAt', 'sentAt', 'acceptedAt', 'user', 'revokedAt'];
+
+// Tables of the repositories besides users and sessions. Date fields end in "At";
+// `hidden` fields are left out of returned objects unless asked for.
+const TABLES = {
+  roles: {
+    table: 'auth_roles',
+    fields: ['name', 'description', 'permissions', 'isSystem'],
+    json: ['permissions'],
+    booleans: ['isSystem'],
+  },
+  apiKeys: {
+    table: 'auth_api_keys',
+    fields: ['user', 'name', 'prefix', 'keyHash', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt'],
+    json: ['scopes'],
+    hidden: ['keyHash'],
+  },
+  auditEvents: {
+    table: 'auth_audit_events',
+    fields: ['action', 'result', 'actor', 'target', 'impersonator', 'ip', 'userAgent', 'metadata'],
+    json: ['metadata'],
+    updatedAt: false,
+  },
+  identities: {
+    table: 'auth_linked_identities',
+    fields: ['user', 'provider', 'subject', 'email', 'lastUsedAt'],
+  },
+  magicLinks: {
+    table: 'auth_magic_links',
+    fields: ['user', 'tokenHash', 'browserHash', 'expiresAt'],
+  },
+  oauthStates: {
+    table: 'auth_oauth_states',
+    fields: ['state', 'provider', 'codeVerifier', 'nonce', 'mode', 'user', 'browserHash', 'expiresAt'],
+  },
+  passkeys: {
+    table: 'auth_passkeys',
+    fields: ['user', 'credentialId', 'publicKey', 'signCount', 'transports', 'name', 'aaguid', 'backedUp', 'lastUsedAt'],
+    json: ['transports'],
+    booleans: ['backedUp'],
+    numbers: ['signCount'],
+    hidden: ['publicKey'],
+  },
+  webauthnChallenges: {
+    table: 'auth_webauthn_challenges',
+    fields: ['challenge', 'type', 'user', 'expiresAt'],
+  },
+  organizations: {
+    table: 'auth_organizations',
+    fields: ['name', 'createdBy'],
+  },
+  memberships: {
+    table: 'auth_memberships',
+    fields: ['organization', 'user', 'role', 'lastActiveAt'],
+  },
+  invitations: {
+    table: 'auth_invitations',
+    fields: ['roles', ...INVITATION_FIELDS],
+    json: ['roles'],
+    hidden: ['tokenHash'],
+  },
+  organizationInvitations: {
+    table: 'auth_organization_invitations',
+    fields: ['organization', 'role', ...INVITATION_FIELDS],
+    hidden: ['tokenHash'],
+  },
+};
+
+// Rows read per query when streaming audit events
+const AUDIT_STREAM_BATCH = 500;
+
+/**
+ * Column name of a user field
+ * @param {string} field - Field name (e.g. lockUntil)
+ * @returns {string} - Column name (e.g. lock_until)
+ */
+const toColumn = (field) => (field === '_id' ? 'id' : field.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`));
+
+/**
+ * Convert a stored date (Date, ISO string or milliseconds, depending on the driver)
+ * @param {*} value - Column value
+ * @returns {Date|null} - Date
+ */
+const toDate = (value) => (value === null || value === undefined ? null : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value));
+
+/**
+ * Convert a user field value to its column value
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*} - Column value
+ */
+const toColumnValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (JSON_USER_FIELDS.includes(field)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * Convert a user row to stored user data
+ * @param {Object} row - auth_users row
+ * @param {Array<string>} roles - Role names
+ * @returns {Object} - User data
+ */
+const rowToUser = (row, roles) => {
+  const user = { roles };
+
+  for (const field of USER_FIELDS) {
+    const value = row[toColumn(field)];
+    if (field === 'roles' || value === null || value === undefined) {
+      continue;
+    }
+
+    if (JSON_USER_FIELDS.includes(field)) {
+      user[field] = JSON.parse(value);
+    } else if (DATE_USER_FIELDS.includes(field)) {
+      user[field] = toDate(value);
+    } else if (BOOLEAN_USER_FIELDS.includes(field)) {
+      user[field] = Boolean(value);
+    } else if (NUMBER_USER_FIELDS.includes(field)) {
+      user[field] = Number(value);
+    } else {
+      user[field] = value;
+    }
+  }
+
+  // Undeleted users carry deletedAt: null, as in MongoDB
+  user.deletedAt = user.deletedAt || null;
+  return user;
+};
+
+/**
+ * Convert a session row to session data
+ * @param {Object} row - auth_sessions row
+ * @param {boolean} withTokenHash - Include the refresh token hash
+ * @returns {Object} - Session data
+ */
+const rowToSession = (row, withTokenHash = false) => {
+  const session = {};
+
+  for (const [field, column] of Object.entries(SESSION_COLUMNS)) {
+    session[field] = field.endsWith('At') ? toDate(row[column]) : row[column];
+  }
+
+  if (!withTokenHash) {
+    delete session.refreshTokenHash;
+  }
+  return session;
+};
+
+/**
+ * Convert session fields to columns
+ * @param {Object} changes - Session fields
+ * @returns {Object} - Column values
+ */
+const sessionToRow = (changes) => {
+  const row = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (SESSION_COLUMNS[field]) {
+      row[SESSION_COLUMNS[field]] = value === undefined || value === null ? null : field.endsWith('At') ? value : value.toString();
+    }
+  }
+  return row;
+};
+
+/**
+ * Column name of a field of the other tables
+ * @param {string} field - Field name (e.g. invitedBy)
+ * @returns {string} - Column name (e.g. invited_by_id)
+ */
+const toTableColumn = (field) => (REFERENCE_FIELDS.includes(field) ? `${toColumn(field)}_id` : toColumn(field));
+
+/**
+ * Convert fields to the columns of a table
+ * @param {Object} spec - Table (see TABLES)
+ * @param {Object} data - Fields (unknown fields are ignored)
+ * @returns {Object} - Column values
+ */
+const toRow = (spec, data) => {
+  const row = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (!spec.fields.includes(field) && !['_id', 'createdAt', 'updatedAt'].includes(field)) {
+      continue;
+    }
+    if (value === undefined || value === null) {
+      row[toTableColumn(field)] = null;
+    } else if ((spec.json || []).includes(field)) {
+      row[toTableColumn(field)] = JSON.stringify(value);
+    } else if (REFERENCE_FIELDS.includes(field) || field === '_id') {
+      row[toTableColumn(field)] = value.toString();
+    } else {
+      row[toTableColumn(field)] = value;
+    }
+  }
+  return row;
+};
+
+/**
+ * Convert a row of a table to a plain object
+ * @param {Object} spec - Table (see TABLES)
+ * @param {Object} row - Row
+ * @param {Array<string>} include - Hidden fields to keep
+ * @returns {Object|null} - Object, or null without a row
+ */
+const fromRow = (spec, row, include = []) => {
+  if (!row) {
+    return null;
+  }
+
+  const object = { _id: row.id };
+  const fields = [...spec.fields, 'createdAt', ...(spec.updatedAt === false ? [] : ['updatedAt'])];
+
+  for (const field of fields) {
+    if ((spec.hidden || []).includes(field) && !include.includes(field)) {
+      continue;
+    }
+
+    const value = row[toTableColumn(field)];
+    if (value === null || value === undefined) {
+      object[field] = null;
+    } else if ((spec.json || []).includes(field)) {
+      object[field] = JSON.parse(value);
+    } else if (field.endsWith('At')) {
+      object[field] = toDate(value);
+    } else if ((spec.booleans || []).includes(field)) {
+      object[field] = Boolean(value);
+    } else if ((spec.numbers || []).includes(field)) {
+      object[field] = Number(value);
+    } else {
+      object[field] = value;
+    }
+  }
+  return object;
+};
+
+/**
+ * Add the audit query filters to a query
+ * @param {Object} query - Knex query builder
+ * @param {Object} filters - { action, actor, target, impersonator, result, from, to }
+ * @returns {Object} - Query
+ */
+const applyAuditFilters = (query, filters) => {
+  for (const field of ['action', 'actor', 'target', 'impersonator', 'result']) {
+    if (filters[field]) {
+      query.where(toTableColumn(field), filters[field].toString());
+    }
+  }
+  if (filters.from) {
+    query.where('created_at', '>=', filters.from);
+  }
+  if (filters.to) {
+    query.where('created_at', '<=', filters.to);
+  }
+  return query;
+};
+
+/**
+ * Escape LIKE wildcards
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string (escape character \)
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Create SQL repositories
+ * @param {Object} options - { knex } (a configured Knex instance)
+ * @returns {Object} - { name, knex, users, sessions, ..., migrate, destroy }
+ */
+const createSqlRepositories = ({ knex }) => {
+  if (!knex) {
+    throw new Error('The sql storage adapter needs a Knex instance');
+  }
+
+  /**
+   * Load the roles of users
+   * @param {Array<string>} ids - User IDs
+   * @returns {Promise<Map<string, Array<string>>>} - User ID -> role names
+   */
+  const loadRoles = async (ids) => {
+    const roles = new Map(ids.map((id) => [id, []]));
+    if (ids.length === 0) {
+      return roles;
+    }
+
+    const rows = await knex('auth_user_roles').whereIn('user_id', ids).orderBy('role');
+    for (const row of rows) {
+      roles.get(row.user_id).push(row.role);
+    }
+    return roles;
+  };
+
+  /**
+   * Turn rows into user records
+   * @param {Array<Object>} rows - auth_users rows
+   * @param {Object} options - { select, fields }
+   * @returns {Promise<Array<Object>>} - User records
+   */
+  const toRecords = async (rows, options) => {
+    const roles = await loadRoles(rows.map((row) => row.id));
+    return rows.map((row) => new UserRecord(selectUserFields(rowToUser(row, roles.get(row.id)), options), persistUser));
+  };
+
+  /**
+   * Write user fields (and roles) inside a transaction
+   * @param {Object} trx - Knex transaction
+   * @param {string} id - User ID
+   * @param {Object} changes - Field -> value (undefined clears the column)
+   * @returns {Promise<void>}
+   */
+  const writeUser = async (trx, id, changes) => {
+    const row = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (USER_FIELDS.includes(field) && field !== 'roles' && field !== '_id') {
+        row[toColumn(field)] = toColumnValue(field, value);
+      }
+    }
+
+    if (Object.keys(row).length > 0) {
+      await trx('auth_users').where({ id }).update(row);
+    }
+
+    if (changes.roles) {
+      await trx('auth_user_roles').where({ user_id: id }).delete();
+      if (changes.roles.length > 0) {
+        await trx('auth_user_roles').insert([...new Set(changes.roles)].map((role) => ({ user_id: id, role })));
+      }
+    }
+  };
+
+  /**
+   * Apply changes from UserRecord.save()
+   * @param {string} id - User ID
+   * @param {Object} changes - Field -> value (undefined clears the column)
+   * @returns {Promise<void>}
+   */
+  const persistUser = async (id, changes) => {
+    await knex.transaction((trx) => writeUser(trx, id.toString(), changes));
+  };
+
+  /**
+   * Query of users, without soft-deleted ones unless asked
+   * @param {boolean} withDeleted - Include soft-deleted users
+   * @returns {Object} - Knex query builder
+   */
+  const userQuery = (withDeleted = false) => {
+    const query = knex('auth_users');
+    return withDeleted ? query : query.whereNull('deleted_at');
+  };
+
+  /**
+   * Find one user
+   * @param {Object} where - Column conditions
+   * @param {Object} options - { select, withDeleted }
+   * @returns {Promise<Object|null>} - User record
+   */
+  const findUser = async (where, { select, withDeleted = false } = {}) => {
+    const row = await userQuery(withDeleted).where(where).first();
+    if (!row) {
+      return null;
+    }
+    const [record] = await toRecords([row], { select });
+    return record;
+  };
+
+  /**
+   * Add the listing filters to a query
+   * @param {Object} query - Knex query builder
+   * @param {Object} filters - { role, isActive, createdFrom, createdTo, deleted, search }
+   * @returns {Object} - Query
+   */
+  const applyFilters = (query, filters) => {
+    if (filters.deleted) {
+      query.whereNotNull('deleted_at');
+    } else {
+      query.whereNull('deleted_at');
+    }
+    if (filters.role) {
+      query.whereIn('id', knex('auth_user_roles').select('user_id').where({ role: filters.role }));
+    }
+    if (filters.isActive !== undefined) {
+      query.where('is_active', filters.isActive);
+    }
+    if (filters.createdFrom) {
+      query.where('created_at', '>=', filters.createdFrom);
+    }
+    if (filters.createdTo) {
+      query.where('created_at', '<=', filters.createdTo);
+    }
+    if (filters.search) {
+      const pattern = `%${escapeLike(filters.search.toLowerCase())}%`;
+      query.where((search) => {
+        search.whereRaw("LOWER(name) LIKE ? ESCAPE '\\'", [pattern]).orWhereRaw("LOWER(email) LIKE ? ESCAPE '\\'", [pattern]);
+      });
+    }
+    return query;
+  };
+
+  const users = {
+    findById: async (id, options) => (id ? findUser({ id: id.toString() }, options) : null),
+
+    findByEmail: async (email, options) => findUser({ email: email.trim().toLowerCase() }, options),
+
+    findByIds: async (ids) => {
+      if (ids.length === 0) {
+        return [];
+      }
+      const rows = await userQuery().whereIn('id', ids.map((id) => id.toString()));
+      return toRecords(rows);
+    },
+
+    create: async (data) => {
+      const user = await buildNewUser(data);
+
+      const existing = await knex('auth_users').where({ email: user.email }).first('id');
+      if (existing) {
+        throw new Error('Email already in use');
+      }
+
+      await knex.transaction(async (trx) => {
+        await trx('auth_users').insert({ id: user._id, name: user.name, email: user.email, created_at: user.createdAt, updated_at: user.updatedAt });
+        await writeUser(trx, user._id, user);
+      });
+
+      return users.findById(user._id);
+    },
+
+    update: async (id, { set = {}, unset = [], inc = {} }, { select } = {}) => {
+      const updated = await knex.transaction(async (trx) => {
+        const row = { updated_at: new Date() };
+        for (const [field, value] of Object.entries(set)) {
+          row[toColumn(field)] = toColumnValue(field, value);
+        }
+        for (const field of unset) {
+          row[toColumn(field)] = null;
+        }
+        for (const [field, by] of Object.entries(inc)) {
+          row[toColumn(field)] = trx.raw('COALESCE(??, 0) + ?', [toColumn(field), by]);
+        }
+
+        const count = await trx('auth_users').where({ id: id.toString() }).whereNull('deleted_at').update(row);
+        if (count > 0 && set.roles) {
+          await writeUser(trx, id.toString(), { roles: set.roles });
+        }
+        return count > 0;
+      });
+
+      return updated ? users.findById(id, { select }) : null;
+    },
+
+    list: async ({ filters = {}, sort, after = null, skip = 0, limit, fields = null }) => {
+      const column = toColumn(sort.field);
+      const direction = sort.direction === -1 ? 'desc' : 'asc';
+      const operator = sort.direction === -1 ? '<' : '>';
+
+      const query = applyFilters(knex('auth_users'), filters);
+      const countQuery = query.clone().count({ total: '*' }).first();
+
+      if (after) {
+        query.where((page) => {
+          page.where(column, operator, after.value).orWhere((tie) => {
+            tie.where(column, after.value).andWhere('id', operator, after.id);
+          });
+        });
+      }
+
+      const rows = await query.orderBy([{ column, order: direction }, { column: 'id', order: direction }]).offset(skip).limit(limit);
+      const { total } = await countQuery;
+
+      return { users: await toRecords(rows, { fields }), total: Number(total) };
+    },
+
+    claimTwoFactorStep: async (id, step) => {
+      const count = await userQuery()
+        .where({ id: id.toString() })
+        .where((query) => query.whereNull('two_factor_last_used_step').orWhere('two_factor_last_used_step', '<', step))
+        .update({ two_factor_last_used_step: step });
+      return count > 0;
+    },
+
+    consumeRecoveryCode: async (id, hash) => {
+      // The codes are one JSON column: swap it only while it still holds what was read,
+      // and read again when another code was used in between
+      for (;;) {
+        const row = await userQuery().where({ id: id.toString() }).first('two_factor_recovery_codes');
+        const codes = row && row.two_factor_recovery_codes ? JSON.parse(row.two_factor_recovery_codes) : [];
+        if (!codes.includes(hash)) {
+          return false;
+        }
+
+        const count = await knex('auth_users')
+          .where({ id: id.toString(), two_factor_recovery_codes: row.two_factor_recovery_codes })
+          .update({ two_factor_recovery_codes: JSON.stringify(codes.filter((code) => code !== hash)) });
+        if (count > 0) {
+          return true;
+        }
+      }
+    },
+
+    countWithRole: async (role, { excludeId = null, activeOnly = false } = {}) => {
+      const query = userQuery().whereIn('id', knex('auth_user_roles').select('user_id').where({ role }));
+      if (excludeId) query.whereNot('id', excludeId.toString());
+      if (activeOnly) query.where('is_active', true);
+
+      const { total } = await query.count({ total: '*' }).first();
+      return Number(total);
+    },
+
+    restore: async (id) => {
+      const count = await knex('auth_users')
+        .where({ id: id.toString() })
+        .whereNotNull('deleted_at')
+        .update({ deleted_at: null, updated_at: new Date() });
+      return count > 0 ? users.findById(id) : null;
+    },
+
+    findDeletedBefore: async (date) => {
+      const rows = await knex('auth_users').whereNotNull('deleted_at').where('deleted_at', '<=', date).select('id');
+      return rows.map((row) => row.id);
+    },
+
+    delete: async (id) => {
+      await knex.transaction(async (trx) => {
+        await trx('auth_user_roles').where({ user_id: id.toString() }).delete();
+        await trx('auth_users').where({ id: id.toString() }).delete();
+      });
+    },
+  };
+
+  /**
+   * Query of the live sessions of a user
+   * @param {string} userId - User ID
+   * @returns {Object} - Knex query builder
+   */
+  const liveSessions = (userId) => knex('auth_sessions').where({ user_id: userId.toString() }).where('expires_at', '>', new Date());
+
+  const sessions = {
+    newId,
+
+    create: async (data) => {
+      const now = new Date();
+      const row = sessionToRow({ userAgent: '', ip: '', lastUsedAt: now, ...data, createdAt: now, updatedAt: now });
+
+      // Keep the table small: drop this user's expired sessions on the way
+      await knex('auth_sessions').where({ user_id: row.user_id }).where('expires_at', '<=', now).delete();
+      await knex('auth_sessions').insert(row);
+
+      return sessions.findForUser(row.id, row.user_id);
+    },
+
+    findForUser: async (id, userId, { withTokenHash = false } = {}) => {
+      if (!id) {
+        return null;
+      }
+      const row = await liveSessions(userId).where({ id: id.toString() }).first();
+      return row ? rowToSession(row, withTokenHash) : null;
+    },
+
+    rotate: async (id, presentedHash, changes) => {
+      const count = await knex('auth_sessions')
+        .where({ id: id.toString(), refresh_token_hash: presentedHash })
+        .update({ ...sessionToRow(changes), updated_at: new Date() });
+      return count > 0;
+    },
+
+    update: async (id, userId, changes) => {
+      const count = await liveSessions(userId)
+        .where({ id: id.toString() })
+        .update({ ...sessionToRow(changes), updated_at: new Date() });
+      return count > 0 ? sessions.findForUser(id, userId) : null;
+    },
+
+    listActive: async (userId) => {
+      const rows = await liveSessions(userId).orderBy('last_used_at', 'desc');
+      return rows.map((row) => rowToSession(row));
+    },
+
+    delete: async (id, userId) => {
+      if (!id) {
+        return false;
+      }
+      const count = await knex('auth_sessions').where({ id: id.toString(), user_id: userId.toString() }).delete();
+      return count > 0;
+    },
+
+    deleteForUser: async (userId, { exceptId = null } = {}) => {
+      const query = knex('auth_sessions').where({ user_id: userId.toString() });
+      if (exceptId) query.whereNot('id', exceptId.toString());
+
+      const sessionIds = (await query.clone().select('id')).map((row) => row.id);
+      if (sessionIds.length > 0) {
+        await knex('auth_sessions').whereIn('id', sessionIds).delete();
+      }
+      return sessionIds;
+    },
+
+    clearOrganization: async (userId, organizationId) => {
+      await knex('auth_sessions')
+        .where({ user_id: userId.toString(), organization_id: organizationId.toString() })
+        .update({ organization_id: null, updated_at: new Date() });
+    },
+  };
+
+  const revokedTokens = {
+    add: async (kind, values, expiresAt) => {
+      for (const value of values) {
+        // Keep the later expiry when the entry exists
+        await knex('auth_revoked_tokens')
+          .insert({ kind, value, expires_at: expiresAt })
+          .onConflict(['kind', 'value'])
+          .merge(['expires_at'])
+          .where('auth_revoked_tokens.expires_at', '<', expiresAt);
+      }
+    },
+
+    listActive: async () => {
+      const now = new Date();
+      await knex('auth_revoked_tokens').where('expires_at', '<=', now).delete();
+      return knex('auth_revoked_tokens').select('kind', 'value');
+    },
+  };
+
+  /**
+   * Insert an object into a table, with a new ID and timestamps
+   * @param {Object} spec - Table (see TABLES)
+   * @param {Object} data - Fields
+   * @returns {Promise<Object>} - Stored object (column defaults applied)
+   */
+  const insertRow = async (spec, data) => {
+    const now = new Date();
+    const id = newId();
+    const timestamps = spec.updatedAt === false ? { createdAt: now } : { createdAt: now, updatedAt: now };
+
+    await knex(spec.table).insert(toRow(spec, { ...data, _id: id, ...timestamps }));
+    return fromRow(spec, await knex(spec.table).where({ id }).first());
+  };
+
+  /**
+   * Set fields of the rows matching a condition and read the first one back
+   * @param {Object} spec - Table (see TABLES)
+   * @param {Object} where - Column conditions (must include id)
+   * @param {Object} changes - Fields
+   * @returns {Promise<Object|null>} - Updated object, or null if nothing matched
+   */
+  const updateRow = async (spec, where, changes) => {
+    if (!where.id) {
+      return null;
+    }
+    const condition = { ...where, id: where.id.toString() };
+    const count = await knex(spec.table).where(condition).update({ ...toRow(spec, changes), updated_at: new Date() });
+    return count > 0 ? fromRow(spec, await knex(spec.table).where({ id: condition.id }).first()) : null;
+  };
+
+  /**
+   * Find one object by column conditions
+   * @param {Object} spec - Table (see TABLES)
+   * @param {Object} where - Column conditions
+   * @param {Array<string>} include - Hidden fields to keep
+   * @returns {Promise<Object|null>} - Object or null
+   */
+  const findRow = async (spec, where, include = []) => fromRow(spec, await knex(spec.table).where(where).first(), include);
+
+  /**
+   * Find the objects of a user, oldest first
+   * @param {Object} spec - Table (see TABLES)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} - Objects
+   */
+  const listForUser = async (spec, userId) => {
+    const rows = await knex(spec.table).where({ user_id: userId.toString() }).orderBy([{ column: 'created_at' }, { column: 'id' }]);
+    return rows.map((row) => fromRow(spec, row));
+  };
+
+  /**
+   * Count the objects of a user
+   * @param {Object} spec - Table (see TABLES)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Count
+   */
+  const countForUser = async (spec, userId) => {
+    const { total } = await knex(spec.table).where({ user_id: userId.toString() }).count({ total: '*' }).first();
+    return Number(total);
+  };
+
+  /**
+   * Delete the rows of a table whose expiry has passed
+   * @param {Object} spec - Table (see TABLES)
+   * @returns {Promise<void>}
+   */
+  const pruneExpired = async (spec) => {
+    await knex(spec.table).where('expires_at', '<=', new Date()).delete();
+  };
+
+  const roles = {
+    list: async () => {
+      const rows = await knex(TABLES.roles.table).orderBy('name');
+      return rows.map((row) => fromRow(TABLES.roles, row));
+    },
+
+    findById: async (id) => (id ? findRow(TABLES.roles, { id: id.toString() }) : null),
+
+    findByNames: async (names) => {
+      const rows = names.length > 0 ? await knex(TABLES.roles.table).whereIn('name', names) : [];
+      return rows.map((row) => fromRow(TABLES.roles, row));
+    },
+
+    create: async (data) => {
+      if (await knex(TABLES.roles.table).where({ name: data.name }).first('id')) {
+        throw new Error('A role with this name already exists');
+      }
+      return insertRow(TABLES.roles, { description: '', permissions: [], isSystem: false, ...data });
+    },
+
+    update: async (id, changes) => updateRow(TABLES.roles, { id }, changes),
+
+    delete: async (id) => {
+      const count = id ? await knex(TABLES.roles.table).where({ id: id.toString() }).delete() : 0;
+      return count > 0;
+    },
+
+    ensure: async ({ name, description, permissions }) => {
+      const now = new Date();
+      await knex(TABLES.roles.table)
+        .insert(toRow(TABLES.roles, { _id: newId(), name, description, permissions, isSystem: true, createdAt: now, updatedAt: now }))
+        .onConflict('name')
+        .merge({ is_system: true, updated_at: now });
+    },
+  };
+
+  const apiKeys = {
+    create: async (data) => insertRow(TABLES.apiKeys, { scopes: [], ...data }),
+
+    findActiveByHash: async (hash) => {
+      const row = await knex(TABLES.apiKeys.table).where({ key_hash: hash }).whereNull('revoked_at').first();
+      return fromRow(TABLES.apiKeys, row);
+    },
+
+    recordUse: async (id, ip) => {
+      await knex(TABLES.apiKeys.table)
+        .where({ id: id.toString() })
+        .update({ last_used_at: new Date(), last_used_ip: ip || null, updated_at: new Date() });
+    },
+
+    list: async ({ userId = null, includeRevoked = false } = {}) => {
+      const query = knex(TABLES.apiKeys.table);
+      if (userId) query.where({ user_id: userId.toString() });
+      if (!includeRevoked) query.whereNull('revoked_at');
+
+      const rows = await query.orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }]);
+      return rows.map((row) => fromRow(TABLES.apiKeys, row));
+    },
+
+    revoke: async (id, { userId = null } = {}) => {
+      const query = knex(TABLES.apiKeys.table).where({ id: id.toString() }).whereNull('revoked_at');
+      if (userId) query.where({ user_id: userId.toString() });
+
+      const count = await query.update({ revoked_at: new Date(), updated_at: new Date() });
+      return count > 0;
+    },
+
+    deleteForUser: async (userId) => {
+      await knex(TABLES.apiKeys.table).where({ user_id: userId.toString() }).delete();
+    },
+  };
+
+  const auditEvents = {
+    create: async (data) => insertRow(TABLES.auditEvents, data),
+
+    list: async (filters, { before = null, limit }) => {
+      const query = applyAuditFilters(knex(TABLES.auditEvents.table), filters);
+      if (before) query.where('id', '<', before.toString());
+
+      const rows = await query.orderBy('id', 'desc').limit(limit);
+      return rows.map((row) => fromRow(TABLES.auditEvents, row));
+    },
+
+    // Read in batches by ID, so an export never holds the whole log in memory
+    stream: async function* (filters) {
+      let after = null;
+      for (;;) {
+        const query = applyAuditFilters(knex(TABLES.auditEvents.table), filters);
+        if (after) query.where('id', '>', after);
+
+        const rows = await query.orderBy('id').limit(AUDIT_STREAM_BATCH);
+        for (const row of rows) {
+          yield fromRow(TABLES.auditEvents, row);
+        }
+        if (rows.length < AUDIT_STREAM_BATCH) {
+          return;
+        }
+        after = rows[rows.length - 1].id;
+      }
+    },
+  };
+
+  const identities = {
+    create: async (data) => {
+      if (await knex(TABLES.identities.table).where({ provider: data.provider, subject: data.subject }).first('id')) {
+        throw new Error('This provider account is already linked');
+      }
+      return insertRow(TABLES.identities, data);
+    },
+
+    findBySubject: async (provider, subject) => findRow(TABLES.identities, { provider, subject }),
+
+    findForUser: async (id, userId) => (id ? findRow(TABLES.identities, { id: id.toString(), user_id: userId.toString() }) : null),
+
+    listForUser: async (userId) => listForUser(TABLES.identities, userId),
+
+    countForUser: async (userId) => countForUser(TABLES.identities, userId),
+
+    update: async (id, changes) => updateRow(TABLES.identities, { id }, changes),
+
+    delete: async (id) => {
+      await knex(TABLES.identities.table).where({ id: id.toString() }).delete();
+    },
+
+    deleteForUser: async (userId) => {
+      await knex(TABLES.identities.table).where({ user_id: userId.toString() }).delete();
+    },
+  };
+
+  const magicLinks = {
+    create: async (data) => {
+      await pruneExpired(TABLES.magicLinks);
+      return insertRow(TABLES.magicLinks, data);
+    },
+
+    findByTokenHash: async (hash) => findRow(TABLES.magicLinks, { token_hash: hash }),
+
+    consume: async (id) => {
+      const count = await knex(TABLES.magicLinks.table).where({ id: id.toString() }).delete();
+      return count > 0;
+    },
+
+    deleteForUser: async (userId) => {
+      await knex(TABLES.magicLinks.table).where({ user_id: userId.toString() }).delete();
+    },
+  };
+
+  const oauthStates = {
+    create: async (data) => {
+      await pruneExpired(TABLES.oauthStates);
+      return insertRow(TABLES.oauthStates, { mode: 'login', ...data });
+    },
+
+    consume: async (state, provider) => {
+      const stored = await findRow(TABLES.oauthStates, { state, provider });
+      if (!stored) {
+        return null;
+      }
+      const count = await knex(TABLES.oauthStates.table).where({ id: stored._id }).delete();
+      return count > 0 ? stored : null;
+    },
+  };
+
+  const passkeys = {
+    create: async (data) => {
+      if (await knex(TABLES.passkeys.table).where({ credential_id: data.credentialId }).first('id')) {
+        throw new Error('This passkey is already registered');
+      }
+      return insertRow(TABLES.passkeys, { signCount: 0, transports: [], name: 'Passkey', backedUp: false, ...data });
+    },
+
+    findByCredentialId: async (credentialId) => findRow(TABLES.passkeys, { credential_id: credentialId }, ['publicKey']),
+
+    findForUser: async (id, userId) => (id ? findRow(TABLES.passkeys, { id: id.toString(), user_id: userId.toString() }) : null),
+
+    listForUser: async (userId) => listForUser(TABLES.passkeys, userId),
+
+    countForUser: async (userId) => countForUser(TABLES.passkeys, userId),
+
+    update: async (id, userId, changes) => updateRow(TABLES.passkeys, { id, user_id: userId.toString() }, changes),
+
+    delete: async (id) => {
+      await knex(TABLES.passkeys.table).where({ id: id.toString() }).delete();
+    },
+
+    deleteForUser: async (userId) => {
+      await knex(TABLES.passkeys.table).where({ user_id: userId.toString() }).delete();
+    },
+  };
+
+  const webauthnChallenges = {
+    create: async (data) => {
+      await pruneExpired(TABLES.webauthnChallenges);
+      return insertRow(TABLES.webauthnChallenges, data);
+    },
+
+    consume: async (challenge, type, userId = null) => {
+      const query = knex(TABLES.webauthnChallenges.table).where({ challenge, type }).where('expires_at', '>', new Date());
+      if (userId) query.where({ user_id: userId.toString() });
+
+      const count = await query.delete();
+      return count > 0;
+    },
+  };
+
+  const failedLogins = {
+    increment: async (emailHash, expiresAt) => {
+      // One statement, so parallel attempts are all counted; an expired counter starts over
+      const [row] = await knex('auth_failed_logins')
+        .insert({ email_hash: emailHash, attempts: 1, expires_at: expiresAt })
+        .onConflict('email_hash')
+        .merge({
+          attempts: knex.raw('CASE WHEN auth_failed_logins.expires_at > ? THEN auth_failed_logins.attempts + 1 ELSE 1 END', [new Date()]),
+          expires_at: expiresAt,
+        })
+        .returning('attempts');
+      return Number(row.attempts);
+    },
+
+    delete: async (emailHash) => {
+      await knex('auth_failed_logins').where({ email_hash: emailHash }).delete();
+    },
+  };
+
+  const organizations = {
+    create: async (data) => insertRow(TABLES.organizations, data),
+
+    findById: async (id) => (id ? findRow(TABLES.organizations, { id: id.toString() }) : null),
+
+    findByIds: async (ids) => {
+      if (ids.length === 0) {
+        return [];
+      }
+      const rows = await knex(TABLES.organizations.table).whereIn('id', ids.map((id) => id.toString()));
+      return rows.map((row) => fromRow(TABLES.organizations, row));
+    },
+
+    update: async (id, changes) => updateRow(TABLES.organizations, { id }, changes),
+  };
+
+  const memberships = {
+    create: async (data) => {
+      try {
+        return await insertRow(TABLES.memberships, data);
+      } catch (error) {
+        // Unique (organization, user): the user joined in the meantime
+        if (await memberships.find(data.organization, data.user)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    find: async (organizationId, userId) =>
+      findRow(TABLES.memberships, { organization_id: organizationId.toString(), user_id: userId.toString() }),
+
+    findLastActive: async (userId) => {
+      const row = await knex(TABLES.memberships.table)
+        .where({ user_id: userId.toString() })
+        // Memberships never switched to come last (written out: knex drops the column with `nulls` in a list)
+        .orderByRaw('CASE WHEN last_active_at IS NULL THEN 1 ELSE 0 END')
+        .orderBy([
+          { column: 'last_active_at', order: 'desc' },
+          { column: 'created_at', order: 'asc' },
+          { column: 'id', order: 'asc' },
+        ])
+        .first();
+      return fromRow(TABLES.memberships, row);
+    },
+
+    listForUser: async (userId) => listForUser(TABLES.memberships, userId),
+
+    listForOrganization: async (organizationId) => {
+      const rows = await knex(TABLES.memberships.table)
+        .where({ organization_id: organizationId.toString() })
+        .orderBy([{ column: 'created_at' }, { column: 'id' }]);
+      return rows.map((row) => fromRow(TABLES.memberships, row));
+    },
+
+    countWithRole: async (organizationId, role, { excludeId = null } = {}) => {
+      const query = knex(TABLES.memberships.table).where({ organization_id: organizationId.toString(), role });
+      if (excludeId) query.whereNot('id', excludeId.toString());
+
+      const { total } = await query.count({ total: '*' }).first();
+      return Number(total);
+    },
+
+    update: async (id, changes) => updateRow(TABLES.memberships, { id }, changes),
+
+    delete: async (id) => {
+      await knex(TABLES.memberships.table).where({ id: id.toString() }).delete();
+    },
+
+    deleteForUser: async (userId) => {
+      await knex(TABLES.memberships.table).where({ user_id: userId.toString() }).delete();
+    },
+  };
+
+  /**
+   * Build the repository methods both kinds of invitation share
+   * @param {Object} spec - Table (see TABLES)
+   * @param {Function} pendingFilter - (data) -> column conditions of a pending invitation for the same address
+   * @returns {Object} - { create, findById, findPendingByTokenHash, update, deleteForUser }
+   */
+  const invitationMethods = (spec, pendingFilter) => ({
+    create: async (data) => {
+      if (await knex(spec.table).where({ ...pendingFilter(data), status: 'pending' }).first('id')) {
+        throw new Error('An invitation is already pending for this email');
+      }
+      return insertRow(spec, { status: 'pending', ...data });
+    },
+
+    findById: async (id) => (id ? findRow(spec, { id: id.toString() }) : null),
+
+    findPendingByTokenHash: async (hash) => {
+      const row = await knex(spec.table).where({ token_hash: hash, status: 'pending' }).where('expires_at', '>', new Date()).first();
+      return fromRow(spec, row);
+    },
+
+    update: async (id, changes, { status }) => updateRow(spec, { id, status }, changes),
+
+    deleteForUser: async (userId, email) => {
+      await knex(spec.table)
+        .where({ email })
+        .orWhere({ user_id: userId.toString() })
+        .orWhere({ invited_by_id: userId.toString() })
+        .delete();
+    },
+  });
+
+  const invitations = {
+    ...invitationMethods(TABLES.invitations, (data) => ({ email: data.email })),
+
+    findPendingByEmail: async (email) => findRow(TABLES.invitations, { email, status: 'pending' }),
+
+    list: async (status) => {
+      const rows = await knex(TABLES.invitations.table)
+        .where({ status })
+        .orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }]);
+      return rows.map((row) => fromRow(TABLES.invitations, row));
+    },
+  };
+
+  const organizationInvitations = {
+    ...invitationMethods(TABLES.organizationInvitations, (data) => ({
+      organization_id: data.organization.toString(),
+      email: data.email,
+    })),
+
+    findPendingByEmail: async (organizationId, email) =>
+      findRow(TABLES.organizationInvitations, { organization_id: organizationId.toString(), email, status: 'pending' }),
+
+    listPending: async (organizationId) => {
+      const rows = await knex(TABLES.organizationInvitations.table)
+        .where({ organization_id: organizationId.toString(), status: 'pending' })
+        .orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }]);
+      return rows.map((row) => fromRow(TABLES.organizationInvitations, row));
+    },
+  };
+
+  return {
+    name: 'sql',
+    knex,
+    users,
+    sessions,
+    revokedTokens,
+    roles,
+    apiKeys,
+    auditEvents,
+    identities,
+    magicLinks,
+    oauthStates,
+    passkeys,
+    webauthnChallenges,
+    failedLogins,
+    organizations,
+    memberships,
+    invitations,
+    organizationInvitations,
+    // Create or upgrade the tables
+    migrate: async () => {
+      await knex.migrate.latest(MIGRATIONS);
+    },
+    destroy: async () => {
+      await knex.destroy();
+    },
+  };
+};
+
+module.exports = {
+  createSqlRepositories,
+};
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const permissionConfig = require('../config/permissions');
+
+/**
+ * User records for the non-Mongo adapters
+ * Behave like the Mongoose user documents the services are written against:
+ * hidden fields are only present when selected, save() hashes a changed password
+ * and bumps tokenVersion, comparePassword() and toJSON() work the same.
+ */
+
+// Fields left out of users unless selected (select: false in the Mongoose schema)
+const HIDDEN_USER_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'failedLoginAttempts',
+  'lockUntil',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+];
+
+// Fields never included in JSON output
+const SECRET_USER_FIELDS = [...HIDDEN_USER_FIELDS, 'tokenVersion'];
+
+const USER_FIELDS = [
+  '_id',
+  'name',
+  'email',
+  'passwordChangedAt',
+  'roles',
+  'isActive',
+  'passwordResetRequired',
+  'isEmailVerified',
+  'twoFactorEnabled',
+  'tokenVersion',
+  'deletedAt',
+  'createdAt',
+  'updatedAt',
+  ...HIDDEN_USER_FIELDS,
+];
+
+/**
+ * Create an ID in the ObjectId format, so users and sessions can still be
+ * referenced from the collections that live in MongoDB
+ * @returns {string} - 24 hex characters
+ */
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Hash a password the way the Mongoose model does
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Build the stored form of a new user, with the schema defaults applied and the password hashed
+ * @param {Object} data - User fields
+ * @returns {Promise<Object>} - User data
+ */
+const buildNewUser = async (data) => {
+  const now = new Date();
+
+  return {
+    roles: [permissionConfig.defaultUserRole],
+    isActive: true,
+    passwordResetRequired: false,
+    isEmailVerified: false,
+    failedLoginAttempts: 0,
+    twoFactorEnabled: false,
+    tokenVersion: 0,
+    deletedAt: null,
+    ...data,
+    _id: newId(),
+    name: data.name && data.name.trim(),
+    email: data.email && data.email.trim().toLowerCase(),
+    password: data.password ? await hashPassword(data.password) : undefined,
+    passwordChangedAt: data.password ? now : undefined,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Compare two stored values (dates and arrays by content)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date || Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+/**
+ * Copy a value so records never share arrays or dates with the store
+ * @param {*} value - Value
+ * @returns {*} - Copy
+ */
+const copyValue = (value) => {
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+  if (Array.isArray(value)) {
+    return [...value];
+  }
+  return value;
+};
+
+/**
+ * Pick the fields of a stored user that a query returns
+ * @param {Object} stored - Stored user data
+ * @param {Object} options - { select: hidden fields to include, fields: only these fields (plus _id) }
+ * @returns {Object} - User data
+ */
+const selectUserFields = (stored, { select = [], fields = null } = {}) => {
+  const names = fields
+    ? ['_id', ...fields]
+    : USER_FIELDS.filter((name) => !HIDDEN_USER_FIELDS.includes(name) || select.includes(name));
+
+  const data = {};
+  for (const name of names) {
+    if (stored[name] !== undefined) {
+      data[name] = copyValue(stored[name]);
+    }
+  }
+  return data;
+};
+
+class UserRecord {
+  #snapshot;
+
+  #persist;
+
+  /**
+   * @param {Object} data - Selected user fields
+   * @param {Function} persist - async (id, changes) => void, where changes maps fields to
+   *   new values (undefined removes the field)
+   */
+  constructor(data, persist) {
+    Object.assign(this, data);
+    this.#snapshot = { ...data };
+    this.#persist = persist;
+  }
+
+  /**
+   * Check whether a field differs from the stored value
+   * @param {string} name - Field name
+   * @returns {boolean} - True if changed since loading or the last save
+   */
+  isModified(name) {
+    return !sameValue(this[name], this.#snapshot[name]);
+  }
+
+  /**
+   * Store the changed fields
+   * A changed password is hashed, and a changed password or role set ends
+   * outstanding access tokens, like the Mongoose pre-save hooks.
+   * @returns {Promise<UserRecord>} - This record
+   */
+  async save() {
+    if (this.isModified('password') || this.isModified('roles')) {
+      this.tokenVersion = (this.#snapshot.tokenVersion || 0) + 1;
+    }
+
+    if (this.isModified('password') && this.password) {
+      this.password = await hashPassword(this.password);
+      this.passwordChangedAt = new Date();
+    }
+
+    const changes = {};
+    for (const name of USER_FIELDS) {
+      if (name !== '_id' && this.isModified(name)) {
+        changes[name] = copyValue(this[name]);
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.updatedAt = new Date();
+      changes.updatedAt = this.updatedAt;
+      await this.#persist(this._id, changes);
+    }
+
+    this.#snapshot = { ...this };
+    return this;
+  }
+
+  /**
+   * Compare provided password with hashed password
+   * @param {string} candidatePassword - Password to compare
+   * @returns {Promise<boolean>}
+   */
+  async comparePassword(candidatePassword) {
+    if (!this.password) {
+      return false;
+    }
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+
+  /**
+   * Copy of the fields
+   * @returns {Object} - Plain user data
+   */
+  toObject() {
+    return Object.fromEntries(Object.entries(this).map(([name, value]) => [name, copyValue(value)]));
+  }
+
+  /**
+   * Remove sensitive fields from JSON output
+   * @returns {Object} - Public user data
+   */
+  toJSON() {
+    const userObject = this.toObject();
+    for (const name of SECRET_USER_FIELDS) {
+      delete userObject[name];
+    }
+    return userObject;
+  }
+}
+
+module.exports = {
+  HIDDEN_USER_FIELDS,
+  USER_FIELDS,
+  UserRecord,
+  newId,
+  buildNewUser,
+  hashPassword,
+  copyValue,
+  selectUserFields,
+};
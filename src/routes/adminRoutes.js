@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { getAllKeys, adminDeleteKey } = require('../controllers/apiKeyController');
+const {
+  getRoles,
+  getRoleById,
+  createRoleHandler,
+  updateRoleHandler,
+  deleteRoleHandler,
+} = require('../controllers/roleController');
+const { getAuditEvents } = require('../controllers/auditController');
+const {
+  createInvitationHandler,
+  getInvitations,
+  resendInvitationHandler,
+  revokeInvitationHandler,
+} = require('../controllers/invitationController');
+const { startImpersonationHandler } = require('../controllers/impersonationController');
+const { authenticate, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/roleMiddleware');
+const { denyApiKey, denyImpersonation } = require('../middlewares/scopeMiddleware');
+
+/**
+ * Admin Routes
+ */
+
+// All admin routes require an interactive login of the admin themselves; each route checks its own permission
+router.use(authenticate, denyApiKey, denyImpersonation, requireVerifiedEmail);
+
+// API key oversight
+router.get('/api-keys', requirePermission('api-keys:read'), getAllKeys);
+router.delete('/api-keys/:id', requirePermission('api-keys:write'), adminDeleteKey);
+
+// Role management
+router.get('/roles', requirePermission('roles:read'), getRoles);
+router.get('/roles/:id', requirePermission('roles:read'), getRoleById);
+router.post('/roles', requirePermission('roles:write'), createRoleHandler);
+router.put('/roles/:id', requirePermission('roles:write'), updateRoleHandler);
+router.delete('/roles/:id', requirePermission('roles:write'), deleteRoleHandler);
+
+// Invitations
+router.get('/invitations', requirePermission('users:read'), getInvitations);
+router.post('/invitations', requirePermission('users:write'), createInvitationHandler);
+router.post('/invitations/:id/resend', requirePermission('users:write'), resendInvitationHandler);
+router.delete('/invitations/:id', requirePermission('users:write'), revokeInvitationHandler);
+
+// Impersonation (support staff acting as a user)
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), startImpersonationHandler);
+
+// Audit log
+router.get('/audit', requirePermission('audit:read'), getAuditEvents);
+
+module.exports = router;
@@ -3,12 +3,31 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactor,
   refresh,
   logout,
+  logoutAll,
+  verifyEmailHandler,
+  resendVerification,
+  unlockAccountHandler,
   forgotPassword,
   resetPasswordHandler,
+  getPasswordPolicy,
 } = require('../controllers/authController');
+const { acceptInvitationHandler } = require('../controllers/invitationController');
+const { switchOrganizationHandler } = require('../controllers/organizationController');
+const { endImpersonationHandler } = require('../controllers/impersonationController');
+const { startOAuthLogin, oauthCallback } = require('../controllers/oauthController');
+const { requestMagicLinkHandler, verifyMagicLinkHandler } = require('../controllers/magicLinkController');
+const {
+  registrationOptions,
+  registrationVerify,
+  authenticationOptions,
+  authenticationVerify,
+} = require('../controllers/webauthnController');
 const { authenticate } = require('../middlewares/authMiddleware');
+const { denyApiKey, denyImpersonation } = require('../middlewares/scopeMiddleware');
+const { requireCsrfToken } = require('../middlewares/csrfMiddleware');
 
 /**
  * Authentication Routes
@@ -17,12 +36,35 @@ const { authenticate } = require('../middlewares/authMiddleware');
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
-router.post('/refresh', refresh);
+router.post('/2fa/verify', verifyTwoFactor);
+router.post('/refresh', requireCsrfToken, refresh);
+router.get('/verify-email', verifyEmailHandler);
+router.post('/resend-verification', resendVerification);
+router.get('/unlock-account', unlockAccountHandler);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPasswordHandler);
+router.get('/password-policy', getPasswordPolicy);
+router.post('/invitations/accept', acceptInvitationHandler);
+
+// Passwordless sign-in by email link
+router.post('/magic-link', requestMagicLinkHandler);
+router.post('/magic-link/verify', verifyMagicLinkHandler);
+
+// Passkey sign-in
+router.post('/webauthn/login/options', authenticationOptions);
+router.post('/webauthn/login/verify', authenticationVerify);
+
+// OpenID Connect provider login
+router.get('/oauth/:provider', startOAuthLogin);
+router.get('/oauth/:provider/callback', oauthCallback);
 
 // Protected routes
-router.post('/logout', authenticate, logout);
+router.post('/logout', authenticate, denyApiKey, denyImpersonation, requireCsrfToken, logout);
+router.post('/logout-all', authenticate, denyApiKey, denyImpersonation, requireCsrfToken, logoutAll);
+router.post('/switch-organization', authenticate, denyApiKey, denyImpersonation, switchOrganizationHandler);
+router.post('/impersonation/end', authenticate, endImpersonationHandler);
+router.post('/webauthn/register/options', authenticate, denyApiKey, denyImpersonation, registrationOptions);
+router.post('/webauthn/register/verify', authenticate, denyApiKey, denyImpersonation, registrationVerify);
 
 module.exports = router;
 
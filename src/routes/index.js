@@ -0,0 +1,56 @@
+const express = require('express');
+const mongoSanitize = require('express-mongo-sanitize');
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const adminRoutes = require('./adminRoutes');
+const organizationRoutes = require('./organizationRoutes');
+const { createRateLimiters } = require('../middlewares/rateLimitMiddleware');
+const { getJwks } = require('../utils/keyStore');
+
+/**
+ * Auth kit router
+ * Every route of the kit, mounted under a prefix, with its body parsing,
+ * sanitization and rate limits, so it can be added to any Express app.
+ */
+
+/**
+ * Build the router
+ * @param {Object} options - { routePrefix, rateLimit }
+ * @returns {Object} - Express router
+ */
+const createRouter = ({ routePrefix = '/api', rateLimit: rateLimitEnabled = true } = {}) => {
+  const router = express.Router();
+  const apiPath = routePrefix || '/'; // An empty prefix mounts the routes at the root
+
+  // Body parser middleware
+  router.use(apiPath, express.json({ limit: '10mb' }));
+  router.use(apiPath, express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Data sanitization against NoSQL injection
+  router.use(apiPath, mongoSanitize());
+
+  if (rateLimitEnabled) {
+    // Rate limiting (rules and store in config/rateLimit.js)
+    for (const { path, limiter } of createRateLimiters(routePrefix)) {
+      router.use(path, limiter);
+    }
+  }
+
+  // Public signing keys so other services can verify access tokens
+  router.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getJwks());
+  });
+
+  // API routes
+  router.use(`${routePrefix}/auth`, authRoutes);
+  router.use(`${routePrefix}/users`, userRoutes);
+  router.use(`${routePrefix}/admin`, adminRoutes);
+  router.use(`${routePrefix}/organizations`, organizationRoutes);
+
+  return router;
+};
+
+module.exports = {
+  createRouter,
+};
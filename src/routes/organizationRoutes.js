@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganizationHandler,
+  getOrganizations,
+  getOrganization,
+  updateOrganizationHandler,
+  getMembers,
+  inviteMemberHandler,
+  getMemberInvitations,
+  revokeMemberInvitationHandler,
+  acceptMemberInvitationHandler,
+  updateMemberHandler,
+  removeMemberHandler,
+  leaveOrganizationHandler,
+} = require('../controllers/organizationController');
+const { authenticate, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { requireOrgPermission } = require('../middlewares/organizationMiddleware');
+const { denyApiKey } = require('../middlewares/scopeMiddleware');
+
+/**
+ * Organization Routes
+ * Routes under /:orgId check the user's role in that organization, not their global roles
+ */
+
+// All organization routes require an interactive login
+router.use(authenticate, denyApiKey, requireVerifiedEmail);
+
+// Organizations of the current user
+router.get('/', getOrganizations);
+router.post('/', createOrganizationHandler);
+router.post('/invitations/accept', acceptMemberInvitationHandler);
+router.get('/:orgId', requireOrgPermission('organization:read'), getOrganization);
+router.patch('/:orgId', requireOrgPermission('organization:write'), updateOrganizationHandler);
+router.post('/:orgId/leave', leaveOrganizationHandler);
+
+// Member management (organization admins and owners)
+router.get('/:orgId/members', requireOrgPermission('members:read'), getMembers);
+router.post('/:orgId/members', requireOrgPermission('members:write'), inviteMemberHandler);
+router.patch('/:orgId/members/:userId', requireOrgPermission('members:write'), updateMemberHandler);
+router.delete('/:orgId/members/:userId', requireOrgPermission('members:write'), removeMemberHandler);
+router.get('/:orgId/invitations', requireOrgPermission('members:read'), getMemberInvitations);
+router.delete('/:orgId/invitations/:invitationId', requireOrgPermission('members:write'), revokeMemberInvitationHandler);
+
+module.exports = router;
@@ -4,29 +4,91 @@ const {
   getProfile,
   updateProfile,
   changePassword,
+  getSessions,
+  deleteOtherSessions,
+  deleteSession,
   getAllUsers,
   getUserById,
   deleteUser,
+  restoreDeletedUser,
+  unlockUser,
+  adminUpdateUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
 } = require('../controllers/userController');
-const { authenticate } = require('../middlewares/authMiddleware');
-const { authorizeRoles } = require('../middlewares/roleMiddleware');
+const { enroll, confirm, disable } = require('../controllers/twoFactorController');
+const { getIdentities, startIdentityLink, deleteIdentity } = require('../controllers/oauthController');
+const { getPasskeys, updatePasskey, deletePasskey } = require('../controllers/webauthnController');
+const { createKey, getKeys, deleteKey } = require('../controllers/apiKeyController');
+const { setUserRolesHandler } = require('../controllers/roleController');
+const { authenticate, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/roleMiddleware');
+const { requireScope, denyApiKey, denyImpersonation } = require('../middlewares/scopeMiddleware');
 
 /**
  * User Routes
+ * API keys are only accepted on routes that declare a scope with requireScope.
+ * Impersonation tokens cannot manage the password, 2FA, credentials or sessions, or administer users.
  */
 
 // All user routes require authentication
 router.use(authenticate);
 
-// User profile routes (authenticated users)
-router.get('/profile', getProfile);
-router.put('/profile', updateProfile);
-router.put('/change-password', changePassword);
+// User profile routes (authenticated users, verified or not, so a mistyped email can be fixed)
+router.get('/profile', requireScope('profile:read'), getProfile);
+router.put('/profile', requireScope('profile:write'), updateProfile);
+router.put('/change-password', denyApiKey, denyImpersonation, changePassword);
 
-// Admin-only routes
-router.get('/', authorizeRoles('admin'), getAllUsers);
-router.get('/:id', authorizeRoles('admin'), getUserById);
-router.delete('/:id', authorizeRoles('admin'), deleteUser);
+// Session management (authenticated users)
+router.get('/sessions', denyApiKey, getSessions);
+router.delete('/sessions/others', denyApiKey, denyImpersonation, deleteOtherSessions);
+router.delete('/sessions/:id', denyApiKey, denyImpersonation, deleteSession);
 
-module.exports = router;
+// Linked provider accounts (authenticated users)
+router.get('/identities', denyApiKey, getIdentities);
+router.post('/identities/:provider', denyApiKey, denyImpersonation, startIdentityLink);
+router.delete('/identities/:id', denyApiKey, denyImpersonation, deleteIdentity);
+
+// Passkeys (authenticated users; registration is under /api/auth/webauthn)
+router.get('/passkeys', denyApiKey, getPasskeys);
+router.patch('/passkeys/:id', denyApiKey, denyImpersonation, updatePasskey);
+router.delete('/passkeys/:id', denyApiKey, denyImpersonation, deletePasskey);
+
+// API keys (authenticated users)
+router.get('/api-keys', denyApiKey, getKeys);
+router.post('/api-keys', denyApiKey, denyImpersonation, createKey);
+router.delete('/api-keys/:id', denyApiKey, denyImpersonation, deleteKey);
 
+// Two-factor authentication (verified users)
+router.post('/2fa/enroll', denyApiKey, denyImpersonation, requireVerifiedEmail, enroll);
+router.post('/2fa/confirm', denyApiKey, denyImpersonation, requireVerifiedEmail, confirm);
+router.post('/2fa/disable', denyApiKey, denyImpersonation, requireVerifiedEmail, disable);
+
+// User administration (permission-based, never through an impersonation token)
+router.get('/', requireScope('users:read'), denyImpersonation, requireVerifiedEmail, requirePermission('users:read'), getAllUsers);
+router.get('/:id', requireScope('users:read'), denyImpersonation, requireVerifiedEmail, requirePermission('users:read'), getUserById);
+router.patch('/:id', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:write'), adminUpdateUser);
+router.delete('/:id', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:delete'), deleteUser);
+router.post('/:id/restore', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:delete'), restoreDeletedUser);
+router.post('/:id/unlock', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:write'), unlockUser);
+router.post('/:id/deactivate', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:write'), deactivateUser);
+router.post('/:id/reactivate', requireScope('users:write'), denyImpersonation, requireVerifiedEmail, requirePermission('users:write'), reactivateUser);
+router.post(
+  '/:id/require-password-reset',
+  requireScope('users:write'),
+  denyImpersonation,
+  requireVerifiedEmail,
+  requirePermission('users:write'),
+  forcePasswordReset
+);
+router.put(
+  '/:id/roles',
+  denyApiKey,
+  denyImpersonation,
+  requireVerifiedEmail,
+  requirePermission('users:write', 'roles:write'),
+  setUserRolesHandler
+);
+
+module.exports = router;
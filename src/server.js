@@ -1,9 +1,16 @@
 require('dotenv').config();
-const app = require('./app');
-const connectDB = require('./config/database');
+const { createAuthKit } = require('./index');
+const createApp = require('./app');
 
-// Connect to database
-connectDB();
+// Configuration not passed here comes from the environment (see src/config)
+const authKit = createAuthKit({ mongoUri: process.env.MONGODB_URI });
+const app = createApp(authKit);
+
+// Connect to database, run the startup migrations, then start background jobs
+authKit.start().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
 
 // Get port from environment or use default
 const PORT = process.env.PORT || 5000;
@@ -27,4 +34,3 @@ process.on('uncaughtException', (err) => {
   console.error('Uncaught Exception:', err);
   process.exit(1);
 });
-
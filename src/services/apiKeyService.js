@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const { hashToken } = require('../utils/tokenGenerator');
+
+/**
+ * API key service
+ * Creates, verifies and revokes personal API keys
+ */
+
+// lastUsedAt is only written once per minute per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Create an API key
+ * @param {string} userId - User ID
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} - { apiKey, key } (the plain key is only available here)
+ */
+const createApiKey = async (userId, data) => {
+  const prefix = `${authConfig.apiKeyPrefix}_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await repositories.apiKeys.create({
+    user: userId,
+    name: data.name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes: data.scopes,
+    expiresAt: data.expiresAt,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Find the active API key matching a presented key and record its use
+ * @param {string} key - API key from the Authorization header
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object|null>} - API key, or null if unknown, revoked or expired
+ */
+const verifyApiKey = async (key, context = {}) => {
+  const apiKey = await repositories.apiKeys.findActiveByHash(hashToken(key));
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await repositories.apiKeys.recordUse(apiKey._id, context.ip);
+  }
+
+  return apiKey;
+};
+
+/**
+ * List the API keys of a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - API keys
+ */
+const listApiKeys = async (userId) => {
+  return repositories.apiKeys.list({ userId });
+};
+
+/**
+ * List API keys across all users (admin view)
+ * @param {Object} filters - { userId, includeRevoked }
+ * @returns {Promise<Array>} - API keys with owner name and email
+ */
+const listAllApiKeys = async (filters = {}) => {
+  const apiKeys = await repositories.apiKeys.list({ userId: filters.userId, includeRevoked: filters.includeRevoked });
+  return repositories.populateUsers(apiKeys, 'user');
+};
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - API key ID
+ * @param {string} userId - Owner ID (omit for admin revocation of any key)
+ * @returns {Promise<boolean>} - True if a key was revoked
+ */
+const revokeApiKey = async (keyId, userId = null) => {
+  if (!mongoose.isValidObjectId(keyId)) {
+    return false;
+  }
+
+  return repositories.apiKeys.revoke(keyId, { userId });
+};
+
+module.exports = {
+  createApiKey,
+  verifyApiKey,
+  listApiKeys,
+  listAllApiKeys,
+  revokeApiKey,
+};
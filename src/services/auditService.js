@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * Audit service
+ * Records security events, hands them to registered hooks and reads them back for review
+ */
+
+// Action (or '*' for every action) -> hook functions, see setEventHooks
+let eventHooks = {};
+
+/**
+ * Register functions called with every recorded event of an action
+ * (e.g. { 'auth.register': sendToCrm, '*': forwardToSiem })
+ * @param {Object} hooks - Action name or '*' -> function(event)
+ */
+const setEventHooks = (hooks = {}) => {
+  eventHooks = hooks;
+};
+
+/**
+ * Run the hooks registered for an event
+ * A failing hook is logged and must not break the request being audited.
+ * @param {Object} event - Recorded audit event
+ * @returns {Promise<void>}
+ */
+const runEventHooks = async (event) => {
+  for (const hook of [eventHooks[event.action], eventHooks['*']]) {
+    if (!hook) {
+      continue;
+    }
+    try {
+      await hook(event);
+    } catch (error) {
+      console.error(`Audit hook for ${event.action} failed:`, error.message);
+    }
+  }
+};
+
+/**
+ * Record an audit event
+ * Never throws: a failing audit write is logged and must not break the request being audited.
+ * @param {Object} event - { action, result, actor, target, context, metadata }
+ * @returns {Promise<void>}
+ */
+const recordAuditEvent = async ({ action, result = 'success', actor = null, target = null, context = {}, metadata }) => {
+  try {
+    const event = await repositories.auditEvents.create({
+      action,
+      result,
+      actor: mongoose.isValidObjectId(actor) ? actor : null,
+      target: mongoose.isValidObjectId(target) ? target : null,
+      impersonator: context.impersonator || null,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      metadata,
+    });
+
+    await runEventHooks(event);
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error.message);
+  }
+};
+
+/**
+ * Record an audit event for an authenticated request
+ * The actor, client context and API key (if any) are taken from the request.
+ * While an admin impersonates a user, the admin is the actor.
+ * @param {Object} req - Express request object
+ * @param {Object} event - { action, result, target, metadata }
+ * @returns {Promise<void>}
+ */
+const recordRequestEvent = async (req, { action, result, target, metadata }) => {
+  let details = req.apiKey ? { ...metadata, apiKeyId: req.apiKey._id } : metadata;
+  if (req.impersonator) {
+    details = { ...details, impersonating: req.user._id };
+  }
+
+  const actor = req.impersonator || req.user;
+
+  await recordAuditEvent({
+    action,
+    result,
+    actor: actor ? actor._id : null,
+    target,
+    context: getRequestContext(req),
+    metadata: details,
+  });
+};
+
+/**
+ * List audit events, newest first, one page at a time
+ * @param {Object} filters - { action, actor, target, result, from, to, limit, cursor }
+ * @returns {Promise<Object>} - { events, nextCursor }
+ */
+const listAuditEvents = async (filters) => {
+  // Cursor is the ID of the last event of the previous page
+  const results = await repositories.auditEvents.list(filters, { before: filters.cursor, limit: filters.limit + 1 });
+
+  const hasMore = results.length > filters.limit;
+  const events = hasMore ? results.slice(0, filters.limit) : results;
+
+  return {
+    events,
+    nextCursor: hasMore ? events[events.length - 1]._id.toString() : null,
+  };
+};
+
+/**
+ * Stream every audit event matching the filters, oldest first (for exports)
+ * @param {Object} filters - { action, actor, target, result, from, to }
+ * @returns {Object} - Async iterable of events
+ */
+const streamAuditEvents = (filters) => {
+  return repositories.auditEvents.stream(filters);
+};
+
+module.exports = {
+  setEventHooks,
+  recordAuditEvent,
+  recordRequestEvent,
+  listAuditEvents,
+  streamAuditEvents,
+};
@@ -1,11 +1,40 @@
-const User = require('../models/User');
+const ms = require('ms');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
 const {
-  generateAccessToken,
-  generateRefreshToken,
   generatePasswordResetToken,
+  generateEmailVerificationToken,
+  generateMfaToken,
+  generateMagicLinkToken,
   verifyRefreshToken,
   verifyPasswordResetToken,
+  verifyEmailVerificationToken,
+  verifyMfaToken,
+  verifyMagicLinkToken,
+  hashToken,
 } = require('../utils/tokenGenerator');
+const {
+  createSession,
+  findSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('./sessionService');
+const { findUserWithTwoFactor, verifySecondFactor } = require('./twoFactorService');
+const { verifyAuthentication } = require('./webauthnService');
+const { acceptInvitation } = require('./invitationService');
+const { assertPasswordAllowed, setPassword, isPasswordExpired } = require('./passwordPolicyService');
+const {
+  isAccountLocked,
+  checkDummyPassword,
+  delayFailedLogin,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+} = require('./lockoutService');
+const { revokeAccessToken, revokeAllAccessTokens } = require('./tokenRevocationService');
+const { recordAuditEvent } = require('./auditService');
 
 /**
  * Authentication service
@@ -13,104 +42,521 @@ const {
  */
 
 /**
- * Register a new user
- * @param {Object} userData - User registration data
- * @returns {Promise<Object>} - User object with tokens
+ * Create and store a password reset token for a user
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - Password reset token
  */
-const registerUser = async (userData) => {
-  // Check if user already exists
-  const existingUser = await User.findOne({ email: userData.email });
-  if (existingUser) {
-    throw new Error('User with this email already exists');
-  }
-
-  // Create new user
-  const user = await User.create(userData);
-
-  // Generate tokens
+const issuePasswordResetToken = async (user) => {
   const tokenPayload = {
     userId: user._id.toString(),
     email: user.email,
-    role: user.role,
   };
 
-  const accessToken = generateAccessToken(tokenPayload);
-  const refreshToken = generateRefreshToken(tokenPayload);
+  const resetToken = generatePasswordResetToken(tokenPayload);
 
-  // Save refresh token to database
-  user.refreshToken = refreshToken;
+  // Save reset token to database
+  user.passwordResetToken = resetToken;
+  user.passwordResetExpires = new Date(Date.now() + ms(jwtConfig.passwordResetExpiry));
   await user.save({ validateBeforeSave: false });
 
+  return resetToken;
+};
+
+/**
+ * Record a failed sign-in attempt in the audit log
+ * @param {string} reason - Why the attempt failed (e.g. invalid_password)
+ * @param {Object} details - { user, email, method, context }
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (reason, { user = null, email, method = 'password', context = {} }) => {
+  await recordAuditEvent({
+    action: 'auth.login',
+    result: 'failure',
+    target: user ? user._id : null,
+    context,
+    metadata: { method, email: email || (user && user.email), reason },
+  });
+};
+
+/**
+ * Start a session for a user who has completed sign-in
+ * When an administrator has required a new password, or the password has expired,
+ * no session is started: a password reset token is returned instead.
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @param {string} method - How the user signed in, for the audit log
+ * @returns {Promise<Object>} - User object with tokens, or { passwordResetRequired, resetToken }
+ */
+const signInUser = async (user, context = {}, method = 'password') => {
+  const passwordExpired = isPasswordExpired(user);
+
+  if (user.passwordResetRequired || passwordExpired) {
+    await recordAuditEvent({
+      action: 'auth.login',
+      actor: user._id,
+      target: user._id,
+      context,
+      metadata: { method, passwordResetRequired: true, passwordExpired },
+    });
+
+    return {
+      passwordResetRequired: true,
+      resetToken: await issuePasswordResetToken(user),
+    };
+  }
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await createSession(user, context);
+
+  await recordAuditEvent({ action: 'auth.login', actor: user._id, target: user._id, context, metadata: { method } });
+
   // Return user data with tokens
   return {
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role,
+      roles: user.roles,
     },
     accessToken,
     refreshToken,
   };
 };
 
+/**
+ * Generate an email verification token for the user's current address
+ * @param {Object} user - User document
+ * @returns {string} - Email verification token
+ */
+const generateEmailVerification = (user) => {
+  return generateEmailVerificationToken({
+    userId: user._id.toString(),
+    email: user.email,
+  });
+};
+
+/**
+ * Finish a successful first factor (password or external provider)
+ * Asks for the second factor when 2FA is enabled, otherwise starts a session.
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @param {string} method - How the first factor was proven, for the audit log
+ * @returns {Promise<Object>} - User object with tokens, or { mfaRequired, mfaToken } when 2FA is enabled
+ */
+const completeFirstFactor = async (user, context = {}, method = 'password') => {
+  // The failed attempt counter is only cleared once the second factor succeeds
+  if (user.twoFactorEnabled) {
+    return {
+      mfaRequired: true,
+      mfaToken: generateMfaToken({ userId: user._id.toString() }),
+    };
+  }
+
+  await clearFailedLogins(user);
+
+  return signInUser(user, context, method);
+};
+
+/**
+ * Register a new user
+ * When unverified users are blocked from logging in, no session is started.
+ * @param {Object} userData - User registration data
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens and email verification token
+ */
+const registerUser = async (userData, context = {}) => {
+  // Check if user already exists
+  // Soft-deleted accounts keep their email address until they are purged
+  const existingUser = await repositories.users.findByEmail(userData.email, { withDeleted: true });
+  if (existingUser) {
+    throw new Error('User with this email already exists');
+  }
+
+  await assertPasswordAllowed(userData.password, userData);
+
+  // Create new user
+  const user = await repositories.users.create(userData);
+  const verificationToken = generateEmailVerification(user);
+
+  await recordAuditEvent({ action: 'auth.register', actor: user._id, target: user._id, context });
+
+  if (authConfig.unverifiedUserPolicy === 'block') {
+    return {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+      },
+      verificationToken,
+    };
+  }
+
+  const result = await signInUser(user, context, 'register');
+
+  return { ...result, verificationToken };
+};
+
+/**
+ * Register the account of an invited user and sign them in
+ * @param {string} token - Invitation token
+ * @param {Object} data - { name, password }
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens
+ */
+const registerWithInvitation = async (token, data, context = {}) => {
+  const { user, invitation } = await acceptInvitation(token, data);
+
+  await recordAuditEvent({
+    action: 'auth.register',
+    actor: user._id,
+    target: user._id,
+    context,
+    metadata: { invitationId: invitation._id, invitedBy: invitation.invitedBy },
+  });
+
+  return signInUser(user, context, 'invitation');
+};
+
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Promise<Object>} - User object with tokens
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens, or { mfaRequired, mfaToken } when 2FA is enabled
  */
-const loginUser = async (email, password) => {
-  // Find user and include password field
-  const user = await User.findOne({ email }).select('+password');
+const loginUser = async (email, password, context = {}) => {
+  // Find user and include password and lockout fields
+  const user = await repositories.users.findByEmail(email, { select: ['password', 'failedLoginAttempts', 'lockUntil'] });
 
+  // Unknown and locked accounts get the same message, password check and delay
+  // as a wrong password, so neither the response nor its timing reveals the account
   if (!user) {
+    await recordLoginFailure('unknown_account', { email, context });
+    await checkDummyPassword(password);
+    await delayFailedLogin(email);
+    throw new Error('Invalid email or password');
+  }
+
+  if (isAccountLocked(user)) {
+    await recordLoginFailure('account_locked', { user, context });
+    await checkDummyPassword(password);
+    await delayFailedLogin(user.email);
     throw new Error('Invalid email or password');
   }
 
   if (!user.isActive) {
+    await recordLoginFailure('account_deactivated', { user, context });
     throw new Error('Account is deactivated. Please contact support.');
   }
 
   // Verify password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await recordLoginFailure('invalid_password', { user, context });
+    await recordFailedLogin(user, context);
     throw new Error('Invalid email or password');
   }
 
-  // Generate tokens
-  const tokenPayload = {
-    userId: user._id.toString(),
-    email: user.email,
-    role: user.role,
-  };
+  if (authConfig.unverifiedUserPolicy === 'block' && !user.isEmailVerified) {
+    await recordLoginFailure('email_unverified', { user, context });
+    throw new Error('Please verify your email address before logging in.');
+  }
 
-  const accessToken = generateAccessToken(tokenPayload);
-  const refreshToken = generateRefreshToken(tokenPayload);
+  return completeFirstFactor(user, context, 'password');
+};
 
-  // Save refresh token to database
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+/**
+ * Login (or register) with an external OpenID Connect provider
+ * Unknown provider accounts create a new user, unless the email already belongs to one:
+ * that user has to sign in and link the provider from their profile instead.
+ * @param {string} provider - Provider name
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens, or { mfaRequired, mfaToken } when 2FA is enabled
+ */
+const loginWithOAuth = async (provider, claims, context = {}) => {
+  const identity = await repositories.identities.findBySubject(provider, claims.sub);
 
-  // Return user data with tokens
-  return {
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-    },
-    accessToken,
-    refreshToken,
-  };
+  let user;
+  if (identity) {
+    user = await repositories.users.findById(identity.user, { select: ['failedLoginAttempts', 'lockUntil'] });
+
+    if (!user) {
+      throw new Error('The account linked to this identity no longer exists');
+    }
+
+    await repositories.identities.update(identity._id, { lastUsedAt: new Date() });
+  } else {
+    const email = claims.email ? claims.email.toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    if (!email || !emailVerified) {
+      throw new Error('The provider did not return a verified email address');
+    }
+
+    const existingUser = await repositories.users.findByEmail(email, { withDeleted: true });
+    if (existingUser) {
+      throw new Error(
+        'An account with this email already exists. Log in and link this provider from your profile.'
+      );
+    }
+
+    const name = (claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 50);
+
+    // Provider-only accounts have no password until the user sets one via password reset
+    user = await repositories.users.create({ name, email, isEmailVerified: true });
+    await repositories.identities.create({
+      user: user._id,
+      provider,
+      subject: claims.sub,
+      email,
+      lastUsedAt: new Date(),
+    });
+  }
+
+  const method = `oauth:${provider}`;
+
+  if (isAccountLocked(user)) {
+    await recordLoginFailure('account_locked', { user, method, context });
+    throw new Error('Account is temporarily locked. Please try again later.');
+  }
+
+  if (!user.isActive) {
+    await recordLoginFailure('account_deactivated', { user, method, context });
+    throw new Error('Account is deactivated. Please contact support.');
+  }
+
+  return completeFirstFactor(user, context, method);
+};
+
+/**
+ * Create a magic sign-in link for an account
+ * Any earlier unused link of the account stops working.
+ * @param {string} email - User email
+ * @param {string|null} browserNonce - Value of the binding cookie set on the requesting browser
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object|null>} - { user, token }, or null if no active account matches
+ */
+const requestMagicLink = async (email, browserNonce, context = {}) => {
+  const user = await repositories.users.findByEmail(email);
+
+  await recordAuditEvent({
+    action: 'auth.magic_link_requested',
+    result: user && user.isActive ? 'success' : 'failure',
+    target: user ? user._id : null,
+    context,
+    metadata: user && user.isActive ? { email } : { email, reason: user ? 'account_deactivated' : 'unknown_account' },
+  });
+
+  if (!user || !user.isActive) {
+    // Don't reveal if email exists or not for security
+    return null;
+  }
+
+  const token = generateMagicLinkToken({ userId: user._id.toString() });
+
+  await repositories.magicLinks.deleteForUser(user._id);
+  await repositories.magicLinks.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    browserHash: browserNonce ? hashToken(browserNonce) : null,
+    expiresAt: new Date(Date.now() + ms(jwtConfig.magicLinkExpiry)),
+  });
+
+  return { user, token };
+};
+
+/**
+ * Sign in with a magic link
+ * The link works once. When it was bound to a browser, the same browser must present it.
+ * @param {string} token - Token from the emailed link
+ * @param {string|null} browserNonce - Value of the binding cookie sent with this request
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens, or { mfaRequired, mfaToken } when 2FA is enabled
+ */
+const loginWithMagicLink = async (token, browserNonce, context = {}) => {
+  const method = 'magic_link';
+
+  try {
+    verifyMagicLinkToken(token);
+
+    const link = await repositories.magicLinks.findByTokenHash(hashToken(token));
+
+    if (!link || link.expiresAt <= new Date()) {
+      throw new Error('Invalid or expired sign-in link');
+    }
+
+    if (link.browserHash && (!browserNonce || hashToken(browserNonce) !== link.browserHash)) {
+      await recordAuditEvent({
+        action: 'auth.login',
+        result: 'failure',
+        target: link.user,
+        context,
+        metadata: { method, reason: 'browser_mismatch' },
+      });
+      throw new Error('Open the sign-in link in the browser where you requested it');
+    }
+
+    // Consume atomically so two requests cannot both use the link
+    const consumed = await repositories.magicLinks.consume(link._id);
+    if (!consumed) {
+      throw new Error('Invalid or expired sign-in link');
+    }
+
+    const user = await repositories.users.findById(link.user, { select: ['failedLoginAttempts', 'lockUntil'] });
+
+    if (!user) {
+      throw new Error('Invalid or expired sign-in link');
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginFailure('account_locked', { user, method, context });
+      throw new Error('Account is temporarily locked. Please try again later.');
+    }
+
+    if (!user.isActive) {
+      await recordLoginFailure('account_deactivated', { user, method, context });
+      throw new Error('Account is deactivated. Please contact support.');
+    }
+
+    // Opening the link proves control of the mailbox
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return completeFirstFactor(user, context, method);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid or expired sign-in link');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Sign in with a passkey
+ * A passkey used with user verification (PIN or biometrics) proves both factors,
+ * so no 2FA code is asked for. Without user verification it counts as the first factor.
+ * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.get()
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens, or { mfaRequired, mfaToken } when 2FA is enabled
+ */
+const loginWithPasskey = async (credential, context = {}) => {
+  const method = 'passkey';
+  let result;
+
+  try {
+    result = await verifyAuthentication(credential, context);
+  } catch (error) {
+    await recordLoginFailure('invalid_passkey', { method, context });
+    throw error;
+  }
+
+  const user = await repositories.users.findById(result.passkey.user, { select: ['failedLoginAttempts', 'lockUntil'] });
+
+  if (!user) {
+    throw new Error('Unknown passkey');
+  }
+
+  if (isAccountLocked(user)) {
+    await recordLoginFailure('account_locked', { user, method, context });
+    throw new Error('Account is temporarily locked. Please try again later.');
+  }
+
+  if (!user.isActive) {
+    await recordLoginFailure('account_deactivated', { user, method, context });
+    throw new Error('Account is deactivated. Please contact support.');
+  }
+
+  if (authConfig.unverifiedUserPolicy === 'block' && !user.isEmailVerified) {
+    await recordLoginFailure('email_unverified', { user, method, context });
+    throw new Error('Please verify your email address before logging in.');
+  }
+
+  if (!result.userVerified) {
+    return completeFirstFactor(user, context, method);
+  }
+
+  await clearFailedLogins(user);
+
+  return signInUser(user, context, method);
+};
+
+/**
+ * Complete a 2FA login by exchanging an MFA pending token and a code for session tokens
+ * @param {string} mfaToken - MFA pending token returned by loginUser
+ * @param {string} code - TOTP code or recovery code
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - User object with tokens
+ */
+const verifyTwoFactorLogin = async (mfaToken, code, context = {}) => {
+  try {
+    const decoded = verifyMfaToken(mfaToken);
+
+    const user = await findUserWithTwoFactor(decoded.userId);
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginFailure('account_locked', { user, method: 'mfa', context });
+      await delayFailedLogin(user.email);
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    if (!user.isActive) {
+      await recordLoginFailure('account_deactivated', { user, method: 'mfa', context });
+      throw new Error('Account is deactivated. Please contact support.');
+    }
+
+    const isCodeValid = await verifySecondFactor(user, code);
+    if (!isCodeValid) {
+      await recordLoginFailure('invalid_second_factor', { user, method: 'mfa', context });
+      await recordFailedLogin(user, context);
+      throw new Error('Invalid authentication code');
+    }
+
+    await clearFailedLogins(user);
+
+    return signInUser(user, context, 'mfa');
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid or expired MFA token');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Revoke a session whose retired refresh token was presented again
+ * @param {Object} session - Session document
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<void>}
+ */
+const handleRefreshTokenReuse = async (session, context = {}) => {
+  // Probable token theft: the legitimate client and an attacker both hold the token
+  await recordAuditEvent({
+    action: 'auth.refresh_token_reused',
+    result: 'failure',
+    target: session.user,
+    context,
+    metadata: { sessionId: session._id },
+  });
+
+  await revokeSession(session.user, session._id);
 };
 
 /**
  * Refresh access token using refresh token
+ * Every call rotates the refresh token; presenting a retired token revokes the whole session
  * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} - New access token
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - New access and refresh tokens
  */
-const refreshAccessToken = async (refreshToken) => {
+const refreshAccessToken = async (refreshToken, context = {}) => {
   if (!refreshToken) {
     throw new Error('Refresh token is required');
   }
@@ -119,8 +565,20 @@ const refreshAccessToken = async (refreshToken) => {
     // Verify refresh token
     const decoded = verifyRefreshToken(refreshToken);
 
-    // Find user with this refresh token
-    const user = await User.findById(decoded.userId).select('+refreshToken');
+    // Find the session this refresh token was issued for
+    const session = await findSession(decoded.userId, decoded.sessionId);
+
+    if (!session) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // A correctly signed token that is no longer current has already been rotated
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      await handleRefreshTokenReuse(session, context);
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await repositories.users.findById(decoded.userId);
 
     if (!user) {
       throw new Error('User not found');
@@ -130,23 +588,16 @@ const refreshAccessToken = async (refreshToken) => {
       throw new Error('Account is deactivated');
     }
 
-    // Check if stored refresh token matches
-    if (user.refreshToken !== refreshToken) {
+    // Retire the presented token and issue a new pair for the same session
+    const tokens = await rotateSession(user, session, refreshToken, context);
+
+    if (!tokens) {
+      // Another request rotated this token first, so it was presented twice
+      await handleRefreshTokenReuse(session, context);
       throw new Error('Invalid refresh token');
     }
 
-    // Generate new access token
-    const tokenPayload = {
-      userId: user._id.toString(),
-      email: user.email,
-      role: user.role,
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-
-    return {
-      accessToken,
-    };
+    return tokens;
   } catch (error) {
     if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
       throw new Error('Invalid or expired refresh token');
@@ -156,63 +607,136 @@ const refreshAccessToken = async (refreshToken) => {
 };
 
 /**
- * Logout user (clear refresh token)
+ * Logout user (revoke the current session and the access token presented)
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @param {Object} accessToken - Presented access token ({ id, expiresAt })
  * @returns {Promise<void>}
  */
-const logoutUser = async (userId) => {
-  await User.findByIdAndUpdate(userId, {
-    $unset: { refreshToken: 1 },
+const logoutUser = async (userId, sessionId, context = {}, accessToken = {}) => {
+  await revokeSession(userId, sessionId);
+  await revokeAccessToken(accessToken.id, accessToken.expiresAt);
+
+  await recordAuditEvent({ action: 'auth.logout', actor: userId, target: userId, context, metadata: { sessionId } });
+};
+
+/**
+ * Logout user everywhere (revoke every session and every outstanding access token)
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const logoutAllSessions = async (userId, context = {}) => {
+  const count = await revokeAllSessions(userId);
+  await revokeAllAccessTokens(userId);
+
+  await recordAuditEvent({
+    action: 'auth.logout',
+    actor: userId,
+    target: userId,
+    context,
+    metadata: { allSessions: true, count },
   });
+
+  return count;
 };
 
 /**
- * Generate password reset token
+ * Mark a user's email address as verified
+ * @param {string} token - Email verification token
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<void>}
+ */
+const verifyEmail = async (token, context = {}) => {
+  try {
+    const decoded = verifyEmailVerificationToken(token);
+
+    const user = await repositories.users.findById(decoded.userId);
+
+    // The token only verifies the address it was issued for
+    if (!user || user.email !== decoded.email) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+
+      await recordAuditEvent({
+        action: 'auth.email_verified',
+        target: user._id,
+        context,
+        metadata: { email: user.email },
+      });
+    }
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid or expired verification token');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate a new email verification token for an unverified account
  * @param {string} email - User email
- * @returns {Promise<string>} - Password reset token
+ * @returns {Promise<Object|null>} - { user, verificationToken }, or null if there is nothing to verify
  */
-const generatePasswordReset = async (email) => {
-  const user = await User.findOne({ email });
+const resendEmailVerification = async (email) => {
+  const user = await repositories.users.findByEmail(email);
 
-  if (!user) {
+  if (!user || user.isEmailVerified) {
     // Don't reveal if email exists or not for security
     return null;
   }
 
-  // Generate password reset token
-  const tokenPayload = {
-    userId: user._id.toString(),
-    email: user.email,
-  };
+  return { user, verificationToken: generateEmailVerification(user) };
+};
 
-  const resetToken = generatePasswordResetToken(tokenPayload);
+/**
+ * Generate password reset token
+ * @param {string} email - User email
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<string>} - Password reset token
+ */
+const generatePasswordReset = async (email, context = {}) => {
+  const user = await repositories.users.findByEmail(email);
+
+  await recordAuditEvent({
+    action: 'auth.password_reset_requested',
+    result: user ? 'success' : 'failure',
+    target: user ? user._id : null,
+    context,
+    metadata: user ? { email } : { email, reason: 'unknown_account' },
+  });
 
-  // Save reset token to database
-  user.passwordResetToken = resetToken;
-  user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-  await user.save({ validateBeforeSave: false });
+  if (!user) {
+    // Don't reveal if email exists or not for security
+    return null;
+  }
 
-  return resetToken;
+  return issuePasswordResetToken(user);
 };
 
 /**
  * Reset password using reset token
  * @param {string} token - Password reset token
  * @param {string} newPassword - New password
+ * @param {Object} context - Request context ({ userAgent, ip })
  * @returns {Promise<void>}
  */
-const resetPassword = async (token, newPassword) => {
+const resetPassword = async (token, newPassword, context = {}) => {
   try {
     // Verify reset token
     const decoded = verifyPasswordResetToken(token);
 
     // Find user with this reset token
-    const user = await User.findOne({
-      _id: decoded.userId,
-      passwordResetToken: token,
-    }).select('+passwordResetToken +passwordResetExpires');
+    const user = await repositories.users.findById(decoded.userId, {
+      select: ['password', 'passwordHistory', 'passwordResetToken', 'passwordResetExpires'],
+    });
 
-    if (!user) {
+    if (!user || user.passwordResetToken !== token) {
       throw new Error('Invalid or expired reset token');
     }
 
@@ -221,28 +745,52 @@ const resetPassword = async (token, newPassword) => {
       throw new Error('Reset token has expired');
     }
 
+    await assertPasswordAllowed(newPassword, user);
+
     // Update password
-    user.password = newPassword;
+    setPassword(user, newPassword);
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Clear refresh token to force re-login
-    user.refreshToken = undefined;
-    await user.save({ validateBeforeSave: false });
+    // Revoke every session to force re-login
+    await revokeAllSessions(user._id);
+
+    // Proving control of the mailbox also lifts a lockout
+    await unlockAccount(user._id);
+
+    await recordAuditEvent({ action: 'auth.password_reset', actor: user._id, target: user._id, context });
   } catch (error) {
-    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
-      throw new Error('Invalid or expired reset token');
-    }
-    throw error;
+    const message =
+      error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError' ? 'Invalid or expired reset token' : error.message;
+
+    await recordAuditEvent({
+      action: 'auth.password_reset',
+      result: 'failure',
+      context,
+      metadata: { reason: message },
+    });
+
+    throw new Error(message);
   }
 };
 
 module.exports = {
   registerUser,
+  registerWithInvitation,
   loginUser,
+  verifyTwoFactorLogin,
+  loginWithOAuth,
+  requestMagicLink,
+  loginWithMagicLink,
+  loginWithPasskey,
   refreshAccessToken,
   logoutUser,
+  logoutAllSessions,
+  generateEmailVerification,
+  verifyEmail,
+  resendEmailVerification,
   generatePasswordReset,
   resetPassword,
 };
@@ -1,58 +1,201 @@
+const ms = require('ms');
+const emailConfig = require('../config/email');
+const jwtConfig = require('../config/jwt');
+const { createTransport } = require('../utils/emailTransports');
+const { renderEmail } = require('../utils/emailTemplates');
+
 /**
  * Email service
- * Handles email sending functionality
- * 
- * Note: This is a placeholder implementation.
- * In production, integrate with services like:
- * - SendGrid
- * - AWS SES
- * - Nodemailer with SMTP
- * - Mailgun
+ * Renders templated emails and hands them to the configured transport
+ * (SMTP, a file outbox or an in-memory outbox, see config/email.js)
+ */
+
+let transport = null;
+
+/**
+ * Get the active transport, creating the configured one on first use
+ * @returns {Object} - Transport ({ send(message) })
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(emailConfig);
+
+    if (process.env.NODE_ENV === 'production' && transport.name !== 'smtp') {
+      console.warn(`Email transport "${transport.name}" does not deliver mail. Set SMTP_HOST to send real emails.`);
+    }
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport (e.g. with an in-memory outbox in tests, or a provider API client)
+ * @param {Object} customTransport - Object with a send(message) method
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Build a frontend link carrying a token
+ * @param {string} pathname - Frontend path
+ * @param {string} token - Token
+ * @returns {string} - URL
+ */
+const buildLink = (pathname, token) => {
+  return `${emailConfig.frontendUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient email
+ * @param {string} template - Template name
+ * @param {Object} variables - Template variables
+ * @param {string} locale - Preferred locale
+ * @returns {Promise<void>}
  */
+const sendEmail = async (to, template, variables, locale) => {
+  const { subject, text, html } = renderEmail(template, variables, locale);
+
+  await getTransport().send({
+    from: emailConfig.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
 
 /**
  * Send password reset email
  * @param {string} email - Recipient email
  * @param {string} resetToken - Password reset token
+ * @param {string} locale - Preferred locale (optional)
  * @returns {Promise<void>}
  */
-const sendPasswordResetEmail = async (email, resetToken) => {
-  // TODO: Implement actual email sending
-  // Example with nodemailer or SendGrid
-  
-  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
-  
-  console.log('Password Reset Email:');
-  console.log(`To: ${email}`);
-  console.log(`Reset URL: ${resetUrl}`);
-  console.log(`Token: ${resetToken}`);
-  console.log('---');
-  
-  // In production, replace this with actual email sending:
-  // const transporter = nodemailer.createTransport({...});
-  // await transporter.sendMail({
-  //   to: email,
-  //   subject: 'Password Reset Request',
-  //   html: `Click here to reset your password: ${resetUrl}`
-  // });
+const sendPasswordResetEmail = async (email, resetToken, locale) => {
+  const expiresAt = new Date(Date.now() + ms(jwtConfig.passwordResetExpiry));
+
+  await sendEmail(
+    email,
+    'passwordReset',
+    // The link usually lasts less than a day, so the time matters too
+    { url: buildLink('/reset-password', resetToken), expiresAt: `${expiresAt.toISOString().slice(0, 16).replace('T', ' ')} UTC` },
+    locale
+  );
 };
 
 /**
  * Send welcome email
  * @param {string} email - Recipient email
  * @param {string} name - User name
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendWelcomeEmail = async (email, name, locale) => {
+  await sendEmail(email, 'welcome', { name }, locale);
+};
+
+/**
+ * Send email verification email
+ * @param {string} email - Recipient email
+ * @param {string} name - User name
+ * @param {string} verificationToken - Email verification token
+ * @param {string} locale - Preferred locale (optional)
  * @returns {Promise<void>}
  */
-const sendWelcomeEmail = async (email, name) => {
-  // TODO: Implement actual email sending
-  console.log('Welcome Email:');
-  console.log(`To: ${email}`);
-  console.log(`Welcome ${name}!`);
-  console.log('---');
+const sendVerificationEmail = async (email, name, verificationToken, locale) => {
+  await sendEmail(email, 'emailVerification', { name, url: buildLink('/verify-email', verificationToken) }, locale);
+};
+
+/**
+ * Send magic sign-in link email
+ * @param {string} email - Recipient email
+ * @param {string} name - User name
+ * @param {string} magicLinkToken - Magic link token
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendMagicLinkEmail = async (email, name, magicLinkToken, locale) => {
+  await sendEmail(email, 'magicLink', { name, url: buildLink('/magic-link', magicLinkToken) }, locale);
+};
+
+/**
+ * Send account locked email with an unlock link
+ * @param {string} email - Recipient email
+ * @param {string} name - User name
+ * @param {string} unlockToken - Account unlock token
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendAccountLockedEmail = async (email, name, unlockToken, locale) => {
+  await sendEmail(email, 'accountLocked', { name, url: buildLink('/unlock-account', unlockToken) }, locale);
+};
+
+/**
+ * Send account invitation email
+ * @param {string} email - Recipient email
+ * @param {string} inviterName - Name of the inviting administrator
+ * @param {string} invitationToken - Invitation token
+ * @param {Date} expiresAt - Invitation expiry
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendInvitationEmail = async (email, inviterName, invitationToken, expiresAt, locale) => {
+  await sendEmail(
+    email,
+    'invitation',
+    { inviterName, url: buildLink('/accept-invitation', invitationToken), expiresOn: expiresAt.toISOString().slice(0, 10) },
+    locale
+  );
+};
+
+/**
+ * Send organization invitation email
+ * @param {string} email - Recipient email
+ * @param {string} inviterName - Name of the inviting member
+ * @param {string} organizationName - Organization name
+ * @param {string} invitationToken - Invitation token
+ * @param {Date} expiresAt - Invitation expiry
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendOrganizationInvitationEmail = async (email, inviterName, organizationName, invitationToken, expiresAt, locale) => {
+  await sendEmail(
+    email,
+    'organizationInvitation',
+    {
+      inviterName,
+      organizationName,
+      email,
+      url: buildLink('/accept-organization-invitation', invitationToken),
+      expiresOn: expiresAt.toISOString().slice(0, 10),
+    },
+    locale
+  );
+};
+
+/**
+ * Send passkey added notification email
+ * @param {string} email - Recipient email
+ * @param {string} name - User name
+ * @param {string} passkeyName - Name of the new passkey
+ * @param {string} locale - Preferred locale (optional)
+ * @returns {Promise<void>}
+ */
+const sendPasskeyAddedEmail = async (email, name, passkeyName, locale) => {
+  await sendEmail(email, 'passkeyAdded', { name, passkeyName }, locale);
 };
 
 module.exports = {
+  getTransport,
+  setTransport,
+  sendEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendAccountLockedEmail,
+  sendInvitationEmail,
+  sendOrganizationInvitationEmail,
+  sendPasskeyAddedEmail,
 };
-
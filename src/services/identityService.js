@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+
+/**
+ * Identity service
+ * Manages the external provider accounts linked to a user
+ */
+
+/**
+ * List the identities linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Linked identities
+ */
+const listIdentities = async (userId) => {
+  return repositories.identities.listForUser(userId);
+};
+
+/**
+ * Link a provider account to a user
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} - Linked identity
+ */
+const linkIdentity = async (userId, provider, claims) => {
+  const existing = await repositories.identities.findBySubject(provider, claims.sub);
+
+  if (existing) {
+    if (existing.user.toString() === userId.toString()) {
+      return existing;
+    }
+    throw new Error('This provider account is already linked to another user');
+  }
+
+  return repositories.identities.create({
+    user: userId,
+    provider,
+    subject: claims.sub,
+    email: claims.email,
+    lastUsedAt: new Date(),
+  });
+};
+
+/**
+ * Unlink a provider account from a user
+ * The last sign-in method of an account cannot be removed.
+ * @param {string} userId - User ID
+ * @param {string} identityId - Linked identity ID
+ * @returns {Promise<boolean>} - True if an identity was unlinked
+ */
+const unlinkIdentity = async (userId, identityId) => {
+  if (!mongoose.isValidObjectId(identityId)) {
+    return false;
+  }
+
+  const identity = await repositories.identities.findForUser(identityId, userId);
+  if (!identity) {
+    return false;
+  }
+
+  const user = await repositories.users.findById(userId, { select: ['password'] });
+  const identityCount = await repositories.identities.countForUser(userId);
+  const passkeyCount = await repositories.passkeys.countForUser(userId);
+
+  if (!user.password && identityCount <= 1 && passkeyCount === 0) {
+    throw new Error('Set a password before unlinking your only sign-in provider');
+  }
+
+  await repositories.identities.delete(identity._id);
+  return true;
+};
+
+module.exports = {
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity,
+};
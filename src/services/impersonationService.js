@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const jwtConfig = require('../config/jwt');
+const { generateAccessToken } = require('../utils/tokenGenerator');
+const { getPermissionsForRoles, hasPermission } = require('./roleService');
+const { revokeAccessToken } = require('./tokenRevocationService');
+
+/**
+ * Impersonation service
+ * Lets support staff act as a user through a short-lived access token that names
+ * them in an `act` claim. No refresh token or session is created.
+ */
+
+// Permission needed to impersonate; its holders cannot be impersonated themselves
+const IMPERSONATE_PERMISSION = 'users:impersonate';
+
+/**
+ * Check whether a user may impersonate others
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - True if their roles grant the impersonation permission
+ */
+const canImpersonate = async (user) => {
+  return hasPermission(await getPermissionsForRoles(user.roles), IMPERSONATE_PERMISSION);
+};
+
+/**
+ * Start impersonating a user
+ * @param {Object} admin - Impersonating admin (user document)
+ * @param {string} userId - ID of the user to impersonate
+ * @returns {Promise<Object|null>} - { accessToken, tokenId, expiresAt, user }, or null if the user does not exist
+ */
+const startImpersonation = async (admin, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  if (admin._id.toString() === userId.toString()) {
+    throw new Error('You cannot impersonate yourself');
+  }
+
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  if (!user.isActive) {
+    throw new Error('Deactivated users cannot be impersonated');
+  }
+
+  // Otherwise impersonation could be chained to reach another admin's privileges
+  if (await canImpersonate(user)) {
+    throw new Error('Users who can impersonate others cannot be impersonated');
+  }
+
+  // The token carries the user's roles, so it must not grant the admin anything they lack
+  const [adminPermissions, userPermissions] = await Promise.all([
+    getPermissionsForRoles(admin.roles),
+    getPermissionsForRoles(user.roles),
+  ]);
+  if ([...userPermissions].some((permission) => !hasPermission(adminPermissions, permission))) {
+    throw new Error('You cannot impersonate a user with permissions you do not hold');
+  }
+
+  const accessToken = generateAccessToken(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      roles: user.roles,
+      tokenVersion: user.tokenVersion || 0,
+      act: { sub: admin._id.toString(), email: admin.email },
+    },
+    { expiresIn: jwtConfig.impersonationTokenExpiry }
+  );
+  const decoded = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    tokenId: decoded.jti,
+    expiresAt: new Date(decoded.exp * 1000),
+    user,
+  };
+};
+
+/**
+ * End an impersonation by revoking its token
+ * @param {string} tokenId - Impersonation token ID (jti)
+ * @param {Date} expiresAt - Token expiry
+ * @returns {Promise<void>}
+ */
+const endImpersonation = async (tokenId, expiresAt) => {
+  await revokeAccessToken(tokenId, expiresAt);
+};
+
+module.exports = {
+  canImpersonate,
+  startImpersonation,
+  endImpersonation,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const { hashToken } = require('../utils/tokenGenerator');
+const { assertPasswordAllowed } = require('./passwordPolicyService');
+const { ensureCanGrantRoles } = require('./roleService');
+
+/**
+ * Invitation service
+ * Administrators invite people by email with preassigned roles; the invitee
+ * accepts once, choosing a name and password, and the account is created.
+ */
+
+/**
+ * Create a fresh invitation token with its expiry
+ * Storing it makes any previously emailed token stop working.
+ * @returns {Object} - { token, fields } (token to email, fields to store on the invitation)
+ */
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    token,
+    fields: {
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ms(authConfig.invitationExpiry)),
+      sentAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Find a pending invitation by ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} - Invitation
+ */
+const findPendingInvitation = async (invitationId) => {
+  if (!mongoose.isValidObjectId(invitationId)) {
+    return null;
+  }
+
+  const invitation = await repositories.invitations.findById(invitationId);
+  return invitation && invitation.status === 'pending' ? invitation : null;
+};
+
+/**
+ * Invite someone to create an account
+ * The inviting admin must hold every permission the preassigned roles grant.
+ * @param {Object} actor - Inviting admin ({ _id, roles })
+ * @param {Object} data - { email, roles }
+ * @returns {Promise<Object>} - { invitation, token }
+ */
+const createInvitation = async (actor, { email, roles }) => {
+  // Soft-deleted accounts keep their email address until they are purged
+  const existingUser = await repositories.users.findByEmail(email, { withDeleted: true });
+  if (existingUser) {
+    throw new Error('User with this email already exists');
+  }
+
+  const pending = await repositories.invitations.findPendingByEmail(email);
+  if (pending) {
+    throw new Error('An invitation is already pending for this email. Resend or revoke it instead.');
+  }
+
+  const knownRoles = await repositories.roles.findByNames(roles);
+  const unknown = roles.filter((name) => !knownRoles.some((role) => role.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role(s): ${unknown.join(', ')}`);
+  }
+
+  await ensureCanGrantRoles(actor.roles, roles);
+
+  const { token, fields } = createToken();
+  const invitation = await repositories.invitations.create({ email, roles, invitedBy: actor._id, ...fields });
+
+  return { invitation, token };
+};
+
+/**
+ * List invitations, newest first
+ * @param {string} status - 'pending', 'accepted' or 'revoked'
+ * @returns {Promise<Array>} - Invitations with the inviter's name and email
+ */
+const listInvitations = async (status = 'pending') => {
+  const invitations = await repositories.invitations.list(status);
+  return repositories.populateUsers(invitations, 'invitedBy');
+};
+
+/**
+ * Resend a pending invitation with a new token and expiry
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} - { invitation, token }
+ */
+const resendInvitation = async (invitationId) => {
+  const invitation = await findPendingInvitation(invitationId);
+  if (!invitation) {
+    return null;
+  }
+
+  const { token, fields } = createToken();
+  const updated = await repositories.invitations.update(invitation._id, fields, { status: 'pending' });
+  if (!updated) {
+    return null;
+  }
+
+  return { invitation: updated, token };
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} - Revoked invitation
+ */
+const revokeInvitation = async (invitationId) => {
+  if (!mongoose.isValidObjectId(invitationId)) {
+    return null;
+  }
+
+  return repositories.invitations.update(invitationId, { status: 'revoked', revokedAt: new Date() }, { status: 'pending' });
+};
+
+/**
+ * Accept an invitation and create the account
+ * @param {string} token - Token from the invitation email
+ * @param {Object} data - { name, password }
+ * @returns {Promise<Object>} - { user, invitation }
+ */
+const acceptInvitation = async (token, { name, password }) => {
+  const invitation = await repositories.invitations.findPendingByTokenHash(hashToken(token));
+
+  if (!invitation) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  const existingUser = await repositories.users.findByEmail(invitation.email, { withDeleted: true });
+  if (existingUser) {
+    throw new Error('User with this email already exists');
+  }
+
+  await assertPasswordAllowed(password, { name, email: invitation.email });
+
+  // Consume atomically so the invitation can only be used once
+  const consumed = await repositories.invitations.update(
+    invitation._id,
+    { status: 'accepted', acceptedAt: new Date() },
+    { status: 'pending' }
+  );
+  if (!consumed) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  // The emailed token proves the address, so it starts out verified
+  let user;
+  try {
+    user = await repositories.users.create({
+      name,
+      email: invitation.email,
+      password,
+      roles: invitation.roles,
+      isEmailVerified: true,
+    });
+  } catch (error) {
+    // Keep the invitation usable when the account could not be created
+    await repositories.invitations.update(invitation._id, { status: 'pending', acceptedAt: null }, { status: 'accepted' });
+    throw error;
+  }
+
+  const accepted = await repositories.invitations.update(consumed._id, { user: user._id }, { status: 'accepted' });
+
+  return { user, invitation: accepted || consumed };
+};
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const { generateAccountUnlockToken, verifyAccountUnlockToken, hashToken } = require('../utils/tokenGenerator');
+const { sendAccountLockedEmail } = require('./emailService');
+const { recordAuditEvent } = require('./auditService');
+
+/**
+ * Lockout service
+ * Counts failed logins per account, slows them down and locks the account after too many.
+ * The delay follows a count per email address, and refused logins still check a password,
+ * so response times do not reveal whether an account exists or is locked.
+ */
+
+// Hash compared against when there is no password to check (same cost as stored passwords)
+let dummyHash = null;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Get the response delay for the nth consecutive failed login
+ * @param {number} attempts - Consecutive failed attempts (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+const getLoginDelay = (attempts) => {
+  const exponent = Math.max(attempts - 1, 0);
+  return Math.min(authConfig.loginDelayBaseMs * 2 ** exponent, authConfig.loginDelayMaxMs);
+};
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user - User document with lockUntil selected
+ * @returns {boolean} - True if locked
+ */
+const isAccountLocked = (user) => {
+  return Boolean(user.lockUntil && user.lockUntil > new Date());
+};
+
+/**
+ * Spend the time of a password check on a login refused without one (unknown or locked account)
+ * @param {string} password - Presented password
+ * @returns {Promise<void>}
+ */
+const checkDummyPassword = async (password) => {
+  if (!dummyHash) {
+    dummyHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+  }
+  await bcrypt.compare(password || '', await dummyHash);
+};
+
+/**
+ * Count a failed login for an email address and wait the delay for that many failures
+ * Applies to every failed login, whether or not the address has an account.
+ * @param {string} email - Email address the login was for
+ * @returns {Promise<void>}
+ */
+const delayFailedLogin = async (email) => {
+  const attempts = await repositories.failedLogins.increment(
+    hashToken(email.trim().toLowerCase()),
+    new Date(Date.now() + authConfig.lockoutDurationMinutes * 60 * 1000)
+  );
+
+  await sleep(getLoginDelay(attempts));
+};
+
+/**
+ * Record a failed login, locking the account once the threshold is reached
+ * Resolves after the progressive delay for the user's email address.
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user, context = {}) => {
+  // Increment atomically so parallel guesses are all counted
+  const updated = await repositories.users.update(
+    user._id,
+    { inc: { failedLoginAttempts: 1 } },
+    { select: ['failedLoginAttempts', 'lockUntil'] }
+  );
+
+  if (!updated) {
+    return;
+  }
+
+  const attempts = updated.failedLoginAttempts;
+
+  if (attempts >= authConfig.maxLoginAttempts) {
+    const lockUntil = new Date(Date.now() + authConfig.lockoutDurationMinutes * 60 * 1000);
+
+    await repositories.users.update(user._id, {
+      set: { lockUntil, failedLoginAttempts: 0 },
+    });
+
+    await recordAuditEvent({
+      action: 'auth.account_locked',
+      result: 'failure',
+      target: user._id,
+      context,
+      metadata: { attempts, lockUntil },
+    });
+
+    const unlockToken = generateAccountUnlockToken({
+      userId: user._id.toString(),
+      lockUntil: lockUntil.getTime(),
+    });
+
+    try {
+      await sendAccountLockedEmail(user.email, user.name, unlockToken, context.locale);
+    } catch (emailError) {
+      console.error('Account locked email failed:', emailError);
+    }
+  }
+
+  await delayFailedLogin(user.email);
+};
+
+/**
+ * Reset the failed login counters after a successful login
+ * @param {Object} user - User document with failedLoginAttempts and lockUntil selected
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+  await repositories.failedLogins.delete(hashToken(user.email));
+
+  if (!user.failedLoginAttempts && !user.lockUntil) {
+    return;
+  }
+
+  await repositories.users.update(user._id, {
+    set: { failedLoginAttempts: 0 },
+    unset: ['lockUntil'],
+  });
+};
+
+/**
+ * Unlock an account (admin action)
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+const unlockAccount = async (userId) => {
+  const user = await repositories.users.update(userId, {
+    set: { failedLoginAttempts: 0 },
+    unset: ['lockUntil'],
+  });
+
+  return Boolean(user);
+};
+
+/**
+ * Unlock an account using the token from the account locked email
+ * A token only clears the lock it was issued for.
+ * @param {string} token - Account unlock token
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<void>}
+ */
+const unlockAccountWithToken = async (token, context = {}) => {
+  try {
+    const decoded = verifyAccountUnlockToken(token);
+
+    const user = await repositories.users.findById(decoded.userId, { select: ['lockUntil'] });
+
+    if (!user || !user.lockUntil || user.lockUntil.getTime() !== decoded.lockUntil) {
+      throw new Error('Invalid or expired unlock token');
+    }
+
+    await unlockAccount(user._id);
+
+    await recordAuditEvent({ action: 'auth.account_unlocked', target: user._id, context, metadata: { method: 'email' } });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid or expired unlock token');
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getLoginDelay,
+  isAccountLocked,
+  checkDummyPassword,
+  delayFailedLogin,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  unlockAccountWithToken,
+};
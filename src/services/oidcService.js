@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oauthConfig = require('../config/oauth');
+const authConfig = require('../config/auth');
+const repositories = require('../repositories');
+const { hashToken } = require('../utils/tokenGenerator');
+
+/**
+ * OpenID Connect client service
+ * Runs the authorization-code + PKCE flow against configured providers
+ */
+
+// Discovery documents and key sets, keyed by URL: { value, expiresAt }
+const metadataCache = new Map();
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - base64url string
+ */
+const base64Url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Get a configured provider
+ * @param {string} providerName - Provider name
+ * @returns {Object} - Provider configuration
+ */
+const getProvider = (providerName) => {
+  const provider = oauthConfig.providers[providerName];
+
+  if (!provider || !provider.issuer || !provider.clientId) {
+    throw new Error(`Unknown or misconfigured OAuth provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Fetch a JSON document, caching it for the configured time
+ * @param {string} url - Document URL
+ * @param {boolean} forceRefresh - Ignore the cached copy
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+const fetchJson = async (url, forceRefresh = false) => {
+  const cached = metadataCache.get(url);
+  if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+
+  const value = await response.json();
+  metadataCache.set(url, { value, expiresAt: Date.now() + oauthConfig.metadataCacheMinutes * 60 * 1000 });
+
+  return value;
+};
+
+/**
+ * Load the discovery document of a provider
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} - Provider metadata
+ */
+const getProviderMetadata = async (provider) => {
+  const issuer = provider.issuer.replace(/\/+$/, '');
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error('OAuth provider issuer does not match its configuration');
+  }
+
+  return metadata;
+};
+
+/**
+ * Build the callback URL registered with a provider
+ * @param {string} providerName - Provider name
+ * @returns {string} - Redirect URI
+ */
+const getRedirectUri = (providerName) => {
+  return `${oauthConfig.callbackBaseUrl.replace(/\/+$/, '')}${authConfig.routePrefix}/auth/oauth/${providerName}/callback`;
+};
+
+/**
+ * Start an authorization-code + PKCE flow
+ * The flow is bound to the browser that starts it: only a callback carrying the same
+ * binding cookie can finish it (no login CSRF, no linking a victim's provider account).
+ * @param {string} providerName - Provider name
+ * @param {Object} options - { mode: 'login' | 'link', userId, browserNonce (value of the binding cookie) }
+ * @returns {Promise<string>} - Authorization URL to redirect the browser to
+ */
+const createAuthorizationUrl = async (providerName, options = {}) => {
+  const provider = getProvider(providerName);
+  const metadata = await getProviderMetadata(provider);
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await repositories.oauthStates.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    mode: options.mode || 'login',
+    user: options.userId,
+    browserHash: hashToken(options.browserNonce),
+    expiresAt: new Date(Date.now() + oauthConfig.stateExpiryMinutes * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider.name),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchange an authorization code for provider tokens
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} - Token response
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider.name),
+    code_verifier: codeVerifier,
+  });
+  const headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/x-www-form-urlencoded',
+  };
+
+  // Prefer HTTP Basic client authentication, the OIDC default
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+    if (provider.clientSecret) {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const response = await fetch(metadata.token_endpoint, { method: 'POST', headers, body });
+  const tokens = await response.json().catch(() => ({}));
+
+  if (!response.ok || !tokens.id_token) {
+    throw new Error('OAuth provider rejected the authorization code');
+  }
+
+  return tokens;
+};
+
+/**
+ * Find the public key that signed an ID token
+ * @param {Object} metadata - Provider metadata
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object>} - Node KeyObject
+ */
+const getSigningKey = async (metadata, kid) => {
+  let jwks = await fetchJson(metadata.jwks_uri);
+  let jwk = jwks.keys.find((key) => key.kid === kid);
+
+  // An unknown key ID usually means the provider rotated its keys
+  if (!jwk) {
+    jwks = await fetchJson(metadata.jwks_uri, true);
+    jwk = jwks.keys.find((key) => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token and return its claims
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {string} idToken - ID token
+ * @param {string} nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} - ID token claims
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Invalid ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+/**
+ * Complete an authorization-code flow
+ * The stored state is consumed, so a callback URL cannot be replayed.
+ * @param {string} providerName - Provider name
+ * @param {Object} params - Callback query parameters ({ code, state })
+ * @param {string|undefined} browserNonce - Value of the binding cookie sent with the callback
+ * @returns {Promise<Object>} - { claims, mode, userId }
+ */
+const handleCallback = async (providerName, params, browserNonce) => {
+  const provider = getProvider(providerName);
+
+  const storedState = await repositories.oauthStates.consume(params.state, provider.name);
+
+  if (!storedState || storedState.expiresAt < new Date()) {
+    throw new Error('Invalid or expired OAuth state');
+  }
+
+  // Started in another browser (or the cookie was lost): never act on someone else's flow
+  if (!browserNonce || hashToken(browserNonce) !== storedState.browserHash) {
+    throw new Error('This sign-in was started in another browser. Please start again.');
+  }
+
+  const metadata = await getProviderMetadata(provider);
+  const tokens = await exchangeCode(provider, metadata, params.code, storedState.codeVerifier);
+
+  try {
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, storedState.nonce);
+
+    return {
+      claims,
+      mode: storedState.mode,
+      userId: storedState.user,
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid ID token');
+    }
+    throw error;
+  }
+};
+
+/**
+ * List the names of configured providers
+ * @returns {Array<string>} - Provider names
+ */
+const listProviders = () => {
+  return Object.keys(oauthConfig.providers);
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  handleCallback,
+  listProviders,
+};
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const organizationConfig = require('../config/organizations');
+const authConfig = require('../config/auth');
+const { hashToken } = require('../utils/tokenGenerator');
+
+/**
+ * Organization service
+ * Organizations (tenants), their memberships and per-organization roles.
+ * Members join by accepting an emailed invitation while signed in with the invited address.
+ */
+
+/**
+ * Check whether an organization role grants a permission
+ * @param {string} role - Organization role
+ * @param {string} permission - Organization permission
+ * @returns {boolean} - True if granted
+ */
+const roleHasPermission = (role, permission) => {
+  const granted = organizationConfig.roles[role] || [];
+  return granted.includes(organizationConfig.wildcard) || granted.includes(permission);
+};
+
+/**
+ * Get the organization ID of a membership, whether or not its organization is filled in
+ * @param {Object} membership - Membership
+ * @returns {string} - Organization ID
+ */
+const organizationIdOf = (membership) => (membership.organization._id || membership.organization).toString();
+
+/**
+ * Fill in the organization of memberships
+ * @param {Array<Object>} memberships - Memberships
+ * @returns {Promise<Array<Object>>} - Memberships with the organization object, or null if it is gone
+ */
+const populateOrganizations = async (memberships) => {
+  const ids = [...new Set(memberships.map((membership) => membership.organization.toString()))];
+  const organizations = await repositories.organizations.findByIds(ids);
+  const organizationsById = new Map(organizations.map((organization) => [organization._id.toString(), organization]));
+
+  return memberships.map((membership) => ({
+    ...membership,
+    organization: organizationsById.get(membership.organization.toString()) || null,
+  }));
+};
+
+/**
+ * Find a user's membership of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Membership with the organization filled in
+ */
+const findMembership = async (organizationId, userId) => {
+  if (!mongoose.isValidObjectId(organizationId) || !mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  const membership = await repositories.memberships.find(organizationId, userId);
+  if (!membership) {
+    return null;
+  }
+
+  const [populated] = await populateOrganizations([membership]);
+  return populated;
+};
+
+/**
+ * Pick the organization that is active when a user signs in:
+ * the one they switched to last, else the one they joined first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Organization ID
+ */
+const getDefaultOrganization = async (userId) => {
+  const membership = await repositories.memberships.findLastActive(userId);
+  return membership ? membership.organization : null;
+};
+
+/**
+ * Record that a user switched to an organization
+ * @param {Object} membership - Membership
+ * @returns {Promise<void>}
+ */
+const markMembershipActive = async (membership) => {
+  await repositories.memberships.update(membership._id, { lastActiveAt: new Date() });
+};
+
+/**
+ * Create an organization owned by its creator
+ * @param {string} userId - Creator's user ID
+ * @param {Object} data - { name }
+ * @returns {Promise<Object>} - { organization, membership }
+ */
+const createOrganization = async (userId, { name }) => {
+  const organization = await repositories.organizations.create({ name, createdBy: userId });
+  const membership = await repositories.memberships.create({
+    organization: organization._id,
+    user: userId,
+    role: organizationConfig.ownerRole,
+  });
+
+  return { organization, membership };
+};
+
+/**
+ * List the organizations a user belongs to, with their role in each
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Memberships with the organization filled in
+ */
+const listUserOrganizations = async (userId) => {
+  return populateOrganizations(await repositories.memberships.listForUser(userId));
+};
+
+/**
+ * Rename an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} data - { name }
+ * @returns {Promise<Object|null>} - Updated organization
+ */
+const updateOrganization = async (organizationId, { name }) => {
+  return repositories.organizations.update(organizationId, { name });
+};
+
+/**
+ * List the members of an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Memberships with the user's name and email filled in
+ */
+const listMembers = async (organizationId) => {
+  const memberships = await repositories.memberships.listForOrganization(organizationId);
+  return repositories.populateUsers(memberships, 'user');
+};
+
+/**
+ * Refuse changes that would leave an organization without an owner
+ * @param {Object} membership - Membership about to lose the owner role
+ * @returns {Promise<void>}
+ */
+const ensureAnotherOwner = async (membership) => {
+  if (membership.role !== organizationConfig.ownerRole) {
+    return;
+  }
+
+  const otherOwners = await repositories.memberships.countWithRole(organizationIdOf(membership), organizationConfig.ownerRole, {
+    excludeId: membership._id,
+  });
+
+  if (otherOwners === 0) {
+    throw new Error('An organization must keep at least one owner');
+  }
+};
+
+/**
+ * Refuse owner-level changes by members who are not owners
+ * @param {Object} actorMembership - Membership of the member making the change
+ * @param {Array<string>} roles - Roles involved in the change (current and new)
+ * @returns {void}
+ */
+const ensureCanManageRoles = (actorMembership, roles) => {
+  if (roles.includes(organizationConfig.ownerRole) && actorMembership.role !== organizationConfig.ownerRole) {
+    throw new Error('Only owners can grant, change or remove the owner role');
+  }
+};
+
+/**
+ * Invite someone to join an organization
+ * The answer is the same whether or not an account exists for the address;
+ * inviting the same address again replaces the pending invitation's token and role.
+ * @param {Object} actorMembership - Membership of the member inviting them
+ * @param {Object} data - { email, role }
+ * @returns {Promise<Object>} - { invitation, token }
+ */
+const inviteMember = async (actorMembership, { email, role }) => {
+  ensureCanManageRoles(actorMembership, [role]);
+
+  const organizationId = actorMembership.organization._id;
+
+  // Whoever can invite can list the members, so this reveals nothing new
+  const user = await repositories.users.findByEmail(email);
+  if (user && (await repositories.memberships.find(organizationId, user._id))) {
+    throw new Error('User is already a member of this organization');
+  }
+
+  const pending = await repositories.organizationInvitations.findPendingByEmail(organizationId, email);
+  if (pending) {
+    ensureCanManageRoles(actorMembership, [pending.role]);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const fields = {
+    role,
+    invitedBy: actorMembership.user,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ms(authConfig.invitationExpiry)),
+    sentAt: new Date(),
+  };
+
+  const invitation = pending
+    ? await repositories.organizationInvitations.update(pending._id, fields, { status: 'pending' })
+    : await repositories.organizationInvitations.create({ organization: organizationId, email, ...fields });
+  if (!invitation) {
+    throw new Error('The pending invitation was accepted or revoked in the meantime. Please try again.');
+  }
+
+  return { invitation, token };
+};
+
+/**
+ * List the pending invitations of an organization, newest first
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Invitations with the inviter's name and email filled in
+ */
+const listInvitations = async (organizationId) => {
+  const invitations = await repositories.organizationInvitations.listPending(organizationId);
+  return repositories.populateUsers(invitations, 'invitedBy');
+};
+
+/**
+ * Revoke a pending invitation of the actor's organization
+ * @param {Object} actorMembership - Membership of the member revoking it
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} - Revoked invitation
+ */
+const revokeInvitation = async (actorMembership, invitationId) => {
+  if (!mongoose.isValidObjectId(invitationId)) {
+    return null;
+  }
+
+  const invitation = await repositories.organizationInvitations.findById(invitationId);
+  if (!invitation || invitation.status !== 'pending' || invitation.organization.toString() !== organizationIdOf(actorMembership)) {
+    return null;
+  }
+
+  ensureCanManageRoles(actorMembership, [invitation.role]);
+
+  return repositories.organizationInvitations.update(
+    invitation._id,
+    { status: 'revoked', revokedAt: new Date() },
+    { status: 'pending' }
+  );
+};
+
+/**
+ * Accept an invitation and join the organization
+ * Only the invited address can accept, so a forwarded link does not let anyone else in.
+ * @param {Object} user - Signed-in user ({ _id, email })
+ * @param {string} token - Token from the invitation email
+ * @returns {Promise<Object>} - { membership, invitation }
+ */
+const acceptInvitation = async (user, token) => {
+  const invitation = await repositories.organizationInvitations.findPendingByTokenHash(hashToken(token));
+
+  if (!invitation || invitation.email !== user.email) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  // Consume atomically so the invitation can only be used once
+  const consumed = await repositories.organizationInvitations.update(
+    invitation._id,
+    { status: 'accepted', acceptedAt: new Date(), user: user._id },
+    { status: 'pending' }
+  );
+  if (!consumed) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  let membership;
+  try {
+    membership = await repositories.memberships.create({ organization: consumed.organization, user: user._id, role: consumed.role });
+  } catch (error) {
+    // Keep the invitation usable when the membership could not be created
+    await repositories.organizationInvitations.update(
+      consumed._id,
+      { status: 'pending', acceptedAt: null, user: null },
+      { status: 'accepted' }
+    );
+    throw error;
+  }
+
+  if (!membership) {
+    throw new Error('You are already a member of this organization');
+  }
+
+  const [populated] = await populateOrganizations([membership]);
+  return { membership: populated, invitation: consumed };
+};
+
+/**
+ * Find a membership of the actor's organization by user ID
+ * @param {Object} actorMembership - Membership of the member acting
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<Object|null>} - Membership
+ */
+const findMember = async (actorMembership, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  return repositories.memberships.find(organizationIdOf(actorMembership), userId);
+};
+
+/**
+ * Change the role of a member
+ * Members cannot change their own role.
+ * @param {Object} actorMembership - Membership of the member making the change
+ * @param {string} userId - Member's user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object|null>} - Updated membership with the user's name and email filled in
+ */
+const updateMemberRole = async (actorMembership, userId, role) => {
+  if (actorMembership.user.toString() === userId.toString()) {
+    throw new Error('You cannot change your own role');
+  }
+
+  const membership = await findMember(actorMembership, userId);
+  if (!membership) {
+    return null;
+  }
+
+  ensureCanManageRoles(actorMembership, [membership.role, role]);
+
+  if (role !== organizationConfig.ownerRole) {
+    await ensureAnotherOwner(membership);
+  }
+
+  const updated = await repositories.memberships.update(membership._id, { role });
+  if (!updated) {
+    return null;
+  }
+
+  const [member] = await repositories.populateUsers([updated], 'user');
+  return member;
+};
+
+/**
+ * Remove a membership and drop the organization from the member's sessions
+ * @param {Object} membership - Membership
+ * @returns {Promise<void>}
+ */
+const deleteMembership = async (membership) => {
+  await repositories.memberships.delete(membership._id);
+
+  // Tokens issued later no longer carry the organization; org endpoints check membership on every request
+  await repositories.sessions.clearOrganization(membership.user, organizationIdOf(membership));
+};
+
+/**
+ * Remove a member from an organization
+ * @param {Object} actorMembership - Membership of the member removing them
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<boolean>} - True if a member was removed
+ */
+const removeMember = async (actorMembership, userId) => {
+  const membership = await findMember(actorMembership, userId);
+  if (!membership) {
+    return false;
+  }
+
+  ensureCanManageRoles(actorMembership, [membership.role]);
+  await ensureAnotherOwner(membership);
+
+  await deleteMembership(membership);
+  return true;
+};
+
+/**
+ * Leave an organization
+ * @param {Object} membership - Membership of the leaving user
+ * @returns {Promise<void>}
+ */
+const leaveOrganization = async (membership) => {
+  await ensureAnotherOwner(membership);
+  await deleteMembership(membership);
+};
+
+/**
+ * Remove every membership of a user (when the account is erased)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const removeUserMemberships = async (userId) => {
+  await repositories.memberships.deleteForUser(userId);
+};
+
+module.exports = {
+  roleHasPermission,
+  findMembership,
+  getDefaultOrganization,
+  markMembershipActive,
+  createOrganization,
+  listUserOrganizations,
+  updateOrganization,
+  listMembers,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  removeUserMemberships,
+};
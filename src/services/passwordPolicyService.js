@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const passwordPolicy = require('../config/passwordPolicy');
+
+/**
+ * Password policy service
+ * One place that decides whether a new password is acceptable, keeps the
+ * password history and tells when a password has expired
+ */
+
+// Passwords that are guessed first no matter how they score otherwise
+const COMMON_PASSWORDS = new Set([
+  'password', 'passw0rd', 'qwerty', 'qwertyuiop', 'letmein', 'welcome', 'admin', 'administrator',
+  'iloveyou', 'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess', 'master',
+  'shadow', 'superman', 'trustno1', 'abc123', 'changeme', 'secret', 'login', 'starwars',
+]);
+
+// Runs of these count as one guessable pattern
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const CHARACTER_CLASS_PATTERNS = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  digit: { pattern: /[0-9]/, label: 'a digit' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' },
+};
+
+/**
+ * Check whether two characters are neighbours in a common sequence (either direction)
+ * @param {string} previous - Previous character (lowercase)
+ * @param {string} current - Current character (lowercase)
+ * @returns {boolean} - True for steps like a→b, 3→2 or q→w
+ */
+const isSequenceStep = (previous, current) => {
+  return SEQUENCES.some((sequence) => {
+    const index = sequence.indexOf(previous);
+    return index !== -1 && (sequence[index + 1] === current || sequence[index - 1] === current);
+  });
+};
+
+/**
+ * Estimate password strength
+ * Entropy of the character pool times an effective length in which repeated
+ * characters and sequences (abc, 123, qwerty) count for little.
+ * @param {string} password - Password
+ * @returns {number} - Score from 0 (trivial) to 4 (strong)
+ */
+const getPasswordStrength = (password) => {
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z0-9]+$/, '').replace(/\d+$/, ''); // password123! -> password
+
+  if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(base)) {
+    return 0;
+  }
+
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/[0-9]/.test(password)) pool += 10;
+  if (/[^A-Za-z0-9]/.test(password)) pool += 33;
+
+  let effectiveLength = 0;
+  for (let i = 0; i < lower.length; i += 1) {
+    if (i > 0 && lower[i] === lower[i - 1]) {
+      effectiveLength += 0.25;
+    } else if (i > 0 && isSequenceStep(lower[i - 1], lower[i])) {
+      effectiveLength += 0.5;
+    } else {
+      effectiveLength += 1;
+    }
+  }
+
+  const bits = effectiveLength * Math.log2(Math.max(pool, 2));
+
+  if (bits < 28) return 0;
+  if (bits < 36) return 1;
+  if (bits < 60) return 2;
+  if (bits < 90) return 3;
+  return 4;
+};
+
+/**
+ * Find personal information contained in a password
+ * @param {string} password - Password
+ * @param {Object} user - { name, email }
+ * @returns {boolean} - True if the password contains the name or email address
+ */
+const containsPersonalInfo = (password, user = {}) => {
+  const lower = password.toLowerCase();
+  const email = (user.email || '').toLowerCase();
+  const parts = [email, email.split('@')[0], ...(user.name || '').toLowerCase().split(/\s+/)];
+
+  return parts.some((part) => part.length >= 3 && lower.includes(part));
+};
+
+/**
+ * Look a password up in the local breached password list
+ * Only the range file for the first five hex characters of its SHA-1 hash is read.
+ * @param {string} password - Password
+ * @returns {Promise<boolean>} - True if the password is listed
+ */
+const isBreachedPassword = async (password) => {
+  if (!passwordPolicy.breachedListDir) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  let contents;
+  try {
+    contents = await fs.readFile(path.join(passwordPolicy.breachedListDir, `${prefix}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false; // No listed password shares this prefix
+    }
+    throw error;
+  }
+
+  return contents.split(/\r?\n/).some((line) => {
+    const [lineSuffix, count] = line.split(':');
+    // Padding entries (count 0) are sometimes added to hide the real range size
+    return lineSuffix.toUpperCase() === suffix && count !== '0';
+  });
+};
+
+/**
+ * Check whether a password is the current one or in the user's history
+ * @param {Object} user - User document with +password +passwordHistory selected
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>} - True if it was used recently
+ */
+const isRecentPassword = async (user, password) => {
+  if (passwordPolicy.historyCount <= 0) {
+    return false;
+  }
+
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean).slice(0, passwordPolicy.historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} user - User document, or { name, email } for a user being registered
+ *   (select +password +passwordHistory on existing users so reuse is detected)
+ * @returns {Promise<Array<string>>} - Problems, empty when the password is acceptable
+ */
+const checkPassword = async (password, user = {}) => {
+  const problems = [];
+
+  if (password.length < passwordPolicy.minLength) {
+    problems.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > passwordPolicy.maxBytes) {
+    problems.push(`Password cannot exceed ${passwordPolicy.maxBytes} bytes`);
+  }
+
+  for (const name of passwordPolicy.requiredClasses) {
+    const { pattern, label } = CHARACTER_CLASS_PATTERNS[name];
+    if (!pattern.test(password)) {
+      problems.push(`Password must contain ${label}`);
+    }
+  }
+
+  if (passwordPolicy.rejectPersonalInfo && containsPersonalInfo(password, user)) {
+    problems.push('Password cannot contain your name or email address');
+  }
+
+  if (getPasswordStrength(password) < passwordPolicy.minStrengthScore) {
+    problems.push('Password is too easy to guess');
+  }
+
+  // The slower checks only run once the cheap ones pass
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (await isBreachedPassword(password)) {
+    problems.push('Password has appeared in a data breach. Please choose another one.');
+  } else if (user._id && (await isRecentPassword(user, password))) {
+    problems.push(`Password must differ from your last ${passwordPolicy.historyCount} passwords`);
+  }
+
+  return problems;
+};
+
+/**
+ * Throw when a new password breaks the policy
+ * @param {string} password - Candidate password
+ * @param {Object} user - See checkPassword
+ * @returns {Promise<void>}
+ */
+const assertPasswordAllowed = async (password, user = {}) => {
+  const problems = await checkPassword(password, user);
+  if (problems.length > 0) {
+    throw new Error(problems.join('. '));
+  }
+};
+
+/**
+ * Set a new password on a user document and move the old hash into the history
+ * The caller saves the document.
+ * @param {Object} user - User document with +password +passwordHistory selected
+ * @param {string} password - New (already checked) password
+ */
+const setPassword = (user, password) => {
+  if (user.password && passwordPolicy.historyCount > 1) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, passwordPolicy.historyCount - 1);
+  }
+  user.password = password;
+};
+
+/**
+ * Check whether a user's password is older than the configured maximum age
+ * @param {Object} user - User document
+ * @returns {boolean} - True if the password must be changed
+ */
+const isPasswordExpired = (user) => {
+  if (passwordPolicy.maxAgeDays <= 0 || !user.passwordChangedAt) {
+    return false;
+  }
+  return user.passwordChangedAt.getTime() + passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000 <= Date.now();
+};
+
+/**
+ * Describe the policy for clients (e.g. to show requirements next to a password field)
+ * @returns {Object} - Public policy settings
+ */
+const describePasswordPolicy = () => ({
+  minLength: passwordPolicy.minLength,
+  maxBytes: passwordPolicy.maxBytes,
+  requiredClasses: passwordPolicy.requiredClasses,
+  minStrengthScore: passwordPolicy.minStrengthScore,
+  rejectPersonalInfo: passwordPolicy.rejectPersonalInfo,
+  breachedCheck: Boolean(passwordPolicy.breachedListDir),
+  historyCount: passwordPolicy.historyCount,
+  maxAgeDays: passwordPolicy.maxAgeDays,
+});
+
+module.exports = {
+  getPasswordStrength,
+  isBreachedPassword,
+  checkPassword,
+  assertPasswordAllowed,
+  setPassword,
+  isPasswordExpired,
+  describePasswordPolicy,
+};
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const permissionConfig = require('../config/permissions');
+
+/**
+ * Role service
+ * Manages database-defined roles and resolves the permissions they grant
+ */
+
+// Role name -> permissions, refreshed periodically so every instance sees role edits
+const CACHE_TTL_MS = 60 * 1000;
+let permissionCache = null;
+let permissionCacheLoadedAt = 0;
+
+/**
+ * Drop the cached role permissions (called after every role change)
+ */
+const clearPermissionCache = () => {
+  permissionCache = null;
+};
+
+/**
+ * Load role permissions, from cache when fresh
+ * @returns {Promise<Map>} - Role name -> permissions
+ */
+const loadPermissionMap = async () => {
+  if (permissionCache && Date.now() - permissionCacheLoadedAt < CACHE_TTL_MS) {
+    return permissionCache;
+  }
+
+  const roles = await repositories.roles.list();
+  permissionCache = new Map(roles.map((role) => [role.name, role.permissions]));
+  permissionCacheLoadedAt = Date.now();
+
+  return permissionCache;
+};
+
+/**
+ * Get every permission granted by a set of roles
+ * @param {Array<string>} roleNames - Role names
+ * @returns {Promise<Set<string>>} - Granted permissions
+ */
+const getPermissionsForRoles = async (roleNames = []) => {
+  const permissionMap = await loadPermissionMap();
+  const permissions = new Set();
+
+  for (const roleName of roleNames) {
+    for (const permission of permissionMap.get(roleName) || []) {
+      permissions.add(permission);
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Check whether a permission set grants a permission
+ * @param {Set<string>} permissions - Granted permissions
+ * @param {string} permission - Required permission
+ * @returns {boolean} - True if granted
+ */
+const hasPermission = (permissions, permission) => {
+  return permissions.has(permissionConfig.wildcard) || permissions.has(permission);
+};
+
+/**
+ * Create the default roles if missing. Safe to run on every startup.
+ * @returns {Promise<void>}
+ */
+const ensureDefaultRoles = async () => {
+  for (const role of permissionConfig.defaultRoles) {
+    await repositories.roles.ensure(role);
+  }
+
+  clearPermissionCache();
+};
+
+/**
+ * List all roles
+ * @returns {Promise<Array>} - Roles
+ */
+const listRoles = async () => {
+  return repositories.roles.list();
+};
+
+/**
+ * Find a role by ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object|null>} - Role
+ */
+const findRole = async (roleId) => {
+  if (!mongoose.isValidObjectId(roleId)) {
+    return null;
+  }
+  return repositories.roles.findById(roleId);
+};
+
+/**
+ * Create a role (with permissions the actor holds)
+ * @param {Object} actor - User creating the role ({ roles })
+ * @param {Object} data - { name, description, permissions }
+ * @returns {Promise<Object>} - Role
+ */
+const createRole = async (actor, data) => {
+  await ensureHoldsPermissions(actor.roles, data.permissions || []);
+
+  const [existing] = await repositories.roles.findByNames([data.name]);
+  if (existing) {
+    throw new Error('A role with this name already exists');
+  }
+
+  const role = await repositories.roles.create(data);
+  clearPermissionCache();
+
+  return role;
+};
+
+/**
+ * Update the description or permissions of a role
+ * Only permissions the actor holds can be added to or removed from a role.
+ * @param {Object} actor - User changing the role ({ roles })
+ * @param {string} roleId - Role ID
+ * @param {Object} data - { description, permissions }
+ * @returns {Promise<Object|null>} - Updated role
+ */
+const updateRole = async (actor, roleId, data) => {
+  const role = await findRole(roleId);
+  if (!role) {
+    return null;
+  }
+
+  // The admin role must keep full access, or nobody could repair the roles again
+  if (role.name === permissionConfig.adminRole && data.permissions && !data.permissions.includes(permissionConfig.wildcard)) {
+    throw new Error(`The ${permissionConfig.adminRole} role must keep the "${permissionConfig.wildcard}" permission`);
+  }
+
+  if (data.permissions) {
+    const added = data.permissions.filter((permission) => !role.permissions.includes(permission));
+    const removed = role.permissions.filter((permission) => !data.permissions.includes(permission));
+    await ensureHoldsPermissions(actor.roles, [...added, ...removed]);
+  }
+
+  const updated = await repositories.roles.update(role._id, data);
+  clearPermissionCache();
+
+  return updated;
+};
+
+/**
+ * Delete a role that is neither built in nor assigned to any user
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} - True if a role was deleted
+ */
+const deleteRole = async (roleId) => {
+  const role = await findRole(roleId);
+  if (!role) {
+    return false;
+  }
+
+  if (role.isSystem) {
+    throw new Error('Built-in roles cannot be deleted');
+  }
+
+  const assignedCount = await repositories.users.countWithRole(role.name);
+  if (assignedCount > 0) {
+    throw new Error(`Role is assigned to ${assignedCount} user(s). Remove it from them first.`);
+  }
+
+  await repositories.roles.delete(role._id);
+  clearPermissionCache();
+
+  return true;
+};
+
+/**
+ * Make sure an admin losing access (role removed or account deactivated) is not the last one
+ * @param {Object} user - User document about to lose admin access
+ * @returns {Promise<void>}
+ */
+const ensureAnotherActiveAdmin = async (user) => {
+  const { adminRole } = permissionConfig;
+
+  if (!user.isActive || !user.roles.includes(adminRole)) {
+    return;
+  }
+
+  const otherAdmins = await repositories.users.countWithRole(adminRole, { excludeId: user._id, activeOnly: true });
+  if (otherAdmins === 0) {
+    throw new Error('Cannot remove the last active admin');
+  }
+};
+
+/**
+ * Make sure an actor holds every listed permission,
+ * so nobody can hand out (or take away) more access than they have
+ * @param {Array<string>} actorRoles - Roles of the admin making the change
+ * @param {Array<string>} permissions - Permissions being granted or removed
+ * @returns {Promise<void>}
+ */
+const ensureHoldsPermissions = async (actorRoles, permissions) => {
+  const actorPermissions = await getPermissionsForRoles(actorRoles);
+  const missing = [...new Set(permissions)].filter((permission) => !hasPermission(actorPermissions, permission));
+
+  if (missing.length > 0) {
+    throw new Error(`You cannot grant or remove permissions you do not hold: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Make sure an actor holds every permission granted by a set of roles
+ * @param {Array<string>} actorRoles - Roles of the admin making the change
+ * @param {Array<string>} roleNames - Roles being granted or removed
+ * @returns {Promise<void>}
+ */
+const ensureCanGrantRoles = async (actorRoles, roleNames) => {
+  const granted = await getPermissionsForRoles(roleNames);
+  await ensureHoldsPermissions(actorRoles, [...granted]);
+};
+
+/**
+ * Replace the roles of a user
+ * Admins cannot change their own roles, cannot grant or remove roles carrying permissions
+ * they lack, and the last active admin cannot be demoted.
+ * @param {Object} actor - User making the change ({ _id, roles })
+ * @param {string} userId - ID of the user to change
+ * @param {Array<string>} roleNames - New role names
+ * @returns {Promise<Object|null>} - Updated user document
+ */
+const setUserRoles = async (actor, userId, roleNames) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  if (actor._id.toString() === userId.toString()) {
+    throw new Error('You cannot change your own roles');
+  }
+
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const knownRoles = await repositories.roles.findByNames(roleNames);
+  const unknown = roleNames.filter((name) => !knownRoles.some((role) => role.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role(s): ${unknown.join(', ')}`);
+  }
+
+  const added = roleNames.filter((name) => !user.roles.includes(name));
+  const removed = user.roles.filter((name) => !roleNames.includes(name));
+  await ensureCanGrantRoles(actor.roles, [...added, ...removed]);
+
+  if (!roleNames.includes(permissionConfig.adminRole)) {
+    await ensureAnotherActiveAdmin(user);
+  }
+
+  user.roles = roleNames;
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+module.exports = {
+  clearPermissionCache,
+  getPermissionsForRoles,
+  hasPermission,
+  ensureDefaultRoles,
+  listRoles,
+  findRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  ensureAnotherActiveAdmin,
+  ensureCanGrantRoles,
+  setUserRoles,
+};
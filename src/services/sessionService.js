@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  hashToken,
+} = require('../utils/tokenGenerator');
+const { revokeSessionAccessTokens } = require('./tokenRevocationService');
+const { findMembership, getDefaultOrganization, markMembershipActive } = require('./organizationService');
+
+/**
+ * Session service
+ * Manages per-device sessions and the token pairs issued for them.
+ * Revoking a session also denylists the access tokens issued for it.
+ */
+
+/**
+ * Build the JWT payload for a user session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Object} - Token payload
+ */
+const buildTokenPayload = (user, session) => {
+  return {
+    userId: user._id.toString(),
+    email: user.email,
+    roles: user.roles,
+    sessionId: session._id.toString(),
+    orgId: session.organization ? session.organization.toString() : null,
+    tokenVersion: user.tokenVersion || 0,
+  };
+};
+
+/**
+ * Create a session for a newly signed-in device and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, context = {}) => {
+  const draft = {
+    _id: repositories.sessions.newId(),
+    user: user._id,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    organization: await getDefaultOrganization(user._id),
+    lastUsedAt: new Date(),
+  };
+
+  const tokenPayload = buildTokenPayload(user, draft);
+  const accessToken = generateAccessToken(tokenPayload);
+  const refreshToken = generateRefreshToken(tokenPayload);
+
+  // The session lives exactly as long as its refresh token
+  const session = await repositories.sessions.create({
+    ...draft,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  });
+
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session document including refreshTokenHash
+ */
+const findSession = async (userId, sessionId) => {
+  return repositories.sessions.findForUser(sessionId, userId, { withTokenHash: true });
+};
+
+/**
+ * Rotate the refresh token of a session
+ * The swap only succeeds while the presented token is still the current one,
+ * so two requests racing with the same token cannot both win.
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} presentedToken - Refresh token being exchanged
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object|null>} - { accessToken, refreshToken }, or null if the token was already retired
+ */
+const rotateSession = async (user, session, presentedToken, context = {}) => {
+  const tokenPayload = buildTokenPayload(user, session);
+
+  const accessToken = generateAccessToken(tokenPayload);
+  const refreshToken = generateRefreshToken(tokenPayload);
+
+  const update = {
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+    lastUsedAt: new Date(),
+  };
+  if (context.ip) {
+    update.ip = context.ip;
+  }
+  if (context.userAgent) {
+    update.userAgent = context.userAgent;
+  }
+
+  const rotated = await repositories.sessions.rotate(session._id, hashToken(presentedToken), update);
+
+  if (!rotated) {
+    return null;
+  }
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Switch the active organization of a session
+ * Later access tokens of the session (including refreshed ones) carry the new organization.
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session ID
+ * @param {string|null} organizationId - Organization ID, or null for none
+ * @returns {Promise<Object|null>} - { accessToken, organization }, or null if the session is gone
+ */
+const switchOrganization = async (user, sessionId, organizationId) => {
+  let membership = null;
+  if (organizationId) {
+    membership = await findMembership(organizationId, user._id);
+    if (!membership) {
+      throw new Error('You are not a member of this organization');
+    }
+  }
+
+  const session = await repositories.sessions.update(sessionId, user._id, {
+    organization: membership ? membership.organization._id : null,
+  });
+  if (!session) {
+    return null;
+  }
+
+  if (membership) {
+    await markMembershipActive(membership);
+  }
+
+  return {
+    accessToken: generateAccessToken(buildTokenPayload(user, session)),
+    organization: membership ? membership.organization : null,
+  };
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const listSessions = async (userId) => {
+  return repositories.sessions.listActive(userId);
+};
+
+/**
+ * Revoke a single session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - True if a session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const deleted = await repositories.sessions.delete(sessionId, userId);
+  if (!deleted) {
+    return false;
+  }
+
+  await revokeSessionAccessTokens([sessionId]);
+  return true;
+};
+
+/**
+ * Delete sessions of a user and denylist their access tokens
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptId: session ID to keep }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, options = {}) => {
+  const sessionIds = await repositories.sessions.deleteForUser(userId, options);
+  await revokeSessionAccessTokens(sessionIds);
+  return sessionIds.length;
+};
+
+/**
+ * Revoke every session of a user except the given one
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session ID to keep
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  return revokeUserSessions(userId, { exceptId: currentSessionId });
+};
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId) => {
+  return revokeUserSessions(userId);
+};
+
+module.exports = {
+  buildTokenPayload,
+  createSession,
+  findSession,
+  rotateSession,
+  switchOrganization,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+};
@@ -0,0 +1,119 @@
+const ms = require('ms');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+
+/**
+ * Token revocation service
+ * Access tokens are checked against two things on every request:
+ *   - the user's tokenVersion (bumped to end every outstanding token of a user)
+ *   - a denylist of single tokens (jti) and sessions, kept until the tokens expire
+ * The denylist is held in memory and reloaded periodically, so the check costs no query.
+ */
+
+let denylist = null; // Set of "<kind>:<value>"
+let denylistLoadedAt = 0;
+let loading = null;
+
+/**
+ * Load the denylist, from memory when fresh
+ * @returns {Promise<Set<string>>} - Revoked keys
+ */
+const loadDenylist = async () => {
+  if (denylist && Date.now() - denylistLoadedAt < authConfig.revocationCacheSeconds * 1000) {
+    return denylist;
+  }
+
+  // Concurrent requests share one reload
+  if (!loading) {
+    loading = repositories.revokedTokens
+      .listActive()
+      .then((entries) => {
+        denylist = new Set(entries.map((entry) => `${entry.kind}:${entry.value}`));
+        denylistLoadedAt = Date.now();
+        return denylist;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+};
+
+/**
+ * Add entries to the denylist
+ * @param {string} kind - 'jti' or 'session'
+ * @param {Array<string>} values - Token IDs or session IDs
+ * @param {Date} expiresAt - When the covered tokens have expired
+ * @returns {Promise<void>}
+ */
+const addToDenylist = async (kind, values, expiresAt) => {
+  if (values.length === 0) {
+    return;
+  }
+
+  await repositories.revokedTokens.add(kind, values, expiresAt);
+
+  // This instance enforces the revocation at once; others within revocationCacheSeconds
+  if (denylist) {
+    for (const value of values) {
+      denylist.add(`${kind}:${value}`);
+    }
+  }
+};
+
+/**
+ * Revoke a single access token
+ * @param {string} jti - Token ID (jti claim)
+ * @param {Date} expiresAt - Token expiry (exp claim)
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (jti, expiresAt) => {
+  if (!jti) {
+    return;
+  }
+  await addToDenylist('jti', [jti], expiresAt);
+};
+
+/**
+ * Revoke every access token issued for some sessions
+ * @param {Array<string>} sessionIds - Session IDs
+ * @returns {Promise<void>}
+ */
+const revokeSessionAccessTokens = async (sessionIds) => {
+  const expiresAt = new Date(Date.now() + ms(jwtConfig.accessTokenExpiry));
+  await addToDenylist('session', sessionIds.map((id) => id.toString()), expiresAt);
+};
+
+/**
+ * Check whether an access token has been revoked
+ * @param {Object} decoded - Verified token payload
+ * @param {Object} user - Token owner (user document)
+ * @returns {Promise<boolean>} - True if the token must be refused
+ */
+const isAccessTokenRevoked = async (decoded, user) => {
+  // Tokens issued before versioning carry no version and count as version 0
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return true;
+  }
+
+  const revoked = await loadDenylist();
+  return revoked.has(`jti:${decoded.jti}`) || revoked.has(`session:${decoded.sessionId}`);
+};
+
+/**
+ * End every outstanding access token of a user by bumping the token version
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const revokeAllAccessTokens = async (userId) => {
+  await repositories.users.update(userId, { inc: { tokenVersion: 1 } });
+};
+
+module.exports = {
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+  isAccessTokenRevoked,
+  revokeAllAccessTokens,
+};
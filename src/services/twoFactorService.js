@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const authConfig = require('../config/auth');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { hashToken } = require('../utils/tokenGenerator');
+
+/**
+ * Two-factor authentication service
+ * Handles TOTP enrollment and second-factor verification
+ */
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code
+ * @returns {string} - Normalized code
+ */
+const normalizeRecoveryCode = (code) => {
+  return code.toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes, hashes } (plain codes are shown to the user once)
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < authConfig.twoFactorRecoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  const hashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+  return { codes, hashes };
+};
+
+/**
+ * Start 2FA enrollment by generating a new secret
+ * The secret is not used for login until it is confirmed with a valid code.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ */
+const enrollTwoFactor = async (userId) => {
+  const user = await repositories.users.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+
+  user.twoFactorSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email, authConfig.twoFactorIssuer),
+  };
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} - Recovery codes (shown to the user once)
+ */
+const confirmTwoFactor = async (userId, code) => {
+  const user = await repositories.users.findById(userId, { select: ['twoFactorSecret'] });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new Error('Two-factor enrollment has not been started');
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) {
+    throw new Error('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  return codes;
+};
+
+/**
+ * Check a second factor (TOTP code or recovery code) for a user
+ * Recovery codes are consumed on use; TOTP codes cannot be replayed. Both are claimed
+ * with a conditional update, so of two requests racing with the same code only one succeeds.
+ * @param {Object} user - User document with 2FA fields selected
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<boolean>} - True if the code is valid
+ */
+const verifySecondFactor = async (user, code) => {
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+      return false;
+    }
+
+    return repositories.users.claimTwoFactorStep(user._id, step);
+  }
+
+  return repositories.users.consumeRecoveryCode(user._id, hashToken(normalizeRecoveryCode(code)));
+};
+
+/**
+ * Load a user with the fields needed for second-factor checks
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - User document
+ */
+const findUserWithTwoFactor = async (userId) => {
+  return repositories.users.findById(userId, {
+    select: ['password', 'failedLoginAttempts', 'lockUntil', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastUsedStep'],
+  });
+};
+
+/**
+ * Disable 2FA after re-checking the password (when the account has one) and a second factor
+ * @param {string} userId - User ID
+ * @param {string} password - Current password (optional for accounts without one)
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (userId, password, code) => {
+  const user = await findUserWithTwoFactor(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  // Accounts without a password (provider, magic link or passkey sign-in only) confirm with the code alone
+  if (user.password) {
+    if (!password) {
+      throw new Error('Password is required');
+    }
+    if (!(await user.comparePassword(password))) {
+      throw new Error('Password is incorrect');
+    }
+  }
+
+  const isCodeValid = await verifySecondFactor(user, code);
+  if (!isCodeValid) {
+    throw new Error('Invalid authentication code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+module.exports = {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  verifySecondFactor,
+  findUserWithTwoFactor,
+  disableTwoFactor,
+};
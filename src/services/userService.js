@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const { ensureAnotherActiveAdmin } = require('./roleService');
+const { revokeAllSessions } = require('./sessionService');
+const { removeUserMemberships } = require('./organizationService');
+
+/**
+ * User service
+ * Admin queries and changes to user accounts
+ */
+
+// Fields whose cursor values are dates
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} user - Last user of the page
+ * @param {string} sortField - Field the listing is sorted by
+ * @returns {string} - Cursor
+ */
+const encodeCursor = (user, sortField) => {
+  return Buffer.from(JSON.stringify({ v: user[sortField], id: user._id.toString() })).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {string} sortField - Field the listing is sorted by
+ * @returns {Object} - { value, id }
+ */
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[a-f0-9]{24}$/.test(id) || v === undefined) {
+      throw new Error();
+    }
+    return { value: DATE_FIELDS.includes(sortField) ? new Date(v) : v, id };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * List users with filters, sorting, field selection and pagination
+ * Cursor pagination (`cursor`) stays stable while users are added; offset pagination (`page`)
+ * allows jumping to a page. Without either, the first page is returned with a cursor for the next.
+ * @param {Object} options - Validated query (see listUsersSchema)
+ * @returns {Promise<Object>} - { users, total, page, nextCursor, hasMore }
+ */
+const listUsers = async (options) => {
+  const descending = options.sort.startsWith('-');
+  const sortField = descending ? options.sort.slice(1) : options.sort;
+
+  const { role, isActive, createdFrom, createdTo, deleted, search } = options;
+
+  const { users: results, total } = await repositories.users.list({
+    filters: { role, isActive, createdFrom, createdTo, deleted, search },
+    sort: { field: sortField, direction: descending ? -1 : 1 },
+    after: options.cursor ? decodeCursor(options.cursor, sortField) : null,
+    skip: options.page ? (options.page - 1) * options.limit : 0,
+    limit: options.limit + 1,
+    // The sort field is always needed to build the next cursor
+    fields: options.fields ? [...new Set([...options.fields.split(','), sortField])] : null,
+  });
+
+  const hasMore = results.length > options.limit;
+  const users = hasMore ? results.slice(0, options.limit) : results;
+
+  return {
+    users,
+    total,
+    page: options.page || null,
+    nextCursor: hasMore && !options.page ? encodeCursor(users[users.length - 1], sortField) : null,
+    hasMore,
+  };
+};
+
+/**
+ * Find a user for an admin change
+ * @param {string} actorId - ID of the admin making the change
+ * @param {string} userId - ID of the user to change
+ * @returns {Promise<Object|null>} - User document
+ */
+const findUserToManage = async (actorId, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  if (actorId.toString() === userId.toString()) {
+    throw new Error('You cannot change your own account from the admin endpoints');
+  }
+
+  return repositories.users.findById(userId);
+};
+
+/**
+ * Edit the profile fields of a user
+ * A new email address is unverified unless isEmailVerified is set in the same change.
+ * @param {string} actorId - ID of the admin making the change
+ * @param {string} userId - ID of the user to change
+ * @param {Object} data - { name, email, isEmailVerified }
+ * @returns {Promise<Object|null>} - Updated user document
+ */
+const updateUser = async (actorId, userId, data) => {
+  const user = await findUserToManage(actorId, userId);
+  if (!user) {
+    return null;
+  }
+
+  if (data.email && data.email !== user.email) {
+    const existingUser = await repositories.users.findByEmail(data.email, { withDeleted: true });
+    if (existingUser) {
+      throw new Error('Email already in use');
+    }
+    user.email = data.email;
+    user.isEmailVerified = false;
+  }
+  if (data.name) {
+    user.name = data.name;
+  }
+  if (data.isEmailVerified !== undefined) {
+    user.isEmailVerified = data.isEmailVerified;
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+/**
+ * Deactivate or reactivate a user
+ * Deactivation revokes every session, so refresh tokens stop working immediately.
+ * @param {string} actorId - ID of the admin making the change
+ * @param {string} userId - ID of the user to change
+ * @param {boolean} isActive - New state
+ * @returns {Promise<Object|null>} - Updated user document
+ */
+const setUserActive = async (actorId, userId, isActive) => {
+  const user = await findUserToManage(actorId, userId);
+  if (!user) {
+    return null;
+  }
+
+  if (!isActive) {
+    await ensureAnotherActiveAdmin(user);
+  }
+
+  user.isActive = isActive;
+  await user.save({ validateBeforeSave: false });
+
+  if (!isActive) {
+    await revokeAllSessions(user._id);
+  }
+
+  return user;
+};
+
+/**
+ * Require a user to choose a new password on their next sign-in
+ * Existing sessions are revoked, so the next sign-in happens right away.
+ * @param {string} actorId - ID of the admin making the change
+ * @param {string} userId - ID of the user to change
+ * @returns {Promise<Object|null>} - Updated user document
+ */
+const requirePasswordReset = async (actorId, userId) => {
+  const user = await findUserToManage(actorId, userId);
+  if (!user) {
+    return null;
+  }
+
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+  await revokeAllSessions(user._id);
+
+  return user;
+};
+
+/**
+ * Soft delete a user
+ * The account disappears from sign-in, authentication and listings, and its sessions are revoked.
+ * Linked identities and API keys are kept so a restore brings the account back as it was.
+ * @param {string} actorId - ID of the admin making the change
+ * @param {string} userId - ID of the user to delete
+ * @returns {Promise<Object|null>} - Deleted user document
+ */
+const softDeleteUser = async (actorId, userId) => {
+  if (actorId.toString() === userId.toString()) {
+    throw new Error('You cannot delete your own account');
+  }
+
+  const user = await findUserToManage(actorId, userId);
+  if (!user) {
+    return null;
+  }
+
+  await ensureAnotherActiveAdmin(user);
+
+  user.deletedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+  await revokeAllSessions(user._id);
+
+  return user;
+};
+
+/**
+ * Restore a soft-deleted user
+ * @param {string} userId - ID of the user to restore
+ * @returns {Promise<Object|null>} - Restored user document, or null if no deleted user matches
+ */
+const restoreUser = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  return repositories.users.restore(userId);
+};
+
+/**
+ * Permanently erase users soft-deleted before a date, with their sessions, linked identities,
+ * passkeys, API keys, magic links, organization memberships and the invitations naming them
+ * @param {Date} deletedBefore - Erase users deleted at or before this date
+ * @returns {Promise<number>} - Number of users erased
+ */
+const purgeDeletedUsers = async (deletedBefore) => {
+  const userIds = await repositories.users.findDeletedBefore(deletedBefore);
+
+  for (const userId of userIds) {
+    const user = await repositories.users.findById(userId, { withDeleted: true });
+
+    await revokeAllSessions(userId);
+    await repositories.identities.deleteForUser(userId);
+    await repositories.passkeys.deleteForUser(userId);
+    await repositories.apiKeys.deleteForUser(userId);
+    await repositories.magicLinks.deleteForUser(userId);
+    await repositories.invitations.deleteForUser(userId, user.email);
+    await repositories.organizationInvitations.deleteForUser(userId, user.email);
+    await removeUserMemberships(userId);
+    await repositories.users.delete(userId);
+  }
+
+  return userIds.length;
+};
+
+module.exports = {
+  listUsers,
+  updateUser,
+  setUserActive,
+  requirePasswordReset,
+  softDeleteUser,
+  restoreUser,
+  purgeDeletedUsers,
+};
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const webauthnConfig = require('../config/webauthn');
+const { recordAuditEvent } = require('./auditService');
+const { findUserWithTwoFactor, verifySecondFactor } = require('./twoFactorService');
+const {
+  COSE_ALGORITHMS,
+  sha256,
+  fromBase64Url,
+  parseClientData,
+  parseAuthenticatorData,
+  parseAttestationObject,
+  coseToPublicKey,
+  verifyAssertionSignature,
+  formatAaguid,
+} = require('../utils/webauthn');
+
+/**
+ * WebAuthn service
+ * Runs passkey registration and authentication ceremonies and manages stored passkeys.
+ * Every check is done locally; no attestation or metadata service is contacted.
+ */
+
+const KNOWN_TRANSPORTS = ['usb', 'nfc', 'ble', 'smart-card', 'hybrid', 'internal'];
+
+/**
+ * Encode a user ID as the WebAuthn user handle
+ * @param {string} userId - User ID
+ * @returns {string} - base64url user handle (the 12 ObjectId bytes)
+ */
+const toUserHandle = (userId) => Buffer.from(userId.toString(), 'hex').toString('base64url');
+
+/**
+ * Start a ceremony by storing a fresh challenge
+ * @param {string} type - 'registration' or 'authentication'
+ * @param {string} userId - User ID (registration only)
+ * @returns {Promise<string>} - base64url challenge
+ */
+const createChallenge = async (type, userId = null) => {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  await repositories.webauthnChallenges.create({
+    challenge,
+    type,
+    user: userId,
+    expiresAt: new Date(Date.now() + webauthnConfig.challengeExpiryMinutes * 60 * 1000),
+  });
+
+  return challenge;
+};
+
+/**
+ * Check the client data of a ceremony and consume its challenge
+ * @param {Buffer} clientDataJSON - Raw client data
+ * @param {string} type - 'registration' or 'authentication'
+ * @param {string} userId - User ID (registration only)
+ * @returns {Promise<void>}
+ */
+const verifyClientData = async (clientDataJSON, type, userId = null) => {
+  const clientData = parseClientData(clientDataJSON);
+
+  if (clientData.type !== (type === 'registration' ? 'webauthn.create' : 'webauthn.get')) {
+    throw new Error('Unexpected ceremony type');
+  }
+
+  if (!webauthnConfig.origins.includes(clientData.origin) || clientData.crossOrigin === true) {
+    throw new Error('Passkey ceremony from an unexpected origin');
+  }
+
+  // Consume atomically so a response can only be used once
+  const consumed = await repositories.webauthnChallenges.consume(clientData.challenge, type, userId);
+  if (!consumed) {
+    throw new Error('Unknown or expired challenge. Please try again.');
+  }
+};
+
+/**
+ * Check the relying party and user flags of authenticator data
+ * @param {Object} authData - Parsed authenticator data
+ * @returns {void}
+ */
+const verifyAuthenticatorFlags = (authData) => {
+  if (!authData.rpIdHash.equals(sha256(webauthnConfig.rpId))) {
+    throw new Error('Passkey belongs to a different site');
+  }
+
+  if (!authData.flags.userPresent) {
+    throw new Error('User presence was not confirmed');
+  }
+
+  if (webauthnConfig.userVerification === 'required' && !authData.flags.userVerified) {
+    throw new Error('User verification is required');
+  }
+};
+
+/**
+ * Build the options for navigator.credentials.create()
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - PublicKeyCredentialCreationOptions (binary fields base64url)
+ */
+const generateRegistrationOptions = async (user) => {
+  const existing = await repositories.passkeys.listForUser(user._id);
+  const challenge = await createChallenge('registration', user._id);
+
+  return {
+    challenge,
+    rp: { id: webauthnConfig.rpId, name: webauthnConfig.rpName },
+    user: { id: toUserHandle(user._id), name: user.email, displayName: user.name },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({ type: 'public-key', alg })),
+    timeout: webauthnConfig.challengeExpiryMinutes * 60 * 1000,
+    attestation: 'none',
+    excludeCredentials: existing.map((credential) => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      requireResidentKey: true,
+      userVerification: webauthnConfig.userVerification,
+    },
+  };
+};
+
+/**
+ * Verify a registration response and store the new passkey
+ * @param {string} userId - ID of the signed-in user
+ * @param {Object} credential - PublicKeyCredential JSON ({ id, response: { clientDataJSON, attestationObject, transports } })
+ * @param {string} name - Display name for the passkey (optional)
+ * @returns {Promise<Object>} - Stored credential document
+ */
+const verifyRegistration = async (userId, credential, name) => {
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+  await verifyClientData(clientDataJSON, 'registration', userId);
+
+  let authData;
+  try {
+    authData = parseAttestationObject(fromBase64Url(credential.response.attestationObject)).authData;
+  } catch (error) {
+    throw new Error('Malformed passkey registration');
+  }
+
+  verifyAuthenticatorFlags(authData);
+
+  if (!authData.credentialPublicKey) {
+    throw new Error('Malformed passkey registration');
+  }
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credentialId !== credential.id) {
+    throw new Error('Credential ID does not match the authenticator data');
+  }
+
+  // Rejects algorithms and key types that could not be verified later
+  coseToPublicKey(authData.credentialPublicKey);
+
+  const existing = await repositories.passkeys.findByCredentialId(credentialId);
+  if (existing) {
+    throw new Error('This passkey is already registered');
+  }
+
+  return repositories.passkeys.create({
+    user: userId,
+    credentialId,
+    publicKey: authData.credentialPublicKey,
+    signCount: authData.signCount,
+    transports: (credential.response.transports || []).filter((transport) => KNOWN_TRANSPORTS.includes(transport)),
+    name: name || undefined,
+    aaguid: formatAaguid(authData.aaguid),
+    backedUp: authData.flags.backedUp,
+  });
+};
+
+/**
+ * Build the options for navigator.credentials.get()
+ * No credentials are listed: the authenticator offers the user's discoverable passkeys,
+ * so the request reveals nothing about which accounts exist.
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (binary fields base64url)
+ */
+const generateAuthenticationOptions = async () => {
+  const challenge = await createChallenge('authentication');
+
+  return {
+    challenge,
+    rpId: webauthnConfig.rpId,
+    timeout: webauthnConfig.challengeExpiryMinutes * 60 * 1000,
+    userVerification: webauthnConfig.userVerification,
+    allowCredentials: [],
+  };
+};
+
+/**
+ * Verify an authentication response
+ * @param {Object} credential - PublicKeyCredential JSON
+ *   ({ id, response: { clientDataJSON, authenticatorData, signature, userHandle } })
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<Object>} - { passkey, userVerified }
+ */
+const verifyAuthentication = async (credential, context = {}) => {
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+  await verifyClientData(clientDataJSON, 'authentication');
+
+  const passkey = await repositories.passkeys.findByCredentialId(credential.id);
+  if (!passkey) {
+    throw new Error('Unknown passkey');
+  }
+
+  const { userHandle } = credential.response;
+  if (userHandle && userHandle !== toUserHandle(passkey.user)) {
+    throw new Error('Passkey does not belong to this account');
+  }
+
+  const rawAuthData = fromBase64Url(credential.response.authenticatorData);
+  let authData;
+  try {
+    authData = parseAuthenticatorData(rawAuthData);
+  } catch (error) {
+    throw new Error('Malformed passkey response');
+  }
+
+  verifyAuthenticatorFlags(authData);
+
+  if (!verifyAssertionSignature(passkey.publicKey, rawAuthData, clientDataJSON, fromBase64Url(credential.response.signature))) {
+    throw new Error('Invalid passkey signature');
+  }
+
+  // Authenticators that count must always count up; a repeat suggests a cloned authenticator
+  if ((authData.signCount > 0 || passkey.signCount > 0) && authData.signCount <= passkey.signCount) {
+    await recordAuditEvent({
+      action: 'auth.passkey_counter_regressed',
+      result: 'failure',
+      target: passkey.user,
+      context,
+      metadata: { passkeyId: passkey._id, storedCount: passkey.signCount, presentedCount: authData.signCount },
+    });
+    throw new Error('Passkey rejected. Remove it from your account and register it again.');
+  }
+
+  const used = await repositories.passkeys.update(passkey._id, passkey.user, {
+    signCount: authData.signCount,
+    backedUp: authData.flags.backedUp,
+    lastUsedAt: new Date(),
+  });
+
+  return { passkey: used || passkey, userVerified: authData.flags.userVerified };
+};
+
+/**
+ * Confirm the signed-in user is present before a passkey is added or the email address changes
+ * Both outlive the access token, so the token alone is not enough: the user
+ * re-enters their password, a 2FA code, or signs with a passkey they already have.
+ * Accounts with none of those (provider or magic link sign-in only) must have signed in recently.
+ * @param {string} userId - ID of the signed-in user
+ * @param {string} sessionId - Session of the access token
+ * @param {Object} proof - { password } or { code } (TOTP or recovery code) or { credential } (passkey assertion)
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Promise<string>} - Method used: password, two_factor, passkey or recent_sign_in
+ */
+const verifyReauthentication = async (userId, sessionId, proof, context = {}) => {
+  if (proof.credential) {
+    const { passkey } = await verifyAuthentication(proof.credential, context);
+    if (passkey.user.toString() !== userId.toString()) {
+      throw new Error('Passkey does not belong to this account');
+    }
+    return 'passkey';
+  }
+
+  const user = await findUserWithTwoFactor(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (proof.password) {
+    if (!user.password || !(await user.comparePassword(proof.password))) {
+      throw new Error('Password is incorrect');
+    }
+    return 'password';
+  }
+
+  if (proof.code) {
+    if (!user.twoFactorEnabled || !(await verifySecondFactor(user, proof.code))) {
+      throw new Error('Invalid authentication code');
+    }
+    return 'two_factor';
+  }
+
+  if (user.password || user.twoFactorEnabled || (await repositories.passkeys.countForUser(userId)) > 0) {
+    throw new Error('Confirm your password, an authentication code or an existing passkey first');
+  }
+
+  const session = await repositories.sessions.findForUser(sessionId, userId);
+  if (!session || Date.now() - session.createdAt.getTime() > webauthnConfig.recentSignInMinutes * 60 * 1000) {
+    throw new Error('Please sign in again to continue');
+  }
+  return 'recent_sign_in';
+};
+
+/**
+ * List the passkeys of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Passkeys
+ */
+const listPasskeys = async (userId) => {
+  return repositories.passkeys.listForUser(userId);
+};
+
+/**
+ * Rename a passkey of a user
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} - Updated passkey
+ */
+const renamePasskey = async (userId, passkeyId, name) => {
+  if (!mongoose.isValidObjectId(passkeyId)) {
+    return null;
+  }
+
+  return repositories.passkeys.update(passkeyId, userId, { name });
+};
+
+/**
+ * Remove a passkey of a user
+ * The last sign-in method of an account cannot be removed.
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @returns {Promise<boolean>} - True if a passkey was removed
+ */
+const removePasskey = async (userId, passkeyId) => {
+  if (!mongoose.isValidObjectId(passkeyId)) {
+    return false;
+  }
+
+  const passkey = await repositories.passkeys.findForUser(passkeyId, userId);
+  if (!passkey) {
+    return false;
+  }
+
+  const user = await repositories.users.findById(userId, { select: ['password'] });
+  if (!user.password) {
+    const otherMethods =
+      (await repositories.passkeys.countForUser(userId)) - 1 + (await repositories.identities.countForUser(userId));
+
+    if (otherMethods === 0) {
+      throw new Error('Set a password before removing your only passkey');
+    }
+  }
+
+  await repositories.passkeys.delete(passkey._id);
+  return true;
+};
+
+module.exports = {
+  generateRegistrationOptions,
+  verifyRegistration,
+  generateAuthenticationOptions,
+  verifyAuthentication,
+  verifyReauthentication,
+  listPasskeys,
+  renamePasskey,
+  removePasskey,
+};
@@ -0,0 +1,111 @@
+/**
+ * English email templates
+ * Each template has subject, text and html functions. Values passed to html are already escaped.
+ */
+module.exports = {
+  welcome: {
+    subject: ({ appName }) => `Welcome to ${appName}`,
+    text: ({ appName, name }) => `Hi ${name},
+
+Welcome to ${appName}! Your account is ready.
+
+If you did not create this account, please contact support.`,
+    html: ({ appName, name }) => `<p>Hi ${name},</p>
+<p>Welcome to ${appName}! Your account is ready.</p>
+<p>If you did not create this account, please contact support.</p>`,
+  },
+
+  passwordReset: {
+    subject: ({ appName }) => `Reset your ${appName} password`,
+    text: ({ url, expiresAt }) => `We received a request to reset your password.
+
+Open this link to choose a new password (valid until ${expiresAt}):
+${url}
+
+If you did not ask for a reset, you can ignore this email.`,
+    html: ({ url, expiresAt }) => `<p>We received a request to reset your password.</p>
+<p><a href="${url}">Choose a new password</a> (valid until ${expiresAt}).</p>
+<p>If you did not ask for a reset, you can ignore this email.</p>`,
+  },
+
+  emailVerification: {
+    subject: ({ appName }) => `Verify your email address for ${appName}`,
+    text: ({ name, url }) => `Hi ${name},
+
+Please confirm your email address by opening this link:
+${url}`,
+    html: ({ name, url }) => `<p>Hi ${name},</p>
+<p>Please confirm your email address.</p>
+<p><a href="${url}">Verify email address</a></p>`,
+  },
+
+  magicLink: {
+    subject: ({ appName }) => `Your ${appName} sign-in link`,
+    text: ({ name, url }) => `Hi ${name},
+
+Open this link to sign in. It works once and expires in a few minutes:
+${url}
+
+If you did not ask to sign in, you can ignore this email.`,
+    html: ({ name, url }) => `<p>Hi ${name},</p>
+<p><a href="${url}">Sign in</a>. The link works once and expires in a few minutes.</p>
+<p>If you did not ask to sign in, you can ignore this email.</p>`,
+  },
+
+  accountLocked: {
+    subject: ({ appName }) => `Your ${appName} account was locked`,
+    text: ({ name, url }) => `Hi ${name},
+
+Your account was locked after too many failed sign-in attempts. It unlocks automatically after a while.
+
+If these attempts were yours, you can unlock it now:
+${url}
+
+If they were not, consider changing your password.`,
+    html: ({ name, url }) => `<p>Hi ${name},</p>
+<p>Your account was locked after too many failed sign-in attempts. It unlocks automatically after a while.</p>
+<p>If these attempts were yours, you can <a href="${url}">unlock it now</a>.</p>
+<p>If they were not, consider changing your password.</p>`,
+  },
+  passkeyAdded: {
+    subject: ({ appName }) => `A passkey was added to your ${appName} account`,
+    text: ({ name, passkeyName }) => `Hi ${name},
+
+A new passkey (${passkeyName}) was added to your account. It can be used to sign in.
+
+If you did not add it, remove it from your profile and change your password.`,
+    html: ({ name, passkeyName }) => `<p>Hi ${name},</p>
+<p>A new passkey (${passkeyName}) was added to your account. It can be used to sign in.</p>
+<p>If you did not add it, remove it from your profile and change your password.</p>`,
+  },
+  invitation: {
+    subject: ({ appName }) => `You're invited to ${appName}`,
+    text: ({ appName, inviterName, url, expiresOn }) => `Hi,
+
+${inviterName} invited you to create an account on ${appName}.
+
+Open this link to choose your name and password. It works once and expires on ${expiresOn}:
+${url}
+
+If you were not expecting this invitation, you can ignore this email.`,
+    html: ({ appName, inviterName, url, expiresOn }) => `<p>Hi,</p>
+<p>${inviterName} invited you to create an account on ${appName}.</p>
+<p><a href="${url}">Accept the invitation</a>. The link works once and expires on ${expiresOn}.</p>
+<p>If you were not expecting this invitation, you can ignore this email.</p>`,
+  },
+  organizationInvitation: {
+    subject: ({ organizationName }) => `You're invited to join ${organizationName}`,
+    text: ({ appName, inviterName, organizationName, email, url, expiresOn }) => `Hi,
+
+${inviterName} invited you to join ${organizationName} on ${appName}.
+
+Sign in with ${email}, or create an account with that address, then open this link to join. It works once and expires on ${expiresOn}:
+${url}
+
+If you were not expecting this invitation, you can ignore this email.`,
+    html: ({ appName, inviterName, organizationName, email, url, expiresOn }) => `<p>Hi,</p>
+<p>${inviterName} invited you to join ${organizationName} on ${appName}.</p>
+<p>Sign in with ${email}, or create an account with that address, then <a href="${url}">accept the invitation</a>. The link works once and expires on ${expiresOn}.</p>
+<p>If you were not expecting this invitation, you can ignore this email.</p>`,
+  },
+};
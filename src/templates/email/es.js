@@ -0,0 +1,111 @@
+/**
+ * Spanish email templates
+ * Each template has subject, text and html functions. Values passed to html are already escaped.
+ */
+module.exports = {
+  welcome: {
+    subject: ({ appName }) => `Bienvenido a ${appName}`,
+    text: ({ appName, name }) => `Hola ${name}:
+
+¡Bienvenido a ${appName}! Tu cuenta está lista.
+
+Si no creaste esta cuenta, ponte en contacto con soporte.`,
+    html: ({ appName, name }) => `<p>Hola ${name}:</p>
+<p>¡Bienvenido a ${appName}! Tu cuenta está lista.</p>
+<p>Si no creaste esta cuenta, ponte en contacto con soporte.</p>`,
+  },
+
+  passwordReset: {
+    subject: ({ appName }) => `Restablece tu contraseña de ${appName}`,
+    text: ({ url, expiresAt }) => `Recibimos una solicitud para restablecer tu contraseña.
+
+Abre este enlace para elegir una nueva contraseña (válido hasta el ${expiresAt}):
+${url}
+
+Si no lo solicitaste, puedes ignorar este correo.`,
+    html: ({ url, expiresAt }) => `<p>Recibimos una solicitud para restablecer tu contraseña.</p>
+<p><a href="${url}">Elegir una nueva contraseña</a> (válido hasta el ${expiresAt}).</p>
+<p>Si no lo solicitaste, puedes ignorar este correo.</p>`,
+  },
+
+  emailVerification: {
+    subject: ({ appName }) => `Verifica tu correo electrónico en ${appName}`,
+    text: ({ name, url }) => `Hola ${name}:
+
+Confirma tu dirección de correo electrónico abriendo este enlace:
+${url}`,
+    html: ({ name, url }) => `<p>Hola ${name}:</p>
+<p>Confirma tu dirección de correo electrónico.</p>
+<p><a href="${url}">Verificar correo electrónico</a></p>`,
+  },
+
+  magicLink: {
+    subject: ({ appName }) => `Tu enlace de acceso a ${appName}`,
+    text: ({ name, url }) => `Hola ${name}:
+
+Abre este enlace para iniciar sesión. Solo funciona una vez y caduca en unos minutos:
+${url}
+
+Si no solicitaste iniciar sesión, puedes ignorar este correo.`,
+    html: ({ name, url }) => `<p>Hola ${name}:</p>
+<p><a href="${url}">Iniciar sesión</a>. El enlace solo funciona una vez y caduca en unos minutos.</p>
+<p>Si no solicitaste iniciar sesión, puedes ignorar este correo.</p>`,
+  },
+
+  accountLocked: {
+    subject: ({ appName }) => `Tu cuenta de ${appName} fue bloqueada`,
+    text: ({ name, url }) => `Hola ${name}:
+
+Tu cuenta se bloqueó tras demasiados intentos fallidos de inicio de sesión. Se desbloqueará automáticamente en un rato.
+
+Si los intentos fueron tuyos, puedes desbloquearla ahora:
+${url}
+
+Si no fueron tuyos, te recomendamos cambiar tu contraseña.`,
+    html: ({ name, url }) => `<p>Hola ${name}:</p>
+<p>Tu cuenta se bloqueó tras demasiados intentos fallidos de inicio de sesión. Se desbloqueará automáticamente en un rato.</p>
+<p>Si los intentos fueron tuyos, puedes <a href="${url}">desbloquearla ahora</a>.</p>
+<p>Si no fueron tuyos, te recomendamos cambiar tu contraseña.</p>`,
+  },
+  passkeyAdded: {
+    subject: ({ appName }) => `Se añadió una llave de acceso a tu cuenta de ${appName}`,
+    text: ({ name, passkeyName }) => `Hola ${name}:
+
+Se añadió una nueva llave de acceso (${passkeyName}) a tu cuenta. Puede usarse para iniciar sesión.
+
+Si no la añadiste tú, elimínala de tu perfil y cambia tu contraseña.`,
+    html: ({ name, passkeyName }) => `<p>Hola ${name}:</p>
+<p>Se añadió una nueva llave de acceso (${passkeyName}) a tu cuenta. Puede usarse para iniciar sesión.</p>
+<p>Si no la añadiste tú, elimínala de tu perfil y cambia tu contraseña.</p>`,
+  },
+  invitation: {
+    subject: ({ appName }) => `Te han invitado a ${appName}`,
+    text: ({ appName, inviterName, url, expiresOn }) => `Hola:
+
+${inviterName} te invitó a crear una cuenta en ${appName}.
+
+Abre este enlace para elegir tu nombre y contraseña. Solo funciona una vez y caduca el ${expiresOn}:
+${url}
+
+Si no esperabas esta invitación, puedes ignorar este correo.`,
+    html: ({ appName, inviterName, url, expiresOn }) => `<p>Hola:</p>
+<p>${inviterName} te invitó a crear una cuenta en ${appName}.</p>
+<p><a href="${url}">Aceptar la invitación</a>. El enlace solo funciona una vez y caduca el ${expiresOn}.</p>
+<p>Si no esperabas esta invitación, puedes ignorar este correo.</p>`,
+  },
+  organizationInvitation: {
+    subject: ({ organizationName }) => `Te han invitado a unirte a ${organizationName}`,
+    text: ({ appName, inviterName, organizationName, email, url, expiresOn }) => `Hola:
+
+${inviterName} te invitó a unirte a ${organizationName} en ${appName}.
+
+Inicia sesión con ${email}, o crea una cuenta con esa dirección, y abre este enlace para unirte. Solo funciona una vez y caduca el ${expiresOn}:
+${url}
+
+Si no esperabas esta invitación, puedes ignorar este correo.`,
+    html: ({ appName, inviterName, organizationName, email, url, expiresOn }) => `<p>Hola:</p>
+<p>${inviterName} te invitó a unirte a ${organizationName} en ${appName}.</p>
+<p>Inicia sesión con ${email}, o crea una cuenta con esa dirección, y <a href="${url}">acepta la invitación</a>. El enlace solo funciona una vez y caduca el ${expiresOn}.</p>
+<p>Si no esperabas esta invitación, puedes ignorar este correo.</p>`,
+  },
+};
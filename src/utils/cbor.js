@@ -0,0 +1,156 @@
+/**
+ * CBOR decoder (RFC 8949)
+ * Covers what WebAuthn authenticators emit: definite-length items, maps decoded
+ * as Map (COSE keys use integer labels), tags unwrapped to their content.
+ */
+
+// Authenticator data is small; anything nested deeper is malformed or hostile
+const MAX_DEPTH = 16;
+
+/**
+ * Read the argument (length or value) that follows an initial byte
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Offset just after the initial byte
+ * @param {number} info - Low 5 bits of the initial byte
+ * @returns {Object} - { value, offset }
+ */
+const readArgument = (buffer, offset, info) => {
+  if (info < 24) {
+    return { value: info, offset };
+  }
+  if (info === 24) {
+    return { value: buffer.readUInt8(offset), offset: offset + 1 };
+  }
+  if (info === 25) {
+    return { value: buffer.readUInt16BE(offset), offset: offset + 2 };
+  }
+  if (info === 26) {
+    return { value: buffer.readUInt32BE(offset), offset: offset + 4 };
+  }
+  if (info === 27) {
+    const value = buffer.readBigUInt64BE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('CBOR integer too large');
+    }
+    return { value: Number(value), offset: offset + 8 };
+  }
+  throw new Error('Indefinite-length CBOR items are not supported');
+};
+
+/**
+ * Convert an IEEE 754 half-precision float
+ * @param {number} half - 16-bit value
+ * @returns {number} - Float
+ */
+const readHalfFloat = (half) => {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+/**
+ * Decode one item
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Start of the item
+ * @param {number} depth - Nesting depth
+ * @returns {Object} - { value, offset } (offset just after the item)
+ */
+const decodeItem = (buffer, offset, depth) => {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR item nested too deeply');
+  }
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const info = initial & 31;
+
+  // Simple values and floats carry their own argument encoding
+  if (majorType === 7) {
+    if (info === 20) return { value: false, offset: offset + 1 };
+    if (info === 21) return { value: true, offset: offset + 1 };
+    if (info === 22) return { value: null, offset: offset + 1 };
+    if (info === 23) return { value: undefined, offset: offset + 1 };
+    if (info === 25) return { value: readHalfFloat(buffer.readUInt16BE(offset + 1)), offset: offset + 3 };
+    if (info === 26) return { value: buffer.readFloatBE(offset + 1), offset: offset + 5 };
+    if (info === 27) return { value: buffer.readDoubleBE(offset + 1), offset: offset + 9 };
+    throw new Error('Unsupported CBOR simple value');
+  }
+
+  const argument = readArgument(buffer, offset + 1, info);
+  let position = argument.offset;
+
+  switch (majorType) {
+    case 0:
+      return { value: argument.value, offset: position };
+    case 1:
+      return { value: -1 - argument.value, offset: position };
+    case 2:
+    case 3: {
+      const end = position + argument.value;
+      if (end > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(position, end);
+      return { value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: end };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument.value; i += 1) {
+        const item = decodeItem(buffer, position, depth + 1);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument.value; i += 1) {
+        const key = decodeItem(buffer, position, depth + 1);
+        const value = decodeItem(buffer, key.offset, depth + 1);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+      return { value: map, offset: position };
+    }
+    default:
+      // Tag (6): the tagged content is all WebAuthn needs
+      return decodeItem(buffer, position, depth + 1);
+  }
+};
+
+/**
+ * Decode the first item of a buffer that may be followed by other data
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Start of the item
+ * @returns {Object} - { value, offset } (offset just after the item)
+ */
+const decodeFirst = (buffer, offset = 0) => decodeItem(buffer, offset, 0);
+
+/**
+ * Decode a buffer holding exactly one item
+ * @param {Buffer} buffer - Input
+ * @returns {*} - Decoded value
+ */
+const decode = (buffer) => {
+  const { value, offset } = decodeFirst(buffer);
+  if (offset !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+};
+
+module.exports = {
+  decode,
+  decodeFirst,
+};
@@ -0,0 +1,37 @@
+/**
+ * Cookie utility
+ * Minimal Cookie header parsing (the app does not use cookie-parser)
+ */
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value, or null if absent
+ */
+const getCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  getCookie,
+};
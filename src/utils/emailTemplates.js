@@ -0,0 +1,92 @@
+const emailConfig = require('../config/email');
+
+/**
+ * Email template renderer
+ * Renders the subject, text and HTML bodies of a template in the requested locale.
+ */
+
+// Locale -> templates (see src/templates/email)
+const templates = Object.fromEntries(
+  emailConfig.locales.map((locale) => [locale, require(`../templates/email/${locale}`)])
+);
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap an HTML body in the shared layout
+ * @param {string} body - HTML body
+ * @param {Object} options - { locale, subject, appName } (escaped)
+ * @returns {string} - HTML document
+ */
+const layout = (body, { locale, subject, appName }) => `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${subject}</title>
+</head>
+<body style="font-family: Arial, Helvetica, sans-serif; line-height: 1.5; color: #222;">
+${body}
+<p style="color: #888; font-size: 12px;">${appName}</p>
+</body>
+</html>
+`;
+
+/**
+ * Pick the supported locale to render
+ * @param {string} locale - Requested locale
+ * @returns {string} - Supported locale
+ */
+const resolveLocale = (locale) => {
+  return templates[locale] ? locale : emailConfig.defaultLocale;
+};
+
+/**
+ * Render an email template
+ * Falls back to the default locale when the template has no variant for the requested one.
+ * @param {string} name - Template name (e.g. passwordReset)
+ * @param {Object} variables - Template variables
+ * @param {string} locale - Requested locale
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (name, variables, locale) => {
+  let resolved = resolveLocale(locale);
+  if (!templates[resolved][name]) {
+    resolved = emailConfig.defaultLocale;
+  }
+
+  const template = templates[resolved][name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const values = { appName: emailConfig.appName, ...variables };
+  const escaped = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, escapeHtml(value)]));
+
+  const subject = template.subject(values);
+
+  return {
+    subject,
+    text: template.text(values),
+    html: layout(template.html(escaped), {
+      locale: resolved,
+      subject: escapeHtml(subject),
+      appName: escaped.appName,
+    }),
+  };
+};
+
+module.exports = {
+  resolveLocale,
+  renderEmail,
+};
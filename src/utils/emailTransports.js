@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Email transports
+ * A transport is an object with one method, send(message), where message is
+ * { from, to, subject, text, html }. Any object with that shape can be plugged in.
+ */
+
+/**
+ * SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} - Transport
+ */
+const createSmtpTransport = (options) => {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+/**
+ * File transport: writes every message to a JSON file in a directory (development)
+ * @param {Object} options - { dir }
+ * @returns {Object} - Transport
+ */
+const createFileTransport = (options) => {
+  const dir = path.resolve(options.dir);
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.json`;
+      const file = path.join(dir, filename);
+      await fs.promises.writeFile(file, `${JSON.stringify(message, null, 2)}\n`, { mode: 0o600 });
+
+      // Only the location is logged; the message may contain tokens
+      console.log(`Email "${message.subject}" to ${message.to} written to ${file}`);
+    },
+  };
+};
+
+/**
+ * In-memory transport: keeps messages in an array (tests)
+ * @returns {Object} - Transport with `messages` and `clear()`
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      messages.push({ ...message, sentAt: new Date() });
+    },
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+/**
+ * Create the transport selected in the email configuration
+ * @param {Object} config - Email configuration (see config/email.js)
+ * @returns {Object} - Transport
+ */
+const createTransport = (config) => {
+  switch (config.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.smtp);
+    case 'file':
+      return createFileTransport({ dir: config.outboxDir });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown email transport: ${config.transport}`);
+  }
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createTransport,
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ms = require('ms');
+const jwtConfig = require('../config/jwt');
+
+/**
+ * Signing key store
+ * Holds the asymmetric keys used for access tokens.
+ *
+ * Keys live in JWT_SIGNING_KEYS_DIR as one private key per file (<kid>.pem) plus a
+ * keys.json manifest: { activeKid, keys: [{ kid, alg, createdAt, retiredAt }] }.
+ * New tokens are signed with the active key. Retired keys stay valid for verification
+ * (and stay published in the JWKS) until every token they signed has expired.
+ */
+
+const MANIFEST_FILE = 'keys.json';
+
+// How often the manifest is re-read, so every instance picks up a rotation
+const RELOAD_INTERVAL_MS = 60 * 1000;
+
+// An unknown key ID re-reads the manifest at once (a token signed after a rotation elsewhere),
+// at most this often so tokens with made-up key IDs cannot keep the disk busy
+const MISS_RELOAD_INTERVAL_MS = 5 * 1000;
+
+let cache = null;
+let lastMissReloadAt = 0;
+
+/**
+ * Get the key directory
+ * @returns {string} - Absolute path
+ */
+const getKeysDir = () => path.resolve(jwtConfig.signingKeysDir);
+
+/**
+ * Generate a private key for an algorithm
+ * @param {string} alg - RS256 or ES256
+ * @returns {Object} - Node KeyObject (private)
+ */
+const generatePrivateKey = (alg) => {
+  if (alg === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  }
+  if (alg === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  }
+  throw new Error(`Unsupported access token algorithm: ${alg}`);
+};
+
+/**
+ * Build an in-memory key entry
+ * @param {Object} meta - { kid, alg, createdAt, retiredAt }
+ * @param {Object} privateKey - Node KeyObject (private)
+ * @returns {Object} - Key entry
+ */
+const toEntry = (meta, privateKey) => ({
+  kid: meta.kid,
+  alg: meta.alg,
+  createdAt: meta.createdAt ? new Date(meta.createdAt) : new Date(),
+  retiredAt: meta.retiredAt ? new Date(meta.retiredAt) : null,
+  privateKey,
+  publicKey: crypto.createPublicKey(privateKey),
+});
+
+/**
+ * Get how long a retired key must keep verifying tokens
+ * @returns {number} - Milliseconds: the longest lifetime of a token signed with these keys
+ */
+const getRetentionMs = () => Math.max(ms(jwtConfig.accessTokenExpiry), ms(jwtConfig.impersonationTokenExpiry));
+
+/**
+ * Load keys from disk, or create a temporary key outside production when none are configured
+ * @returns {Object} - { activeKid, keys: Map<kid, entry>, loadedAt, mtimeMs }
+ */
+const loadKeys = () => {
+  const dir = getKeysDir();
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    // Every replica would sign with its own key, and each restart would sign everyone out
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`No signing keys found in ${dir}. Run "npm run keys:rotate" to create one.`);
+    }
+
+    const kid = crypto.randomUUID();
+    console.warn(
+      `No signing keys found in ${dir}. Using a temporary ${jwtConfig.accessTokenAlgorithm} key; ` +
+        'access tokens will not survive a restart. Run "npm run keys:rotate" to create one.'
+    );
+
+    const entry = toEntry({ kid, alg: jwtConfig.accessTokenAlgorithm }, generatePrivateKey(jwtConfig.accessTokenAlgorithm));
+    return { activeKid: kid, keys: new Map([[kid, entry]]), loadedAt: Date.now(), mtimeMs: null };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const keys = new Map();
+
+  for (const meta of manifest.keys) {
+    const keyPath = path.join(dir, `${meta.kid}.pem`);
+    if (!fs.existsSync(keyPath)) {
+      continue;
+    }
+    keys.set(meta.kid, toEntry(meta, crypto.createPrivateKey(fs.readFileSync(keyPath))));
+  }
+
+  if (!keys.has(manifest.activeKid)) {
+    throw new Error(`Active signing key ${manifest.activeKid} is missing from ${dir}`);
+  }
+
+  return {
+    activeKid: manifest.activeKid,
+    keys,
+    loadedAt: Date.now(),
+    mtimeMs: fs.statSync(manifestPath).mtimeMs,
+  };
+};
+
+/**
+ * Get the loaded keys, re-reading the manifest when it has changed
+ * @param {boolean} force - Check the manifest now instead of after RELOAD_INTERVAL_MS
+ * @returns {Object} - Key cache
+ */
+const getKeys = (force = false) => {
+  if (cache && !force && Date.now() - cache.loadedAt < RELOAD_INTERVAL_MS) {
+    return cache;
+  }
+
+  const manifestPath = path.join(getKeysDir(), MANIFEST_FILE);
+  const mtimeMs = fs.existsSync(manifestPath) ? fs.statSync(manifestPath).mtimeMs : null;
+
+  // Reload only when the manifest changed; a temporary key is kept for the life of the process
+  if (cache && cache.mtimeMs === mtimeMs) {
+    cache.loadedAt = Date.now();
+    return cache;
+  }
+
+  cache = loadKeys();
+  return cache;
+};
+
+/**
+ * Check whether a key may still verify tokens
+ * @param {Object} entry - Key entry
+ * @returns {boolean} - True while tokens signed before retirement can still be unexpired
+ */
+const isVerifiable = (entry) => {
+  if (!entry.retiredAt) {
+    return true;
+  }
+  return entry.retiredAt.getTime() + getRetentionMs() > Date.now();
+};
+
+/**
+ * Get the key new access tokens are signed with
+ * @returns {Object} - { kid, alg, privateKey }
+ */
+const getSigningKey = () => {
+  const { activeKid, keys } = getKeys();
+  return keys.get(activeKid);
+};
+
+/**
+ * Get the key that verifies a token with the given key ID
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} - { kid, alg, publicKey }, or null if unknown or expired
+ */
+const getVerificationKey = (kid) => {
+  let entry = getKeys().keys.get(kid);
+
+  if (!entry && Date.now() - lastMissReloadAt >= MISS_RELOAD_INTERVAL_MS) {
+    lastMissReloadAt = Date.now();
+    entry = getKeys(true).keys.get(kid);
+  }
+
+  return entry && isVerifiable(entry) ? entry : null;
+};
+
+/**
+ * Build the public JSON Web Key Set
+ * @returns {Object} - { keys: [...] }
+ */
+const getJwks = () => {
+  const keys = [];
+
+  for (const entry of getKeys().keys.values()) {
+    if (!isVerifiable(entry)) {
+      continue;
+    }
+    keys.push({
+      ...entry.publicKey.export({ format: 'jwk' }),
+      kid: entry.kid,
+      alg: entry.alg,
+      use: 'sig',
+    });
+  }
+
+  return { keys };
+};
+
+/**
+ * Rotate keys on disk: create a new active key, retire the current one
+ * and delete retired keys whose tokens have all expired
+ * @param {string} alg - Algorithm for the new key (defaults to the configured one)
+ * @returns {Object} - { activeKid, retiredKid, removedKids }
+ */
+const rotateKeys = (alg = jwtConfig.accessTokenAlgorithm) => {
+  const dir = getKeysDir();
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : { activeKid: null, keys: [] };
+
+  const now = new Date();
+  const kid = crypto.randomUUID();
+  const privateKey = generatePrivateKey(alg);
+
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+    mode: 0o600,
+  });
+
+  const retiredKid = manifest.activeKid;
+  for (const meta of manifest.keys) {
+    if (meta.kid === retiredKid) {
+      meta.retiredAt = now.toISOString();
+    }
+  }
+
+  // Drop retired keys that can no longer have unexpired tokens
+  const removedKids = [];
+  const retentionMs = getRetentionMs();
+  manifest.keys = manifest.keys.filter((meta) => {
+    const expired = meta.retiredAt && new Date(meta.retiredAt).getTime() + retentionMs <= now.getTime();
+    if (expired) {
+      removedKids.push(meta.kid);
+      fs.rmSync(path.join(dir, `${meta.kid}.pem`), { force: true });
+    }
+    return !expired;
+  });
+
+  manifest.keys.push({ kid, alg, createdAt: now.toISOString(), retiredAt: null });
+  manifest.activeKid = kid;
+
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  cache = null;
+
+  return { activeKid: kid, retiredKid, removedKids };
+};
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  rotateKeys,
+};
@@ -0,0 +1,123 @@
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Rate limit stores
+ * A store keeps the hit counters of one limiter and implements the express-rate-limit
+ * Store interface: init(options), increment(key) -> { totalHits, resetTime },
+ * decrement(key), resetKey(key) and optionally get(key). Stores from the
+ * express-rate-limit ecosystem (rate-limit-redis, ...) plug in unchanged.
+ */
+
+// MongoDB duplicate key error (two instances creating the same counter at once)
+const DUPLICATE_KEY = 11000;
+
+/**
+ * MongoDB store: counters in one collection, shared by every instance
+ */
+class MongoStore {
+  /**
+   * @param {Object} options - { prefix } (keeps the counters of different limiters apart)
+   */
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  /**
+   * Receive the limiter options
+   * @param {Object} options - express-rate-limit options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Count a hit, starting a new window when the previous one has ended
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} - { totalHits, resetTime }
+   */
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+    const update = [
+      {
+        $set: {
+          hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + this.windowMs)] },
+        },
+      },
+    ];
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.findOneAndUpdate({ key: this.prefix + key }, update, { new: true, upsert: true });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      // Another instance created the counter first: count the hit on it
+      counter = await RateLimitCounter.findOneAndUpdate({ key: this.prefix + key }, update, { new: true });
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  /**
+   * Take back a hit (requests the limiter is told to skip after the fact)
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      { key: this.prefix + key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  /**
+   * Forget a client's hits
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+
+  /**
+   * Read a client's hits in the current window
+   * @param {string} key - Client key
+   * @returns {Promise<Object|undefined>} - { totalHits, resetTime }, or undefined without hits
+   */
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } });
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+  }
+}
+
+/**
+ * Create the store of one limiter
+ * @param {string|Function} store - 'memory', 'mongo', or a function (ruleName) -> store
+ * @param {string} ruleName - Rule the limiter applies
+ * @returns {Object} - Store
+ */
+const createStore = (store, ruleName) => {
+  if (typeof store === 'function') {
+    return store(ruleName);
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryStore();
+    case 'mongo':
+      return new MongoStore({ prefix: `${ruleName}:` });
+    default:
+      throw new Error(`Unknown rate limit store "${store}". Use memory or mongo.`);
+  }
+};
+
+module.exports = {
+  MongoStore,
+  createStore,
+};
@@ -0,0 +1,34 @@
+const emailConfig = require('../config/email');
+
+/**
+ * Request context utility
+ * Extracts client details recorded alongside sessions
+ */
+
+/**
+ * Get the preferred supported locale of a request (from Accept-Language)
+ * @param {Object} req - Express request object
+ * @returns {string} - Locale
+ */
+const getRequestLocale = (req) => {
+  return req.acceptsLanguages(...emailConfig.locales) || emailConfig.defaultLocale;
+};
+
+/**
+ * Get the client context of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - { userAgent, ip, locale, impersonator } (impersonator: admin ID while impersonating)
+ */
+const getRequestContext = (req) => {
+  return {
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    locale: getRequestLocale(req),
+    impersonator: req.impersonator ? req.impersonator._id : null,
+  };
+};
+
+module.exports = {
+  getRequestLocale,
+  getRequestContext,
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+
+/**
+ * Session cookie utility
+ * Cookie mode for browser apps: the refresh token travels in an HttpOnly cookie
+ * scoped to the refresh path, paired with a double-submit CSRF token
+ */
+
+// Header a client sends to choose cookie mode
+const AUTH_MODE_HEADER = 'X-Auth-Mode';
+
+// Header that must echo the CSRF cookie on cookie-authenticated requests
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Check whether a request uses cookie mode
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if enabled and asked for with X-Auth-Mode: cookie
+ */
+const isCookieMode = (req) => {
+  return authConfig.cookieSessionsEnabled && (req.get(AUTH_MODE_HEADER) || '').toLowerCase() === 'cookie';
+};
+
+/**
+ * Cookie options shared by setting and clearing
+ * @returns {Object} - { refresh, csrf } cookie options
+ */
+const getCookieOptions = () => {
+  const { path, domain, sameSite, secure } = authConfig.refreshCookie;
+
+  return {
+    refresh: { httpOnly: true, secure, sameSite, path, domain },
+    // Readable by the frontend so it can copy the value into the header
+    csrf: { httpOnly: false, secure, sameSite, path: '/', domain },
+  };
+};
+
+/**
+ * Set the refresh token and a fresh CSRF token as cookies
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} - CSRF token
+ */
+const setSessionCookies = (res, refreshToken) => {
+  const options = getCookieOptions();
+  const maxAge = ms(jwtConfig.refreshTokenExpiry);
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(authConfig.refreshCookie.name, refreshToken, { ...options.refresh, maxAge });
+  res.cookie(authConfig.csrfCookieName, csrfToken, { ...options.csrf, maxAge });
+
+  return csrfToken;
+};
+
+/**
+ * Remove the session cookies
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookies = (res) => {
+  const options = getCookieOptions();
+
+  res.clearCookie(authConfig.refreshCookie.name, options.refresh);
+  res.clearCookie(authConfig.csrfCookieName, options.csrf);
+};
+
+/**
+ * Hand a new token pair to the client in the mode it asked for
+ * Cookie mode sets the cookies and returns the CSRF token in place of the refresh token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {Object} - Token fields for the response body
+ */
+const sessionTokens = (req, res, { accessToken, refreshToken }) => {
+  if (!isCookieMode(req)) {
+    return { accessToken, refreshToken };
+  }
+
+  return { accessToken, csrfToken: setSessionCookies(res, refreshToken) };
+};
+
+module.exports = {
+  CSRF_HEADER,
+  isCookieMode,
+  setSessionCookies,
+  clearSessionCookies,
+  sessionTokens,
+};
@@ -1,14 +1,24 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt');
+const { getSigningKey, getVerificationKey } = require('./keyStore');
 
 /**
  * Generate JWT Access Token
  * @param {Object} payload - User data to encode in token
+ * @param {Object} options - { expiresIn } (defaults to the access token expiry)
  * @returns {string} - JWT access token
  */
-const generateAccessToken = (payload) => {
-  return jwt.sign(payload, jwtConfig.accessTokenSecret, {
-    expiresIn: jwtConfig.accessTokenExpiry,
+const generateAccessToken = (payload, options = {}) => {
+  const key = getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.alg,
+    keyid: key.kid,
+    expiresIn: options.expiresIn || jwtConfig.accessTokenExpiry,
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    jwtid: crypto.randomUUID(), // Lets a single token be revoked
   });
 };
 
@@ -20,6 +30,7 @@ const generateAccessToken = (payload) => {
 const generateRefreshToken = (payload) => {
   return jwt.sign(payload, jwtConfig.refreshTokenSecret, {
     expiresIn: jwtConfig.refreshTokenExpiry,
+    jwtid: crypto.randomUUID(), // Keeps rotated tokens unique even within the same second
   });
 };
 
@@ -34,13 +45,69 @@ const generatePasswordResetToken = (payload) => {
   });
 };
 
+/**
+ * Generate Email Verification Token
+ * @param {Object} payload - User data to encode in token
+ * @returns {string} - JWT email verification token
+ */
+const generateEmailVerificationToken = (payload) => {
+  return jwt.sign(payload, jwtConfig.emailVerificationSecret, {
+    expiresIn: jwtConfig.emailVerificationExpiry,
+  });
+};
+
+/**
+ * Generate Account Unlock Token
+ * @param {Object} payload - User data to encode in token
+ * @returns {string} - JWT account unlock token
+ */
+const generateAccountUnlockToken = (payload) => {
+  return jwt.sign(payload, jwtConfig.accountUnlockSecret, {
+    expiresIn: jwtConfig.accountUnlockExpiry,
+  });
+};
+
+/**
+ * Generate MFA Pending Token
+ * @param {Object} payload - User data to encode in token
+ * @returns {string} - JWT MFA pending token
+ */
+const generateMfaToken = (payload) => {
+  return jwt.sign(payload, jwtConfig.mfaTokenSecret, {
+    expiresIn: jwtConfig.mfaTokenExpiry,
+  });
+};
+
+/**
+ * Generate Magic Link Token
+ * @param {Object} payload - User data to encode in token
+ * @returns {string} - JWT magic sign-in link token
+ */
+const generateMagicLinkToken = (payload) => {
+  return jwt.sign(payload, jwtConfig.magicLinkSecret, {
+    expiresIn: jwtConfig.magicLinkExpiry,
+    jwtid: crypto.randomUUID(), // Every link is unique, so its hash identifies it
+  });
+};
+
 /**
  * Verify JWT Access Token
  * @param {string} token - JWT token to verify
  * @returns {Object} - Decoded token payload
  */
 const verifyAccessToken = (token) => {
-  return jwt.verify(token, jwtConfig.accessTokenSecret);
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+  });
 };
 
 /**
@@ -61,12 +128,66 @@ const verifyPasswordResetToken = (token) => {
   return jwt.verify(token, jwtConfig.passwordResetSecret);
 };
 
+/**
+ * Verify Email Verification Token
+ * @param {string} token - JWT token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyEmailVerificationToken = (token) => {
+  return jwt.verify(token, jwtConfig.emailVerificationSecret);
+};
+
+/**
+ * Verify Account Unlock Token
+ * @param {string} token - JWT token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyAccountUnlockToken = (token) => {
+  return jwt.verify(token, jwtConfig.accountUnlockSecret);
+};
+
+/**
+ * Verify MFA Pending Token
+ * @param {string} token - JWT token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyMfaToken = (token) => {
+  return jwt.verify(token, jwtConfig.mfaTokenSecret);
+};
+
+/**
+ * Verify Magic Link Token
+ * @param {string} token - JWT token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyMagicLinkToken = (token) => {
+  return jwt.verify(token, jwtConfig.magicLinkSecret);
+};
+
+/**
+ * Hash a token for storage (SHA-256, hex encoded)
+ * @param {string} token - Token to hash
+ * @returns {string} - Token hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generatePasswordResetToken,
+  generateEmailVerificationToken,
+  generateAccountUnlockToken,
+  generateMfaToken,
+  generateMagicLinkToken,
   verifyAccessToken,
   verifyRefreshToken,
   verifyPasswordResetToken,
+  verifyEmailVerificationToken,
+  verifyAccountUnlockToken,
+  verifyMfaToken,
+  verifyMagicLinkToken,
+  hashToken,
 };
 
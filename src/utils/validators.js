@@ -1,9 +1,24 @@
 const Joi = require('joi');
+const authConfig = require('../config/auth');
+const permissionConfig = require('../config/permissions');
+const passwordPolicy = require('../config/passwordPolicy');
+const organizationConfig = require('../config/organizations');
+
+// User fields an admin listing may select or sort by
+const userListFields = ['name', 'email', 'roles', 'isActive', 'isEmailVerified', 'twoFactorEnabled', 'createdAt', 'updatedAt'];
+const userSortFields = ['createdAt', 'updatedAt', 'name', 'email'];
 
 /**
  * Validation schemas using Joi
  */
 
+// New password: the length is checked here, the rest of the policy by passwordPolicyService
+const newPasswordField = (label) =>
+  Joi.string().min(passwordPolicy.minLength).required().messages({
+    'string.empty': `${label} is required`,
+    'string.min': `${label} must be at least ${passwordPolicy.minLength} characters`,
+  });
+
 // User registration validation
 const registerSchema = Joi.object({
   name: Joi.string().min(2).max(50).trim().required().messages({
@@ -15,11 +30,7 @@ const registerSchema = Joi.object({
     'string.empty': 'Email is required',
     'string.email': 'Please provide a valid email',
   }),
-  password: Joi.string().min(6).required().messages({
-    'string.empty': 'Password is required',
-    'string.min': 'Password must be at least 6 characters',
-  }),
-  role: Joi.string().valid('user', 'admin').default('user'),
+  password: newPasswordField('Password'),
 });
 
 // User login validation
@@ -46,26 +57,325 @@ const passwordResetSchema = Joi.object({
   token: Joi.string().required().messages({
     'string.empty': 'Reset token is required',
   }),
-  password: Joi.string().min(6).required().messages({
-    'string.empty': 'Password is required',
-    'string.min': 'Password must be at least 6 characters',
+  password: newPasswordField('Password'),
+});
+
+// Email verification validation
+const emailVerificationSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Verification token is required',
+    'any.required': 'Verification token is required',
+  }),
+});
+
+// Account unlock validation
+const accountUnlockSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Unlock token is required',
+    'any.required': 'Unlock token is required',
+  }),
+});
+
+// OAuth callback validation
+const oauthCallbackSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'string.empty': 'Authorization code is required',
+    'any.required': 'Authorization code is required',
+  }),
+  state: Joi.string().required().messages({
+    'string.empty': 'State is required',
+    'any.required': 'State is required',
+  }),
+});
+
+// Magic link request validation
+const magicLinkRequestSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
   }),
 });
 
-// Update profile validation
+// Magic link sign-in validation
+const magicLinkVerifySchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Sign-in token is required',
+  }),
+});
+
+// Binary WebAuthn fields are base64url strings
+const base64Url = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(16384);
+
+// Passkey display name
+const passkeyName = Joi.string().min(1).max(50).trim();
+
+// Passkey registration validation (PublicKeyCredential JSON from navigator.credentials.create())
+const webauthnRegistrationSchema = Joi.object({
+  name: passkeyName.optional(),
+  credential: Joi.object({
+    id: base64Url.max(1366).required(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object({
+      clientDataJSON: base64Url.required(),
+      attestationObject: base64Url.required(),
+      transports: Joi.array().items(Joi.string().max(20)).max(10).optional(),
+    }).required(),
+  }).required(),
+});
+
+// Passkey sign-in validation (PublicKeyCredential JSON from navigator.credentials.get())
+const webauthnAuthenticationSchema = Joi.object({
+  credential: Joi.object({
+    id: base64Url.max(1366).required(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object({
+      clientDataJSON: base64Url.required(),
+      authenticatorData: base64Url.required(),
+      signature: base64Url.required(),
+      userHandle: base64Url.max(128).allow(null, '').optional(),
+    }).required(),
+  }).required(),
+});
+
+// Re-authentication before a sensitive change: one of password, 2FA code or passkey assertion.
+// Accounts with none of those send none.
+const reauthenticationFields = {
+  password: Joi.string(),
+  code: Joi.string().trim().max(20),
+  credential: webauthnAuthenticationSchema.extract('credential').optional(),
+};
+
+// Re-authentication before adding a passkey
+const webauthnReauthenticationSchema = Joi.object(reauthenticationFields).oxor('password', 'code', 'credential');
+
+// Rename passkey validation
+const renamePasskeySchema = Joi.object({
+  name: passkeyName.required(),
+});
+
+// Update profile validation (changing the email address needs re-authentication)
 const updateProfileSchema = Joi.object({
   name: Joi.string().min(2).max(50).trim().optional(),
   email: Joi.string().email().lowercase().trim().optional(),
-});
+  ...reauthenticationFields,
+}).oxor('password', 'code', 'credential');
 
 // Change password validation
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required().messages({
     'string.empty': 'Current password is required',
   }),
-  newPassword: Joi.string().min(6).required().messages({
-    'string.empty': 'New password is required',
-    'string.min': 'New password must be at least 6 characters',
+  newPassword: newPasswordField('New password'),
+});
+
+// Two-factor code validation (enrollment confirmation)
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    'string.empty': 'Authentication code is required',
+    'string.pattern.base': 'Authentication code must be 6 digits',
+  }),
+});
+
+// Two-factor login verification (TOTP or recovery code)
+const twoFactorVerifySchema = Joi.object({
+  mfaToken: Joi.string().required().messages({
+    'string.empty': 'MFA token is required',
+  }),
+  code: Joi.string().trim().max(20).required().messages({
+    'string.empty': 'Authentication code is required',
+  }),
+});
+
+// Disable two-factor validation
+const twoFactorDisableSchema = Joi.object({
+  // Left out by accounts without a password
+  password: Joi.string().optional().messages({
+    'string.empty': 'Password is required',
+  }),
+  code: Joi.string().trim().max(20).required().messages({
+    'string.empty': 'Authentication code is required',
+  }),
+});
+
+// Create API key validation
+const createApiKeySchema = Joi.object({
+  name: Joi.string().max(100).trim().required().messages({
+    'string.empty': 'Name is required',
+    'string.max': 'Name cannot exceed 100 characters',
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...authConfig.apiKeyScopes))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one scope is required',
+      'any.only': `Scopes must be one of: ${authConfig.apiKeyScopes.join(', ')}`,
+    }),
+  expiresAt: Joi.date().iso().greater('now').optional().messages({
+    'date.greater': 'Expiry must be in the future',
+  }),
+});
+
+// Admin API key listing validation
+const listApiKeysSchema = Joi.object({
+  userId: Joi.string().hex().length(24).optional(),
+  includeRevoked: Joi.boolean().default(false),
+});
+
+// Admin user listing validation
+const listUsersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  page: Joi.number().integer().min(1).optional(),
+  cursor: Joi.string().max(500).optional(),
+  role: Joi.string().trim().lowercase().optional(),
+  isActive: Joi.boolean().optional(),
+  deleted: Joi.boolean().default(false),
+  createdFrom: Joi.date().iso().optional(),
+  createdTo: Joi.date().iso().min(Joi.ref('createdFrom')).optional(),
+  search: Joi.string().trim().min(1).max(100).optional(),
+  fields: Joi.string()
+    .pattern(new RegExp(`^(${userListFields.join('|')})(,(${userListFields.join('|')}))*$`))
+    .optional()
+    .messages({
+      'string.pattern.base': `Fields must be a comma-separated list of: ${userListFields.join(', ')}`,
+    }),
+  sort: Joi.string()
+    .valid(...userSortFields.flatMap((field) => [field, `-${field}`]))
+    .default('-createdAt'),
+})
+  .oxor('page', 'cursor')
+  .messages({
+    'object.oxor': 'Use either page or cursor, not both',
+  });
+
+// Admin user update validation
+const adminUpdateUserSchema = Joi.object({
+  name: Joi.string().min(2).max(50).trim().optional(),
+  email: Joi.string().email().lowercase().trim().optional().messages({
+    'string.email': 'Please provide a valid email address',
+  }),
+  isEmailVerified: Joi.boolean().optional(),
+}).min(1);
+
+// Audit log query validation
+const listAuditEventsSchema = Joi.object({
+  action: Joi.string().trim().max(100).optional(),
+  actor: Joi.string().hex().length(24).optional(),
+  target: Joi.string().hex().length(24).optional(),
+  impersonator: Joi.string().hex().length(24).optional(),
+  result: Joi.string().valid('success', 'failure').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().hex().length(24).optional(),
+  format: Joi.string().valid('json', 'ndjson', 'csv').default('json'),
+});
+
+// Role name validation (shared by role and user role schemas)
+const roleName = Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_-]{1,49}$/).messages({
+  'string.pattern.base': 'Role name may only contain letters, digits, "-" and "_" (2-50 characters)',
+});
+
+// Permission list validation
+const permissionList = Joi.array()
+  .items(Joi.string().valid(permissionConfig.wildcard, ...permissionConfig.permissions))
+  .unique()
+  .messages({
+    'any.only': `Permissions must be "${permissionConfig.wildcard}" or one of: ${permissionConfig.permissions.join(', ')}`,
+  });
+
+// Create role validation
+const createRoleSchema = Joi.object({
+  name: roleName.required(),
+  description: Joi.string().max(200).trim().allow('').optional(),
+  permissions: permissionList.default([]),
+});
+
+// Update role validation
+const updateRoleSchema = Joi.object({
+  description: Joi.string().max(200).trim().allow('').optional(),
+  permissions: permissionList.optional(),
+}).min(1);
+
+// Assign user roles validation
+const setUserRolesSchema = Joi.object({
+  roles: Joi.array().items(roleName).min(1).unique().required().messages({
+    'array.min': 'At least one role is required',
+  }),
+});
+
+// Create invitation validation
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+  }),
+  roles: Joi.array().items(roleName).min(1).unique().default([permissionConfig.defaultUserRole]).messages({
+    'array.min': 'At least one role is required',
+  }),
+});
+
+// Invitation listing validation
+const listInvitationsSchema = Joi.object({
+  status: Joi.string().valid('pending', 'accepted', 'revoked').default('pending'),
+});
+
+// Invitation acceptance validation
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Invitation token is required',
+  }),
+  name: Joi.string().min(2).max(50).trim().required().messages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name cannot exceed 50 characters',
+  }),
+  password: newPasswordField('Password'),
+});
+
+// Organization role validation
+const organizationRole = Joi.string()
+  .valid(...Object.keys(organizationConfig.roles))
+  .messages({
+    'any.only': `Role must be one of: ${Object.keys(organizationConfig.roles).join(', ')}`,
+  });
+
+// Organization name validation
+const organizationSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required().messages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name cannot exceed 100 characters',
+  }),
+});
+
+// Organization member invitation validation
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+  }),
+  role: organizationRole.default(organizationConfig.defaultMemberRole),
+});
+
+// Organization invitation acceptance validation
+const acceptOrganizationInvitationSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Invitation token is required',
+    'any.required': 'Invitation token is required',
+  }),
+});
+
+// Change organization member role validation
+const updateMemberSchema = Joi.object({
+  role: organizationRole.required(),
+});
+
+// Switch active organization validation
+const switchOrganizationSchema = Joi.object({
+  organizationId: Joi.string().hex().length(24).allow(null).required().messages({
+    'any.required': 'Organization ID is required (null for none)',
   }),
 });
 
@@ -97,8 +407,36 @@ module.exports = {
   loginSchema,
   passwordResetRequestSchema,
   passwordResetSchema,
+  emailVerificationSchema,
+  accountUnlockSchema,
+  oauthCallbackSchema,
+  magicLinkRequestSchema,
+  magicLinkVerifySchema,
+  webauthnRegistrationSchema,
+  webauthnAuthenticationSchema,
+  webauthnReauthenticationSchema,
+  renamePasskeySchema,
   updateProfileSchema,
   changePasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+  twoFactorDisableSchema,
+  createApiKeySchema,
+  listApiKeysSchema,
+  listUsersSchema,
+  adminUpdateUserSchema,
+  listAuditEventsSchema,
+  createRoleSchema,
+  updateRoleSchema,
+  setUserRolesSchema,
+  createInvitationSchema,
+  listInvitationsSchema,
+  acceptInvitationSchema,
+  organizationSchema,
+  addMemberSchema,
+  acceptOrganizationInvitationSchema,
+  updateMemberSchema,
+  switchOrganizationSchema,
   validate,
 };
 
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { decode, decodeFirst } = require('./cbor');
+
+/**
+ * WebAuthn utility (Level 2)
+ * Parses the structures returned by authenticators and verifies assertion signatures.
+ * Binary values travel as base64url strings in the JSON API.
+ */
+
+// COSE algorithm identifiers this server accepts
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257,
+};
+
+// Authenticator data flags
+const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+  extensionData: 0x80,
+};
+
+/**
+ * SHA-256 digest
+ * @param {Buffer|string} data - Data to hash
+ * @returns {Buffer} - Digest
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Decode a base64url string
+ * @param {string} value - base64url string
+ * @returns {Buffer} - Bytes
+ */
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+/**
+ * Parse the client data JSON
+ * @param {Buffer} clientDataJSON - Raw client data
+ * @returns {Object} - { type, challenge, origin, crossOrigin }
+ */
+const parseClientData = (clientDataJSON) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed client data');
+  }
+
+  if (!clientData || typeof clientData.type !== 'string' || typeof clientData.challenge !== 'string' || typeof clientData.origin !== 'string') {
+    throw new Error('Malformed client data');
+  }
+
+  return clientData;
+};
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} - { rpIdHash, flags, signCount, aaguid, credentialId, credentialPublicKey }
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flagsByte = authData[32];
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: {
+      userPresent: Boolean(flagsByte & FLAGS.userPresent),
+      userVerified: Boolean(flagsByte & FLAGS.userVerified),
+      backupEligible: Boolean(flagsByte & FLAGS.backupEligible),
+      backedUp: Boolean(flagsByte & FLAGS.backedUp),
+    },
+    signCount: authData.readUInt32BE(33),
+  };
+
+  let offset = 37;
+
+  if (flagsByte & FLAGS.attestedCredentialData) {
+    if (authData.length < offset + 18) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    result.aaguid = authData.subarray(offset, offset + 16);
+    const credentialIdLength = authData.readUInt16BE(offset + 16);
+    offset += 18;
+
+    result.credentialId = authData.subarray(offset, offset + credentialIdLength);
+    offset += credentialIdLength;
+
+    // The COSE key is followed by extension data (if any), so only its own length is consumed
+    const publicKey = decodeFirst(authData, offset);
+    result.credentialPublicKey = authData.subarray(offset, publicKey.offset);
+    offset = publicKey.offset;
+  }
+
+  if (flagsByte & FLAGS.extensionData) {
+    offset = decodeFirst(authData, offset).offset;
+  }
+
+  if (offset !== authData.length) {
+    throw new Error('Unexpected data after authenticator data');
+  }
+
+  return result;
+};
+
+/**
+ * Parse an attestation object
+ * The attestation statement is not evaluated: passkeys are registered with
+ * attestation "none", so the key is trusted because the signed-in user created it.
+ * @param {Buffer} attestationObject - Raw attestation object
+ * @returns {Object} - { fmt, authData } (authData parsed)
+ */
+const parseAttestationObject = (attestationObject) => {
+  const attestation = decode(attestationObject);
+
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new Error('Malformed attestation object');
+  }
+
+  return {
+    fmt: attestation.get('fmt'),
+    authData: parseAuthenticatorData(attestation.get('authData')),
+  };
+};
+
+/**
+ * Convert a COSE public key to a Node KeyObject
+ * @param {Buffer} coseKey - COSE_Key bytes
+ * @returns {Object} - { alg, key } (key is a Node KeyObject)
+ */
+const coseToPublicKey = (coseKey) => {
+  const cose = decode(coseKey);
+  if (!(cose instanceof Map)) {
+    throw new Error('Malformed credential public key');
+  }
+
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  let jwk;
+
+  if (alg === COSE_ALGORITHMS.ES256 && kty === 2 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: cose.get(-2), y: cose.get(-3) };
+  } else if (alg === COSE_ALGORITHMS.EdDSA && kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2) };
+  } else if (alg === COSE_ALGORITHMS.RS256 && kty === 3) {
+    jwk = { kty: 'RSA', n: cose.get(-1), e: cose.get(-2) };
+  } else {
+    throw new Error('Unsupported credential algorithm');
+  }
+
+  for (const [name, value] of Object.entries(jwk)) {
+    if (['kty', 'crv'].includes(name)) {
+      continue;
+    }
+    if (!Buffer.isBuffer(value)) {
+      throw new Error('Malformed credential public key');
+    }
+    jwk[name] = value.toString('base64url');
+  }
+
+  return { alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+};
+
+/**
+ * Verify an assertion signature
+ * @param {Buffer} coseKey - Stored COSE_Key bytes
+ * @param {Buffer} authData - Raw authenticator data
+ * @param {Buffer} clientDataJSON - Raw client data
+ * @param {Buffer} signature - Signature from the authenticator
+ * @returns {boolean} - True if the signature is valid
+ */
+const verifyAssertionSignature = (coseKey, authData, clientDataJSON, signature) => {
+  const { alg, key } = coseToPublicKey(coseKey);
+  const signedData = Buffer.concat([authData, sha256(clientDataJSON)]);
+
+  // EdDSA hashes internally; ES256 signatures are DER encoded, which is Node's default
+  const digest = alg === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+
+  return crypto.verify(digest, signedData, key, signature);
+};
+
+/**
+ * Format an AAGUID as a UUID string
+ * @param {Buffer} aaguid - 16 bytes
+ * @returns {string} - UUID
+ */
+const formatAaguid = (aaguid) => {
+  const hex = aaguid.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  sha256,
+  fromBase64Url,
+  parseClientData,
+  parseAuthenticatorData,
+  parseAttestationObject,
+  coseToPublicKey,
+  verifyAssertionSignature,
+  formatAaguid,
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decode, decodeFirst } = require('../src/utils/cbor');
+const { encodeCbor } = require('./helpers/softwareAuthenticator');
+
+test('decodes integers of every argument size', () => {
+  for (const value of [0, 23, 24, 255, 256, 65535, 65536, 2 ** 32 - 1, -1, -24, -25, -257]) {
+    assert.equal(decode(encodeCbor(value)), value);
+  }
+  assert.equal(decode(Buffer.from('1b0000000100000000', 'hex')), 2 ** 32);
+});
+
+test('rejects integers beyond the safe range', () => {
+  assert.throws(() => decode(Buffer.from('1b0020000000000000', 'hex')), /too large/);
+});
+
+test('decodes byte strings, text strings, arrays and simple values', () => {
+  assert.deepEqual(decode(encodeCbor(Buffer.from([1, 2, 3]))), Buffer.from([1, 2, 3]));
+  assert.equal(decode(encodeCbor('passkey ✓')), 'passkey ✓');
+  assert.deepEqual(decode(encodeCbor([1, 'two', [true, false, null]])), [1, 'two', [true, false, null]]);
+});
+
+test('decodes maps with integer keys as Map', () => {
+  const map = decode(encodeCbor(new Map([[1, 2], [-1, 1], [3, -7]])));
+
+  assert.ok(map instanceof Map);
+  assert.equal(map.get(1), 2);
+  assert.equal(map.get(-1), 1);
+  assert.equal(map.get(3), -7);
+});
+
+test('decodes floats and unwraps tags', () => {
+  assert.equal(decode(Buffer.from('f93c00', 'hex')), 1);
+  assert.equal(decode(Buffer.from('f9c400', 'hex')), -4);
+  assert.equal(decode(Buffer.from('fa47c35000', 'hex')), 100000);
+  assert.equal(decode(Buffer.from('fb3ff199999999999a', 'hex')), 1.1);
+  assert.equal(decode(Buffer.from('c11a514b67b0', 'hex')), 1363896240);
+});
+
+test('decodeFirst stops after the first item', () => {
+  const buffer = Buffer.concat([encodeCbor({ a: 1 }), Buffer.from([0xff])]);
+  const { value, offset } = decodeFirst(buffer);
+
+  assert.equal(value.get('a'), 1);
+  assert.equal(offset, buffer.length - 1);
+  assert.throws(() => decode(buffer), /Unexpected data after CBOR item/);
+});
+
+test('rejects truncated, indefinite-length and deeply nested items', () => {
+  assert.throws(() => decode(Buffer.from('430102', 'hex')), /Unexpected end/);
+  assert.throws(() => decode(Buffer.from('8201', 'hex')), /Unexpected end/);
+  assert.throws(() => decode(Buffer.from('9fff', 'hex')), /Indefinite-length/);
+  assert.throws(() => decode(Buffer.alloc(20, 0x81)), /nested too deeply/);
+});
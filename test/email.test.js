@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwtConfig = require('../src/config/jwt');
+const { setTransport, sendPasswordResetEmail } = require('../src/services/emailService');
+const { createMemoryTransport } = require('../src/utils/emailTransports');
+
+test('states when the password reset link expires', async (t) => {
+  const outbox = createMemoryTransport();
+  setTransport(outbox);
+  const { passwordResetExpiry } = jwtConfig;
+  jwtConfig.passwordResetExpiry = '30m';
+  t.after(() => {
+    jwtConfig.passwordResetExpiry = passwordResetExpiry;
+    setTransport(null);
+  });
+
+  /**
+   * Format the expiry of a link sent now, as in the emails
+   * @returns {string} - 'YYYY-MM-DD HH:MM'
+   */
+  const expiry = () => new Date(Date.now() + 30 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ');
+
+  const before = expiry();
+  await sendPasswordResetEmail('ada@example.com', 'reset-token', 'en');
+  await sendPasswordResetEmail('ada@example.com', 'reset-token', 'es');
+  const expiresAt = `(${before}|${expiry()})`;
+
+  const [english, spanish] = outbox.messages;
+  assert.match(english.text, new RegExp(`valid until ${expiresAt} UTC`));
+  assert.match(english.html, new RegExp(`valid until ${expiresAt} UTC`));
+  assert.match(spanish.text, new RegExp(`válido hasta el ${expiresAt} UTC`));
+});
@@ -0,0 +1,73 @@
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createAuthKit } = require('../../src');
+const createApp = require('../../src/app');
+const { createMemoryTransport } = require('../../src/utils/emailTransports');
+
+/**
+ * HTTP test server
+ * Runs the standalone app with in-memory storage and email on a free port,
+ * so tests can go through the routes, middlewares and cookies like a client.
+ */
+
+/**
+ * Start the app
+ * @param {Object} options - Extra createAuthKit options
+ * @param {Function} mountRoutes - Optional (app, kit) => void adding host app routes in front of the kit
+ * @returns {Promise<Object>} - { kit, outbox, request(method, path, { body, token, headers }), close() }
+ */
+const startServer = async (options = {}, mountRoutes = null) => {
+  const outbox = createMemoryTransport();
+  const kit = createAuthKit({
+    storage: 'memory',
+    rateLimit: false,
+    purgeJob: false,
+    // A temporary signing key is created when the directory has none
+    jwt: { signingKeysDir: path.join(os.tmpdir(), `auth-kit-test-keys-${process.pid}`), algorithm: 'ES256' },
+    email: { transport: outbox },
+    ...options,
+  });
+  await kit.start();
+
+  const app = express();
+  if (mountRoutes) {
+    mountRoutes(app, kit);
+  }
+  app.use(createApp(kit));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Path, e.g. '/api/users/profile'
+   * @param {Object} options - { body (sent as JSON), token (bearer access token), headers }
+   * @returns {Promise<Object>} - { status, headers, body } (body parsed when JSON; redirects are not followed)
+   */
+  const request = async (method, pathname, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual',
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+  };
+
+  return {
+    kit,
+    outbox,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+/**
+ * Software authenticator
+ * Creates passkeys and signs assertions the way a platform authenticator does,
+ * so the WebAuthn ceremonies can be tested without a browser.
+ */
+
+/**
+ * Encode the head of a CBOR item
+ * @param {number} majorType - Major type (0-7)
+ * @param {number} value - Argument
+ * @returns {Buffer} - Initial byte and argument
+ */
+const encodeHead = (majorType, value) => {
+  if (value < 24) {
+    return Buffer.from([(majorType << 5) | value]);
+  }
+  if (value < 0x100) {
+    return Buffer.from([(majorType << 5) | 24, value]);
+  }
+  if (value < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = (majorType << 5) | 25;
+    head.writeUInt16BE(value, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = (majorType << 5) | 26;
+  head.writeUInt32BE(value, 1);
+  return head;
+};
+
+/**
+ * Encode a value as CBOR (integers, byte and text strings, arrays, maps, booleans, null)
+ * @param {*} value - Value (Map for integer keys)
+ * @returns {Buffer} - CBOR bytes
+ */
+const encodeCbor = (value) => {
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+  if (value === null) return Buffer.from([0xf6]);
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([encodeHead(5, entries.length), ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+class SoftwareAuthenticator {
+  /**
+   * @param {Object} options - { alg: ES256|EdDSA|RS256, rpId, origin, userVerified, counting }
+   */
+  constructor({ alg = 'ES256', rpId = 'localhost', origin = 'http://localhost:3000', userVerified = true, counting = true } = {}) {
+    this.alg = alg;
+    this.rpId = rpId;
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.counting = counting;
+    this.signCount = 0;
+    this.credentialId = crypto.randomBytes(16);
+
+    if (alg === 'ES256') {
+      ({ privateKey: this.privateKey, publicKey: this.publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+    } else if (alg === 'EdDSA') {
+      ({ privateKey: this.privateKey, publicKey: this.publicKey } = crypto.generateKeyPairSync('ed25519'));
+    } else {
+      ({ privateKey: this.privateKey, publicKey: this.publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+    }
+  }
+
+  /**
+   * The credential public key as a COSE_Key
+   * @returns {Buffer} - CBOR bytes
+   */
+  coseKey() {
+    const jwk = this.publicKey.export({ format: 'jwk' });
+    const bytes = (name) => Buffer.from(jwk[name], 'base64url');
+
+    if (this.alg === 'ES256') {
+      return encodeCbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, bytes('x')], [-3, bytes('y')]]));
+    }
+    if (this.alg === 'EdDSA') {
+      return encodeCbor(new Map([[1, 1], [3, -8], [-1, 6], [-2, bytes('x')]]));
+    }
+    return encodeCbor(new Map([[1, 3], [3, -257], [-1, bytes('n')], [-2, bytes('e')]]));
+  }
+
+  /**
+   * Build authenticator data
+   * @param {boolean} attested - Include the credential ID and public key (registration)
+   * @returns {Buffer} - Raw authenticator data
+   */
+  authenticatorData(attested) {
+    const flags = 0x01 | (this.userVerified ? 0x04 : 0) | (attested ? 0x40 : 0);
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.signCount);
+
+    const parts = [sha256(this.rpId), Buffer.from([flags]), counter];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(this.credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, this.credentialId, this.coseKey());
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Build client data JSON
+   * @param {string} type - webauthn.create or webauthn.get
+   * @param {string} challenge - base64url challenge
+   * @returns {Buffer} - Client data bytes
+   */
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  /**
+   * Answer navigator.credentials.create()
+   * @param {string} challenge - base64url challenge
+   * @returns {Object} - PublicKeyCredential JSON
+   */
+  createCredential(challenge) {
+    const attestationObject = encodeCbor({ fmt: 'none', attStmt: {}, authData: this.authenticatorData(true) });
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', challenge).toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal'],
+      },
+    };
+  }
+
+  /**
+   * Answer navigator.credentials.get(), counting up when the authenticator counts
+   * @param {string} challenge - base64url challenge
+   * @returns {Object} - PublicKeyCredential JSON
+   */
+  getAssertion(challenge) {
+    if (this.counting) {
+      this.signCount += 1;
+    }
+
+    const authData = this.authenticatorData(false);
+    const clientDataJSON = this.clientData('webauthn.get', challenge);
+    const signedData = Buffer.concat([authData, sha256(clientDataJSON)]);
+    const signature = crypto.sign(this.alg === 'EdDSA' ? null : 'sha256', signedData, this.privateKey);
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+      },
+    };
+  }
+}
+
+module.exports = {
+  encodeCbor,
+  SoftwareAuthenticator,
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { clearPermissionCache } = require('../src/services/roleService');
+const { startImpersonation } = require('../src/services/impersonationService');
+
+const ROLES = [
+  { name: 'user', permissions: [] },
+  { name: 'admin', permissions: ['*'] },
+  { name: 'support', permissions: ['users:read', 'users:impersonate'] },
+  { name: 'auditor', permissions: ['audit:read'] },
+];
+
+test.beforeEach(async () => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+  clearPermissionCache();
+  for (const role of ROLES) {
+    await repositories.roles.ensure(role);
+  }
+});
+
+test.afterEach(() => {
+  clearPermissionCache();
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('refuses users holding permissions the admin lacks', async () => {
+  const support = await repositories.users.create({ name: 'Sam', email: 'sam@example.com', roles: ['support'] });
+  const auditor = await repositories.users.create({ name: 'Ada', email: 'ada@example.com', roles: ['user', 'auditor'] });
+  const member = await repositories.users.create({ name: 'Bo', email: 'bo@example.com', roles: ['user'] });
+
+  await assert.rejects(startImpersonation(support, auditor._id), /permissions you do not hold/);
+
+  const { user, accessToken } = await startImpersonation(support, member._id);
+  assert.equal(user.email, 'bo@example.com');
+  assert.ok(accessToken);
+});
+
+test('lets admins holding every permission impersonate anyone who cannot impersonate', async () => {
+  const admin = await repositories.users.create({ name: 'Al', email: 'al@example.com', roles: ['admin'] });
+  const auditor = await repositories.users.create({ name: 'Ada', email: 'ada@example.com', roles: ['auditor'] });
+  const support = await repositories.users.create({ name: 'Sam', email: 'sam@example.com', roles: ['support'] });
+
+  assert.ok(await startImpersonation(admin, auditor._id));
+  await assert.rejects(startImpersonation(admin, support._id), /cannot be impersonated/);
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwtConfig = require('../src/config/jwt');
+const { getSigningKey, getVerificationKey, getJwks, rotateKeys } = require('../src/utils/keyStore');
+
+const DEFAULTS = { ...jwtConfig };
+const MINUTE = 60 * 1000;
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-kit-keys-'));
+  Object.assign(jwtConfig, { signingKeysDir: dir, accessTokenAlgorithm: 'ES256' });
+});
+
+test.afterEach(() => {
+  Object.assign(jwtConfig, DEFAULTS);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Move the retirement of a key into the past
+ * @param {string} kid - Key ID
+ * @param {number} agoMs - How long ago the key was retired
+ */
+const retireAgo = (kid, agoMs) => {
+  const manifestPath = path.join(dir, 'keys.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.keys.find((meta) => meta.kid === kid).retiredAt = new Date(Date.now() - agoMs).toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+};
+
+test('refuses to make up a key in production', () => {
+  const { NODE_ENV } = process.env;
+  process.env.NODE_ENV = 'production';
+
+  try {
+    assert.throws(() => getSigningKey(), /No signing keys found/);
+  } finally {
+    if (NODE_ENV === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = NODE_ENV;
+    }
+  }
+});
+
+test('keeps retired keys for the longest access token lifetime', () => {
+  Object.assign(jwtConfig, { accessTokenExpiry: '5m', impersonationTokenExpiry: '10m' });
+
+  const { activeKid: first } = rotateKeys();
+  const { activeKid: second } = rotateKeys();
+  retireAgo(first, 7 * MINUTE);
+
+  // Impersonation tokens signed with the first key are still valid
+  const { activeKid: third, removedKids } = rotateKeys();
+  assert.deepEqual(removedKids, []);
+  assert.equal(getSigningKey().kid, third);
+  assert.ok(getVerificationKey(first));
+  assert.deepEqual(getJwks().keys.map((key) => key.kid).sort(), [first, second, third].sort());
+
+  retireAgo(first, 11 * MINUTE);
+  assert.deepEqual(rotateKeys().removedKids, [first]);
+  assert.equal(getVerificationKey(first), null);
+  assert.equal(fs.existsSync(path.join(dir, `${first}.pem`)), false);
+});
+
+/**
+ * Load a separate key store, like another process sharing the key directory
+ * @returns {Object} - Key store module
+ */
+const loadKeyStore = () => {
+  const keyStorePath = require.resolve('../src/utils/keyStore');
+  const cached = require.cache[keyStorePath];
+  delete require.cache[keyStorePath];
+  try {
+    return require(keyStorePath);
+  } finally {
+    require.cache[keyStorePath] = cached;
+  }
+};
+
+test('picks up a key rotated by another instance when a token names it', () => {
+  const first = loadKeyStore();
+  const second = loadKeyStore();
+  first.rotateKeys();
+  assert.ok(first.getSigningKey());
+
+  const { activeKid } = second.rotateKeys();
+
+  const stat = test.mock.method(fs, 'statSync');
+  assert.equal(first.getVerificationKey(activeKid).kid, activeKid);
+  assert.equal(first.getSigningKey().kid, activeKid);
+
+  // Unknown key IDs re-read the manifest at most once per interval
+  stat.mock.resetCalls();
+  assert.equal(first.getVerificationKey('made-up'), null);
+  assert.equal(first.getVerificationKey('made-up-too'), null);
+  assert.equal(stat.mock.callCount(), 0);
+  test.mock.restoreAll();
+});
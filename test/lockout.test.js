@@ -0,0 +1,85 @@
+// Keep the progressive delays short and emails in memory
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_DELAY_MAX_MS = '1';
+process.env.EMAIL_TRANSPORT = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const repositories = require('../src/repositories');
+const { loginUser } = require('../src/services/authService');
+const { getLoginDelay } = require('../src/services/lockoutService');
+const { getTransport } = require('../src/services/emailService');
+const { hashToken } = require('../src/utils/tokenGenerator');
+const authConfig = require('../src/config/auth');
+
+let counters;
+
+test.beforeEach(async () => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+  await repositories.users.create({ name: 'Ada', email: 'ada@example.com', password: 'kite-river-lamp' });
+
+  // Keep the latest count of each address
+  counters = new Map();
+  const { failedLogins } = repositories.getRepositories();
+  const increment = failedLogins.increment.bind(failedLogins);
+  test.mock.method(failedLogins, 'increment', async (emailHash, expiresAt) => {
+    counters.set(emailHash, await increment(emailHash, expiresAt));
+    return counters.get(emailHash);
+  });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('doubles the delay up to the maximum', () => {
+  const { loginDelayBaseMs, loginDelayMaxMs } = authConfig;
+  Object.assign(authConfig, { loginDelayBaseMs: 250, loginDelayMaxMs: 5000 });
+
+  try {
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map(getLoginDelay), [250, 500, 1000, 2000, 4000, 5000, 5000]);
+  } finally {
+    Object.assign(authConfig, { loginDelayBaseMs, loginDelayMaxMs });
+  }
+});
+
+test('answers unknown and existing accounts the same way', async () => {
+  const compare = test.mock.method(bcrypt, 'compare');
+
+  await assert.rejects(loginUser('nobody@example.com', 'kite-river-lamp'), /^Error: Invalid email or password$/);
+  await assert.rejects(loginUser('ada@example.com', 'lamp-river-kite'), /^Error: Invalid email or password$/);
+
+  // One password check each, and one count on each address's delay schedule
+  assert.equal(compare.mock.callCount(), 2);
+  assert.equal(counters.get(hashToken('nobody@example.com')), 1);
+  assert.equal(counters.get(hashToken('ada@example.com')), 1);
+});
+
+test('keeps checking a password and counting while an account is locked', async () => {
+  const user = await repositories.users.findByEmail('ada@example.com');
+  await repositories.users.update(user._id, { set: { lockUntil: new Date(Date.now() + 60 * 1000) } });
+  const compare = test.mock.method(bcrypt, 'compare');
+
+  await assert.rejects(loginUser('ada@example.com', 'kite-river-lamp'), /^Error: Invalid email or password$/);
+  await assert.rejects(loginUser('ADA@example.com', 'kite-river-lamp'), /^Error: Invalid email or password$/);
+
+  assert.equal(compare.mock.callCount(), 2);
+  assert.equal(counters.get(hashToken('ada@example.com')), 2);
+});
+
+test('locks the account after too many wrong passwords', async () => {
+  for (let i = 0; i < authConfig.maxLoginAttempts; i += 1) {
+    await assert.rejects(loginUser('ada@example.com', 'lamp-river-kite'), /Invalid email or password/);
+  }
+
+  const user = await repositories.users.findByEmail('ada@example.com', { select: ['lockUntil', 'failedLoginAttempts'] });
+  assert.ok(user.lockUntil > new Date());
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(counters.get(hashToken('ada@example.com')), authConfig.maxLoginAttempts);
+  assert.deepEqual(getTransport().messages.map((message) => message.to), ['ada@example.com']);
+});
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../src/config/auth');
+const oauthConfig = require('../src/config/oauth');
+const { startServer } = require('./helpers/http');
+
+/**
+ * A minimal OpenID Connect provider: discovery, key set and a token endpoint
+ * that signs an ID token for the nonce of the last authorization request
+ */
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const CLIENT_ID = 'auth-kit';
+
+let provider;
+let issuer;
+let nonce;
+let server;
+
+test.before(async () => {
+  provider = http.createServer((req, res) => {
+    const send = (body) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+    if (req.url === '/jwks') {
+      return send({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'provider-key', alg: 'ES256' }] });
+    }
+    const idToken = jwt.sign(
+      { sub: 'subject-1', email: 'ada@example.com', email_verified: true, name: 'Ada', nonce },
+      privateKey,
+      { algorithm: 'ES256', keyid: 'provider-key', issuer, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+    return send({ id_token: idToken, token_type: 'Bearer' });
+  });
+  provider.listen(0, '127.0.0.1');
+  await new Promise((resolve) => provider.once('listening', resolve));
+  issuer = `http://127.0.0.1:${provider.address().port}`;
+
+  oauthConfig.providers.test = { name: 'test', issuer, clientId: CLIENT_ID, clientSecret: 'secret', scopes: 'openid email' };
+  authConfig.cookieSessionsEnabled = true;
+  server = await startServer();
+});
+
+test.after(async () => {
+  await server.close();
+  await new Promise((resolve) => provider.close(resolve));
+});
+
+test('returns the refresh token as an HttpOnly cookie in cookie mode', async () => {
+  const start = await server.request('GET', '/api/auth/oauth/test');
+  assert.equal(start.status, 302);
+
+  const authorizationUrl = new URL(start.headers.get('location'));
+  nonce = authorizationUrl.searchParams.get('nonce');
+  const binding = start.headers.getSetCookie().find((cookie) => cookie.startsWith('oauth_binding='));
+
+  const callback = await server.request(
+    'GET',
+    `/api/auth/oauth/test/callback?code=code-1&state=${authorizationUrl.searchParams.get('state')}`,
+    { headers: { Cookie: binding.split(';')[0], 'X-Auth-Mode': 'cookie' } }
+  );
+
+  assert.equal(callback.status, 200);
+  assert.equal(callback.body.data.user.email, 'ada@example.com');
+  assert.ok(callback.body.data.accessToken);
+  assert.equal(callback.body.data.refreshToken, undefined);
+  assert.ok(callback.body.data.csrfToken);
+
+  const cookies = callback.headers.getSetCookie();
+  const refreshCookie = cookies.find((cookie) => cookie.startsWith(`${authConfig.refreshCookie.name}=`));
+  assert.match(refreshCookie, /HttpOnly/);
+  assert.ok(cookies.some((cookie) => cookie.startsWith(`${authConfig.csrfCookieName}=${callback.body.data.csrfToken}`)));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const repositories = require('../src/repositories');
+const { inviteMember, acceptInvitation } = require('../src/services/organizationService');
+
+let organizationId;
+let owner;
+let admin;
+
+test.beforeEach(async () => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+
+  const creator = new mongoose.Types.ObjectId().toString();
+  const organization = await repositories.organizations.create({ name: 'Acme', createdBy: creator });
+  organizationId = organization._id;
+  owner = { organization, user: creator, role: 'owner' };
+  admin = { ...owner, role: 'admin' };
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('invites an address the same way whether or not it has an account', async () => {
+  await repositories.users.create({ name: 'Ada', email: 'ada@example.com' });
+
+  const known = await inviteMember(admin, { email: 'ada@example.com', role: 'member' });
+  const unknown = await inviteMember(admin, { email: 'nobody@example.com', role: 'member' });
+
+  assert.deepEqual(Object.keys(known).sort(), Object.keys(unknown).sort());
+  assert.deepEqual(Object.keys(known.invitation).sort(), Object.keys(unknown.invitation).sort());
+  assert.equal(known.invitation.tokenHash, undefined);
+  assert.deepEqual(await repositories.memberships.listForOrganization(organizationId), []);
+});
+
+test('replaces the token of a pending invitation when inviting again', async () => {
+  const first = await inviteMember(admin, { email: 'ada@example.com', role: 'member' });
+  const second = await inviteMember(admin, { email: 'ada@example.com', role: 'admin' });
+
+  assert.equal((await repositories.organizationInvitations.listPending(organizationId)).length, 1);
+  assert.equal(second.invitation.role, 'admin');
+  await assert.rejects(acceptInvitation({ _id: new mongoose.Types.ObjectId(), email: 'ada@example.com' }, first.token), /Invalid or expired/);
+});
+
+test('lets only the invited address accept, once', async () => {
+  const ada = await repositories.users.create({ name: 'Ada', email: 'ada@example.com' });
+  const grace = await repositories.users.create({ name: 'Grace', email: 'grace@example.com' });
+  const { token } = await inviteMember(admin, { email: 'ada@example.com', role: 'member' });
+
+  await assert.rejects(acceptInvitation(grace, token), /Invalid or expired invitation/);
+
+  const { membership, invitation } = await acceptInvitation(ada, token);
+  assert.equal(membership.organization._id.toString(), organizationId.toString());
+  assert.equal(membership.role, 'member');
+  assert.equal(invitation.status, 'accepted');
+
+  await assert.rejects(acceptInvitation(ada, token), /Invalid or expired invitation/);
+});
+
+test('refuses owner invitations from non-owners and existing members', async () => {
+  await assert.rejects(inviteMember(admin, { email: 'ada@example.com', role: 'owner' }), /Only owners/);
+  await assert.doesNotReject(inviteMember(owner, { email: 'ada@example.com', role: 'owner' }));
+
+  const grace = await repositories.users.create({ name: 'Grace', email: 'grace@example.com' });
+  await repositories.memberships.create({ organization: organizationId, user: grace._id, role: 'member' });
+  await assert.rejects(inviteMember(admin, { email: 'grace@example.com', role: 'member' }), /already a member/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { createSession } = require('../src/services/sessionService');
+const { startServer } = require('./helpers/http');
+
+let server;
+
+test.before(async () => {
+  // A host app route scoped to the active organization of the token
+  server = await startServer({}, (app, kit) => {
+    app.get('/tenant', kit.authenticate, (req, res) => res.json({ organizationId: req.organizationId }));
+  });
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('refuses a removed member at once although their token still names the organization', async () => {
+  const owner = await repositories.users.create({ name: 'Ada', email: 'ada@example.com', isEmailVerified: true });
+  const member = await repositories.users.create({ name: 'Grace', email: 'grace@example.com', isEmailVerified: true });
+  const organization = await repositories.organizations.create({ name: 'Acme', createdBy: owner._id });
+  await repositories.memberships.create({ organization: organization._id, user: owner._id, role: 'owner' });
+  await repositories.memberships.create({ organization: organization._id, user: member._id, role: 'member' });
+
+  const { accessToken: ownerToken } = await createSession(owner);
+  const { accessToken } = await createSession(member);
+  const orgId = organization._id.toString();
+
+  assert.equal((await server.request('GET', '/tenant', { token: accessToken })).body.organizationId, orgId);
+  const [listed] = (await server.request('GET', '/api/organizations', { token: accessToken })).body.data.organizations;
+  assert.equal(listed.active, true);
+
+  const removed = await server.request('DELETE', `/api/organizations/${orgId}/members/${member._id}`, { token: ownerToken });
+  assert.equal(removed.status, 200);
+
+  assert.equal((await server.request('GET', '/tenant', { token: accessToken })).body.organizationId, null);
+  assert.equal((await server.request('GET', `/api/organizations/${orgId}`, { token: accessToken })).status, 404);
+  assert.equal((await server.request('GET', '/tenant', { token: ownerToken })).body.organizationId, orgId);
+});
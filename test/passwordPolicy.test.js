@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const passwordPolicy = require('../src/config/passwordPolicy');
+const {
+  getPasswordStrength,
+  isBreachedPassword,
+  checkPassword,
+  assertPasswordAllowed,
+  setPassword,
+  isPasswordExpired,
+} = require('../src/services/passwordPolicyService');
+
+const DEFAULTS = { ...passwordPolicy };
+const STRONG = 'kite-river-lamp';
+
+// Cheap hashes keep the history tests fast; bcrypt.compare reads the cost from the hash
+const hash = (password) => bcrypt.hashSync(password, 4);
+
+test.afterEach(() => {
+  Object.assign(passwordPolicy, DEFAULTS);
+});
+
+test('scores common, repetitive and sequential passwords low', () => {
+  assert.equal(getPasswordStrength('password'), 0);
+  assert.equal(getPasswordStrength('Password123!'), 0);
+  assert.equal(getPasswordStrength('aaaaaaaaaaaa'), 0);
+  assert.equal(getPasswordStrength('qwertyuiop12'), 0);
+  assert.equal(getPasswordStrength('abcdefghijkl'), 1);
+});
+
+test('scores long or varied passwords high', () => {
+  assert.equal(getPasswordStrength('Tr0ub4dor&3'), 3);
+  assert.equal(getPasswordStrength(STRONG), 3);
+  assert.equal(getPasswordStrength('correct horse battery staple'), 4);
+});
+
+test('accepts a strong password', async () => {
+  assert.deepEqual(await checkPassword(STRONG, { name: 'Ada Lovelace', email: 'ada@example.com' }), []);
+  await assert.doesNotReject(assertPasswordAllowed(STRONG));
+});
+
+test('reports every cheap problem at once', async () => {
+  assert.deepEqual(await checkPassword('short'), ['Password must be at least 8 characters', 'Password is too easy to guess']);
+  await assert.rejects(assertPasswordAllowed('short'), /at least 8 characters\. Password is too easy to guess/);
+});
+
+test('refuses passwords bcrypt would truncate', async () => {
+  const problems = await checkPassword(`${STRONG}${'é'.repeat(30)}`);
+
+  assert.deepEqual(problems, ['Password cannot exceed 72 bytes']);
+});
+
+test('requires the configured character classes', async () => {
+  passwordPolicy.requiredClasses = ['uppercase', 'digit', 'symbol'];
+
+  assert.deepEqual(await checkPassword('kiteriverlamp'), [
+    'Password must contain an uppercase letter',
+    'Password must contain a digit',
+    'Password must contain a symbol',
+  ]);
+  assert.deepEqual(await checkPassword('Kite-river-lamp7'), []);
+});
+
+test('refuses the name or email address unless turned off', async () => {
+  const user = { name: 'Ada Lovelace', email: 'ada.l@example.com' };
+
+  assert.deepEqual(await checkPassword('lovelace rocks 42', user), ['Password cannot contain your name or email address']);
+  assert.deepEqual(await checkPassword('my ada.l mailbox 7', user), ['Password cannot contain your name or email address']);
+
+  passwordPolicy.rejectPersonalInfo = false;
+  assert.deepEqual(await checkPassword('lovelace rocks 42', user), []);
+});
+
+test.describe('breached password list', () => {
+  let dir;
+
+  test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-kit-breached-'));
+    const sha1 = crypto.createHash('sha1').update(STRONG).digest('hex').toUpperCase();
+    fs.writeFileSync(path.join(dir, `${sha1.slice(0, 5)}.txt`), `${'0'.repeat(35)}:0\r\n${sha1.slice(5)}:12\r\n`);
+  });
+
+  test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('is skipped when no list is configured', async () => {
+    assert.equal(await isBreachedPassword(STRONG), false);
+  });
+
+  test('finds listed passwords in their range file', async () => {
+    passwordPolicy.breachedListDir = dir;
+
+    assert.equal(await isBreachedPassword(STRONG), true);
+    assert.equal(await isBreachedPassword('lamp-river-kite'), false);
+    assert.deepEqual(await checkPassword(STRONG), ['Password has appeared in a data breach. Please choose another one.']);
+  });
+});
+
+test.describe('password history', () => {
+  test('refuses the current and recent passwords', async () => {
+    const user = { _id: 'user', password: hash('first-kite-river'), passwordHistory: [hash('second-kite-river')] };
+
+    assert.deepEqual(await checkPassword('first-kite-river', user), ['Password must differ from your last 5 passwords']);
+    assert.deepEqual(await checkPassword('second-kite-river', user), ['Password must differ from your last 5 passwords']);
+    assert.deepEqual(await checkPassword(STRONG, user), []);
+  });
+
+  test('only looks back historyCount passwords', async () => {
+    passwordPolicy.historyCount = 2;
+    const user = { _id: 'user', password: hash('first-kite-river'), passwordHistory: [hash('second-kite-river'), hash('third-kite-river')] };
+
+    assert.equal((await checkPassword('second-kite-river', user)).length, 1);
+    assert.deepEqual(await checkPassword('third-kite-river', user), []);
+
+    passwordPolicy.historyCount = 0;
+    assert.deepEqual(await checkPassword('first-kite-river', user), []);
+  });
+
+  test('setPassword moves the old hash into a bounded history', () => {
+    passwordPolicy.historyCount = 3;
+    const user = { password: 'hash-3', passwordHistory: ['hash-2', 'hash-1'] };
+
+    setPassword(user, 'new password');
+
+    assert.equal(user.password, 'new password');
+    assert.deepEqual(user.passwordHistory, ['hash-3', 'hash-2']);
+  });
+});
+
+test('expires passwords after maxAgeDays', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const user = { passwordChangedAt: new Date(Date.now() - 31 * day) };
+
+  assert.equal(isPasswordExpired(user), false);
+
+  passwordPolicy.maxAgeDays = 30;
+  assert.equal(isPasswordExpired(user), true);
+  assert.equal(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 29 * day) }), false);
+  assert.equal(isPasswordExpired({}), false);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { createSession } = require('../src/services/sessionService');
+const { createApiKey } = require('../src/services/apiKeyService');
+const { startServer } = require('./helpers/http');
+
+let server;
+let user;
+let accessToken;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.beforeEach(async () => {
+  server.kit.repositories.clear();
+  user = await repositories.users.create({ name: 'Ada', email: 'ada@example.com', password: 'kite-river-lamp', isEmailVerified: true });
+  ({ accessToken } = await createSession(user));
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('changes the email address only with the current password', async () => {
+  const missing = await server.request('PUT', '/api/users/profile', { token: accessToken, body: { email: 'mallory@example.com' } });
+  assert.equal(missing.status, 401);
+
+  const wrong = await server.request('PUT', '/api/users/profile', {
+    token: accessToken,
+    body: { email: 'mallory@example.com', password: 'lamp-river-kite' },
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal((await repositories.users.findById(user._id)).email, 'ada@example.com');
+
+  const confirmed = await server.request('PUT', '/api/users/profile', {
+    token: accessToken,
+    body: { email: 'ada@example.org', password: 'kite-river-lamp' },
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.data.user.email, 'ada@example.org');
+  assert.equal(confirmed.body.data.user.isEmailVerified, false);
+});
+
+test('lets the name change without re-authentication', async () => {
+  const response = await server.request('PUT', '/api/users/profile', { token: accessToken, body: { name: 'Ada King' } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.user.name, 'Ada King');
+});
+
+test('refuses email changes made with an API key', async () => {
+  const { key } = await createApiKey(user._id, { name: 'CI', scopes: ['profile:read', 'profile:write'] });
+  const headers = { Authorization: `ApiKey ${key}` };
+
+  const response = await server.request('PUT', '/api/users/profile', {
+    headers,
+    body: { email: 'mallory@example.com', password: 'kite-river-lamp' },
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal((await repositories.users.findById(user._id)).email, 'ada@example.com');
+  assert.equal((await server.request('PUT', '/api/users/profile', { headers, body: { name: 'Ada King' } })).status, 200);
+});
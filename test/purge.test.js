@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { purgeDeletedUsers } = require('../src/services/userService');
+
+const HOUR = 60 * 60 * 1000;
+
+test.beforeEach(() => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('erases deleted users with everything holding their email address or ID', async () => {
+  const admin = await repositories.users.create({ name: 'Al', email: 'al@example.com', roles: ['admin'] });
+  const user = await repositories.users.create({ name: 'Ada', email: 'ada@example.com' });
+  const expiresAt = new Date(Date.now() + HOUR);
+
+  await repositories.magicLinks.create({ user: user._id, tokenHash: 'link-hash', expiresAt });
+  await repositories.identities.create({ user: user._id, provider: 'google', subject: 'sub-1' });
+  const received = await repositories.invitations.create({
+    email: 'ada@example.com',
+    roles: ['user'],
+    invitedBy: admin._id,
+    tokenHash: 'invitation-hash-1',
+    expiresAt,
+  });
+  const sent = await repositories.invitations.create({
+    email: 'grace@example.com',
+    roles: ['user'],
+    invitedBy: user._id,
+    tokenHash: 'invitation-hash-2',
+    expiresAt,
+  });
+  const organization = await repositories.organizations.create({ name: 'Acme', createdBy: admin._id });
+  const memberInvitation = await repositories.organizationInvitations.create({
+    organization: organization._id,
+    email: 'ada@example.com',
+    role: 'member',
+    invitedBy: admin._id,
+    tokenHash: 'invitation-hash-3',
+    expiresAt,
+  });
+  const kept = await repositories.organizationInvitations.create({
+    organization: organization._id,
+    email: 'grace@example.com',
+    role: 'member',
+    invitedBy: admin._id,
+    tokenHash: 'invitation-hash-4',
+    expiresAt,
+  });
+
+  await repositories.users.update(user._id, { set: { deletedAt: new Date(Date.now() - HOUR) } });
+  assert.equal(await purgeDeletedUsers(new Date()), 1);
+
+  assert.equal(await repositories.users.findById(user._id, { withDeleted: true }), null);
+  assert.equal(await repositories.magicLinks.findByTokenHash('link-hash'), null);
+  assert.equal(await repositories.identities.countForUser(user._id), 0);
+  assert.equal(await repositories.invitations.findById(received._id), null);
+  assert.equal(await repositories.invitations.findById(sent._id), null);
+  assert.equal(await repositories.organizationInvitations.findById(memberInvitation._id), null);
+  assert.ok(await repositories.organizationInvitations.findById(kept._id));
+});
@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+
+// A temporary ES256 signing key, created in memory
+process.env.JWT_SIGNING_KEYS_DIR = path.join(os.tmpdir(), `auth-kit-test-keys-${process.pid}`);
+process.env.JWT_ACCESS_ALGORITHM = 'ES256';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { createSession, listSessions } = require('../src/services/sessionService');
+const { refreshAccessToken } = require('../src/services/authService');
+const { isAccessTokenRevoked } = require('../src/services/tokenRevocationService');
+const { verifyAccessToken } = require('../src/utils/tokenGenerator');
+
+let user;
+
+test.beforeEach(async () => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+  user = await repositories.users.create({ name: 'Ada', email: 'ada@example.com' });
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('rotates the refresh token on every use', async () => {
+  const { session, refreshToken } = await createSession(user, { ip: '203.0.113.1' });
+
+  const first = await refreshAccessToken(refreshToken, { ip: '203.0.113.2' });
+  const second = await refreshAccessToken(first.refreshToken);
+
+  assert.notEqual(first.refreshToken, refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(verifyAccessToken(second.accessToken).sessionId, session._id.toString());
+
+  const [stored] = await listSessions(user._id);
+  assert.equal(stored.ip, '203.0.113.2');
+});
+
+test('revokes the session when a rotated refresh token is presented again', async () => {
+  const { session, refreshToken } = await createSession(user);
+  const rotated = await refreshAccessToken(refreshToken);
+
+  await assert.rejects(refreshAccessToken(refreshToken), /Invalid refresh token/);
+
+  // The legitimate client is signed out too: the thief may hold the newer token
+  await assert.rejects(refreshAccessToken(rotated.refreshToken), /Invalid refresh token/);
+  assert.equal(await isAccessTokenRevoked(verifyAccessToken(rotated.accessToken), user), true);
+  assert.deepEqual(await listSessions(user._id), []);
+
+  const events = await repositories.auditEvents.list({}, { limit: 100 });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'auth.refresh_token_reused');
+  assert.equal(events[0].metadata.sessionId.toString(), session._id.toString());
+});
+
+test('lets only one of two concurrent refreshes with the same token win', async () => {
+  const { refreshToken } = await createSession(user);
+
+  const results = await Promise.allSettled([refreshAccessToken(refreshToken), refreshAccessToken(refreshToken)]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.deepEqual(await listSessions(user._id), []);
+});
+
+test('leaves other sessions of the user alone', async () => {
+  const stolen = await createSession(user);
+  const other = await createSession(user);
+  await refreshAccessToken(stolen.refreshToken);
+
+  await assert.rejects(refreshAccessToken(stolen.refreshToken), /Invalid refresh token/);
+
+  const sessions = await listSessions(user._id);
+  assert.deepEqual(sessions.map((session) => session._id.toString()), [other.session._id.toString()]);
+  await refreshAccessToken(other.refreshToken);
+});
+
+test('rejects forged, unknown and deactivated-user refresh tokens', async () => {
+  await assert.rejects(refreshAccessToken(''), /Refresh token is required/);
+  await assert.rejects(refreshAccessToken('not-a-token'), /Invalid or expired refresh token/);
+
+  const { accessToken } = await createSession(user);
+  await assert.rejects(refreshAccessToken(accessToken), /Invalid or expired refresh token/);
+
+  const { refreshToken } = await createSession(user);
+  await repositories.users.update(user._id, { set: { isActive: false } });
+  await assert.rejects(refreshAccessToken(refreshToken), /Account is deactivated/);
+});
@@ -0,0 +1,507 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories, setRepositories, populateUsers } = require('../src/repositories');
+
+/**
+ * The adapters share one contract, so the same tests run against each of them.
+ * SQL runs on in-memory SQLite when the optional driver is installed.
+ */
+
+let sqliteInstalled = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  sqliteInstalled = false;
+}
+
+const ADAPTERS = {
+  memory: async () => ({ repositories: createRepositories('memory'), close: async () => {} }),
+  sql: async () => {
+    const knex = require('knex')({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+    const repositories = createRepositories('sql', { knex });
+    await repositories.migrate();
+    return { repositories, close: () => knex.destroy() };
+  },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+for (const [name, open] of Object.entries(ADAPTERS)) {
+  test.describe(`${name} repositories`, { skip: name === 'sql' && !sqliteInstalled && 'better-sqlite3 is not installed' }, () => {
+    let repositories;
+    let close;
+
+    test.beforeEach(async () => {
+      ({ repositories, close } = await open());
+    });
+
+    test.afterEach(async () => {
+      await close();
+    });
+
+    /**
+     * Create a user with defaults for the fields a test does not care about
+     * @param {Object} data - User fields
+     * @returns {Promise<Object>} - User record
+     */
+    const createUser = (data = {}) => repositories.users.create({ name: 'Ada Lovelace', email: 'ada@example.com', ...data });
+
+    test.describe('users', () => {
+      test('creates users with the schema defaults and a hashed password', async () => {
+        const user = await createUser({ email: ' Ada@Example.com ', password: 'kite-river-lamp' });
+
+        assert.match(user._id.toString(), /^[0-9a-f]{24}$/);
+        assert.equal(user.email, 'ada@example.com');
+        assert.deepEqual(user.roles, ['user']);
+        assert.equal(user.isActive, true);
+        assert.equal(user.isEmailVerified, false);
+        assert.equal(user.password, undefined);
+
+        const withPassword = await repositories.users.findByEmail('ada@example.com', { select: ['password'] });
+        assert.notEqual(withPassword.password, 'kite-river-lamp');
+        assert.equal(await withPassword.comparePassword('kite-river-lamp'), true);
+        assert.equal(await withPassword.comparePassword('lamp-river-kite'), false);
+        assert.ok(withPassword.passwordChangedAt instanceof Date);
+      });
+
+      test('refuses a second user with the same email address', async () => {
+        await createUser();
+        await assert.rejects(createUser({ email: 'ADA@example.com' }), /Email already in use/);
+      });
+
+      test('hides secret fields unless selected and from JSON', async () => {
+        const { _id } = await createUser({ twoFactorSecret: 'JBSWY3DPEHPK3PXP' });
+
+        assert.equal((await repositories.users.findById(_id)).twoFactorSecret, undefined);
+
+        const selected = await repositories.users.findById(_id, { select: ['twoFactorSecret'] });
+        assert.equal(selected.twoFactorSecret, 'JBSWY3DPEHPK3PXP');
+        assert.equal(selected.toJSON().twoFactorSecret, undefined);
+        assert.equal(selected.toJSON().tokenVersion, undefined);
+      });
+
+      test('updates with set, unset and inc', async () => {
+        const { _id } = await createUser({ lockUntil: new Date(Date.now() + HOUR) });
+
+        const updated = await repositories.users.update(
+          _id,
+          { set: { name: 'Ada King' }, unset: ['lockUntil'], inc: { failedLoginAttempts: 2 } },
+          { select: ['lockUntil', 'failedLoginAttempts'] }
+        );
+
+        assert.equal(updated.name, 'Ada King');
+        assert.equal(updated.lockUntil, undefined);
+        assert.equal(updated.failedLoginAttempts, 2);
+        assert.equal(await repositories.users.update('000000000000000000000000', { set: { name: 'Nobody' } }), null);
+      });
+
+      test('saves changed fields and ends tokens when roles change', async () => {
+        const user = await createUser();
+
+        user.roles = ['user', 'admin'];
+        await user.save();
+
+        const reloaded = await repositories.users.findById(user._id);
+        assert.deepEqual([...reloaded.roles].sort(), ['admin', 'user']);
+        assert.equal(reloaded.tokenVersion, 1);
+      });
+
+      test('lists with filters, search, sorting and keyset pages', async () => {
+        await createUser({ name: 'Charles Babbage', email: 'charles@example.com' });
+        await createUser({ name: 'Ada Lovelace', email: 'ada@example.com', roles: ['admin'] });
+        await createUser({ name: 'Grace Hopper', email: 'grace@example.com', isActive: false });
+
+        const sort = { field: 'name', direction: 1 };
+        const all = await repositories.users.list({ sort, limit: 2 });
+        assert.equal(all.total, 3);
+        assert.deepEqual(all.users.map((user) => user.name), ['Ada Lovelace', 'Charles Babbage']);
+
+        const last = all.users[1];
+        const next = await repositories.users.list({ sort, after: { value: last.name, id: last._id }, limit: 2 });
+        assert.deepEqual(next.users.map((user) => user.name), ['Grace Hopper']);
+
+        const admins = await repositories.users.list({ filters: { role: 'admin' }, sort, limit: 10 });
+        assert.deepEqual(admins.users.map((user) => user.name), ['Ada Lovelace']);
+
+        const inactive = await repositories.users.list({ filters: { isActive: false }, sort, limit: 10 });
+        assert.deepEqual(inactive.users.map((user) => user.name), ['Grace Hopper']);
+
+        const search = await repositories.users.list({ filters: { search: 'BABB' }, sort, limit: 10, fields: ['name'] });
+        assert.deepEqual(search.users.map((user) => user.name), ['Charles Babbage']);
+        assert.equal(search.users[0].email, undefined);
+      });
+
+      test('counts users with a role', async () => {
+        const admin = await createUser({ roles: ['admin'] });
+        await createUser({ email: 'grace@example.com', roles: ['admin'], isActive: false });
+
+        assert.equal(await repositories.users.countWithRole('admin'), 2);
+        assert.equal(await repositories.users.countWithRole('admin', { activeOnly: true }), 1);
+        assert.equal(await repositories.users.countWithRole('admin', { excludeId: admin._id }), 1);
+      });
+
+      test('soft-deletes, restores and erases users', async () => {
+        const { _id } = await createUser();
+        const deletedAt = new Date(Date.now() - HOUR);
+        await repositories.users.update(_id, { set: { deletedAt } });
+
+        assert.equal(await repositories.users.findById(_id), null);
+        assert.equal(await repositories.users.findByEmail('ada@example.com'), null);
+        assert.ok(await repositories.users.findById(_id, { withDeleted: true }));
+        assert.deepEqual(await repositories.users.findByIds([_id]), []);
+        await assert.rejects(createUser(), /Email already in use/);
+
+        assert.deepEqual((await repositories.users.findDeletedBefore(new Date())).map(String), [_id.toString()]);
+        assert.deepEqual(await repositories.users.findDeletedBefore(new Date(Date.now() - 2 * HOUR)), []);
+
+        assert.ok(await repositories.users.restore(_id));
+        assert.equal(await repositories.users.restore(_id), null);
+        assert.ok(await repositories.users.findById(_id));
+
+        await repositories.users.delete(_id);
+        assert.equal(await repositories.users.findById(_id, { withDeleted: true }), null);
+      });
+
+      test('claims each TOTP step once, in increasing order', async () => {
+        const { _id } = await createUser();
+
+        assert.equal(await repositories.users.claimTwoFactorStep(_id, 10), true);
+        assert.equal(await repositories.users.claimTwoFactorStep(_id, 10), false);
+        assert.equal(await repositories.users.claimTwoFactorStep(_id, 9), false);
+        assert.equal(await repositories.users.claimTwoFactorStep(_id, 11), true);
+      });
+
+      test('consumes each recovery code once', async () => {
+        const { _id } = await createUser({ twoFactorRecoveryCodes: ['hash-1', 'hash-2'] });
+
+        const results = await Promise.all([
+          repositories.users.consumeRecoveryCode(_id, 'hash-1'),
+          repositories.users.consumeRecoveryCode(_id, 'hash-1'),
+          repositories.users.consumeRecoveryCode(_id, 'hash-2'),
+        ]);
+
+        assert.deepEqual(results, [true, false, true]);
+        assert.deepEqual((await repositories.users.findById(_id, { select: ['twoFactorRecoveryCodes'] })).twoFactorRecoveryCodes, []);
+      });
+
+      test('populates users referenced from other collections', async () => {
+        const user = await createUser();
+        setRepositories(repositories);
+
+        try {
+          const [found, gone, none] = await populateUsers(
+            [{ invitedBy: user._id }, { invitedBy: '000000000000000000000000' }, { invitedBy: null }],
+            'invitedBy'
+          );
+
+          assert.deepEqual({ ...found.invitedBy, _id: found.invitedBy._id.toString() }, {
+            _id: user._id.toString(),
+            name: 'Ada Lovelace',
+            email: 'ada@example.com',
+          });
+          assert.equal(gone.invitedBy, null);
+          assert.equal(none.invitedBy, null);
+        } finally {
+          setRepositories(null);
+        }
+      });
+    });
+
+    test.describe('sessions', () => {
+      /**
+       * Create a session of a user
+       * @param {Object} user - User record
+       * @param {Object} data - Session fields
+       * @returns {Promise<Object>} - Session
+       */
+      const createSession = (user, data = {}) =>
+        repositories.sessions.create({
+          _id: repositories.sessions.newId(),
+          user: user._id,
+          refreshTokenHash: 'hash-1',
+          expiresAt: new Date(Date.now() + HOUR),
+          ...data,
+        });
+
+      test('finds live sessions of their own user only', async () => {
+        const ada = await createUser();
+        const grace = await createUser({ email: 'grace@example.com' });
+        const session = await createSession(ada, { ip: '203.0.113.1' });
+        const expiredId = repositories.sessions.newId();
+        await createSession(ada, { _id: expiredId, expiresAt: new Date(Date.now() - 1000) });
+
+        assert.equal(session.refreshTokenHash, undefined);
+        assert.equal((await repositories.sessions.findForUser(session._id, ada._id)).ip, '203.0.113.1');
+        assert.equal((await repositories.sessions.findForUser(session._id, ada._id, { withTokenHash: true })).refreshTokenHash, 'hash-1');
+        assert.equal(await repositories.sessions.findForUser(session._id, grace._id), null);
+        assert.equal(await repositories.sessions.findForUser(expiredId, ada._id), null);
+        assert.deepEqual((await repositories.sessions.listActive(ada._id)).map((live) => live._id.toString()), [session._id.toString()]);
+      });
+
+      test('rotates only while the presented hash is current', async () => {
+        const user = await createUser();
+        const session = await createSession(user);
+
+        assert.equal(await repositories.sessions.rotate(session._id, 'hash-1', { refreshTokenHash: 'hash-2' }), true);
+        assert.equal(await repositories.sessions.rotate(session._id, 'hash-1', { refreshTokenHash: 'hash-3' }), false);
+
+        const stored = await repositories.sessions.findForUser(session._id, user._id, { withTokenHash: true });
+        assert.equal(stored.refreshTokenHash, 'hash-2');
+      });
+
+      test('updates, deletes and clears organizations', async () => {
+        const user = await createUser();
+        const organization = '65f000000000000000000001';
+        const first = await createSession(user, { organization });
+        const second = await createSession(user, { organization });
+        const third = await createSession(user);
+
+        await repositories.sessions.clearOrganization(user._id, organization);
+        assert.equal((await repositories.sessions.findForUser(first._id, user._id)).organization, null);
+
+        const updated = await repositories.sessions.update(first._id, user._id, { organization });
+        assert.equal(updated.organization.toString(), organization);
+
+        assert.equal(await repositories.sessions.delete(first._id, '000000000000000000000000'), false);
+        assert.equal(await repositories.sessions.delete(first._id, user._id), true);
+
+        const deleted = await repositories.sessions.deleteForUser(user._id, { exceptId: third._id });
+        assert.deepEqual(deleted.map(String), [second._id.toString()]);
+        assert.deepEqual((await repositories.sessions.listActive(user._id)).map((live) => live._id.toString()), [third._id.toString()]);
+      });
+    });
+
+    test.describe('revoked tokens', () => {
+      test('keeps the later expiry and drops expired entries', async () => {
+        const soon = new Date(Date.now() + 1000);
+        const later = new Date(Date.now() + HOUR);
+
+        await repositories.revokedTokens.add('jti', ['token-1'], later);
+        await repositories.revokedTokens.add('jti', ['token-1'], soon);
+        await repositories.revokedTokens.add('session', ['session-1'], new Date(Date.now() - 1000));
+
+        assert.deepEqual(await repositories.revokedTokens.listActive(), [{ kind: 'jti', value: 'token-1' }]);
+      });
+    });
+
+    test.describe('roles', () => {
+      test('keeps names unique and marks ensured roles built in', async () => {
+        const custom = await repositories.roles.create({ name: 'support', description: 'Help desk', permissions: ['users:read'] });
+        await assert.rejects(repositories.roles.create({ name: 'support', permissions: [] }), /already exists/);
+
+        await repositories.roles.ensure({ name: 'support', description: 'Changed', permissions: [] });
+        await repositories.roles.ensure({ name: 'admin', description: 'Everything', permissions: ['*'] });
+
+        const [admin, support] = await repositories.roles.list();
+        assert.equal(admin.name, 'admin');
+        assert.equal(admin.isSystem, true);
+        assert.deepEqual(support.permissions, ['users:read']);
+        assert.equal(support.description, 'Help desk');
+        assert.equal(support.isSystem, true);
+
+        const updated = await repositories.roles.update(custom._id, { permissions: ['users:read', 'audit:read'] });
+        assert.deepEqual(updated.permissions, ['users:read', 'audit:read']);
+        assert.deepEqual((await repositories.roles.findByNames(['support', 'missing'])).map((role) => role.name), ['support']);
+        assert.equal(await repositories.roles.delete(custom._id), true);
+        assert.equal(await repositories.roles.findById(custom._id), null);
+      });
+    });
+
+    test.describe('API keys', () => {
+      test('finds unrevoked keys by hash without returning it', async () => {
+        const user = await createUser();
+        const key = await repositories.apiKeys.create({ user: user._id, name: 'CI', prefix: 'ak_live_1', keyHash: 'hash-1', scopes: ['users:read'] });
+
+        assert.equal(key.keyHash, undefined);
+        assert.deepEqual((await repositories.apiKeys.findActiveByHash('hash-1')).scopes, ['users:read']);
+
+        await repositories.apiKeys.recordUse(key._id, '203.0.113.1');
+        const [listed] = await repositories.apiKeys.list({ userId: user._id });
+        assert.equal(listed.lastUsedIp, '203.0.113.1');
+
+        assert.equal(await repositories.apiKeys.revoke(key._id, { userId: '000000000000000000000000' }), false);
+        assert.equal(await repositories.apiKeys.revoke(key._id, { userId: user._id }), true);
+        assert.equal(await repositories.apiKeys.revoke(key._id, {}), false);
+        assert.equal(await repositories.apiKeys.findActiveByHash('hash-1'), null);
+        assert.deepEqual(await repositories.apiKeys.list({ userId: user._id }), []);
+        assert.equal((await repositories.apiKeys.list({ includeRevoked: true })).length, 1);
+      });
+    });
+
+    test.describe('audit events', () => {
+      test('lists newest first in pages and streams oldest first', async () => {
+        const actor = '65f000000000000000000001';
+        for (const action of ['auth.login', 'auth.logout', 'auth.login']) {
+          await repositories.auditEvents.create({ action, result: 'success', actor, metadata: { via: 'password' } });
+        }
+        await repositories.auditEvents.create({ action: 'auth.login', result: 'failure' });
+
+        const logins = await repositories.auditEvents.list({ action: 'auth.login', actor }, { limit: 1 });
+        assert.equal(logins.length, 1);
+        assert.deepEqual(logins[0].metadata, { via: 'password' });
+
+        const older = await repositories.auditEvents.list({ action: 'auth.login', actor }, { before: logins[0]._id, limit: 10 });
+        assert.equal(older.length, 1);
+        assert.ok(older[0]._id.toString() < logins[0]._id.toString());
+
+        const streamed = [];
+        for await (const event of repositories.auditEvents.stream({ result: 'success' })) {
+          streamed.push(event.action);
+        }
+        assert.deepEqual(streamed, ['auth.login', 'auth.logout', 'auth.login']);
+      });
+    });
+
+    test.describe('identities and passkeys', () => {
+      test('link provider accounts and passkeys to their own user only', async () => {
+        const ada = await createUser();
+        const grace = await createUser({ email: 'grace@example.com' });
+
+        const identity = await repositories.identities.create({ user: ada._id, provider: 'google', subject: 'sub-1', email: 'ada@example.com' });
+        await assert.rejects(repositories.identities.create({ user: grace._id, provider: 'google', subject: 'sub-1' }));
+        assert.equal((await repositories.identities.findBySubject('google', 'sub-1'))._id.toString(), identity._id.toString());
+        assert.equal(await repositories.identities.findForUser(identity._id, grace._id), null);
+        assert.ok((await repositories.identities.update(identity._id, { lastUsedAt: new Date() })).lastUsedAt instanceof Date);
+
+        const publicKey = Buffer.from([1, 2, 3]);
+        const passkey = await repositories.passkeys.create({ user: ada._id, credentialId: 'cred-1', publicKey, transports: ['internal'] });
+        assert.equal(passkey.publicKey, undefined);
+        assert.equal(passkey.name, 'Passkey');
+        assert.deepEqual(Buffer.from((await repositories.passkeys.findByCredentialId('cred-1')).publicKey), publicKey);
+        assert.equal(await repositories.passkeys.update(passkey._id, grace._id, { name: 'Stolen' }), null);
+        assert.equal((await repositories.passkeys.update(passkey._id, ada._id, { signCount: 3 })).signCount, 3);
+        assert.deepEqual((await repositories.passkeys.listForUser(ada._id)).map((stored) => stored.transports), [['internal']]);
+
+        assert.equal(await repositories.identities.countForUser(ada._id), 1);
+        assert.equal(await repositories.passkeys.countForUser(ada._id), 1);
+        await repositories.identities.deleteForUser(ada._id);
+        await repositories.passkeys.deleteForUser(ada._id);
+        assert.equal(await repositories.identities.countForUser(ada._id), 0);
+        assert.equal(await repositories.passkeys.countForUser(ada._id), 0);
+      });
+    });
+
+    test.describe('sign-in state', () => {
+      test('consumes magic links, OAuth states and challenges once', async () => {
+        const user = await createUser();
+        const expiresAt = new Date(Date.now() + HOUR);
+
+        const link = await repositories.magicLinks.create({ user: user._id, tokenHash: 'hash-1', expiresAt });
+        assert.equal((await repositories.magicLinks.findByTokenHash('hash-1'))._id.toString(), link._id.toString());
+        assert.deepEqual(await Promise.all([repositories.magicLinks.consume(link._id), repositories.magicLinks.consume(link._id)]), [true, false]);
+
+        await repositories.oauthStates.create({ state: 'state-1', provider: 'google', codeVerifier: 'v', nonce: 'n', browserHash: 'b', expiresAt });
+        assert.equal(await repositories.oauthStates.consume('state-1', 'github'), null);
+        assert.equal((await repositories.oauthStates.consume('state-1', 'google')).codeVerifier, 'v');
+        assert.equal(await repositories.oauthStates.consume('state-1', 'google'), null);
+
+        await repositories.webauthnChallenges.create({ challenge: 'c-1', type: 'registration', user: user._id, expiresAt });
+        await repositories.webauthnChallenges.create({ challenge: 'c-2', type: 'authentication', expiresAt: new Date(Date.now() - 1000) });
+        assert.equal(await repositories.webauthnChallenges.consume('c-1', 'registration', '000000000000000000000000'), false);
+        assert.equal(await repositories.webauthnChallenges.consume('c-1', 'registration', user._id), true);
+        assert.equal(await repositories.webauthnChallenges.consume('c-1', 'registration', user._id), false);
+        assert.equal(await repositories.webauthnChallenges.consume('c-2', 'authentication', null), false);
+      });
+
+      test('counts failed logins until the counter expires', async () => {
+        const later = new Date(Date.now() + HOUR);
+
+        assert.deepEqual(
+          await Promise.all([repositories.failedLogins.increment('hash-1', later), repositories.failedLogins.increment('hash-1', later)]),
+          [1, 2]
+        );
+        assert.equal(await repositories.failedLogins.increment('hash-2', new Date(Date.now() - 1000)), 1);
+        assert.equal(await repositories.failedLogins.increment('hash-2', later), 1);
+
+        await repositories.failedLogins.delete('hash-1');
+        assert.equal(await repositories.failedLogins.increment('hash-1', later), 1);
+      });
+    });
+
+    test.describe('organizations', () => {
+      test('keeps one membership per user and organization', async () => {
+        const ada = await createUser();
+        const grace = await createUser({ email: 'grace@example.com' });
+        const acme = await repositories.organizations.create({ name: 'Acme', createdBy: ada._id });
+        const globex = await repositories.organizations.create({ name: 'Globex', createdBy: ada._id });
+
+        assert.equal((await repositories.organizations.update(acme._id, { name: 'Acme Inc' })).name, 'Acme Inc');
+        assert.equal((await repositories.organizations.findByIds([acme._id, '000000000000000000000000'])).length, 1);
+
+        const owner = await repositories.memberships.create({ organization: acme._id, user: ada._id, role: 'owner' });
+        assert.equal(await repositories.memberships.create({ organization: acme._id, user: ada._id, role: 'member' }), null);
+        await repositories.memberships.create({ organization: acme._id, user: grace._id, role: 'owner' });
+        const other = await repositories.memberships.create({ organization: globex._id, user: ada._id, role: 'member' });
+
+        assert.equal((await repositories.memberships.find(acme._id, ada._id)).role, 'owner');
+        assert.equal(await repositories.memberships.countWithRole(acme._id, 'owner', {}), 2);
+        assert.equal(await repositories.memberships.countWithRole(acme._id, 'owner', { excludeId: owner._id }), 1);
+        assert.equal((await repositories.memberships.findLastActive(ada._id))._id.toString(), owner._id.toString());
+
+        await repositories.memberships.update(other._id, { lastActiveAt: new Date() });
+        assert.equal((await repositories.memberships.findLastActive(ada._id))._id.toString(), other._id.toString());
+        assert.equal((await repositories.memberships.listForOrganization(acme._id)).length, 2);
+
+        await repositories.memberships.delete(owner._id);
+        await repositories.memberships.deleteForUser(grace._id);
+        assert.deepEqual(await repositories.memberships.listForOrganization(acme._id), []);
+        assert.equal((await repositories.memberships.listForUser(ada._id)).length, 1);
+      });
+    });
+
+    test.describe('invitations', () => {
+      test('keeps one pending invitation per address and changes status atomically', async () => {
+        const admin = await createUser();
+        const expiresAt = new Date(Date.now() + HOUR);
+        const invitation = await repositories.invitations.create({
+          email: 'grace@example.com',
+          roles: ['user'],
+          invitedBy: admin._id,
+          tokenHash: 'hash-1',
+          expiresAt,
+        });
+
+        assert.equal(invitation.tokenHash, undefined);
+        assert.equal(invitation.status, 'pending');
+        await assert.rejects(
+          repositories.invitations.create({ email: 'grace@example.com', roles: [], invitedBy: admin._id, tokenHash: 'hash-2', expiresAt }),
+          /already pending/
+        );
+        assert.equal((await repositories.invitations.findPendingByTokenHash('hash-1'))._id.toString(), invitation._id.toString());
+
+        const [accepted, again] = await Promise.all([
+          repositories.invitations.update(invitation._id, { status: 'accepted' }, { status: 'pending' }),
+          repositories.invitations.update(invitation._id, { status: 'revoked' }, { status: 'pending' }),
+        ]);
+        assert.equal(accepted.status, 'accepted');
+        assert.equal(again, null);
+        assert.equal(await repositories.invitations.findPendingByEmail('grace@example.com'), null);
+        assert.deepEqual((await repositories.invitations.list('accepted')).map((stored) => stored.roles), [['user']]);
+
+        await repositories.invitations.deleteForUser('000000000000000000000000', 'grace@example.com');
+        assert.equal(await repositories.invitations.findById(invitation._id), null);
+      });
+
+      test('scopes organization invitations to their organization', async () => {
+        const admin = await createUser();
+        const expiresAt = new Date(Date.now() + HOUR);
+        const acme = '65f000000000000000000001';
+        const globex = '65f000000000000000000002';
+        const invite = (organization, tokenHash) =>
+          repositories.organizationInvitations.create({ organization, email: 'grace@example.com', role: 'member', invitedBy: admin._id, tokenHash, expiresAt });
+
+        await invite(acme, 'hash-1');
+        await invite(globex, 'hash-2');
+        await assert.rejects(invite(acme, 'hash-3'), /already pending/);
+
+        assert.equal((await repositories.organizationInvitations.findPendingByEmail(globex, 'grace@example.com')).organization.toString(), globex);
+        assert.equal((await repositories.organizationInvitations.listPending(acme)).length, 1);
+
+        // Invitations sent by a user go with them
+        await repositories.organizationInvitations.deleteForUser(admin._id, 'nobody@example.com');
+        assert.deepEqual(await repositories.organizationInvitations.listPending(acme), []);
+        assert.deepEqual(await repositories.organizationInvitations.listPending(globex), []);
+      });
+    });
+  });
+}
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp, buildOtpauthUrl } = require('../src/utils/totp');
+const { verifySecondFactor, findUserWithTwoFactor, disableTwoFactor } = require('../src/services/twoFactorService');
+const { hashToken } = require('../src/utils/tokenGenerator');
+
+// RFC 6238 appendix B (SHA-1 seed), last 6 of the 8 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const STEP_MS = 30 * 1000;
+
+test('base32 round-trips and matches RFC 4648', () => {
+  assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.deepEqual(base32Decode('mzxw6ytboi'), Buffer.from('foobar'));
+
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Encode(base32Decode(secret)), secret);
+});
+
+test('generates the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code);
+  }
+});
+
+test('accepts codes one step either side of now and returns their step', () => {
+  const secret = generateSecret();
+  const now = Date.now();
+  const step = Math.floor(now / STEP_MS);
+
+  assert.equal(verifyTotp(secret, generateTotp(secret, now)), step);
+  assert.equal(verifyTotp(secret, generateTotp(secret, now - STEP_MS)), step - 1);
+  assert.equal(verifyTotp(secret, generateTotp(secret, now + STEP_MS)), step + 1);
+  assert.equal(verifyTotp(secret, generateTotp(secret, now - 3 * STEP_MS)), null);
+  assert.equal(verifyTotp(secret, '12345'), null);
+  assert.equal(verifyTotp(secret, 'abcdef'), null);
+});
+
+test('builds an otpauth URI', () => {
+  const url = new URL(buildOtpauthUrl('JBSWY3DPEHPK3PXP', 'ada@example.com', 'Node Auth Kit'));
+
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/Node Auth Kit:ada@example.com');
+  assert.equal(url.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
+
+test.describe('second factor', () => {
+  let secret;
+  let userId;
+
+  test.beforeEach(async () => {
+    repositories.setRepositories(repositories.createRepositories('memory'));
+    secret = generateSecret();
+
+    const user = await repositories.users.create({
+      name: 'Ada',
+      email: 'ada@example.com',
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorRecoveryCodes: [hashToken('abcde12345'), hashToken('fghij67890')],
+    });
+    userId = user._id;
+  });
+
+  test.after(() => {
+    repositories.setRepositories(null);
+  });
+
+  test('accepts a TOTP code once', async () => {
+    const code = generateTotp(secret);
+
+    assert.equal(await verifySecondFactor(await findUserWithTwoFactor(userId), code), true);
+    assert.equal(await verifySecondFactor(await findUserWithTwoFactor(userId), code), false);
+  });
+
+  test('rejects a code older than the last one used', async () => {
+    const now = Date.now();
+
+    assert.equal(await verifySecondFactor(await findUserWithTwoFactor(userId), generateTotp(secret, now)), true);
+    assert.equal(await verifySecondFactor(await findUserWithTwoFactor(userId), generateTotp(secret, now - STEP_MS)), false);
+  });
+
+  test('lets only one of two concurrent requests use a TOTP code', async () => {
+    const code = generateTotp(secret);
+    const [first, second] = await Promise.all([findUserWithTwoFactor(userId), findUserWithTwoFactor(userId)]);
+
+    const results = await Promise.all([verifySecondFactor(first, code), verifySecondFactor(second, code)]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  test('consumes a recovery code, however it is typed', async () => {
+    const user = await findUserWithTwoFactor(userId);
+
+    assert.equal(await verifySecondFactor(user, 'ABCDE-12345'), true);
+    assert.equal(await verifySecondFactor(user, 'abcde 12345'), false);
+    assert.deepEqual((await findUserWithTwoFactor(userId)).twoFactorRecoveryCodes, [hashToken('fghij67890')]);
+  });
+
+  test('lets only one of two concurrent requests use a recovery code', async () => {
+    const [first, second] = await Promise.all([findUserWithTwoFactor(userId), findUserWithTwoFactor(userId)]);
+
+    const results = await Promise.all([verifySecondFactor(first, 'fghij-67890'), verifySecondFactor(second, 'fghij-67890')]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  test('disables 2FA of an account without a password with a code alone', async () => {
+    await assert.rejects(disableTwoFactor(userId, undefined, '000000'), /Invalid authentication code/);
+
+    await disableTwoFactor(userId, undefined, 'abcde-12345');
+
+    const user = await findUserWithTwoFactor(userId);
+    assert.equal(user.twoFactorEnabled, false);
+    assert.equal(user.twoFactorSecret, undefined);
+  });
+
+  test('still asks accounts with a password for it', async () => {
+    const { _id } = await repositories.users.create({
+      name: 'Grace',
+      email: 'grace@example.com',
+      password: 'kite-river-lamp',
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+    });
+
+    await assert.rejects(disableTwoFactor(_id, undefined, generateTotp(secret)), /Password is required/);
+    await assert.rejects(disableTwoFactor(_id, 'lamp-river-kite', generateTotp(secret)), /Password is incorrect/);
+    await disableTwoFactor(_id, 'kite-river-lamp', generateTotp(secret));
+    assert.equal((await findUserWithTwoFactor(_id)).twoFactorEnabled, false);
+  });
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const repositories = require('../src/repositories');
+const {
+  parseAuthenticatorData,
+  parseAttestationObject,
+  coseToPublicKey,
+  verifyAssertionSignature,
+} = require('../src/utils/webauthn');
+const { verifyRegistration, verifyAuthentication } = require('../src/services/webauthnService');
+const { encodeCbor, SoftwareAuthenticator } = require('./helpers/softwareAuthenticator');
+
+const CHALLENGE = 'dGVzdC1jaGFsbGVuZ2UtMDEyMzQ1Njc4OWFiY2RlZg';
+
+test.beforeEach(() => {
+  repositories.setRepositories(repositories.createRepositories('memory'));
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test.after(() => {
+  repositories.setRepositories(null);
+});
+
+test('parses the attestation object of a new passkey', () => {
+  const authenticator = new SoftwareAuthenticator();
+  const credential = authenticator.createCredential(CHALLENGE);
+
+  const { fmt, authData } = parseAttestationObject(Buffer.from(credential.response.attestationObject, 'base64url'));
+
+  assert.equal(fmt, 'none');
+  assert.deepEqual(authData.credentialId, authenticator.credentialId);
+  assert.deepEqual(authData.credentialPublicKey, authenticator.coseKey());
+  assert.equal(authData.signCount, 0);
+  assert.equal(authData.flags.userPresent, true);
+  assert.equal(authData.flags.userVerified, true);
+});
+
+test('rejects authenticator data that is short or has trailing bytes', () => {
+  const authData = new SoftwareAuthenticator().authenticatorData(false);
+
+  assert.throws(() => parseAuthenticatorData(authData.subarray(0, 36)), /too short/);
+  assert.throws(() => parseAuthenticatorData(Buffer.concat([authData, Buffer.from([0])])), /Unexpected data/);
+});
+
+for (const alg of ['ES256', 'EdDSA', 'RS256']) {
+  test(`converts ${alg} COSE keys and verifies their assertions`, () => {
+    const authenticator = new SoftwareAuthenticator({ alg });
+    const coseKey = authenticator.coseKey();
+
+    const { key } = coseToPublicKey(coseKey);
+    assert.deepEqual(key.export({ format: 'jwk' }), authenticator.publicKey.export({ format: 'jwk' }));
+
+    const { response } = authenticator.getAssertion(CHALLENGE);
+    const authData = Buffer.from(response.authenticatorData, 'base64url');
+    const clientDataJSON = Buffer.from(response.clientDataJSON, 'base64url');
+    const signature = Buffer.from(response.signature, 'base64url');
+
+    assert.equal(verifyAssertionSignature(coseKey, authData, clientDataJSON, signature), true);
+    assert.equal(verifyAssertionSignature(coseKey, authData, Buffer.from('{}'), signature), false);
+    assert.equal(verifyAssertionSignature(new SoftwareAuthenticator({ alg }).coseKey(), authData, clientDataJSON, signature), false);
+  });
+}
+
+test('rejects unsupported or malformed COSE keys', () => {
+  assert.throws(() => coseToPublicKey(encodeCbor(new Map([[1, 2], [3, -36], [-1, 1]]))), /Unsupported credential algorithm/);
+  assert.throws(() => coseToPublicKey(encodeCbor([1, 2])), /Malformed credential public key/);
+  assert.throws(
+    () => coseToPublicKey(encodeCbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, 'x'], [-3, 'y']]))),
+    /Malformed credential public key/
+  );
+});
+
+/**
+ * Store the challenge of a ceremony
+ * @param {string} type - 'registration' or 'authentication'
+ * @param {Object} userId - User ID (registration only)
+ * @returns {Promise<Object>} - Stored challenge
+ */
+const storeChallenge = (type, userId = null) =>
+  repositories.webauthnChallenges.create({ challenge: CHALLENGE, type, user: userId, expiresAt: new Date(Date.now() + 60 * 1000) });
+
+/**
+ * Store a passkey of a software authenticator and the challenge of a sign-in
+ * @param {SoftwareAuthenticator} authenticator - Authenticator holding the passkey
+ * @param {Object} fields - Stored fields to override ({ publicKey, signCount })
+ * @returns {Promise<Object>} - Stored passkey
+ */
+const storeCeremony = async (authenticator, fields = {}) => {
+  await storeChallenge('authentication');
+  return repositories.passkeys.create({
+    user: new mongoose.Types.ObjectId().toString(),
+    credentialId: authenticator.credentialId.toString('base64url'),
+    publicKey: authenticator.coseKey(),
+    signCount: 0,
+    ...fields,
+  });
+};
+
+/**
+ * List the recorded audit events, oldest first
+ * @returns {Promise<Array>} - Audit events
+ */
+const auditEvents = async () => (await repositories.auditEvents.list({}, { limit: 100 })).reverse();
+
+test('registers a passkey from a software authenticator', async () => {
+  const authenticator = new SoftwareAuthenticator();
+  const userId = new mongoose.Types.ObjectId().toString();
+  await storeChallenge('registration', userId);
+
+  const passkey = await verifyRegistration(userId, authenticator.createCredential(CHALLENGE), 'Laptop');
+
+  assert.equal(passkey.credentialId, authenticator.credentialId.toString('base64url'));
+  assert.deepEqual(
+    (await repositories.passkeys.findByCredentialId(passkey.credentialId)).publicKey,
+    authenticator.coseKey()
+  );
+  assert.deepEqual(passkey.transports, ['internal']);
+  assert.equal(passkey.name, 'Laptop');
+});
+
+test('signs in with a passkey and stores the new counter', async () => {
+  const authenticator = new SoftwareAuthenticator();
+  await storeCeremony(authenticator);
+
+  const result = await verifyAuthentication(authenticator.getAssertion(CHALLENGE));
+
+  assert.equal(result.userVerified, true);
+  assert.equal(result.passkey.signCount, 1);
+  assert.ok(result.passkey.lastUsedAt instanceof Date);
+});
+
+test('rejects a counter that did not increase and audits it', async () => {
+  const authenticator = new SoftwareAuthenticator();
+  const passkey = await storeCeremony(authenticator, { signCount: 5 });
+  authenticator.signCount = 4; // A clone replaying an older counter
+
+  await assert.rejects(verifyAuthentication(authenticator.getAssertion(CHALLENGE)), /Passkey rejected/);
+
+  assert.equal((await repositories.passkeys.findForUser(passkey._id, passkey.user)).signCount, 5);
+  const events = await auditEvents();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'auth.passkey_counter_regressed');
+  assert.equal(events[0].metadata.presentedCount, 5);
+});
+
+test('accepts authenticators that never count', async () => {
+  const authenticator = new SoftwareAuthenticator({ counting: false });
+  await storeCeremony(authenticator);
+
+  const result = await verifyAuthentication(authenticator.getAssertion(CHALLENGE));
+
+  assert.equal(result.passkey.signCount, 0);
+});
+
+test('rejects a forged signature, another origin and a consumed challenge', async () => {
+  const authenticator = new SoftwareAuthenticator();
+  await storeCeremony(authenticator, { publicKey: new SoftwareAuthenticator().coseKey() });
+
+  await assert.rejects(verifyAuthentication(authenticator.getAssertion(CHALLENGE)), /Invalid passkey signature/);
+
+  const phishing = new SoftwareAuthenticator({ origin: 'https://evil.example' });
+  await assert.rejects(verifyAuthentication(phishing.getAssertion(CHALLENGE)), /unexpected origin/);
+
+  // The first attempt consumed the challenge
+  await assert.rejects(verifyAuthentication(authenticator.getAssertion(CHALLENGE)), /expired challenge/);
+});